@@ -1,12 +1,33 @@
+import twilio from 'twilio';
 import { TwilioIntegration } from '../integrations/twilioIntegration.js';
 import logger from '../lib/logger.js';
 import { logControllerOperation, logApiEndpoint } from '../middleware/logging.js';
 import fs from 'fs/promises';
 import fsSync from 'fs';
 // Remove circular import - handlerManager will be injected
-import { getIntent, rewriteQuery } from '../lib/intentClassifier.js';
-import { extractLocation, generateLocationPrompt } from '../lib/speechProcessor.js';
+import { getIntent, rewriteQuery, detectCoverStoryPhrase, activateCoverStory, resumeFromCoverStory } from '../lib/intentClassifier.js';
+import { coverStoryConfig, safetyPlanConfig, warmTransferConfig, voicemailConfig, smsConversationConfig, discreetSmsConfig, confirmationConfig, streamingConfig, callbackConfig } from '../lib/conversationConfig.js';
+import { advanceSafetyPlan, isSafetyPlanActive, detectSafetyPlanCommand, formatSafetyPlanSms, SAFETY_PLAN_STATUS } from '../lib/safetyPlan.js';
+import { getTransferRoutes, resolveTransferNumber, getTransferReason, buildWhisperSummary, buildTransferTwiml, buildVoicemailTwiml, isTransferConnected, TRANSFER_REASONS } from '../lib/warmTransfer.js';
+import { getScheduleEngine, ROUTING_MODES } from '../lib/schedule.js';
+import { getVoicemailStore, parseCallbackNumber, parseCallbackWindow, describeCallbackWindow, isCallbackDeclined, parseCodeWord, matchesCodeWord, CALLBACK_STATUS, CALLBACK_SOURCES } from '../lib/voicemail.js';
+import { getCallbackScheduler, buildCodeWordTwiml, buildCallbackConnectTwiml, buildCallbackHangupTwiml, CALLBACK_EVENTS, MISSED_REASONS } from '../lib/callbackScheduler.js';
+import { getSmsSafeguards, SMS_DELIVERY_STATUS } from '../lib/smsSafeguards.js';
+import { getConsentLedger, CONSENT_SOURCES, CONSENT_SCOPES } from '../lib/consentLedger.js';
+import { getQuickExitGatherOptions, detectQuickExit } from '../lib/quickExit.js';
+import { VOICE_MODES } from '../lib/mediaStream.js';
+import { classifyYesNo, YES_NO_ANSWERS } from '../lib/yesNoClassifier.js';
+import { getLanguageConfig, DEFAULT_LANGUAGE } from '../lib/languageConfig.js';
+import { detectLanguageRequest, detectLanguageFromText, getLanguageForDigit, LANGUAGE_SOURCES } from '../lib/languageDetection.js';
+import { stripSSMLForTTS } from '../lib/ssmlTemplates.js';
+import { resolveRegion, resolveRegionForLocation, findRegionInText, applyRegionNumbers } from '../lib/regionRegistry.js';
+import { config } from '../lib/config/index.js';
+import { getConversationFlow, getFlowPromptText } from '../lib/conversationFlow.js';
+import { getLocationSlotFiller, LOCATION_SOURCES, LOCATION_QUESTIONS, LOCATION_ANSWERS } from '../lib/locationSlot.js';
+import { getDialogueTrace, traceTurnEvent, TRACE_STAGES } from '../lib/dialogueTrace.js';
 import { UnifiedResponseHandler } from '../lib/unifiedResponseHandler.js';
+import { HybridResponseHandler } from '../lib/hybridResponseHandler.js';
+import { splitSmsReply } from '../lib/smsSegments.js';
 
 // Create a factory function to create controller functions with injected dependencies
 export function createTwilioController(handlerManager) {
@@ -55,48 +76,39 @@ export function createTwilioController(handlerManager) {
   if (!call) {
     logControllerOperation('handleSMSConsent.error', { CallSid, error: 'No active call found', requestId }, 'error');
     logger.error(`No active call found for CallSid: ${CallSid}`);
-    const twiml = await handlerManager.generateTTSBasedTwiML("I'm sorry, I encountered an error. The call will now end.", false, null);
-    const twimlResponse = new (await import('twilio')).twiml.VoiceResponse();
-    const audioUrl = twiml.match(/<Play>([^<]+)<\/Play>/)?.[1];
-    if (audioUrl) {
-      twimlResponse.play(audioUrl);
-    }
-    twimlResponse.hangup();
-    res.type('text/xml');
-    return res.send(twimlResponse.toString());
+    return sayAndHangUp("I'm sorry, I encountered an error. The call will now end.", res);
   }
   
-  // Process consent response (check if user said "yes")
-  const hasConsent = SpeechResult.toLowerCase().includes('yes');
-  call.hasConsent = hasConsent;
+  // Process consent response ("sure", "no thanks", "yes but not today"...)
+  const language = await getCallLanguage(CallSid);
+  const hasConsent = readConsentAnswer(call, SpeechResult, language);
   handlerManager.activeCalls.set(CallSid, call);
+  if (hasConsent === null) {
+    logControllerOperation('handleSMSConsent.reask', { CallSid, attempt: call.consentAttempts, requestId });
+    return sendGather('/twilio/consent', getPrompt(language, 'smsConsentReask'), res, language);
+  }
   
   logControllerOperation('handleSMSConsent.processed', { CallSid, hasConsent, requestId });
   
   // Generate and send summary if consent was given
+  let delivery = null;
   if (hasConsent) {
     logControllerOperation('handleSMSConsent.generateSummary', { CallSid, requestId });
+    await getConsentLedger().grant(call.from, { source: CONSENT_SOURCES.VOICE, scope: CONSENT_SCOPES.CALL_SUMMARY, callSid: CallSid });
     const summary = await handlerManager.generateCallSummary(CallSid, call);
-    // Use TwilioIntegration to send SMS
-    await TwilioIntegration.sendSMS(call.from, summary);
-    logControllerOperation('handleSMSConsent.smsSent', { CallSid, requestId });
+    delivery = await handlerManager.sendSMSWithRetry(CallSid, call, summary);
+    logControllerOperation('handleSMSConsent.smsSent', { CallSid, status: delivery?.status, requestId });
   }
   
-  // End the call with appropriate message
-  const finalMessage = hasConsent ? 
-    "Thank you. You will receive a text message with the summary and resources shortly." :
-    "Thank you for reaching out. You're not alone, and help is always available. Take care and stay safe.";
+  // End the call with appropriate message; a "yes" never overrides a STOP
+  let finalMessage = "Thank you for reaching out. You're not alone, and help is always available. Take care and stay safe.";
+  if (delivery?.status === SMS_DELIVERY_STATUS.OPTED_OUT || delivery?.status === SMS_DELIVERY_STATUS.NO_CONSENT) {
+    finalMessage = discreetSmsConfig.messages.optedOut;
+  } else if (hasConsent) {
+    finalMessage = "Thank you. You will receive a text message with the summary and resources shortly.";
+  }
   
-  const twiml = await handlerManager.generateTTSBasedTwiML(finalMessage, false, null);
-  // Create a new TwiML response with hangup
-  const twimlResponse = new (await import('twilio')).twiml.VoiceResponse();
-  const audioUrl = twiml.match(/<Play>([^<]+)<\/Play>/)?.[1];
-  if (audioUrl) {
-    twimlResponse.play(audioUrl);
-  }
-  twimlResponse.hangup();
-  res.type('text/xml');
-  res.send(twimlResponse.toString());
+  await sayAndHangUp(finalMessage, res);
   
   // Clean up call data
   logControllerOperation('handleSMSConsent.cleanup', { CallSid, requestId });
@@ -111,7 +123,7 @@ export function createTwilioController(handlerManager) {
   try {
     logControllerOperation('handleConsent', { CallSid, SpeechResult, requestId });
 
-    if (!CallSid || !SpeechResult) {
+    if (!CallSid) {
       logControllerOperation('handleConsent.error', { error: 'Missing required parameters', requestId }, 'error');
       logger.error('Missing required parameters in consent response');
       return res.status(400).send('Missing required parameters');
@@ -121,98 +133,276 @@ export function createTwilioController(handlerManager) {
     if (!call) {
       logControllerOperation('handleConsent.error', { CallSid, error: 'No active call found', requestId }, 'error');
       logger.error(`No active call found for CallSid: ${CallSid}`);
-      const twiml = await handlerManager.generateTTSBasedTwiML("I'm sorry, I encountered an error. The call will now end.", false, null);
-      const twimlResponse = new (await import('twilio')).twiml.VoiceResponse();
-      const audioUrl = twiml.match(/<Play>([^<]+)<\/Play>/)?.[1];
-      if (audioUrl) {
-        twimlResponse.play(audioUrl);
-      }
-      twimlResponse.hangup();
-      res.type('text/xml');
-      return res.send(twimlResponse.toString());
+      return sayAndHangUp("I'm sorry, I encountered an error. The call will now end.", res);
     }
 
-    // Process consent response (check if user said "yes")
-    const hasConsent = SpeechResult.toLowerCase().includes('yes');
-    call.hasConsent = hasConsent;
+    // Process consent response ("sure", "no thanks", "yes but not today"...); silence is asked again
+    const language = await getCallLanguage(CallSid);
+    const hasConsent = readConsentAnswer(call, SpeechResult, language);
     handlerManager.activeCalls.set(CallSid, call);
+    if (hasConsent === null) {
+      logControllerOperation('handleConsent.reask', { CallSid, attempt: call.consentAttempts, requestId });
+      return sendGather('/twilio/consent', getPrompt(language, 'smsConsentReask'), res, language);
+    }
 
     logControllerOperation('handleConsent.processed', { CallSid, hasConsent, requestId });
 
-    // Generate and send summary if consent was given
     if (hasConsent) {
-      logControllerOperation('handleConsent.generateSummary', { CallSid, requestId });
-      const summary = await handlerManager.generateCallSummary(CallSid, call);
-      await handlerManager.sendSMSWithRetry(CallSid, call, summary);
-      logControllerOperation('handleConsent.smsSent', { CallSid, requestId });
+      // "Yes, but keep it private" or "yes, after 6" already answers the discreet question
+      const window = await parseSMSWindow(CallSid, SpeechResult, language);
+      const discreet = discreetSmsConfig.requestPattern.test(SpeechResult);
+      if (!discreet && !window) {
+        logControllerOperation('handleConsent.askDiscreet', { CallSid, requestId });
+        return sendDiscreetGather(discreetSmsConfig.messages.askDiscreet, res);
+      }
+      return finishConsent(CallSid, call, { discreet, window }, res, requestId);
     }
 
-    // End the call with appropriate message
-    const finalMessage = hasConsent ? 
-      "Thank you. You will receive a text message with the summary and resources shortly." :
-      "Thank you for reaching out. You're not alone, and help is always available. Take care and stay safe.";
-    
-    const twiml = await handlerManager.generateTTSBasedTwiML(finalMessage, false, null);
+    return finishConsent(CallSid, call, null, res, requestId);
     
-    // Create a new TwiML response with hangup
-    const twimlResponse = new (await import('twilio')).twiml.VoiceResponse();
-    const audioUrl = twiml.match(/<Play>([^<]+)<\/Play>/)?.[1];
-    if (audioUrl) {
-      twimlResponse.play(audioUrl);
+  } catch (error) {
+    logControllerOperation('handleConsent.error', { CallSid, error: error.message, requestId }, 'error');
+    logger.error('Error processing consent response:', error);
+    return sayAndHangUp("I'm sorry, I encountered an error. The call will now end.", res);
+  }
+}
+
+  // Handle the answer to "should the text be discreet?"
+  async function handleDiscreetConsent(CallSid, SpeechResult, res) {
+    const requestId = res.req?.requestContext?.requestId || 'unknown';
+
+    try {
+      const call = handlerManager.activeCalls.get(CallSid);
+      if (!call?.hasConsent) {
+        logControllerOperation('handleDiscreetConsent.error', { CallSid, error: 'No consent pending', requestId }, 'error');
+        return sayAndHangUp("I'm sorry, I encountered an error. The call will now end.", res);
+      }
+
+      // Silence or an unclear answer keeps the text discreet
+      const answer = SpeechResult || '';
+      const language = await getCallLanguage(CallSid);
+      const declined = discreetSmsConfig.declinePattern.test(answer) || classifyYesNo(answer, language).answer === YES_NO_ANSWERS.NO;
+      const discreet = discreetSmsConfig.requestPattern.test(answer) || !declined;
+      const window = await parseSMSWindow(CallSid, answer, language);
+      logControllerOperation('handleDiscreetConsent.processed', { CallSid, discreet, hasWindow: !!window, requestId });
+
+      return finishConsent(CallSid, call, { discreet, window }, res, requestId);
+    } catch (error) {
+      logControllerOperation('handleDiscreetConsent.error', { CallSid, error: error.message, requestId }, 'error');
+      logger.error('Error processing discreet SMS answer:', error);
+      return sayAndHangUp("I'm sorry, I encountered an error. The call will now end.", res);
     }
-    twimlResponse.hangup();
+  }
 
-    res.type('text/xml');
-    res.send(twimlResponse.toString());
+  async function getCallLanguage(callSid) {
+    const call = handlerManager.activeCalls?.get(callSid);
+    if (call?.language) {
+      return call.language;
+    }
+    try {
+      return (await handlerManager.buildContextSummary(callSid))?.language || null;
+    } catch (error) {
+      logger.error('Error loading call language:', { callSid, error: error.message });
+      return null;
+    }
+  }
+
+  // Prompt from languageConfig as plain text for <Say> or TTS
+  function getPrompt(language, key, params = {}, region = undefined) {
+    const prompts = getLanguageConfig(language).prompts;
+    let prompt = prompts[key] || getLanguageConfig(null).prompts[key];
+    for (const [name, value] of Object.entries(params)) {
+      prompt = prompt.replace(`{{${name}}}`, value);
+    }
+    return stripSSMLForTTS(applyRegionNumbers(prompt, region));
+  }
+
+  // Numbers the caller should hear: the region their location placed them in, else their phone number's country
+  function getCallRegion(callSid) {
+    const call = handlerManager.activeCalls?.get(callSid);
+    return call?.region || resolveRegion({ phoneNumber: call?.from });
+  }
+
+  // Place the caller in the country or state of a location they gave. A named country
+  // applies at once; geocoding runs in the background and applies from the next turn.
+  function updateCallRegion(callSid, location) {
+    const call = callSid ? handlerManager.activeCalls?.get(callSid) : null;
+    if (!call || !location) {
+      return;
+    }
+    if (findRegionInText(location)) {
+      call.region = resolveRegion({ location });
+      handlerManager.activeCalls.set(callSid, call);
+      return;
+    }
+    resolveRegionForLocation(location)
+      .then(region => {
+        // The call may have ended (or been purged by a quick exit) while geocoding ran
+        const current = handlerManager.activeCalls.get(callSid);
+        if (region && current) {
+          current.region = region;
+          handlerManager.activeCalls.set(callSid, current);
+          logControllerOperation('updateCallRegion', { callSid, country: region.country, source: region.source });
+        }
+      })
+      .catch(error => logger.error('Error resolving caller region:', { callSid, error: error.message }));
+  }
+
+  // true/false for a clear answer to the SMS question, or null to ask again;
+  // still unsure after confirmationConfig.maxAttempts counts as no
+  function readConsentAnswer(call, speech, language) {
+    const { answer } = classifyYesNo(speech, language);
+    call.consentAttempts = (call.consentAttempts || 0) + 1;
+    if (answer === YES_NO_ANSWERS.UNSURE && call.consentAttempts < confirmationConfig.maxAttempts) {
+      return null;
+    }
+    call.hasConsent = answer === YES_NO_ANSWERS.YES;
+    return call.hasConsent;
+  }
+
+  // Times are given in the hotline's local time, as for callbacks
+  async function parseSMSWindow(callSid, speech, language = null) {
+    return parseCallbackWindow(speech, { timeZone: getScheduleEngine().getRules(language).timeZone });
+  }
+
+  // Save the caller's text preferences, send or hold the summary, then end the call
+  async function finishConsent(CallSid, call, preferences, res, requestId) {
+    let finalMessage = "Thank you for reaching out. You're not alone, and help is always available. Take care and stay safe.";
+
+    // Generate and send summary if consent was given
+    if (preferences) {
+      await getConsentLedger().grant(call.from, { source: CONSENT_SOURCES.VOICE, scope: CONSENT_SCOPES.CALL_SUMMARY, callSid: CallSid });
+      await getSmsSafeguards().savePreferences(call.from, preferences);
+      logControllerOperation('handleConsent.generateSummary', { CallSid, requestId });
+      const summary = await handlerManager.generateCallSummary(CallSid, call);
+      const delivery = await handlerManager.sendSMSWithRetry(CallSid, call, summary);
+      logControllerOperation('handleConsent.smsSent', { CallSid, status: delivery?.status, requestId });
+
+      if (delivery?.status === SMS_DELIVERY_STATUS.SCHEDULED) {
+        finalMessage = discreetSmsConfig.messages.scheduled.replace('{window}', describeCallbackWindow(delivery.window));
+      } else if (delivery?.status === SMS_DELIVERY_STATUS.OPTED_OUT || delivery?.status === SMS_DELIVERY_STATUS.NO_CONSENT) {
+        finalMessage = discreetSmsConfig.messages.optedOut;
+      } else {
+        finalMessage = discreetSmsConfig.messages.sendNow;
+      }
+    }
+
+    await sayAndHangUp(finalMessage, res);
 
     // Clean up call data
     logControllerOperation('handleConsent.cleanup', { CallSid, requestId });
     await handlerManager.cleanupCall(CallSid);
-    logControllerOperation('handleConsent.completed', { CallSid, hasConsent, requestId });
-    
-  } catch (error) {
-    logControllerOperation('handleConsent.error', { CallSid, error: error.message, requestId }, 'error');
-    logger.error('Error processing consent response:', error);
-    const twiml = await handlerManager.generateTTSBasedTwiML("I'm sorry, I encountered an error. The call will now end.", false, null);
-    const twimlResponse = new (await import('twilio')).twiml.VoiceResponse();
-    const audioUrl = twiml.match(/<Play>([^<]+)<\/Play>/)?.[1];
-    if (audioUrl) {
-      twimlResponse.play(audioUrl);
+    logControllerOperation('handleConsent.completed', { CallSid, hasConsent: !!preferences, requestId });
+  }
+
+  async function sendDiscreetGather(message, res) {
+    return sendGather('/twilio/consent/discreet', message, res);
+  }
+
+  async function sendGather(action, message, res, language = null) {
+    const twimlResponse = new twilio.twiml.VoiceResponse();
+    const gather = twimlResponse.gather({
+      action,
+      method: 'POST',
+      speechTimeout: 'auto',
+      speechModel: 'phone_call',
+      language: getLanguageConfig(language).twilioSpeechRecognitionLanguage,
+      ...getQuickExitGatherOptions()
+    });
+    gather.say(message);
+    twimlResponse.redirect({ method: 'POST' }, action);
+    res.type('text/xml');
+    return res.send(twimlResponse.toString());
+  }
+
+  // Never throws: it is what the consent handlers' catch blocks end the call with
+  async function sayAndHangUp(message, res) {
+    const twimlResponse = new twilio.twiml.VoiceResponse();
+    try {
+      // A string of TwiML, or a VoiceResponse when TTS fell back to <Say>
+      const twiml = await handlerManager.generateTTSBasedTwiML(message, false, null);
+      const audioUrl = (typeof twiml === 'string' ? twiml : twiml?.toString() || '').match(/<Play>([^<]+)<\/Play>/)?.[1];
+      if (audioUrl) {
+        twimlResponse.play(audioUrl);
+      } else {
+        twimlResponse.say(message);
+      }
+    } catch (error) {
+      logger.error('Error generating TTS before hanging up:', error);
+      twimlResponse.say(message);
+    }
+    twimlResponse.hangup();
+    if (res.headersSent) {
+      return res;
     }
+    res.type('text/xml');
+    return res.send(twimlResponse.toString());
+  }
+
+  // Handle quick exit (safe word or keypad key): hang up first, then purge
+  async function handleQuickExit(CallSid, trigger, res) {
+    const twimlResponse = new twilio.twiml.VoiceResponse();
     twimlResponse.hangup();
     res.type('text/xml');
     res.send(twimlResponse.toString());
+
+    await purgeAfterQuickExit(CallSid, trigger);
+  }
+
+  async function purgeAfterQuickExit(CallSid, trigger) {
+    // Only the trigger type is logged - never the words that were spoken
+    logControllerOperation('handleQuickExit', { CallSid, trigger });
+
+    try {
+      await handlerManager.purgeCall(CallSid);
+      logControllerOperation('handleQuickExit.purged', { CallSid });
+    } catch (error) {
+      logControllerOperation('handleQuickExit.error', { CallSid, error: error.message }, 'error');
+      logger.error('Error purging call after quick exit:', error);
+    }
   }
-}
 
   // Handle SMS endpoint
   async function handleSMS(From, Body, res) {
   const requestId = res.req?.requestContext?.requestId || 'unknown';
   
   try {
-    logControllerOperation('handleSMS', { from: From, body: Body, requestId });
+    // The message text is never logged
+    logControllerOperation('handleSMS', { from: From, requestId });
 
-    const twiml = new (await import('twilio')).twiml.MessagingResponse();
-    
-    const consentKeywords = ['yes', 'agree', 'consent', 'ok', 'okay', 'sure'];
-    const isConsentMessage = consentKeywords.some(keyword => 
-      Body.toLowerCase().includes(keyword)
-    );
+    const twiml = new twilio.twiml.MessagingResponse();
+    const keyword = normalizeSMSKeyword(Body);
 
-    const optOutKeywords = ['stop', 'unsubscribe', 'opt out', 'cancel'];
-    const isOptOutMessage = optOutKeywords.some(keyword => 
-      Body.toLowerCase().includes(keyword)
-    );
+    const ledger = getConsentLedger();
+    const keywordText = keyword.toUpperCase();
 
-    if (isOptOutMessage) {
+    if (smsConversationConfig.optOutKeywords.includes(keyword)) {
       logControllerOperation('handleSMS.optOut', { from: From, requestId });
-      twiml.message('You have been unsubscribed from follow-up messages. You will no longer receive SMS updates.');
-    } else if (isConsentMessage) {
+      await ledger.revoke(From, { source: CONSENT_SOURCES.SMS, keyword: keywordText });
+      await getSmsSafeguards().cancelScheduled(From);
+      twiml.message(smsConversationConfig.messages.optOut);
+    } else if (smsConversationConfig.optInKeywords.includes(keyword)) {
+      logControllerOperation('handleSMS.optIn', { from: From, requestId });
+      await ledger.grant(From, { source: CONSENT_SOURCES.SMS, scope: CONSENT_SCOPES.ALL, keyword: keywordText });
+      twiml.message(smsConversationConfig.messages.optIn);
+    } else if (smsConversationConfig.helpKeywords.includes(keyword)) {
+      // HELP is answered whatever the consent status
+      logControllerOperation('handleSMS.help', { from: From, requestId });
+      await ledger.recordHelp(From, { keyword: keywordText });
+      twiml.message(applyRegionNumbers(smsConversationConfig.messages.help, resolveRegion({ phoneNumber: From })));
+    } else if (!(await ledger.canSend(From))) {
+      // Nothing else is answered until the number texts START again
+      logControllerOperation('handleSMS.optedOut', { from: From, requestId });
+    } else if (config.callbacks.enabled && (callbackConfig.smsKeywords.includes(keyword) || await getCallbackScheduler().getSmsRequest(From))) {
+      twiml.message(await handleSMSCallbackRequest(From, Body, keyword, requestId));
+    } else if (smsConversationConfig.consentKeywords.includes(keyword) && !(await getSMSContext(From))) {
+      // A bare "yes" outside a conversation answers the follow-up offer sent after a call
       logControllerOperation('handleSMS.consent', { from: From, requestId });
-      twiml.message('Thank you for your consent. You will receive follow-up messages about your call summary and support resources.');
+      await ledger.grant(From, { source: CONSENT_SOURCES.SMS, scope: CONSENT_SCOPES.FOLLOW_UP, keyword: keywordText });
+      twiml.message(smsConversationConfig.messages.consent);
     } else {
-      logControllerOperation('handleSMS.prompt', { from: From, requestId });
-      twiml.message('Thank you for your message. Would you like to receive follow-up messages about your call summary and support resources? Please reply with "yes" to consent.');
+      const parts = await handleSMSConversation(From, Body, requestId);
+      parts.forEach(part => twiml.message(part));
     }
 
     res.type('text/xml');
@@ -226,6 +416,171 @@ export function createTwilioController(handlerManager) {
   }
 }
 
+  // "CALL ME" by text: a safe time, then a code word; the callback goes to the number that texted
+  async function handleSMSCallbackRequest(phoneNumber, body, keyword, requestId) {
+    const scheduler = getCallbackScheduler();
+    const messages = callbackConfig.smsMessages;
+    const request = callbackConfig.smsKeywords.includes(keyword) ? null : await scheduler.getSmsRequest(phoneNumber);
+    logControllerOperation('handleSMS.callback', { from: phoneNumber, step: request?.step || 'start', requestId });
+
+    if (!request) {
+      await scheduler.saveSmsRequest(phoneNumber, { step: 'time', attempts: 0 });
+      return messages.askTime;
+    }
+
+    const retry = async message => {
+      const attempts = (request.attempts || 0) + 1;
+      if (attempts >= voicemailConfig.maxAttempts) {
+        await scheduler.clearSmsRequest(phoneNumber);
+        return messages.failed;
+      }
+      await scheduler.saveSmsRequest(phoneNumber, { ...request, attempts });
+      return message;
+    };
+
+    if (request.step === 'time') {
+      // Texted times are in the hotline's local time, as on a call
+      const window = parseCallbackWindow(body, { timeZone: getScheduleEngine().getRules(null).timeZone });
+      if (!window) return retry(messages.timeRetry);
+      await scheduler.saveSmsRequest(phoneNumber, { step: 'code-word', window, attempts: 0 });
+      return messages.askCodeWord;
+    }
+
+    const codeWord = parseCodeWord(body);
+    if (!codeWord) return retry(messages.codeWordRetry);
+
+    await scheduler.clearSmsRequest(phoneNumber);
+    try {
+      await scheduler.schedule({ number: phoneNumber, window: request.window, codeWord, source: CALLBACK_SOURCES.SMS });
+    } catch (error) {
+      logger.error('Error creating callback task:', { requestId, error: error.message });
+      return messages.failed;
+    }
+    return messages.scheduled.replace('{window}', describeCallbackWindow(request.window));
+  }
+
+  function normalizeSMSKeyword(body) {
+    return String(body || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+  }
+
+  // SMS conversations are keyed by phone number, since there is no call to key them by
+  function getSMSContextKey(phoneNumber) {
+    return `sms:${phoneNumber}`;
+  }
+
+  async function getSMSContext(phoneNumber) {
+    const contextService = handlerManager.services?.context;
+    if (!contextService) {
+      return null;
+    }
+    try {
+      return await contextService.getConversationContext(getSMSContextKey(phoneNumber));
+    } catch (error) {
+      logger.error('Error loading SMS context:', { error: error.message });
+      return null;
+    }
+  }
+
+  // One text in, one reply out (split into single-segment parts)
+  async function handleSMSConversation(phoneNumber, body, requestId) {
+    const context = await getSMSContext(phoneNumber);
+
+    let intent = 'general_information';
+    try {
+      intent = await getIntent(body);
+    } catch (error) {
+      logger.error('Error classifying SMS intent:', { requestId, error: error.message });
+    }
+    // Call-only features have no meaning over text
+    if (['cover_story', 'resume_conversation', 'leave_message'].includes(intent)) {
+      intent = 'general_information';
+    }
+    logControllerOperation('handleSMS.conversation', { from: phoneNumber, intent, hasContext: !!context, requestId });
+
+    const flow = getConversationFlow();
+    const filler = getLocationSlotFiller();
+    let step = flow.next(context?.flowState, intent, { query: body });
+    let query = body;
+    let slot = context?.locationSlot || null;
+
+    const pending = context?.locationQuestion;
+    if (pending && !LOCATION_QUESTION_INTERRUPTS.includes(intent)) {
+      const { answer, slot: answered } = await filler.answer(slot, pending.question, body);
+      logControllerOperation('handleSMS.locationAnswer', { from: phoneNumber, question: pending.question, answer, requestId });
+      if ([LOCATION_ANSWERS.CONFIRMED, LOCATION_ANSWERS.CHANGED, LOCATION_ANSWERS.DECLINED].includes(answer)) {
+        slot = answered;
+        // "yes", "no" or "Texas" answers the question; carry on with the text it interrupted
+        if (!step.requires.includes('location')) {
+          query = pending.query && answer === LOCATION_ANSWERS.CHANGED ? `${pending.query} in ${slot.value}` : pending.query || body;
+          intent = pending.intent;
+          step = flow.next(context.flowState, intent, { query });
+        }
+      }
+    } else if (step.requires.includes('location')) {
+      slot = await filler.fill(slot, body, { asked: step.state === 'locationSaved' ? LOCATION_QUESTIONS.ASK : null });
+    }
+
+    const question = step.requires.includes('location') ? filler.getQuestion(slot) : null;
+    const location = question ? null : slot?.value || null;
+
+    let reply;
+    // Numbers in replies are the texter's region's
+    const region = resolveRegion({ phoneNumber });
+    const { smsMessage, prompt } = flow.ask(step, { location });
+    if (question) {
+      reply = smsConversationConfig.messages[question.smsMessage].replace('{location}', question.params.location);
+    } else if (smsMessage || prompt) {
+      reply = smsMessage ? applyRegionNumbers(smsConversationConfig.messages[smsMessage], region) : getFlowPromptText(prompt, null, region);
+    } else {
+      try {
+        const response = await HybridResponseHandler.getResponse(query, {
+          location,
+          lastQuery: context?.lastQuery,
+          lastIntent: context?.intent
+        }, 'sms', { region });
+        reply = response?.smsResponse || applyRegionNumbers(smsConversationConfig.messages.error, region);
+      } catch (error) {
+        logger.error('Error generating SMS response:', { requestId, error: error.message });
+        reply = applyRegionNumbers(smsConversationConfig.messages.error, region);
+      }
+    }
+
+    await saveSMSTurn(phoneNumber, step, body, {
+      location,
+      locationSlot: slot,
+      // The question's answer completes this text later; a bare location has nothing to complete
+      locationQuestion: question ? { question: question.question, query: step.state === 'locationSaved' ? null : query, intent } : null
+    });
+    return splitSmsReply(await getSmsSafeguards().prepareText(phoneNumber, reply));
+  }
+
+  async function saveSMSTurn(phoneNumber, step, body, { location, locationSlot, locationQuestion } = {}) {
+    const contextService = handlerManager.services?.context;
+    if (!contextService) {
+      return;
+    }
+    const key = getSMSContextKey(phoneNumber);
+    const { intent } = step;
+    try {
+      if (step.ends) {
+        await contextService.clearConversationContext(key);
+        return;
+      }
+      await contextService.updateConversationContext(key, {
+        interaction: { query: body, intent },
+        intent,
+        lastQuery: body,
+        location,
+        locationSlot,
+        locationQuestion,
+        flowState: step.state,
+        emergencyDetected: step.priority === 'high' ? true : undefined
+      });
+    } catch (error) {
+      logger.error('Error saving SMS context:', { error: error.message });
+    }
+  }
+
   // Handle call status updates
   async function handleCallStatus(CallSid, CallStatus, res) {
   const requestId = res.req?.requestContext?.requestId || 'unknown';
@@ -255,20 +610,35 @@ export function createTwilioController(handlerManager) {
   }
 }
 
-  // Handle recording completion
-  function handleRecording(recordingSid, recordingUrl, callSid, res) {
+  // Handle recording completion: store the message encrypted, transcribed, and remove Twilio's copy
+  async function handleRecording(recordingSid, recordingUrl, callSid, res) {
+    logControllerOperation('handleRecording', { recordingSid, callSid });
+    // Twilio only needs the acknowledgement; download and transcription happen afterwards
+    res.status(200).send('OK');
+
     try {
-      logControllerOperation('handleRecording', { recordingSid, recordingUrl, callSid });
-      logger.info(`Recording completed for call ${callSid}`);
-      logger.info(`Recording SID: ${recordingSid}`);
-      logger.info(`Recording URL: ${recordingUrl}`);
+      const audio = await TwilioIntegration.fetchRecording(recordingUrl);
 
-      res.status(200).send('OK');
-      logControllerOperation('handleRecording.completed', { recordingSid, recordingUrl, callSid });
+      let transcript = null;
+      const audioService = handlerManager.services?.audio;
+      if (audioService) {
+        try {
+          transcript = await audioService.transcribeWithWhisper(audio);
+        } catch (error) {
+          logger.error('Error transcribing voicemail:', { recordingSid, callSid, error: error.message });
+        }
+      }
+
+      const voicemail = await getVoicemailStore().saveVoicemail({ recordingSid, callSid, audio, transcript });
+      if (config.voicemail.deleteRemoteRecording) {
+        await TwilioIntegration.deleteRecording(recordingSid);
+      }
+      logControllerOperation('handleRecording.completed', { recordingSid, callSid, transcribed: !!transcript });
+      return voicemail;
     } catch (error) {
-      logControllerOperation('handleRecording.error', { recordingSid, recordingUrl, callSid, error: error.message }, 'error');
+      logControllerOperation('handleRecording.error', { recordingSid, callSid, error: error.message }, 'error');
       logger.error('Error handling recording:', error);
-      res.status(500).send('Error processing recording');
+      return null;
     }
   }
 
@@ -288,7 +658,7 @@ export function createTwilioController(handlerManager) {
     }
     
     // Return empty TwiML response for interim results
-    const twiml = new (await import('twilio')).twiml.VoiceResponse();
+    const twiml = new twilio.twiml.VoiceResponse();
     res.type('text/xml');
     res.send(twiml.toString());
     logControllerOperation('handleInterimSpeech.completed', { CallSid });
@@ -298,12 +668,438 @@ export function createTwilioController(handlerManager) {
     logger.error('Error handling interim speech result:', error);
     
     // Return empty TwiML response even on error
-    const twiml = new (await import('twilio')).twiml.VoiceResponse();
+    const twiml = new twilio.twiml.VoiceResponse();
     res.type('text/xml');
     res.send(twiml.toString());
   }
 }
 
+  // Run one turn of the guided safety plan; returns null when the turn is not part of the plan
+  async function handleSafetyPlanTurn(callSid, intent, speechResult, requestId) {
+    let state = null;
+    try {
+      state = await handlerManager.getSafetyPlan(callSid);
+    } catch (error) {
+      logger.error('Error loading safety plan state:', { requestId, callSid, error: error.message });
+    }
+
+    const active = isSafetyPlanActive(state);
+    if (!active && intent !== 'safety_plan') {
+      return null;
+    }
+
+    // Danger, hanging up or asking for a person always wins over the plan; it stays paused to resume later
+    const interruptingIntents = ['emergency_help', 'end_conversation', 'talk_to_person', 'leave_message'];
+    if (active && interruptingIntents.includes(intent) && !detectSafetyPlanCommand(speechResult)) {
+      await handlerManager.saveSafetyPlan(callSid, { ...state, status: SAFETY_PLAN_STATUS.PAUSED });
+      logControllerOperation('processSpeechResult.safetyPlan.interrupted', { callSid, intent, requestId });
+      return null;
+    }
+
+    const call = handlerManager.activeCalls.get(callSid);
+    const { plan, reply, sendSms } = advanceSafetyPlan(state, speechResult, {
+      start: intent === 'safety_plan',
+      canSendSms: !!call?.from
+    });
+    await handlerManager.saveSafetyPlan(callSid, plan);
+    // Only the step and status are logged - never the caller's answers
+    logControllerOperation('processSpeechResult.safetyPlan', { callSid, status: plan.status, step: plan.step, requestId });
+
+    if (!sendSms) {
+      return reply;
+    }
+
+    try {
+      // Asking for the plan by text on the call is consent to safety plan texts,
+      // unless the number texted STOP - only START or UNSTOP lifts that
+      const ledger = getConsentLedger();
+      if (await ledger.getBlockReason(call.from) === SMS_DELIVERY_STATUS.OPTED_OUT) {
+        logControllerOperation('processSpeechResult.safetyPlanOptedOut', { callSid, requestId });
+        return safetyPlanConfig.messages.smsOptedOut;
+      }
+      await ledger.grant(call.from, { source: CONSENT_SOURCES.VOICE, scope: CONSENT_SCOPES.SAFETY_PLAN, callSid });
+      const delivery = await getSmsSafeguards().send(call.from, formatSafetyPlanSms(plan), {
+        scope: CONSENT_SCOPES.SAFETY_PLAN,
+        transport: TwilioIntegration.sendSMS
+      });
+      if (delivery.status === SMS_DELIVERY_STATUS.OPTED_OUT) {
+        return safetyPlanConfig.messages.smsOptedOut;
+      }
+      await handlerManager.saveSafetyPlan(callSid, { ...plan, smsSent: true });
+      return reply;
+    } catch (error) {
+      logger.error('Error sending safety plan SMS:', { requestId, callSid, error: error.message });
+      return safetyPlanConfig.messages.smsFailed;
+    }
+  }
+
+  // Dial a human advocate, or offer voicemail when none are on shift;
+  // returns { response, transferTwiml } or null when the assistant should carry on
+  async function startWarmTransfer(callSid, reason, requestId) {
+    const call = handlerManager.activeCalls.get(callSid);
+    if (!config.transfer.enabled || !call) {
+      return null;
+    }
+
+    let summary = null;
+    let context = null;
+    try {
+      summary = await handlerManager.buildContextSummary(callSid);
+      context = await handlerManager.getConversationContext(callSid);
+    } catch (error) {
+      logger.error('Error loading context for warm transfer:', { requestId, callSid, error: error.message });
+    }
+
+    const routingMode = getScheduleEngine().getRoutingMode(summary?.language);
+    if (routingMode !== ROUTING_MODES.LIVE_TRANSFER) {
+      logControllerOperation('warmTransfer.offShift', { callSid, reason, routingMode, requestId });
+      // Only a caller who asked for a person is sent to voicemail; emergencies stay with the assistant
+      if (routingMode !== ROUTING_MODES.VOICEMAIL || reason !== TRANSFER_REASONS.CALLER_REQUEST || !config.voicemail.enabled) {
+        return null;
+      }
+      const response = warmTransferConfig.messages.voicemail;
+      return { response, transferTwiml: buildVoicemailTwiml({ callSid, message: response }) };
+    }
+
+    const number = resolveTransferNumber(getTransferRoutes(), {
+      language: summary?.language,
+      location: summary?.location || context?.lastQueryContext?.location
+    });
+    if (!number) {
+      logControllerOperation('warmTransfer.noRoute', { callSid, reason, requestId }, 'warn');
+      return null;
+    }
+
+    call.transfer = {
+      reason,
+      status: 'dialing',
+      attempts: (call.transfer?.attempts || 0) + 1,
+      startedAt: Date.now()
+    };
+    handlerManager.activeCalls.set(callSid, call);
+    logControllerOperation('warmTransfer.started', { callSid, reason, attempts: call.transfer.attempts, requestId });
+
+    const response = applyRegionNumbers(warmTransferConfig.messages[reason], getCallRegion(callSid));
+    return { response, transferTwiml: buildTransferTwiml({ callSid, number, message: response }) };
+  }
+
+  // Count consecutive low-confidence transcriptions; too many in a row hands the caller to a person
+  async function handleSpeechConfidence(callSid, confidenceLevel, requestId) {
+    const call = handlerManager.activeCalls.get(callSid);
+    if (!call) {
+      return null;
+    }
+
+    const lowConfidence = confidenceLevel === 'low' || confidenceLevel === 'very_low';
+    call.lowConfidenceTurns = lowConfidence ? (call.lowConfidenceTurns || 0) + 1 : 0;
+    const shouldTransfer = call.lowConfidenceTurns >= config.transfer.lowConfidenceTurns && call.transfer?.status !== 'failed';
+    if (shouldTransfer) {
+      call.lowConfidenceTurns = 0;
+    }
+    handlerManager.activeCalls.set(callSid, call);
+
+    return shouldTransfer ? startWarmTransfer(callSid, TRANSFER_REASONS.LOW_CONFIDENCE, requestId) : null;
+  }
+
+  // Whisper played to the advocate before the calls are bridged
+  async function handleTransferWhisper(callSid, res) {
+    const reason = handlerManager.activeCalls.get(callSid)?.transfer?.reason;
+    let whisper = buildWhisperSummary({}, reason);
+    try {
+      whisper = buildWhisperSummary(await handlerManager.buildContextSummary(callSid), reason);
+    } catch (error) {
+      logger.error('Error building transfer whisper:', { callSid, error: error.message });
+    }
+    logControllerOperation('handleTransferWhisper', { callSid, reason });
+
+    const twimlResponse = new twilio.twiml.VoiceResponse();
+    twimlResponse.say(whisper);
+    res.type('text/xml');
+    res.send(twimlResponse.toString());
+  }
+
+  // Dial finished: hang up if the advocate took the call, otherwise bring the caller back to the assistant
+  async function handleTransferStatus(callSid, dialCallStatus, res) {
+    const connected = isTransferConnected(dialCallStatus);
+    const call = handlerManager.activeCalls.get(callSid);
+    if (call) {
+      call.transfer = { ...call.transfer, status: connected ? 'completed' : 'failed', dialCallStatus };
+      handlerManager.activeCalls.set(callSid, call);
+    }
+    logControllerOperation('handleTransferStatus', { callSid, dialCallStatus, connected });
+
+    if (connected) {
+      const twimlResponse = new twilio.twiml.VoiceResponse();
+      twimlResponse.hangup();
+      res.type('text/xml');
+      return res.send(twimlResponse.toString());
+    }
+
+    return sendAssistantTwiml(callSid, warmTransferConfig.messages.failed, res);
+  }
+
+  // Voicemail recording finished: ask for a safe number to call back on
+  async function handleVoicemailComplete(callSid, recordingSid, res) {
+    logControllerOperation('handleVoicemailComplete', { callSid, recorded: !!recordingSid });
+    const call = handlerManager.activeCalls.get(callSid);
+    if (!recordingSid || !call) {
+      return sendAssistantTwiml(callSid, voicemailConfig.messages.notRecorded, res);
+    }
+
+    call.voicemail = { recordingSid, step: 'number', attempts: 0 };
+    handlerManager.activeCalls.set(callSid, call);
+    return sendVoicemailGather(callSid, voicemailConfig.messages.askNumber, 'callback-number', res);
+  }
+
+  // Safe callback number (speech or keypad); "no" leaves the message without a callback
+  async function handleVoicemailCallbackNumber(callSid, speechResult, digits, res) {
+    const call = handlerManager.activeCalls.get(callSid);
+    if (call?.voicemail?.step !== 'number') {
+      return sendAssistantTwiml(callSid, voicemailConfig.messages.callbackFailed, res);
+    }
+    if (!digits && isCallbackDeclined(speechResult)) {
+      return finishVoicemail(callSid, call, voicemailConfig.messages.noCallback, 'declined', res);
+    }
+
+    const number = parseCallbackNumber(speechResult, { digits, callerNumber: call.from });
+    if (!number) {
+      return retryVoicemailStep(callSid, call, voicemailConfig.messages.numberRetry, 'callback-number', res);
+    }
+
+    call.voicemail = { ...call.voicemail, number, step: 'time', attempts: 0 };
+    handlerManager.activeCalls.set(callSid, call);
+    // The number itself is never logged
+    logControllerOperation('handleVoicemailCallbackNumber', { callSid, step: 'time' });
+    return sendVoicemailGather(callSid, voicemailConfig.messages.askTime, 'callback-time', res);
+  }
+
+  // Safe callback time; the task is only created once both the number and the window are known
+  async function handleVoicemailCallbackTime(callSid, speechResult, res) {
+    const call = handlerManager.activeCalls.get(callSid);
+    if (call?.voicemail?.step !== 'time') {
+      return sendAssistantTwiml(callSid, voicemailConfig.messages.callbackFailed, res);
+    }
+
+    let language = null;
+    try {
+      language = (await handlerManager.buildContextSummary(callSid))?.language || null;
+    } catch (error) {
+      logger.error('Error loading context for callback:', { callSid, error: error.message });
+    }
+
+    // Callers give times in the hotline's local time
+    const timeZone = getScheduleEngine().getRules(language).timeZone;
+    const window = parseCallbackWindow(speechResult, { timeZone });
+    if (!window) {
+      return retryVoicemailStep(callSid, call, voicemailConfig.messages.timeRetry, 'callback-time', res);
+    }
+
+    call.voicemail = { ...call.voicemail, window, language, step: 'code-word', attempts: 0 };
+    handlerManager.activeCalls.set(callSid, call);
+    logControllerOperation('handleVoicemailCallbackTime', { callSid, step: 'code-word' });
+    return sendVoicemailGather(callSid, voicemailConfig.messages.askCodeWord, 'callback-code-word', res);
+  }
+
+  // Code word asked for before anything is said on the callback; the task is created once it is known
+  async function handleVoicemailCallbackCodeWord(callSid, speechResult, digits, res) {
+    const call = handlerManager.activeCalls.get(callSid);
+    if (call?.voicemail?.step !== 'code-word') {
+      return sendAssistantTwiml(callSid, voicemailConfig.messages.callbackFailed, res);
+    }
+
+    const codeWord = parseCodeWord(digits || speechResult);
+    if (!codeWord) {
+      return retryVoicemailStep(callSid, call, voicemailConfig.messages.codeWordRetry, 'callback-code-word', res);
+    }
+
+    const { window, language } = call.voicemail;
+    try {
+      await getCallbackScheduler().schedule({
+        callSid,
+        voicemailId: call.voicemail.recordingSid,
+        number: call.voicemail.number,
+        window,
+        language,
+        codeWord,
+        source: CALLBACK_SOURCES.CALL
+      });
+    } catch (error) {
+      logger.error('Error creating callback task:', { callSid, error: error.message });
+      return finishVoicemail(callSid, call, voicemailConfig.messages.callbackFailed, 'failed', res);
+    }
+
+    const message = voicemailConfig.messages.scheduled.replace('{window}', describeCallbackWindow(window));
+    return finishVoicemail(callSid, call, message, 'scheduled', res);
+  }
+
+  // Ask the same voicemail question again, or give up on the callback after too many tries
+  async function retryVoicemailStep(callSid, call, message, step, res) {
+    const attempts = (call.voicemail.attempts || 0) + 1;
+    if (attempts >= voicemailConfig.maxAttempts) {
+      return finishVoicemail(callSid, call, voicemailConfig.messages.callbackFailed, 'unparsed', res);
+    }
+    call.voicemail = { ...call.voicemail, attempts };
+    handlerManager.activeCalls.set(callSid, call);
+    return sendVoicemailGather(callSid, message, step, res);
+  }
+
+  async function finishVoicemail(callSid, call, message, outcome, res) {
+    delete call.voicemail;
+    handlerManager.activeCalls.set(callSid, call);
+    logControllerOperation('voicemail.callback', { callSid, outcome });
+    return sendAssistantTwiml(callSid, message, res);
+  }
+
+  // Ask a voicemail follow-up question; numbers can be spoken or typed
+  async function sendVoicemailGather(callSid, message, step, res) {
+    const language = await getCallLanguage(callSid);
+    const twimlResponse = new twilio.twiml.VoiceResponse();
+    const gather = twimlResponse.gather({
+      input: 'speech dtmf',
+      action: `/twilio/voicemail/${step}`,
+      method: 'POST',
+      finishOnKey: '#',
+      speechTimeout: 'auto',
+      speechModel: 'phone_call',
+      language: getLanguageConfig(language).twilioSpeechRecognitionLanguage
+    });
+    gather.say(message);
+    // Silence counts as an unusable answer rather than ending the call
+    twimlResponse.redirect({ method: 'POST' }, `/twilio/voicemail/${step}`);
+    res.type('text/xml');
+    return res.send(twimlResponse.toString());
+  }
+
+  // Outbound safe callback answered: ask for the code word, or hang up on a machine without a word
+  async function handleCallbackAnswer(taskId, answeredBy, res) {
+    const task = taskId ? await getVoicemailStore().getCallbackTask(taskId) : null;
+    logControllerOperation('handleCallbackAnswer', { taskId, answeredBy: answeredBy || null, known: !!task });
+    res.type('text/xml');
+
+    if (task?.status !== CALLBACK_STATUS.DIALING) {
+      return res.send(buildCallbackHangupTwiml(callbackConfig.messages.wrongNumber));
+    }
+    if (/^(machine|fax)/.test(answeredBy || '')) {
+      await getCallbackScheduler().recordMissed(taskId, MISSED_REASONS.MACHINE);
+      const twimlResponse = new twilio.twiml.VoiceResponse();
+      twimlResponse.hangup();
+      return res.send(twimlResponse.toString());
+    }
+    return res.send(buildCodeWordTwiml({ taskId, language: task.language }));
+  }
+
+  // Code word given on a callback: connect an advocate, or end the call without saying why
+  async function handleCallbackVerify(taskId, callSid, speechResult, digits, retry, res) {
+    const scheduler = getCallbackScheduler();
+    const task = taskId ? await getVoicemailStore().getCallbackTask(taskId) : null;
+    res.type('text/xml');
+
+    if (task?.status !== CALLBACK_STATUS.DIALING) {
+      return res.send(buildCallbackHangupTwiml(callbackConfig.messages.wrongNumber));
+    }
+
+    const answer = digits || speechResult;
+    if (!answer) {
+      if (!retry) {
+        return res.send(buildCodeWordTwiml({ taskId, language: task.language, retry: true }));
+      }
+      logControllerOperation('handleCallbackVerify', { taskId, callSid, outcome: MISSED_REASONS.NO_INPUT });
+      await scheduler.recordMissed(taskId, MISSED_REASONS.NO_INPUT, { callSid });
+      return res.send(buildCallbackHangupTwiml(callbackConfig.messages.noInput));
+    }
+
+    if (!matchesCodeWord(task, answer)) {
+      // Someone else may have the phone: no second guess, and this number is not called again
+      logControllerOperation('handleCallbackVerify', { taskId, callSid, outcome: CALLBACK_EVENTS.NOT_VERIFIED }, 'warn');
+      await scheduler.recordOutcome(taskId, CALLBACK_STATUS.NOT_VERIFIED, CALLBACK_EVENTS.NOT_VERIFIED, { callSid });
+      return res.send(buildCallbackHangupTwiml(callbackConfig.messages.wrongNumber));
+    }
+
+    logControllerOperation('handleCallbackVerify', { taskId, callSid, outcome: CALLBACK_EVENTS.VERIFIED });
+    await scheduler.recordOutcome(taskId, CALLBACK_STATUS.VERIFIED, CALLBACK_EVENTS.VERIFIED, { callSid });
+
+    const number = resolveTransferNumber(getTransferRoutes(), { language: task.language });
+    if (!number) {
+      await scheduler.recordMissed(taskId, MISSED_REASONS.NO_ADVOCATE, { callSid });
+      return res.send(buildCallbackHangupTwiml(callbackConfig.messages.unavailable));
+    }
+    return res.send(buildCallbackConnectTwiml({ taskId, number }));
+  }
+
+  // Played to the advocate before a verified callback is bridged
+  async function handleCallbackWhisper(taskId, res) {
+    const task = taskId ? await getVoicemailStore().getCallbackTask(taskId) : null;
+    const parts = [callbackConfig.whisper];
+    if (task?.language && !/^en\b/i.test(task.language)) {
+      parts.push(`Preferred language: ${task.language}.`);
+    }
+    const twimlResponse = new twilio.twiml.VoiceResponse();
+    twimlResponse.say(parts.join(' '));
+    res.type('text/xml');
+    res.send(twimlResponse.toString());
+  }
+
+  // <Dial> to the advocate finished; an advocate who didn't answer means trying again later
+  async function handleCallbackConnected(taskId, dialCallStatus, res) {
+    const scheduler = getCallbackScheduler();
+    const connected = isTransferConnected(dialCallStatus);
+    logControllerOperation('handleCallbackConnected', { taskId, dialCallStatus, connected });
+    res.type('text/xml');
+
+    if (connected) {
+      await scheduler.recordOutcome(taskId, CALLBACK_STATUS.COMPLETED, CALLBACK_EVENTS.COMPLETED, { dialCallStatus });
+      const twimlResponse = new twilio.twiml.VoiceResponse();
+      twimlResponse.hangup();
+      return res.send(twimlResponse.toString());
+    }
+
+    await scheduler.recordMissed(taskId, MISSED_REASONS.NO_ADVOCATE, { dialCallStatus });
+    return res.send(buildCallbackHangupTwiml(callbackConfig.messages.unavailable));
+  }
+
+  // Final status of an outbound callback; only a call nobody verified on counts as missed
+  async function handleCallbackStatus(taskId, callSid, callStatus, res) {
+    const scheduler = getCallbackScheduler();
+    const task = taskId ? await getVoicemailStore().getCallbackTask(taskId) : null;
+    logControllerOperation('handleCallbackStatus', { taskId, callSid, callStatus });
+
+    const current = task && (!task.outboundCallSid || task.outboundCallSid === callSid);
+    if (current && task.status === CALLBACK_STATUS.DIALING) {
+      await scheduler.recordMissed(taskId, callStatus === 'completed' ? MISSED_REASONS.HUNG_UP : callStatus, { callSid });
+    } else if (current && task.status === CALLBACK_STATUS.VERIFIED) {
+      // The caller was reached and gave the word, then hung up before the advocate answered
+      await scheduler.recordOutcome(taskId, CALLBACK_STATUS.COMPLETED, CALLBACK_EVENTS.COMPLETED, { callSid, callStatus });
+    }
+    res.status(200).send('OK');
+  }
+
+  // Speak a message and listen for the caller's next turn
+  async function sendAssistantTwiml(callSid, message, res) {
+    res.type('text/xml');
+    const language = await getCallLanguage(callSid);
+    try {
+      const twiml = await handlerManager.generateTTSBasedTwiML(message, true, language, { callSid });
+      if (twiml) {
+        return res.send(typeof twiml === 'object' && twiml.toString ? twiml.toString() : twiml);
+      }
+    } catch (error) {
+      logger.error('Error generating TTS for assistant reply:', { callSid, error: error.message });
+    }
+
+    const fallbackTwiml = new twilio.twiml.VoiceResponse();
+    fallbackTwiml.say(message);
+    fallbackTwiml.gather({
+      ...getQuickExitGatherOptions(),
+      action: '/twilio/voice/process',
+      method: 'POST',
+      speechTimeout: 'auto',
+      speechModel: 'phone_call',
+      enhanced: 'true',
+      language: getLanguageConfig(language).twilioSpeechRecognitionLanguage
+    });
+    return res.send(fallbackTwiml.toString());
+  }
+
   // Main process function that routes to appropriate handler based on request type
   async function processSpeechResult(callSid, speechResult, requestId, requestType = 'web') {
     logger.info('processSpeechResult called', {
@@ -321,6 +1117,20 @@ export function createTwilioController(handlerManager) {
     });
 
     try {
+      // STEP 0: Caller language - "en español" at any point, or the language of the first utterances
+      let language = null;
+      if (callSid && requestType === 'twilio') {
+        const languageSelection = await handleLanguageSelection(callSid, { speech: speechResult }, requestId);
+        // A bare "en español" is answered in the new language; a full request goes on to be answered
+        if (languageSelection && speechResult.trim().split(/\s+/).length <= LANGUAGE_REQUEST_MAX_WORDS) {
+          return languageSelection.response;
+        }
+        language = languageSelection?.language
+          || (await detectCallLanguage(callSid, speechResult, requestId))
+          || handlerManager.activeCalls?.get(callSid)?.language
+          || null;
+      }
+
       // STEP 1: Always classify intent first
       let intent = null;
       try {
@@ -359,10 +1169,92 @@ export function createTwilioController(handlerManager) {
         // Continue without context
       }
 
+      // STEP 2b: Cover story (decoy) mode - handled before anything is recorded
+      if (callSid && intent === 'cover_story') {
+        const { persona } = detectCoverStoryPhrase(speechResult) || {};
+        const coverStory = activateCoverStory(callSid, persona);
+        logControllerOperation('processSpeechResult.coverStory.activated', { callSid, persona: coverStory.persona, requestId });
+        return coverStoryConfig.personas[coverStory.persona].greeting;
+      }
+
+      if (callSid && context?.coverStory?.active) {
+        if (intent === 'resume_conversation') {
+          resumeFromCoverStory(callSid);
+          logControllerOperation('processSpeechResult.coverStory.resumed', { callSid, requestId });
+          return coverStoryConfig.resumeMessage;
+        }
+
+        // Persona turn: answered by the decoy persona and never written to the conversation context
+        const coverStoryResponse = await UnifiedResponseHandler.getResponse(speechResult, context, requestType);
+        return requestType === 'web' ? coverStoryResponse.webResponse : coverStoryResponse.voiceResponse;
+      }
+
+      if (intent === 'cover_story' || intent === 'resume_conversation') {
+        // No call to attach a cover story to, or nothing to resume
+        intent = 'general_information';
+      }
+
+      // STEP 2c: Answer to a question about the caller's location ("which city?",
+      // "which state is Austin in?", "did you mean ...?")
+      let confirmedLocation = null;
+      if (callSid && handlerManager.activeCalls?.get(callSid)?.pendingLocation) {
+        const confirmation = await handleLocationAnswer(callSid, intent, speechResult, requestId);
+        if (confirmation?.response) {
+          return confirmation.response;
+        }
+        if (confirmation) {
+          ({ speechResult, intent, location: confirmedLocation } = confirmation);
+        }
+      }
+
+      // STEP 2d: Guided safety plan - one section per turn until the plan is finished
+      if (callSid) {
+        const safetyPlanResponse = await handleSafetyPlanTurn(callSid, intent, speechResult, requestId);
+        if (safetyPlanResponse) {
+          return safetyPlanResponse;
+        }
+      }
+
+      // STEP 2e: Leaving a message for the advocates
+      if (intent === 'leave_message') {
+        if (callSid && requestType === 'twilio' && config.voicemail.enabled && handlerManager.activeCalls.get(callSid)) {
+          logControllerOperation('processSpeechResult.leaveMessage', { callSid, requestId });
+          const response = voicemailConfig.messages.prompt;
+          return { response, transferTwiml: buildVoicemailTwiml({ callSid, message: response }) };
+        }
+        // Web requests have nowhere to record
+        intent = 'general_information';
+      }
+
+      // STEP 2f: Warm transfer when the caller asks for a person or reports an emergency
+      const transferReason = callSid && requestType === 'twilio'
+        ? getTransferReason(intent, handlerManager.activeCalls.get(callSid))
+        : null;
+      if (transferReason) {
+        const transfer = await startWarmTransfer(callSid, transferReason, requestId);
+        if (transfer) {
+          // Record the turn so the advocate's whisper includes it
+          try {
+            await handlerManager.updateConversationContext(callSid, intent, speechResult, { voiceResponse: transfer.response, smsResponse: null }, null);
+          } catch (updateError) {
+            logger.error('Error updating conversation context before transfer:', { requestId, callSid, error: updateError.message });
+          }
+          return transfer;
+        }
+        if (transferReason === TRANSFER_REASONS.CALLER_REQUEST) {
+          return applyRegionNumbers(warmTransferConfig.messages.unavailable, getCallRegion(callSid));
+        }
+      }
+
+      if (intent === 'talk_to_person') {
+        // Web requests have no call to transfer
+        intent = 'general_information';
+      }
+
       // STEP 3: Check for follow-up questions using context
       let followUpResponse = null;
       try {
-        followUpResponse = context?.lastQueryContext ? await handleFollowUp(speechResult, context.lastQueryContext) : null;
+        followUpResponse = !confirmedLocation && context?.lastQueryContext ? await handleFollowUp(speechResult, context.lastQueryContext) : null;
         logger.info('Follow-up question check', {
           requestId,
           callSid,
@@ -411,25 +1303,42 @@ export function createTwilioController(handlerManager) {
         return followUpResponse.voiceResponse || followUpResponse.smsResponse || 'No response available';
       }
 
-      // STEP 4: Handle provide_location intent
-      if (intent === 'provide_location') {
-        let location = null;
-        try {
-          location = await extractLocation(speechResult);
-          logger.info('Extracted location for provide_location intent', {
-            requestId,
-            callSid,
-            intent,
-            location
-          });
-        } catch (locationError) {
-          logger.error('Error extracting location for provide_location:', {
-            requestId,
-            callSid,
-            error: locationError.message,
-            stack: locationError.stack
-          });
+      // STEP 3b: Where the conversation goes next - the same flow decides for SMS
+      const flow = getConversationFlow();
+      const activeCall = callSid ? handlerManager.activeCalls?.get(callSid) : null;
+      const step = flow.next(activeCall?.flowState, intent, { query: speechResult });
+      if (activeCall) {
+        activeCall.flowState = step.state;
+        handlerManager.activeCalls.set(callSid, activeCall);
+      }
+      logControllerOperation('processSpeechResult.flow', { callSid, intent, state: step.state, requestId });
+
+      // Closing and redirections are answered from the flow's prompts rather than a search
+      if (step.prompt && step.requires.length === 0) {
+        const response = getPrompt(language, step.prompt, {}, getCallRegion(callSid));
+        if (callSid) {
+          try {
+            await handlerManager.updateConversationContext(callSid, intent, speechResult, { voiceResponse: response, smsResponse: null }, null);
+          } catch (updateError) {
+            logger.error('Error updating conversation context for flow prompt:', { requestId, callSid, error: updateError.message });
+          }
         }
+        return response;
+      }
+
+      // STEP 4: Handle provide_location intent
+      const locationCall = requestType === 'twilio' && callSid ? handlerManager.activeCalls?.get(callSid) : null;
+      if (step.state === 'locationSaved') {
+        const slot = await getLocationSlotFiller().fill(locationCall?.locationSlot || null, speechResult, { asked: LOCATION_QUESTIONS.ASK });
+        logger.info('Filled location slot for provide_location intent', {
+          requestId,
+          callSid,
+          intent,
+          location: slot?.value,
+          source: slot?.source,
+          confidence: slot?.confidence
+        });
+        updateCallRegion(callSid, slot?.value);
         // Save location in context
         if (callSid) {
           try {
@@ -441,7 +1350,7 @@ export function createTwilioController(handlerManager) {
               requestId,
               callSid,
               intent,
-              location
+              location: slot?.value
             });
           } catch (updateError) {
             logger.error('Error updating conversation context for provide_location:', {
@@ -451,50 +1360,61 @@ export function createTwilioController(handlerManager) {
             });
           }
         }
-        // Prompt user for their needs
-        const prompt = "Thank you for sharing your location. What kind of help are you looking for? For example: emergency housing, legal help, or counseling?";
-        if (requestType === 'web') {
-          return prompt;
+        // Ask for a missing state or read the place back before moving on
+        if (locationCall) {
+          const question = askAboutLocation(callSid, slot, { query: null, intent }, language);
+          if (question) {
+            return question;
+          }
         }
-        return prompt;
+        // Prompt user for their needs, or for the location again if none was heard
+        return getPrompt(language, flow.ask(step, { location: slot?.value }).prompt, {}, getCallRegion(callSid));
       }
 
-      // STEP 4: Extract location or use saved context location for location-seeking intents
+      // STEP 4b: Fill the location slot for location-seeking intents, from the
+      // current speech or the location saved earlier in the conversation
       let location = null;
-      const locationSeekingIntents = ['find_shelter', 'legal_services', 'counseling_services', 'other_resources'];
-      const isLocationSeekingIntent = locationSeekingIntents.includes(intent);
-      
+      let searchQuery = speechResult;
+      const isLocationSeekingIntent = step.requires.includes('location');
+
       if (isLocationSeekingIntent) {
-        try {
-          // First try to extract location from current speech
-          location = await extractLocation(speechResult);
-          logger.info('Extracted location for location-seeking intent', {
+        if (confirmedLocation) {
+          location = confirmedLocation;
+        } else {
+          const filler = getLocationSlotFiller();
+          const savedSlot = locationCall?.locationSlot || null;
+          let slot = await filler.fill(savedSlot, speechResult);
+          const heardNow = !!slot && slot !== savedSlot;
+          if (!slot?.value && context?.lastQueryContext?.location) {
+            slot = filler.fromContext(context.lastQueryContext.location);
+          }
+          logger.info('Filled location slot for location-seeking intent', {
             requestId,
             callSid,
             intent,
-            location
+            location: slot?.value,
+            source: slot?.source,
+            confidence: slot?.confidence
           });
-          
-          // If no location found in current speech, check conversation context for saved location
-          if (!location && context?.lastQueryContext?.location) {
-            location = context.lastQueryContext.location;
-            logger.info('Using saved location from conversation context', {
-              requestId,
-              callSid,
-              intent,
-              savedLocation: location,
-              contextLocation: context.lastQueryContext.location
-            });
+
+          // Callers may have moved on or been misheard; ask before searching somewhere we are unsure of
+          if (locationCall) {
+            const question = askAboutLocation(callSid, slot, { query: speechResult, intent }, language);
+            if (question) {
+              logControllerOperation('processSpeechResult.askLocation', { callSid, intent, requestId });
+              return question;
+            }
+          }
+          // Nothing left to ask, or a web turn with no next turn to answer in: search what we have
+          location = slot?.value || null;
+          // A location from an earlier turn goes into the search query
+          if (location && !heardNow) {
+            searchQuery = `${speechResult} in ${location}`;
           }
-        } catch (locationError) {
-          logger.error('Error extracting location:', {
-            requestId,
-            callSid,
-            error: locationError.message,
-            stack: locationError.stack
-          });
         }
 
+        updateCallRegion(callSid, location);
+
         // If no location found for location-seeking intent, generate location prompt
         if (!location) {
           logger.info('No location found for location-seeking intent, generating prompt:', {
@@ -505,16 +1425,7 @@ export function createTwilioController(handlerManager) {
             hasContext: !!context,
             contextLocation: context?.lastQueryContext?.location
           });
-          try {
-            return await generateLocationPrompt();
-          } catch (promptError) {
-            logger.error('Error generating location prompt:', {
-              requestId,
-              callSid,
-              error: promptError.message
-            });
-            return "I'd be happy to help you find shelter. Could you please tell me which city, state, and country you're looking for?";
-          }
+          return getPrompt(language, flow.ask(step, { location }).prompt, {}, getCallRegion(callSid));
         }
       } else {
         logger.info('Skipping location extraction for non-location-seeking intent:', {
@@ -527,7 +1438,7 @@ export function createTwilioController(handlerManager) {
       // STEP 5: Rewrite query with context for better search results
       let rewrittenQuery = null;
       try {
-        rewrittenQuery = await rewriteQuery(speechResult, intent, callSid);
+        rewrittenQuery = await rewriteQuery(searchQuery, intent, callSid);
         logger.info('Rewritten query', {
           requestId,
           callSid,
@@ -540,8 +1451,9 @@ export function createTwilioController(handlerManager) {
           error: rewriteError.message,
           stack: rewriteError.stack
         });
-        rewrittenQuery = speechResult; // Use original query as fallback
+        rewrittenQuery = searchQuery; // Use original query as fallback
       }
+      traceTurnEvent(TRACE_STAGES.REWRITE, { query: searchQuery, rewrittenQuery, location });
 
       // Defensive check and logging before Tavily API call
       logger.info('Type and value of rewrittenQuery before Tavily:', {
@@ -568,7 +1480,9 @@ export function createTwilioController(handlerManager) {
       
       let response = null;
       try {
-        response = await UnifiedResponseHandler.getResponse(rewrittenQuery, context, requestType, { maxResults: 3 });
+        // Only a caller we've placed somewhere gets region-specific answers; everyone else shares the default cache
+        const region = callSid ? handlerManager.activeCalls?.get(callSid)?.region : null;
+        response = await UnifiedResponseHandler.getResponse(rewrittenQuery, location ? { ...context, location } : context, requestType, { maxResults: 3, language, ...(region && { region }) });
         logger.info('UnifiedResponseHandler.getResponse result', {
           requestId,
           callSid,
@@ -628,6 +1542,222 @@ export function createTwilioController(handlerManager) {
     }
   }
 
+  // Longest utterance treated as only a language request ("can we speak English please")
+  const LANGUAGE_REQUEST_MAX_WORDS = 6;
+
+  /**
+   * Switch the call's language when the caller asks for one
+   * @param {string} callSid - Call SID
+   * @param {Object} selection
+   * @param {string} [selection.speech] - What the caller said, e.g. "en español"
+   * @param {string} [selection.digits] - Key pressed in the language menu
+   * @param {string} [requestId] - Request ID for logging
+   * @returns {Promise<Object|null>} { language, response } with a confirmation in the new language, or null
+   */
+  async function handleLanguageSelection(callSid, { speech = null, digits = null } = {}, requestId = 'unknown') {
+    const language = digits ? getLanguageForDigit(digits) : detectLanguageRequest(speech);
+    if (!language) {
+      return null;
+    }
+
+    const source = digits ? LANGUAGE_SOURCES.DTMF : LANGUAGE_SOURCES.REQUEST;
+    await handlerManager.saveCallLanguage(callSid, language, source);
+    logControllerOperation('handleLanguageSelection', { callSid, language, source, requestId });
+    return { language, response: getPrompt(language, 'languageSwitched') };
+  }
+
+  // The first config.language.detectionTurns utterances can switch the call's
+  // language, unless the caller already picked one themselves
+  async function detectCallLanguage(callSid, speechResult, requestId) {
+    const call = handlerManager.activeCalls?.get(callSid);
+    const chosen = [LANGUAGE_SOURCES.REQUEST, LANGUAGE_SOURCES.DTMF].includes(call?.languageSource);
+    if (!call || !config.language.autoDetect || chosen || (call.languageTurns || 0) >= config.language.detectionTurns) {
+      return null;
+    }
+
+    call.languageTurns = (call.languageTurns || 0) + 1;
+    handlerManager.activeCalls.set(callSid, call);
+
+    const detected = detectLanguageFromText(speechResult);
+    if (!detected || detected === (call.language || DEFAULT_LANGUAGE)) {
+      return null;
+    }
+    await handlerManager.saveCallLanguage(callSid, detected, LANGUAGE_SOURCES.DETECTED);
+    logControllerOperation('processSpeechResult.languageDetected', { callSid, language: detected, requestId });
+    return detected;
+  }
+
+  // Intents that leave a pending location question unanswered
+  const LOCATION_QUESTION_INTERRUPTS = ['emergency_help', 'end_conversation', 'talk_to_person', 'leave_message', 'safety_plan'];
+
+  /**
+   * Ask the next question the call's location slot needs, keeping the request it interrupted
+   * @param {string} callSid - Call SID
+   * @param {Object|null} slot - Location slot
+   * @param {Object} pending - { query, intent } to carry on with once the slot is settled; a null query means there is nothing to search yet
+   * @param {string} language - Caller's language
+   * @returns {string|null} The question, or null when the slot can be searched
+   */
+  function askAboutLocation(callSid, slot, pending, language) {
+    const call = handlerManager.activeCalls.get(callSid);
+    const question = getLocationSlotFiller().getQuestion(slot);
+    call.locationSlot = slot;
+    if (question) {
+      call.pendingLocation = { query: pending.query, intent: pending.intent, question: question.question, attempts: 1 };
+    }
+    handlerManager.activeCalls.set(callSid, call);
+    return question ? getPrompt(language, question.prompt, question.params) : null;
+  }
+
+  /**
+   * Read the caller's answer to a question about their location
+   * @returns {Promise<Object|null>} { response } to ask again or ask the next question,
+   *   { speechResult, intent, location } to continue the original request, or null
+   *   when the answer is a new request
+   */
+  async function handleLocationAnswer(callSid, intent, speechResult, requestId) {
+    const call = handlerManager.activeCalls.get(callSid);
+    const pending = call.pendingLocation;
+    delete call.pendingLocation;
+    handlerManager.activeCalls.set(callSid, call);
+
+    if (LOCATION_QUESTION_INTERRUPTS.includes(intent)) {
+      logControllerOperation('processSpeechResult.locationAnswer.interrupted', { callSid, intent, requestId });
+      return null;
+    }
+
+    const language = await getCallLanguage(callSid);
+    let { answer, slot } = await getLocationSlotFiller().answer(call.locationSlot, pending.question, speechResult, language);
+    logControllerOperation('processSpeechResult.locationAnswer', { callSid, question: pending.question, answer, attempt: pending.attempts, requestId });
+
+    if (answer === LOCATION_ANSWERS.UNRELATED) {
+      // Asked for a location and got something else: treat it as a new request
+      return null;
+    }
+
+    if (answer === LOCATION_ANSWERS.UNSURE) {
+      if (speechResult.trim().split(/\s+/).length > confirmationConfig.maxUnsureWords) {
+        return null;
+      }
+      if (pending.attempts < confirmationConfig.maxAttempts) {
+        call.pendingLocation = { ...pending, attempts: pending.attempts + 1 };
+        handlerManager.activeCalls.set(callSid, call);
+        const prompt = slot.source === LOCATION_SOURCES.CONTEXT ? 'usePreviousLocation' : 'confirmHeardLocation';
+        return { response: getPrompt(language, prompt, { location: slot.value }) };
+      }
+      // Still unsure: ask for the location instead
+      slot = null;
+    }
+
+    // Keep the original request so the next answer completes it
+    const question = askAboutLocation(callSid, slot, pending, language);
+    if (question) {
+      return { response: question };
+    }
+    updateCallRegion(callSid, slot.value);
+    if (!pending.query) {
+      return { response: getPrompt(language, 'locationSaved', {}, getCallRegion(callSid)) };
+    }
+    const query = answer === LOCATION_ANSWERS.CONFIRMED ? pending.query : `${pending.query} in ${slot.value}`;
+    return { speechResult: query, intent: pending.intent, location: slot.value };
+  }
+
+  // ===== Media-stream turns =====
+  // A streamed call has no webhook waiting for TwiML: replies are spoken in the
+  // stream (services/mediaStreamSession.js), and anything that needs other TwiML
+  // replaces the live call's TwiML, which ends the stream.
+
+  async function updateStreamCall(callSid, twiml, requestId) {
+    const twimlString = typeof twiml === 'object' && twiml.toString ? twiml.toString() : twiml;
+    traceTurnEvent(TRACE_STAGES.TWIML, { twiml: twimlString, updatedCall: true });
+    await TwilioIntegration.updateCall(callSid, twimlString, requestId);
+    return { handedOff: true };
+  }
+
+  async function quickExitStreamCall(callSid, trigger, requestId) {
+    const twimlResponse = new twilio.twiml.VoiceResponse();
+    twimlResponse.hangup();
+    await updateStreamCall(callSid, twimlResponse, requestId);
+    await purgeAfterQuickExit(callSid, trigger);
+    return { handedOff: true };
+  }
+
+  /**
+   * Answer one utterance from a media-stream call
+   * @param {string} callSid - Call SID
+   * @param {string} transcript - What the caller said
+   * @param {string} [requestId] - Request ID for logging
+   * @returns {Promise<Object>} { text, language } to speak in the stream, or { handedOff: true }
+   *   when the call was moved to other TwiML
+   */
+  async function handleStreamTurn(callSid, transcript, requestId = 'stream') {
+    return getDialogueTrace().runTurn(callSid, async () => {
+      traceTurnEvent(TRACE_STAGES.SPEECH, { speechResult: transcript, source: 'stream' });
+      const result = await takeStreamTurn(callSid, transcript, requestId);
+      if (result?.text !== undefined) {
+        traceTurnEvent(TRACE_STAGES.REPLY, { text: result.text, language: result.language });
+      }
+      return result;
+    }, { channel: 'stream' });
+  }
+
+  async function takeStreamTurn(callSid, transcript, requestId) {
+    const quickExit = detectQuickExit({ SpeechResult: transcript });
+    if (quickExit) {
+      return quickExitStreamCall(callSid, quickExit.trigger, requestId);
+    }
+
+    logControllerOperation('handleStreamTurn', { callSid, requestId });
+    const processed = await processSpeechResult(callSid, transcript, requestId, 'twilio');
+    const response = typeof processed === 'string' ? processed : processed?.response;
+    const language = handlerManager.activeCalls?.get(callSid)?.language || null;
+
+    if (processed?.transferTwiml) {
+      return updateStreamCall(callSid, processed.transferTwiml, requestId);
+    }
+    if (processed?.shouldRedirectToConsent) {
+      const twimlResponse = new twilio.twiml.VoiceResponse();
+      twimlResponse.say(response);
+      twimlResponse.redirect('/twilio/consent');
+      return updateStreamCall(callSid, twimlResponse, requestId);
+    }
+    if (processed?.shouldEndCall) {
+      const twiml = await handlerManager.generateTTSBasedTwiML(response, false, language, { callSid, requestId });
+      return updateStreamCall(callSid, twiml, requestId);
+    }
+    return { text: response, language };
+  }
+
+  /**
+   * Handle a key pressed during a media-stream call
+   * @returns {Promise<Object|null>} Same as handleStreamTurn, or null for keys with no meaning here
+   */
+  async function handleStreamDigit(callSid, digit, requestId = 'stream') {
+    const quickExit = detectQuickExit({ Digits: digit });
+    if (quickExit) {
+      return quickExitStreamCall(callSid, quickExit.trigger, requestId);
+    }
+
+    const languageSelection = await handleLanguageSelection(callSid, { digits: digit }, requestId);
+    return languageSelection ? { text: languageSelection.response, language: languageSelection.language } : null;
+  }
+
+  // The stream gave up; the call's remaining turns go through <Gather>
+  function handleStreamFallback(callSid, reason) {
+    const call = handlerManager.activeCalls?.get(callSid);
+    if (call) {
+      call.voiceMode = VOICE_MODES.GATHER;
+      handlerManager.activeCalls.set(callSid, call);
+    }
+    logControllerOperation('handleStreamFallback', { callSid, reason }, 'warn');
+  }
+
+  // Twilio reached the <Redirect> after <Connect>: the stream is gone, carry on with <Gather>
+  async function handleStreamClosed(callSid, res) {
+    handleStreamFallback(callSid, 'stream closed');
+    return sendAssistantTwiml(callSid, streamingConfig.messages.fallback, res);
+  }
+
   // Helper function to handle follow-up questions
   async function handleFollowUp(speechResult, lastQueryContext) {
     // This function should be implemented based on the existing follow-up logic
@@ -642,10 +1772,29 @@ export function createTwilioController(handlerManager) {
     getRequestType,
     handleSMSConsent,
     handleConsent,
+    handleDiscreetConsent,
+    handleLanguageSelection,
+    handleQuickExit,
     handleSMS,
     handleCallStatus,
     handleRecording,
     handleInterimSpeech,
+    handleSpeechConfidence,
+    handleTransferWhisper,
+    handleTransferStatus,
+    handleVoicemailComplete,
+    handleVoicemailCallbackNumber,
+    handleVoicemailCallbackTime,
+    handleVoicemailCallbackCodeWord,
+    handleCallbackAnswer,
+    handleCallbackVerify,
+    handleCallbackWhisper,
+    handleCallbackConnected,
+    handleCallbackStatus,
+    handleStreamTurn,
+    handleStreamDigit,
+    handleStreamFallback,
+    handleStreamClosed,
     processSpeechResult
   };
 } 
\ No newline at end of file
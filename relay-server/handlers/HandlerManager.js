@@ -27,6 +27,8 @@ import { HandlerFactory } from './HandlerFactory.js';
 import { UnifiedResponseHandler } from '../lib/unifiedResponseHandler.js';
 import { getConversationContext, updateConversationContext, clearConversationContext } from '../lib/intentClassifier.js';
 import logger from '../lib/logger.js';
+import { getConsentLedger, CONSENT_SCOPES } from '../lib/consentLedger.js';
+import { getDialogueTrace } from '../lib/dialogueTrace.js';
 
 /**
  * HandlerManager Class
@@ -189,7 +191,11 @@ export class HandlerManager {
    * @param {string} request.contextId - Conversation context identifier
    * @param {string} request.languageCode - Language code (default: 'en-US')
    * @param {string} request.format - Response format ('text' or 'voice')
-   * @returns {Promise<Object>} Complete processing result
+   * @returns {Promise<Object>} Complete processing result. data.response is the
+   *   UnifiedResponseHandler response itself ({ success, source, voiceResponse,
+   *   webResponse, smsResponse, ... }), or, when a shelter search has no location
+   *   yet, { success: true, source: 'location_prompt', webResponse, voiceResponse }
+   *   carrying the language's location prompt
    */
   async processConversation(request) {
     const { text, contextId, languageCode = 'en-US', format = 'text' } = request;
@@ -216,13 +222,21 @@ export class HandlerManager {
         generateAudio: format === 'voice'
       });
 
-      // Step 3: Generate appropriate response using AI and search
-      const responseResult = await this.generateResponse({
-        query: speechResult.data.processedText,
-        contextId,
-        languageCode,
-        format
-      });
+      // Step 3: Ask for a location a shelter search is missing; otherwise generate a
+      // response using AI and search, with the conversation so far for follow-ups
+      const response = speechResult.data?.needsLocationPrompt
+        ? {
+          success: true,
+          source: 'location_prompt',
+          webResponse: speechResult.data.locationPrompt,
+          voiceResponse: speechResult.data.locationPrompt
+        }
+        : await this.generateResponse({
+          query: speechResult.data.processedText,
+          context: contextId ? await this.services.context.getConversationContext(contextId) : undefined,
+          languageCode,
+          format
+        });
 
       // Return comprehensive result with all processing steps
       return {
@@ -231,7 +245,7 @@ export class HandlerManager {
           originalText: text,
           intent: intentResult.data,
           speech: speechResult.data,
-          response: responseResult.data,
+          response,
           contextId,
           languageCode,
           format,
@@ -462,9 +476,28 @@ export class HandlerManager {
       }
     });
 
+    if (this.streamTurnHandler && wsServer?.setTurnHandler) {
+      wsServer.setTurnHandler(this.streamTurnHandler);
+    }
+
     this.logger.info('WebSocket server set for handlers');
   }
 
+  /**
+   * Set the turn handler for media-stream calls
+   * 
+   * The Twilio router provides it once its controller exists; the WebSocket
+   * server may be set before or after, so whichever comes second links them.
+   * 
+   * @param {Object} turnHandler - respond/handleDigit/fallback, see MediaStreamSession
+   */
+  setStreamTurnHandler(turnHandler) {
+    this.streamTurnHandler = turnHandler;
+    if (this.wsServer?.setTurnHandler) {
+      this.wsServer.setTurnHandler(turnHandler);
+    }
+  }
+
   /**
    * Cleanup resources
    * 
@@ -499,6 +532,17 @@ export class HandlerManager {
     return twilioHandler ? twilioHandler.activeCalls : new Map();
   }
 
+  /**
+   * Restore a call that is not in memory from the context store
+   *
+   * @param {string} callSid - Call SID
+   * @returns {Promise<Object|null>} Restored call record or null
+   */
+  async restoreCall(callSid) {
+    const twilioHandler = this.handlers.get('twilioVoice');
+    return twilioHandler ? twilioHandler.restoreCall(callSid) : null;
+  }
+
   /**
    * Generate TTS-based TwiML (legacy compatibility)
    * 
@@ -542,9 +586,14 @@ export class HandlerManager {
    * @param {string} callSid - Call SID
    * @param {Object} call - Call data
    * @param {Object} summary - Call summary
-   * @returns {Promise<Object>} SMS sending result
+   * @returns {Promise<Object>} SMS sending result, { status } when the consent ledger refuses the send
    */
   async sendSMSWithRetry(callSid, call, summary) {
+    const blocked = await getConsentLedger().getBlockReason(call?.from, { scope: CONSENT_SCOPES.CALL_SUMMARY });
+    if (blocked) {
+      this.logger.info('Call summary SMS not sent:', { callSid, reason: blocked });
+      return { status: blocked };
+    }
     const twilioHandler = this.handlers.get('twilioVoice');
     return twilioHandler ? twilioHandler.sendSMSWithRetry(callSid, call, summary) : null;
   }
@@ -561,6 +610,25 @@ export class HandlerManager {
     }
   }
 
+  /**
+   * Purge every trace of a call (quick exit)
+   *
+   * Drops the call without sending an SMS or asking for consent, and removes
+   * its context from the intent classifier, ContextService, the WebSocket
+   * server's call summary history and the dialogue trace.
+   *
+   * @param {string} callSid - Call SID
+   */
+  async purgeCall(callSid) {
+    const twilioHandler = this.handlers.get('twilioVoice');
+    if (twilioHandler) {
+      await twilioHandler.purgeCall(callSid);
+    }
+    clearConversationContext(callSid);
+    getDialogueTrace().deleteCall(callSid);
+    this.logger.info('Call purged after quick exit:', { callSid });
+  }
+
   /**
    * Clear conversation context (legacy compatibility)
    * 
@@ -604,5 +672,86 @@ export class HandlerManager {
    */
   async updateConversationContext(callSid, intent, query, response, tavilyResponse) {
     updateConversationContext(callSid, intent, query, response, tavilyResponse);
+
+    // Mirror the turn into the ContextService so handoff summaries can see it
+    const contextService = this.services.context;
+    if (!contextService?.updateConversationContext) {
+      return;
+    }
+    try {
+      await contextService.updateConversationContext(callSid, {
+        interaction: { query, intent },
+        intent,
+        location: getConversationContext(callSid)?.lastQueryContext?.location,
+        emergencyDetected: intent === 'emergency_help' ? true : undefined
+      });
+    } catch (error) {
+      this.logger.error('Error mirroring conversation context:', { callSid, error: error.message });
+    }
+  }
+
+  /**
+   * Build a summary of the call from the ContextService
+   * 
+   * @param {string} callSid - Call SID
+   * @returns {Promise<Object>} Context summary ({ hasContext: false } without a context service)
+   */
+  async buildContextSummary(callSid) {
+    const contextService = this.services.context;
+    return contextService ? contextService.buildContextSummary(callSid) : { hasContext: false };
+  }
+
+  /**
+   * Record the language the rest of the call is in
+   *
+   * Kept on the call record for TwiML and in the ContextService for the SMS summary.
+   *
+   * @param {string} callSid - Call SID
+   * @param {string} language - Language code
+   * @param {string} source - LANGUAGE_SOURCES value
+   */
+  async saveCallLanguage(callSid, language, source) {
+    const call = this.activeCalls.get(callSid);
+    if (call) {
+      call.language = language;
+      call.languageSource = source;
+      this.activeCalls.set(callSid, call);
+    }
+
+    const contextService = this.services.context;
+    if (!contextService?.updateConversationContext) {
+      return;
+    }
+    try {
+      await contextService.updateConversationContext(callSid, { language });
+    } catch (error) {
+      this.logger.error('Error saving call language:', { callSid, error: error.message });
+    }
+  }
+
+  /**
+   * Get guided safety plan state
+   * 
+   * Safety plan state lives in the ContextService so it survives restarts and
+   * can be resumed later in the call.
+   * 
+   * @param {string} callSid - Call SID
+   * @returns {Promise<Object|null>} Safety plan state or null
+   */
+  async getSafetyPlan(callSid) {
+    const contextService = this.services.context;
+    return contextService ? contextService.getSafetyPlan(callSid) : null;
+  }
+
+  /**
+   * Save guided safety plan state
+   * 
+   * @param {string} callSid - Call SID
+   * @param {Object|null} safetyPlan - Safety plan state
+   * @returns {Promise<Object|null>} Saved state or null
+   */
+  async saveSafetyPlan(callSid, safetyPlan) {
+    const contextService = this.services.context;
+    return contextService ? contextService.saveSafetyPlan(callSid, safetyPlan) : null;
   }
 } 
\ No newline at end of file
@@ -74,9 +74,10 @@ export class SpeechHandler extends BaseHandler {
         extractedInfo.location = locationCheckResult.validLocation;
       }
       
-      // Update context if provided
+      // Update context if provided; a validated location is kept for follow-ups
       if (contextId) {
         await this.services.context.updateConversationContext(contextId, {
+          location: extractedInfo.intent === 'find_shelter' ? extractedInfo.location : null,
           interaction: {
             query: processedText,
             extractedInfo,
@@ -120,17 +121,32 @@ export class SpeechHandler extends BaseHandler {
   async processFindShelterWithLocationCheck(speechText, contextId, languageCode) {
     logger.info('Processing find_shelter intent with location check:', { speechText, contextId, languageCode });
     
-    // Step 1: Check previous context for valid location
+    // Step 1: Check current speech first, so a new place replaces the one from earlier
     let validLocation = null;
-    if (contextId) {
+    try {
+      const { detectLocationWithGeocoding } = await import('../../lib/enhancedLocationDetector.js');
+      const locationData = await detectLocationWithGeocoding(speechText);
+
+      if (locationData && locationData.isComplete) {
+        validLocation = locationData.location;
+        logger.info('Found valid location in current speech:', { validLocation });
+      } else {
+        logger.info('No valid location found in current speech:', { speechText, locationData });
+      }
+    } catch (error) {
+      logger.error('Error extracting location from current speech:', error);
+    }
+
+    // Step 2: If none was said, check previous context for a valid location
+    if (!validLocation && contextId) {
       try {
         const context = await this.services.context.getConversationContext(contextId);
         if (context && context.location) {
           logger.info('Found location in previous context:', { contextLocation: context.location });
           
-          // Validate the context location strictly
-          const { detectLocationWithGeocoding } = await import('../../lib/enhancedLocationDetector.js');
-          const locationData = await detectLocationWithGeocoding(context.location);
+          // Validate the context location strictly; it is a place, not a query to find one in
+          const { detectLocation } = await import('../../lib/enhancedLocationDetector.js');
+          const locationData = await detectLocation(context.location);
           
           if (locationData && locationData.isComplete) {
             validLocation = locationData.location;
@@ -144,27 +160,10 @@ export class SpeechHandler extends BaseHandler {
       }
     }
     
-    // Step 2: If no valid location in context, check current speech
-    if (!validLocation) {
-      try {
-        const { detectLocationWithGeocoding } = await import('../../lib/enhancedLocationDetector.js');
-        const locationData = await detectLocationWithGeocoding(speechText);
-        
-        if (locationData && locationData.isComplete) {
-          validLocation = locationData.location;
-          logger.info('Found valid location in current speech:', { validLocation });
-        } else {
-          logger.info('No valid location found in current speech:', { speechText, locationData });
-        }
-      } catch (error) {
-        logger.error('Error extracting location from current speech:', error);
-      }
-    }
-    
     // Step 3: If no valid location found, return location prompt
     if (!validLocation) {
       const languageConfig = getLanguageConfig(languageCode);
-      const locationPrompt = languageConfig.prompts.location || 'Can you tell me your location so I can find nearby shelters?';
+      const locationPrompt = languageConfig.prompts.locationPrompt || 'Can you tell me your location so I can find nearby shelters?';
       
       logger.info('No valid location found, returning location prompt:', { locationPrompt });
       return {
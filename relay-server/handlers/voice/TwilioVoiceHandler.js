@@ -5,9 +5,16 @@ import { TwilioWebSocketServer } from '../../websocketServer.js';
 import { AudioService } from '../../services/audioService.js';
 import path from 'path';
 import fs from 'fs/promises';
-import { getLanguageConfig, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from '../../lib/languageConfig.js';
+import { getLanguageConfig, getWelcomePrompt, DEFAULT_LANGUAGE } from '../../lib/languageConfig.js';
+import { resolveRegion, applyRegionNumbers } from '../../lib/regionRegistry.js';
+import { getScheduleEngine } from '../../lib/schedule.js';
+import { getSmsSafeguards } from '../../lib/smsSafeguards.js';
+import { CONSENT_SCOPES } from '../../lib/consentLedger.js';
 import logger from '../../lib/logger.js';
 import { stripSSMLForTTS } from '../../lib/ssmlTemplates.js';
+import { detectLanguageFromText } from '../../lib/languageDetection.js';
+import { detectQuickExit, getQuickExitGatherOptions } from '../../lib/quickExit.js';
+import { StoredMap } from '../../lib/storage/storedMap.js';
 
 // Get validateRequest from twilio package
 const { validateRequest: twilioValidateRequest } = twilio;
@@ -25,6 +32,29 @@ const ERROR_MESSAGES = {
   STATUS_ERROR: 'Error processing call status'
 };
 
+// Runtime-only call fields (timers, sockets) that are never written to the context store
+const TRANSIENT_CALL_FIELDS = ['timeouts', 'pendingRequests', 'responseTimeout', 'ws'];
+
+/**
+ * Strip runtime-only fields from a call record before it is stored
+ * @param {Object} call - Active call record
+ * @returns {Object} JSON-safe call record
+ */
+function serializeCall(call) {
+  const stored = { ...call };
+  TRANSIENT_CALL_FIELDS.forEach(field => delete stored[field]);
+  return stored;
+}
+
+/**
+ * Rebuild a call record loaded from the context store
+ * @param {Object} stored - Stored call record
+ * @returns {Object} Active call record
+ */
+function deserializeCall(stored) {
+  return { ...stored, timeouts: new Set(), pendingRequests: new Set() };
+}
+
 const HTTP_STATUS = {
   OK: 200,
   FORBIDDEN: 403,
@@ -53,7 +83,8 @@ export class TwilioVoiceHandler extends BaseHandler {
       twilioClient = null,
       audioService = null,
       getLanguageConfigFn = getLanguageConfig,
-      DEFAULT_LANGUAGE_CONST = DEFAULT_LANGUAGE
+      DEFAULT_LANGUAGE_CONST = DEFAULT_LANGUAGE,
+      scheduleEngine = null
     } = dependencies;
     
     // Handle test environment where credentials might not be available
@@ -77,7 +108,12 @@ export class TwilioVoiceHandler extends BaseHandler {
       this.phoneNumber = phoneNumber;
     }
     
-    this.activeCalls = new Map(); // Track active calls
+    // Track active calls; written through to the context store so a restart does not drop them
+    this.activeCalls = new StoredMap('calls', {
+      store: dependencies.contextStore,
+      serialize: serializeCall,
+      deserialize: deserializeCall
+    });
     this.validateRequest = validateRequest;
     this.WebSocketClass = WebSocketClass;
     this.twilioClient = twilioClient || twilio(this.accountSid, this.authToken);
@@ -91,6 +127,7 @@ export class TwilioVoiceHandler extends BaseHandler {
     // Store injected functions
     this._getLanguageConfig = getLanguageConfigFn;
     this._DEFAULT_LANGUAGE = DEFAULT_LANGUAGE_CONST;
+    this._scheduleEngine = scheduleEngine;
     
     // Store all dependencies for testability
     this._deps = dependencies;
@@ -128,6 +165,15 @@ export class TwilioVoiceHandler extends BaseHandler {
     this.wsServer = wsServer;
   }
 
+  /**
+   * Current staffing routing mode for a language
+   * @param {string} language - Language code
+   * @returns {string} live_transfer, voicemail or assistant_only
+   */
+  getRoutingMode(language) {
+    return (this._scheduleEngine || getScheduleEngine()).getRoutingMode(language);
+  }
+
   /**
    * Handle incoming Twilio call
    * @param {Object} req - Express request object
@@ -172,6 +218,12 @@ export class TwilioVoiceHandler extends BaseHandler {
         const from = request.body.From;
         const to = request.body.To;
 
+        // Staffing decides whether advocates can take a transfer, voicemail, or neither
+        const language = this._DEFAULT_LANGUAGE; // or detect dynamically
+        const routingMode = this.getRoutingMode(language);
+        // Numbers in the welcome follow the caller's country until they say where they are
+        const region = resolveRegion({ phoneNumber: from });
+
         // Initialize call tracking
         this.activeCalls.set(callSid, {
           callSid,
@@ -181,13 +233,14 @@ export class TwilioVoiceHandler extends BaseHandler {
           lastActivity: Date.now(),
           status: CALL_STATUS.IN_PROGRESS,
           timeouts: new Set(),
-          pendingRequests: new Set()
+          pendingRequests: new Set(),
+          routingMode,
+          region
         });
 
         // Generate welcome message using TTS service
-        const language = this._DEFAULT_LANGUAGE; // or detect dynamically
-        const welcomeMessage = SUPPORTED_LANGUAGES[language].prompts.welcome;
-        this.logger.info('Selected welcome message', { callSid, language, welcomeMessage });
+        const welcomeMessage = getWelcomePrompt(language, routingMode, region);
+        this.logger.info('Selected welcome message', { callSid, language, routingMode, welcomeMessage });
         this.logOperation('generating welcome message', { welcomeMessage });
         
         // Create TTS-based TwiML response for better audio quality
@@ -216,6 +269,17 @@ export class TwilioVoiceHandler extends BaseHandler {
     return this.processRequest(req, 'speech input', async (request) => {
       const speechResult = request.body.SpeechResult;
       const callSid = request.body.CallSid;
+
+      // Safe word or quick-exit key: hang up immediately and leave nothing behind
+      const quickExit = detectQuickExit(request.body);
+      if (quickExit) {
+        await this.purgeCall(callSid);
+        this.logOperation('quick exit', { callSid, trigger: quickExit.trigger });
+        const twiml = new this.VoiceResponseClass();
+        twiml.hangup();
+        return twiml;
+      }
+
       const languageCode = this.detectLanguage(request, speechResult);
 
       if (!speechResult || speechResult.trim() === '') {
@@ -297,7 +361,7 @@ export class TwilioVoiceHandler extends BaseHandler {
     } catch (error) {
       await this.handleError(error, 'processSpeechInput', { requestId, callSid });
       
-      const errorMessage = this.getLocalizedPrompt(finalLanguageCode, 'error');
+      const errorMessage = this.getLocalizedPrompt(finalLanguageCode, 'error', {}, this.activeCalls.get(callSid)?.region);
       return this.generateTwiML(errorMessage, true, finalLanguageCode);
     }
   }
@@ -521,6 +585,44 @@ export class TwilioVoiceHandler extends BaseHandler {
     }
   }
 
+  /**
+   * Restore a call from the context store, e.g. after a server restart
+   * @param {string} callSid - Call SID
+   * @returns {Promise<Object|null>} Restored call record or null
+   */
+  async restoreCall(callSid) {
+    if (!callSid) return null;
+    try {
+      const call = await this.activeCalls.load(callSid);
+      if (call) {
+        this.logOperation('call restored from context store', { callSid });
+      }
+      return call || null;
+    } catch (error) {
+      this.logger.error('Error restoring call from context store:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Purge a call after quick exit
+   * Removes the call without an SMS or consent prompt and clears its context.
+   * @param {string} callSid - Call SID
+   */
+  async purgeCall(callSid) {
+    await this.cleanupCall(callSid);
+    try {
+      if (callSid && this.services.context?.clearConversationContext) {
+        await this.services.context.clearConversationContext(callSid);
+      }
+    } catch (error) {
+      this.logger.error('Error clearing context after quick exit:', error);
+    }
+    if (this.wsServer?.purgeCall) {
+      this.wsServer.purgeCall(callSid);
+    }
+  }
+
   /**
    * Generate TwiML response
    * @param {string} text - Text to speak
@@ -538,26 +640,25 @@ export class TwilioVoiceHandler extends BaseHandler {
     // Escape XML characters
     const escapedText = this.escapeXML(safeText);
     
-    // Add speech with simple voice settings
-    twiml.say(escapedText, {
-      voice: 'Polly.Amy',
-      language: 'en-US'
-    });
+    // Add speech with the caller's language and Polly voice
+    const langConfig = this._getLanguageConfig(finalLanguageCode);
+    const sayOptions = {
+      voice: langConfig?.twilioVoice || 'Polly.Amy',
+      language: langConfig?.twilioLanguage || 'en-US'
+    };
+    twiml.say(escapedText, sayOptions);
 
     if (shouldGather) {
       const gather = twiml.gather({
-        input: 'speech',
-        language: 'en-US',
+        ...getQuickExitGatherOptions(),
+        language: langConfig?.twilioSpeechRecognitionLanguage || 'en-US',
         speechTimeout: 30,
-        action: '/twilio/speech',
+        action: '/twilio/voice/process',
         method: 'POST'
       });
       
       // Add fallback message if no speech detected
-      gather.say('I didn\'t hear anything. Please try again.', {
-        voice: 'Polly.Amy',
-        language: 'en-US'
-      });
+      gather.say(stripSSMLForTTS(this.getLocalizedPrompt(finalLanguageCode, 'noSpeech')), sayOptions);
     }
 
     return twiml;
@@ -600,7 +701,7 @@ export class TwilioVoiceHandler extends BaseHandler {
       const ttsStart = Date.now();
       const ttsOptions = {
         language: finalLanguageCode,
-        voice: this._getLanguageConfig(finalLanguageCode)?.voice || 'nova'
+        voice: this._getLanguageConfig(finalLanguageCode)?.openaiVoice || 'nova'
       };
       // Use a longer timeout for TTS generation to handle SSML with x-slow rate and pauses
       const ttsResponse = await Promise.race([
@@ -649,8 +750,10 @@ export class TwilioVoiceHandler extends BaseHandler {
 
         if (shouldGather) {
           const gather = twiml.gather({
-            input: 'speech',
-            language: finalLanguageCode,
+            ...getQuickExitGatherOptions(),
+            // The welcome's language menu is answered on the keypad
+            ...(metadata.languageMenu ? { input: 'speech dtmf', numDigits: 1 } : {}),
+            language: this._getLanguageConfig(finalLanguageCode)?.twilioSpeechRecognitionLanguage || finalLanguageCode,
             speechTimeout: 'auto',
             speechModel: 'phone_call',
             enhanced: 'true',
@@ -961,44 +1064,23 @@ export class TwilioVoiceHandler extends BaseHandler {
   }
 
   /**
-   * Detect language from text content using simple heuristics
+   * Detect language from text content (see lib/languageDetection.js)
    * @param {string} text - Text to analyze
    * @returns {string|null} Language code or null if not detected
    */
   detectLanguageFromText(text) {
-    if (!text) return null;
-
-    const normalizedText = text.toLowerCase();
-    
-    // Spanish detection
-    const spanishWords = ['hola', 'gracias', 'por favor', 'ayuda', 'necesito', 'donde', 'como', 'que', 'el', 'la', 'de', 'en', 'con', 'para', 'por', 'sin', 'sobre', 'entre', 'hasta', 'desde', 'hacia', 'según', 'durante', 'mediante', 'excepto', 'salvo', 'además', 'también', 'pero', 'sin embargo', 'aunque', 'si', 'cuando', 'donde', 'porque', 'como', 'que', 'quien', 'cual', 'cuyo', 'cuanto'];
-    const spanishCount = spanishWords.filter(word => normalizedText.includes(word)).length;
-    
-    // French detection
-    const frenchWords = ['bonjour', 'merci', 's\'il vous plaît', 'aide', 'besoin', 'où', 'comment', 'quoi', 'le', 'la', 'de', 'en', 'avec', 'pour', 'par', 'sans', 'sur', 'entre', 'jusqu\'à', 'depuis', 'vers', 'selon', 'pendant', 'par', 'sauf', 'sauf', 'aussi', 'également', 'mais', 'cependant', 'bien que', 'si', 'quand', 'où', 'parce que', 'comme', 'que', 'qui', 'quel', 'dont', 'combien'];
-    const frenchCount = frenchWords.filter(word => normalizedText.includes(word)).length;
-    
-    // German detection
-    const germanWords = ['hallo', 'danke', 'bitte', 'hilfe', 'brauche', 'wo', 'wie', 'was', 'der', 'die', 'das', 'von', 'in', 'mit', 'für', 'durch', 'ohne', 'über', 'zwischen', 'bis', 'seit', 'nach', 'laut', 'während', 'durch', 'außer', 'außer', 'auch', 'ebenfalls', 'aber', 'jedoch', 'obwohl', 'wenn', 'wann', 'wo', 'weil', 'wie', 'dass', 'wer', 'welcher', 'dessen', 'wie viel'];
-    const germanCount = germanWords.filter(word => normalizedText.includes(word)).length;
-
-    // Threshold for detection (at least 2 words)
-    const threshold = 2;
-    
-    if (spanishCount >= threshold) return 'es-ES';
-    if (frenchCount >= threshold) return 'fr-FR';
-    if (germanCount >= threshold) return 'de-DE';
-    
-    return null;
+    return detectLanguageFromText(text);
   }
 
   /**
    * Get language-specific prompt
    * @param {string} languageCode - Language code
    * @param {string} promptKey - Prompt key (e.g., 'welcome', 'incompleteLocation')
+   * @param {Object} [params] - Values for {{placeholders}}
+   * @param {Object} [region] - Caller's region for the emergency and hotline numbers
    * @returns {string} Localized prompt
    */
-  getLocalizedPrompt(languageCode, promptKey, params = {}) {
+  getLocalizedPrompt(languageCode, promptKey, params = {}, region = undefined) {
     try {
       // Use injected getLanguageConfig if available, otherwise use the global one
       const getLangConfig = this._deps?.getLanguageConfig || this._getLanguageConfig;
@@ -1013,7 +1095,7 @@ export class TwilioVoiceHandler extends BaseHandler {
       }
 
       // Ensure we always return a string
-      return typeof prompt === 'string' ? prompt : 'I\'m sorry, I didn\'t understand your request.';
+      return typeof prompt === 'string' ? applyRegionNumbers(prompt, region) : 'I\'m sorry, I didn\'t understand your request.';
     } catch (error) {
       this.logger.error('Error getting localized prompt:', { languageCode, promptKey, error: error.message });
       return 'I\'m sorry, I didn\'t understand your request.';
@@ -1047,17 +1129,23 @@ export class TwilioVoiceHandler extends BaseHandler {
    * @param {Object} call - Call object
    * @param {Object} summary - Call summary
    * @param {number} retryCount - Retry count
+   * @returns {Promise<Object|undefined>} Delivery result from SmsSafeguards.send
    */
   async sendSMSWithRetry(callSid, call, summary, retryCount = 0) {
     try {
       const message = this.formatSMSMessage(summary);
-      await this.twilioClient.messages.create({
-        body: message,
-        from: this.phoneNumber,
-        to: call.from
+      // Consent, discreet wording and the caller's safe window are applied here
+      const result = await getSmsSafeguards().send(call.from, message, {
+        scope: CONSENT_SCOPES.CALL_SUMMARY,
+        transport: (to, body) => this.twilioClient.messages.create({
+          body,
+          from: this.phoneNumber,
+          to
+        })
       });
       
-      this.logOperation('sms sent', { callSid, to: call.from });
+      this.logOperation('sms delivery', { callSid, status: result.status });
+      return result;
     } catch (error) {
       this.logger.error('Error sending SMS:', error);
       
@@ -1072,10 +1160,10 @@ export class TwilioVoiceHandler extends BaseHandler {
   /**
    * Format SMS message
    * @param {Object} summary - Call summary
-   * @returns {string} Formatted SMS message
+   * @returns {string} Formatted SMS message, in the language the call ended in
    */
   formatSMSMessage(summary) {
     // This would be implemented based on the call context and resources found
-    return 'Thank you for calling. Here are the resources we discussed: [Resource links would be included here]';
+    return this.getLocalizedPrompt(summary?.context?.language, 'smsSummary');
   }
 } 
\ No newline at end of file
@@ -1,3 +1,4 @@
+import fs from 'fs';
 import logger from '../lib/logger.js';
 import { apiConfig } from '../lib/config/api.js';
 import { v4 as uuidv4 } from 'uuid';
@@ -5,7 +6,8 @@ import { v4 as uuidv4 } from 'uuid';
 /**
  * Geocoding Integration
  * Abstracts geocoding API calls for location services
- * Currently supports Nominatim (OpenStreetMap) with extensibility for other providers
+ * Currently supports Nominatim (OpenStreetMap) and a local 'stub' provider that
+ * answers from a fixed table so tests and offline runs never call Nominatim
  */
 export class GeocodingIntegration {
   constructor(config = {}) {
@@ -90,6 +92,9 @@ export class GeocodingIntegration {
         case 'nominatim':
           result = await this.geocodeWithNominatim(location, options, operationId);
           break;
+        case 'stub':
+          result = this.geocodeWithStub(location, operationId);
+          break;
         default:
           throw new Error(`Unsupported geocoding provider: ${this.provider}`);
       }
@@ -260,6 +265,50 @@ export class GeocodingIntegration {
     }
   }
 
+  /**
+   * Geocode from a local lookup table (config.stubLocations or config.stubFile)
+   * @param {string} location - Location string
+   * @param {string} requestId - Optional request ID for tracking
+   * @returns {Object} Geocoding result
+   */
+  geocodeWithStub(location, requestId = null) {
+    if (!this.stubLocations) {
+      const fromFile = this.config.stubFile && fs.existsSync(this.config.stubFile)
+        ? JSON.parse(fs.readFileSync(this.config.stubFile, 'utf8'))
+        : {};
+      this.stubLocations = Object.fromEntries(
+        Object.entries({ ...fromFile, ...this.config.stubLocations })
+          .map(([key, value]) => [key.trim().toLowerCase(), value])
+      );
+    }
+
+    const entry = this.stubLocations[String(location).trim().toLowerCase()];
+    if (!entry) {
+      this.logOperation('geocodeWithStub.noResults', { location }, 'warn', requestId);
+      return {
+        success: false,
+        error: 'No geocoding results found',
+        provider: 'stub'
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        country: entry.country,
+        countryCode: entry.countryCode,
+        state: entry.state,
+        city: entry.city,
+        latitude: entry.latitude,
+        longitude: entry.longitude,
+        displayName: entry.displayName || location,
+        importance: 1,
+        confidence: 1
+      },
+      provider: 'stub'
+    };
+  }
+
   /**
    * Get location coordinates
    * @param {string} location - Location string
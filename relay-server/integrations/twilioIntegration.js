@@ -1,6 +1,8 @@
 import twilio from 'twilio';
 import logger from '../lib/logger.js';
 import { v4 as uuidv4 } from 'uuid';
+import { getConsentLedger } from '../lib/consentLedger.js';
+import { ConsentError } from '../lib/utils/errorHandling.js';
 
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
 const authToken = process.env.TWILIO_AUTH_TOKEN;
@@ -35,6 +37,13 @@ function logTwilioOperation(operation, data = {}, level = 'info', requestId = nu
 export const TwilioIntegration = {
   sendSMS: async (to, body, requestId = null) => {
     const operationId = requestId || uuidv4();
+
+    // Last line of defence: nothing is ever sent to a number that texted STOP
+    const blocked = await getConsentLedger().getBlockReason(to);
+    if (blocked) {
+      logTwilioOperation('sendSMS.blocked', { reason: blocked }, 'warn', operationId);
+      throw new ConsentError('SMS recipient has not consented to messages', blocked);
+    }
     
     try {
       logTwilioOperation('sendSMS.start', { to, bodyLength: body?.length }, 'info', operationId);
@@ -71,13 +80,15 @@ export const TwilioIntegration = {
     }
   },
 
-  makeCall: async (to, twimlUrl, requestId = null) => {
+  // options are passed to calls.create, e.g. statusCallback, timeout or machineDetection
+  makeCall: async (to, twimlUrl, requestId = null, options = {}) => {
     const operationId = requestId || uuidv4();
-    
+
     try {
       logTwilioOperation('makeCall.start', { to, twimlUrl }, 'info', operationId);
-      
+
       const call = await twilioClient.calls.create({
+        ...options,
         url: twimlUrl,
         to,
         from: phoneNumber
@@ -109,6 +120,36 @@ export const TwilioIntegration = {
     }
   },
 
+  // Replace what a live call is doing, e.g. to leave a media stream for a transfer or hang-up
+  updateCall: async (callSid, twiml, requestId = null) => {
+    const operationId = requestId || uuidv4();
+
+    try {
+      logTwilioOperation('updateCall.start', { callSid }, 'info', operationId);
+
+      const call = await twilioClient.calls(callSid).update({ twiml });
+
+      logTwilioOperation('updateCall.success', { callSid, status: call.status }, 'info', operationId);
+
+      return call;
+    } catch (error) {
+      logTwilioOperation('updateCall.error', {
+        callSid,
+        error: error.message,
+        errorCode: error.code
+      }, 'error', operationId);
+
+      logger.error('Error updating Twilio call:', {
+        callSid,
+        error: error.message,
+        code: error.code,
+        status: error.status,
+        requestId: operationId
+      });
+      throw error;
+    }
+  },
+
   fetchCallDetails: async (callSid, requestId = null) => {
     const operationId = requestId || uuidv4();
     
@@ -146,5 +187,46 @@ export const TwilioIntegration = {
     }
   },
 
+  fetchRecording: async (recordingUrl, requestId = null) => {
+    const operationId = requestId || uuidv4();
+
+    try {
+      logTwilioOperation('fetchRecording.start', {}, 'info', operationId);
+
+      // Recording media is protected by the account credentials
+      const response = await fetch(`${recordingUrl}.wav`, {
+        headers: { Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}` }
+      });
+      if (!response.ok) {
+        throw new Error(`Recording download failed with status ${response.status}`);
+      }
+      const audio = Buffer.from(await response.arrayBuffer());
+
+      logTwilioOperation('fetchRecording.success', { bytes: audio.length }, 'info', operationId);
+
+      return audio;
+    } catch (error) {
+      logTwilioOperation('fetchRecording.error', { error: error.message }, 'error', operationId);
+      throw error;
+    }
+  },
+
+  deleteRecording: async (recordingSid, requestId = null) => {
+    const operationId = requestId || uuidv4();
+
+    try {
+      await twilioClient.recordings(recordingSid).remove();
+      logTwilioOperation('deleteRecording.success', { recordingSid }, 'info', operationId);
+      return true;
+    } catch (error) {
+      logTwilioOperation('deleteRecording.error', {
+        recordingSid,
+        error: error.message,
+        errorCode: error.code
+      }, 'error', operationId);
+      return false;
+    }
+  },
+
   // Add more Twilio-related methods as needed
 }; 
\ No newline at end of file
@@ -0,0 +1,370 @@
+/**
+ * Safe Callback Scheduler
+ * Places the callbacks callers asked for - on a call after a voicemail, or by
+ * text - through TwilioIntegration.makeCall, and only inside the window they
+ * said is safe. The call opens by asking for the caller's code word and says
+ * nothing else until it is given. Missed calls are retried with backoff, and
+ * every attempt is kept in an audit trail in the encrypted context store.
+ */
+
+import twilio from 'twilio';
+import { config } from './config/index.js';
+import { getContextStore } from './storage/contextStore.js';
+import { getVoicemailStore, CALLBACK_STATUS } from './voicemail.js';
+import { getScheduleEngine, ROUTING_MODES } from './schedule.js';
+import { callbackConfig } from './conversationConfig.js';
+import logger from './logger.js';
+
+export const CALLBACK_AUDIT_NAMESPACE = 'callbackAudit';
+export const CALLBACK_REQUEST_NAMESPACE = 'callbackRequests';
+
+export const CALLBACK_EVENTS = {
+  SCHEDULED: 'scheduled',
+  DIALED: 'dialed',
+  MISSED: 'missed',
+  VERIFIED: 'verified',
+  NOT_VERIFIED: 'not_verified',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Why an attempt counts as missed, besides Twilio's own call statuses
+export const MISSED_REASONS = {
+  DIAL_ERROR: 'dial-error',
+  MACHINE: 'machine',
+  NO_INPUT: 'no-input',
+  HUNG_UP: 'hung-up',
+  NO_ADVOCATE: 'no-advocate',
+  STALE: 'stale'
+};
+
+// Nobody is called back unless an advocate is on shift to take the call
+function isAdvocateOnShift(task) {
+  return getScheduleEngine().getRoutingMode(task.language) === ROUTING_MODES.LIVE_TRANSFER;
+}
+
+async function dialWithTwilio(to, url, options) {
+  const { TwilioIntegration } = await import('../integrations/twilioIntegration.js');
+  return TwilioIntegration.makeCall(to, url, null, options);
+}
+
+/**
+ * Wait before the next attempt after a given number of misses
+ * @param {number} attempts - Calls placed so far
+ * @param {Object} [options]
+ * @param {number} [options.baseMs] - Wait after the first miss
+ * @param {number} [options.maxMs] - Longest wait
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelay(attempts, { baseMs = config.callbacks.retryBaseMs, maxMs = config.callbacks.retryMaxMs } = {}) {
+  return Math.min(baseMs * 2 ** Math.max(0, attempts - 1), maxMs);
+}
+
+/**
+ * TwiML that asks whoever answered for the code word, and nothing else
+ * @param {Object} options
+ * @param {string} options.taskId - Callback task
+ * @param {string} [options.language] - Recognition language
+ * @param {boolean} [options.retry] - Second time asking, after silence
+ * @returns {string} TwiML
+ */
+export function buildCodeWordTwiml({ taskId, language = null, retry = false }) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  const query = `task=${encodeURIComponent(taskId)}${retry ? '&retry=1' : ''}`;
+  const gather = twiml.gather({
+    input: 'speech dtmf',
+    action: `/twilio/callback/verify?${query}`,
+    method: 'POST',
+    finishOnKey: '#',
+    speechTimeout: 'auto',
+    speechModel: 'phone_call',
+    language: language || 'en-US'
+  });
+  gather.say(retry ? callbackConfig.messages.greetingRetry : callbackConfig.messages.greeting);
+  twiml.redirect({ method: 'POST' }, `/twilio/callback/verify?${query}`);
+  return twiml.toString();
+}
+
+/**
+ * TwiML that connects a verified caller to an advocate
+ * @param {Object} options
+ * @param {string} options.taskId - Callback task
+ * @param {string} options.number - E.164 advocate number
+ * @returns {string} TwiML
+ */
+export function buildCallbackConnectTwiml({ taskId, number }) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  const query = `task=${encodeURIComponent(taskId)}`;
+  twiml.say(callbackConfig.messages.verified);
+
+  const dialOptions = {
+    action: `/twilio/callback/connected?${query}`,
+    method: 'POST',
+    timeout: config.transfer.dialTimeout
+  };
+  if (config.transfer.callerId) dialOptions.callerId = config.transfer.callerId;
+
+  twiml.dial(dialOptions).number({ url: `/twilio/callback/whisper?${query}`, method: 'POST' }, number);
+  return twiml.toString();
+}
+
+/**
+ * TwiML that says a last line and hangs up
+ * @param {string} message - What the person who answered hears
+ * @returns {string} TwiML
+ */
+export function buildCallbackHangupTwiml(message) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say(message);
+  twiml.hangup();
+  return twiml.toString();
+}
+
+export class CallbackScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {VoicemailStore} [options.tasks] - Task store to use instead of the shared voicemail store
+   * @param {ContextStore} [options.store] - Store for the audit trail instead of the shared context store
+   * @param {Function} [options.dialer] - async (to, url, options) => call, defaults to TwilioIntegration.makeCall
+   * @param {string} [options.baseUrl] - Public base URL Twilio fetches the call's TwiML from
+   * @param {number} [options.maxAttempts] - Calls placed per task before giving up
+   * @param {Function} [options.canConnect] - task => boolean, false holds the call back (no advocate on shift)
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({
+    tasks = null,
+    store = null,
+    dialer = dialWithTwilio,
+    baseUrl = config.webhooks.publicBaseUrl || config.server.baseUrl,
+    maxAttempts = config.callbacks.maxAttempts,
+    canConnect = isAdvocateOnShift,
+    now = Date.now
+  } = {}) {
+    this.tasksOverride = tasks;
+    this.storeOverride = store;
+    this.dialer = dialer;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.maxAttempts = maxAttempts;
+    this.canConnect = canConnect;
+    this.now = now;
+    this.timer = null;
+    this.running = null;
+  }
+
+  get tasks() {
+    return this.tasksOverride || getVoicemailStore();
+  }
+
+  get store() {
+    return this.storeOverride || getContextStore();
+  }
+
+  /**
+   * Keep a callback request and note it in the audit trail
+   * @param {Object} request - See VoicemailStore.createCallbackTask
+   * @returns {Promise<Object>} Stored task
+   */
+  async schedule(request) {
+    const task = await this.tasks.createCallbackTask(request);
+    await this.audit(task.id, { event: CALLBACK_EVENTS.SCHEDULED, source: task.source, window: task.window });
+    return task;
+  }
+
+  /**
+   * Place every callback whose window is open and whose backoff has passed,
+   * if an advocate is there to take it
+   * @param {Date} [at] - Instant to check
+   * @returns {Promise<number>} Number of calls placed
+   */
+  async runDue(at = new Date(this.now())) {
+    await this.expireStaleAttempts(at);
+
+    let placed = 0;
+    for (const task of await this.tasks.getDueCallbackTasks(at)) {
+      if (!this.canConnect(task)) continue;
+      if (await this.dial(task)) placed++;
+    }
+    return placed;
+  }
+
+  async dial(task) {
+    if (!task.codeWordHash) {
+      // Without a code word there is no way to know who answered
+      await this.tasks.updateCallbackTask(task.id, { status: CALLBACK_STATUS.FAILED });
+      await this.audit(task.id, { event: CALLBACK_EVENTS.FAILED, attempt: task.attempts, reason: 'no-code-word' });
+      return false;
+    }
+
+    const attempt = (task.attempts || 0) + 1;
+    // Marked before dialing, so an overlapping run cannot call the same number twice
+    await this.tasks.updateCallbackTask(task.id, {
+      status: CALLBACK_STATUS.DIALING,
+      attempts: attempt,
+      lastAttemptAt: this.now(),
+      outboundCallSid: null
+    });
+
+    const query = `task=${encodeURIComponent(task.id)}`;
+    try {
+      const call = await this.dialer(task.number, `${this.baseUrl}/twilio/callback/answer?${query}`, {
+        statusCallback: `${this.baseUrl}/twilio/callback/status?${query}`,
+        statusCallbackMethod: 'POST',
+        timeout: config.callbacks.ringTimeout,
+        // Nothing is ever left on an answering machine
+        machineDetection: 'Enable'
+      });
+      await this.tasks.updateCallbackTask(task.id, { outboundCallSid: call?.sid || null });
+      await this.audit(task.id, { event: CALLBACK_EVENTS.DIALED, attempt, callSid: call?.sid || null });
+      logger.info('Callback placed', { taskId: task.id, attempt });
+      return true;
+    } catch (error) {
+      logger.error('Error placing callback:', { taskId: task.id, attempt, error: error.message });
+      await this.recordMissed(task.id, MISSED_REASONS.DIAL_ERROR);
+      return false;
+    }
+  }
+
+  // A call whose status callback never came (e.g. a restart mid-call) must not block the task
+  async expireStaleAttempts(at) {
+    const cutoff = at.getTime() - config.callbacks.staleAfterMs;
+    const stale = (await this.tasks.listCallbackTasks())
+      .filter(task => task.status === CALLBACK_STATUS.DIALING && task.lastAttemptAt <= cutoff);
+    for (const task of stale) {
+      await this.recordMissed(task.id, MISSED_REASONS.STALE);
+    }
+  }
+
+  /**
+   * The attempt reached nobody who gave the code word: try again later, or give up
+   * @param {string} taskId - Callback task
+   * @param {string} reason - Twilio call status or MISSED_REASONS value
+   * @param {Object} [details] - Extra audit fields, e.g. { callSid }
+   * @returns {Promise<Object|null>} Updated task
+   */
+  async recordMissed(taskId, reason, details = {}) {
+    const task = await this.tasks.getCallbackTask(taskId);
+    if (!task) return null;
+    const attempt = task.attempts || 0;
+
+    if (attempt >= this.maxAttempts) {
+      const failed = await this.tasks.updateCallbackTask(taskId, { status: CALLBACK_STATUS.FAILED, nextAttemptAt: null });
+      await this.audit(taskId, { event: CALLBACK_EVENTS.FAILED, attempt, reason, ...details });
+      logger.info('Callback given up', { taskId, attempts: attempt, reason });
+      return failed;
+    }
+
+    const nextAttemptAt = this.now() + getRetryDelay(attempt);
+    const pending = await this.tasks.updateCallbackTask(taskId, { status: CALLBACK_STATUS.PENDING, nextAttemptAt });
+    await this.audit(taskId, { event: CALLBACK_EVENTS.MISSED, attempt, reason, nextAttemptAt: new Date(nextAttemptAt).toISOString(), ...details });
+    logger.info('Callback missed, will retry', { taskId, attempt, reason });
+    return pending;
+  }
+
+  /**
+   * @param {string} taskId - Callback task
+   * @param {string} status - CALLBACK_STATUS value
+   * @param {string} event - CALLBACK_EVENTS value for the audit trail
+   * @param {Object} [details] - Extra audit fields
+   * @returns {Promise<Object|null>} Updated task
+   */
+  async recordOutcome(taskId, status, event, details = {}) {
+    const task = await this.tasks.updateCallbackTask(taskId, { status, nextAttemptAt: null });
+    if (!task) return null;
+    await this.audit(taskId, { event, attempt: task.attempts, ...details });
+    logger.info('Callback outcome', { taskId, status, attempt: task.attempts });
+    return task;
+  }
+
+  async audit(taskId, entry) {
+    const record = (await this.store.get(CALLBACK_AUDIT_NAMESPACE, taskId)) || { taskId, events: [] };
+    const event = { ...entry, at: new Date(this.now()).toISOString() };
+    await this.store.set(CALLBACK_AUDIT_NAMESPACE, taskId, { ...record, events: [...record.events, event] }, { ttlMs: config.callbacks.auditTtlMs });
+    return event;
+  }
+
+  /**
+   * Every recorded attempt, oldest first; numbers and code words are never part of it
+   * @param {Object} [filters]
+   * @param {string} [filters.taskId] - Only this task
+   * @param {Date|string} [filters.since] - Only events at or after this time
+   * @returns {Promise<Array<Object>>} Events with their taskId
+   */
+  async exportAuditTrail({ taskId = null, since = null } = {}) {
+    const records = taskId
+      ? [await this.store.get(CALLBACK_AUDIT_NAMESPACE, taskId)].filter(Boolean)
+      : (await this.store.entries(CALLBACK_AUDIT_NAMESPACE)).map(record => record.value);
+    const sinceTime = since ? new Date(since).getTime() : null;
+
+    return records
+      .flatMap(record => record.events.map(event => ({ taskId: record.taskId, ...event })))
+      .filter(event => sinceTime === null || Date.parse(event.at) >= sinceTime)
+      .sort((a, b) => a.at.localeCompare(b.at));
+  }
+
+  /**
+   * A request being put together over several texts
+   * @param {string} phoneNumber - Number that texted
+   * @returns {Promise<Object|null>} { step, window? }
+   */
+  async getSmsRequest(phoneNumber) {
+    return this.store.get(CALLBACK_REQUEST_NAMESPACE, phoneNumber);
+  }
+
+  async saveSmsRequest(phoneNumber, request) {
+    await this.store.set(CALLBACK_REQUEST_NAMESPACE, phoneNumber, request, { ttlMs: config.callbacks.smsRequestTtlMs });
+  }
+
+  async clearSmsRequest(phoneNumber) {
+    await this.store.delete(CALLBACK_REQUEST_NAMESPACE, phoneNumber);
+  }
+
+  start(intervalMs = config.callbacks.intervalMs) {
+    this.stop();
+    this.timer = setInterval(() => {
+      // A slow run is not overlapped by the next tick
+      if (this.running) return;
+      this.running = this.runDue()
+        .catch(error => logger.error('Error placing due callbacks:', error))
+        .finally(() => { this.running = null; });
+    }, intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+let sharedScheduler = null;
+
+/**
+ * @returns {CallbackScheduler} Process-wide callback scheduler
+ */
+export function getCallbackScheduler() {
+  if (!sharedScheduler) {
+    sharedScheduler = new CallbackScheduler();
+  }
+  return sharedScheduler;
+}
+
+/**
+ * Start placing due callbacks in the background, unless CALLBACKS_ENABLED=false
+ * @returns {boolean} Whether the scheduler was started
+ */
+export function startCallbackScheduler() {
+  if (!config.callbacks.enabled) return false;
+  getCallbackScheduler().start();
+  return true;
+}
+
+/**
+ * Replace the process-wide callback scheduler (tests)
+ * @param {CallbackScheduler|null} scheduler - Scheduler, or null to recreate from config
+ */
+export function setCallbackScheduler(scheduler) {
+  sharedScheduler?.stop();
+  sharedScheduler = scheduler;
+}
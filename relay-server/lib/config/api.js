@@ -54,7 +54,9 @@ export const apiConfig = {
     timeout: parseInt(process.env.GEOCODING_TIMEOUT) || 5000, // Reduced for faster response
     cacheTtl: parseInt(process.env.GEOCODING_CACHE_TTL) || 1000 * 60 * 60 * 24, // 24 hours
     maxCacheSize: parseInt(process.env.GEOCODING_MAX_CACHE_SIZE) || 1000,
-    userAgent: 'DomesticViolenceAssistant/1.0'
+    userAgent: 'DomesticViolenceAssistant/1.0',
+    // JSON file of { "location": { latitude, longitude, ... } } used by the 'stub' provider (tests, offline)
+    stubFile: process.env.GEOCODING_STUB_FILE || null
   },
   
   // Rate Limiting Configuration
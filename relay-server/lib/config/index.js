@@ -48,7 +48,195 @@ export const config = {
     multilingualSupport: process.env.MULTILINGUAL_SUPPORT === 'true',
     callSummaries: process.env.CALL_SUMMARIES === 'true'
   },
-  
+
+  // Caller Safety
+  safety: {
+    quickExit: {
+      enabled: process.env.QUICK_EXIT_ENABLED !== 'false',
+      // Keypad keys that end the call immediately (comma separated)
+      dtmfKeys: (process.env.QUICK_EXIT_DTMF_KEYS || '*,0').split(',').map(key => key.trim()).filter(Boolean),
+      // Spoken safe words/phrases that end the call immediately when said on their own (comma separated)
+      safeWords: (process.env.QUICK_EXIT_SAFE_WORDS || 'pineapple,wrong number,sorry wrong number').split(',').map(word => word.trim().toLowerCase()).filter(Boolean)
+    }
+  },
+
+  // Caller language - see lib/languageDetection.js
+  language: {
+    // Switch to another supported language when the first utterances are clearly in it
+    autoDetect: process.env.LANGUAGE_AUTO_DETECT !== 'false',
+    // Caller turns the automatic detection looks at
+    detectionTurns: parseInt(process.env.LANGUAGE_DETECTION_TURNS) || 2,
+    // Read a keypad language menu ("para español, oprima 2") after the welcome
+    dtmfMenu: process.env.LANGUAGE_DTMF_MENU === 'true'
+  },
+
+  // Real-time media streams: "stream" answers over a <Connect><Stream> WebSocket,
+  // "gather" keeps the <Gather> turns; a call can pick either with ?mode= on the voice webhook
+  streaming: {
+    defaultMode: process.env.VOICE_MODE === 'stream' ? 'stream' : 'gather',
+    // wss:// URL Twilio connects to; defaults to /twilio-stream on the webhook's host
+    url: process.env.STREAM_URL || null,
+    // Failed transcriptions or replies in a row before the call drops back to <Gather>
+    maxFailures: parseInt(process.env.STREAM_MAX_FAILURES) || 2,
+    // Signs the token each stream must present; without it a random per-process key is used,
+    // which only works when the same server answers the webhook and the stream
+    tokenSecret: process.env.STREAM_TOKEN_SECRET || null,
+    // How long after the voice webhook a stream may still start with its token
+    tokenTtlMs: parseInt(process.env.STREAM_TOKEN_TTL_MS) || 5 * 60 * 1000,
+    // Sockets that haven't sent a valid start event by then are closed
+    startTimeoutMs: parseInt(process.env.STREAM_START_TIMEOUT_MS) || 10000,
+    vad: {
+      // RMS level of a 16-bit frame above which it counts as speech
+      energyThreshold: parseInt(process.env.VAD_ENERGY_THRESHOLD) || 600,
+      // Speech needed before the caller is taken to be talking (and can interrupt playback)
+      speechStartMs: parseInt(process.env.VAD_SPEECH_START_MS) || 200,
+      // Silence that ends an utterance
+      silenceEndMs: parseInt(process.env.VAD_SILENCE_END_MS) || 700,
+      // Audio kept from before speech started so the first syllable isn't cut off
+      preRollMs: parseInt(process.env.VAD_PRE_ROLL_MS) || 200,
+      // Longer speech is transcribed in chunks of this length while the caller keeps talking
+      maxChunkMs: parseInt(process.env.VAD_MAX_CHUNK_MS) || 8000
+    }
+  },
+
+  // Per-call State Storage
+  storage: {
+    // memory | file | sqlite - persistent drivers require an encryption key
+    driver: process.env.CONTEXT_STORE_DRIVER || (process.env.CONTEXT_ENCRYPTION_KEY ? 'file' : 'memory'),
+    // 32-byte AES-256-GCM key, base64 or hex encoded
+    encryptionKey: process.env.CONTEXT_ENCRYPTION_KEY || null,
+    fileDirectory: process.env.CONTEXT_STORE_DIR || './cache/contexts',
+    sqlitePath: process.env.CONTEXT_STORE_SQLITE_PATH || './cache/context-store.db',
+    // Hard TTL: records are removed this long after they were first written, regardless of activity
+    ttlMs: parseInt(process.env.CONTEXT_STORE_TTL_MS) || 2 * 60 * 60 * 1000, // 2 hours
+    purgeIntervalMs: parseInt(process.env.CONTEXT_STORE_PURGE_INTERVAL_MS) || 5 * 60 * 1000 // 5 minutes
+  },
+
+  // Local Resource Directory
+  resources: {
+    // Curated local shelters and services (JSON produced by scripts/import-resources.js)
+    directoryFile: process.env.RESOURCE_DIRECTORY_FILE || './data/resource-directory.json',
+    // Built-in verified national hotlines, always available offline
+    nationalFile: process.env.NATIONAL_RESOURCES_FILE || './data/national-resources.json',
+    distanceRanking: {
+      enabled: process.env.DISTANCE_RANKING_ENABLED !== 'false',
+      // Results farther than this from the caller are dropped
+      radiusMiles: parseFloat(process.env.RESOURCE_SEARCH_RADIUS_MILES) || 50,
+      // Cap on address lookups per search (Nominatim allows about one request per second)
+      maxGeocodeLookups: parseInt(process.env.DISTANCE_MAX_GEOCODE_LOOKUPS) || 5
+    }
+  },
+
+  // Warm Transfer to a Human Advocate
+  transfer: {
+    enabled: process.env.WARM_TRANSFER_ENABLED !== 'false',
+    // Routing table: { language: { region: number } }, "default" keys as fallbacks
+    routesFile: process.env.TRANSFER_ROUTES_FILE || './data/transfer-routes.json',
+    onEmergency: process.env.TRANSFER_ON_EMERGENCY !== 'false',
+    // Consecutive low-confidence transcriptions before handing the caller to a person
+    lowConfidenceTurns: parseInt(process.env.TRANSFER_LOW_CONFIDENCE_TURNS) || 3,
+    dialTimeout: parseInt(process.env.TRANSFER_DIAL_TIMEOUT) || 20, // seconds
+    voicemailMaxLength: parseInt(process.env.VOICEMAIL_MAX_LENGTH) || 120, // seconds
+    callerId: process.env.TRANSFER_CALLER_ID || null
+  },
+
+  // Emergency numbers and hotlines by country and state (see data/regions.json)
+  regions: {
+    registryFile: process.env.REGION_REGISTRY_FILE || './data/regions.json',
+    // Country used until the caller's location or phone number says otherwise
+    defaultCountry: process.env.DEFAULT_COUNTRY || 'US',
+    // Geocode the caller's location when the country isn't named in it
+    geocode: process.env.REGION_GEOCODING !== 'false'
+  },
+
+  // Caller location as a slot (see lib/locationSlot.js)
+  location: {
+    // Locations we are less sure of than this are read back before searching
+    confirmBelow: parseFloat(process.env.LOCATION_CONFIRM_BELOW) || 0.75,
+    // Ask the geocoder for the state or country the caller left out
+    geocode: process.env.LOCATION_GEOCODING !== 'false'
+  },
+
+  // Per-turn dialogue traces for GET /admin/calls/:callSid/trace (see lib/dialogueTrace.js), kept in memory only
+  trace: {
+    enabled: process.env.DIALOGUE_TRACE_ENABLED !== 'false',
+    maxCalls: parseInt(process.env.DIALOGUE_TRACE_MAX_CALLS) || 200,
+    maxTurnsPerCall: parseInt(process.env.DIALOGUE_TRACE_MAX_TURNS) || 100,
+    ttlMs: parseInt(process.env.DIALOGUE_TRACE_TTL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+    // LLM prompts, TwiML and other long texts are cut to this many characters
+    maxTextLength: parseInt(process.env.DIALOGUE_TRACE_MAX_TEXT) || 4000
+  },
+
+  // Advocate Staffing Schedule (see data/staffing-schedule.example.json); no file means always staffed
+  schedule: {
+    file: process.env.STAFFING_SCHEDULE_FILE || './data/staffing-schedule.json'
+  },
+
+  // Two-way SMS conversations
+  sms: {
+    // Longest reply, in single-segment texts; the last part is cut off with "..."
+    maxParts: parseInt(process.env.SMS_MAX_PARTS) || 4,
+    // Per-caller discreet mode and delivery window
+    preferenceTtlMs: parseInt(process.env.SMS_PREFERENCE_TTL_MS) || 90 * 24 * 60 * 60 * 1000, // 90 days
+    // Consent ledger (grants, STOP/START, HELP) - must outlive everything else we keep about a number
+    consentTtlMs: parseInt(process.env.SMS_CONSENT_TTL_MS) || 10 * 365 * 24 * 60 * 60 * 1000, // 10 years
+    // Links in discreet texts are swapped for short links that stop working after this
+    linkTtlMs: parseInt(process.env.SMS_LINK_TTL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+    // Texts waiting for the caller's window are dropped if it never opens
+    scheduledTtlMs: parseInt(process.env.SMS_SCHEDULED_TTL_MS) || 48 * 60 * 60 * 1000, // 48 hours
+    deliveryIntervalMs: parseInt(process.env.SMS_DELIVERY_INTERVAL_MS) || 60 * 1000 // 1 minute
+  },
+
+  // Admin endpoints (/admin) - disabled unless a token is set
+  admin: {
+    apiToken: process.env.ADMIN_API_TOKEN || null
+  },
+
+  // Twilio webhook signatures (X-Twilio-Signature) on every /twilio route except /twilio/web/process
+  webhooks: {
+    // "enforce" checks against TWILIO_AUTH_TOKEN; "test" checks against testAuthToken so tests can
+    // sign fixtures; "off" skips the check and is ignored in production
+    signatureMode: process.env.TWILIO_SIGNATURE_VALIDATION || (process.env.NODE_ENV === 'test' ? 'test' : 'enforce'),
+    testAuthToken: process.env.TWILIO_TEST_AUTH_TOKEN || 'test-twilio-auth-token',
+    // Public URL Twilio is configured with, e.g. https://hotline.example.org, including any path
+    // prefix a proxy strips; without it the URL is rebuilt from X-Forwarded-Proto/Host/Port
+    publicBaseUrl: process.env.TWILIO_WEBHOOK_BASE_URL || null,
+    // A request whose signature (and idempotency token) was already accepted this recently is a replay
+    replayWindowMs: parseInt(process.env.TWILIO_REPLAY_WINDOW_MS) || 10 * 60 * 1000
+  },
+
+  // Voicemail and Safe Callbacks - recordings are kept in the encrypted context store
+  voicemail: {
+    enabled: process.env.VOICEMAIL_ENABLED !== 'false',
+    // Hard retention for recordings, transcripts and callback tasks
+    retentionMs: parseInt(process.env.VOICEMAIL_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000, // 7 days
+    // Delete Twilio's copy once the recording is stored locally
+    deleteRemoteRecording: process.env.VOICEMAIL_DELETE_REMOTE_RECORDING !== 'false',
+    // Bounds for open-ended windows such as "after 6" or "before noon"
+    callbackDayStart: process.env.CALLBACK_DAY_START || '09:00',
+    callbackDayEnd: process.env.CALLBACK_DAY_END || '21:00'
+  },
+
+  // Outbound safe callbacks, placed only inside the caller's window
+  callbacks: {
+    enabled: process.env.CALLBACKS_ENABLED !== 'false',
+    // How often due callbacks are looked for
+    intervalMs: parseInt(process.env.CALLBACK_INTERVAL_MS) || 60 * 1000, // 1 minute
+    // Calls placed per task before giving up
+    maxAttempts: parseInt(process.env.CALLBACK_MAX_ATTEMPTS) || 3,
+    // Wait after a missed call, doubling each time up to the cap
+    retryBaseMs: parseInt(process.env.CALLBACK_RETRY_BASE_MS) || 15 * 60 * 1000, // 15 minutes
+    retryMaxMs: parseInt(process.env.CALLBACK_RETRY_MAX_MS) || 2 * 60 * 60 * 1000, // 2 hours
+    // Seconds to ring before Twilio reports no-answer
+    ringTimeout: parseInt(process.env.CALLBACK_RING_TIMEOUT) || 25,
+    // A call still "dialing" this long after it was placed lost its status callback and counts as missed
+    staleAfterMs: parseInt(process.env.CALLBACK_STALE_AFTER_MS) || 15 * 60 * 1000,
+    // Audit entries are kept longer than the tasks they describe
+    auditTtlMs: parseInt(process.env.CALLBACK_AUDIT_TTL_MS) || 90 * 24 * 60 * 60 * 1000, // 90 days
+    // SMS requests left half-answered are forgotten after this
+    smsRequestTtlMs: parseInt(process.env.CALLBACK_SMS_REQUEST_TTL_MS) || 30 * 60 * 1000
+  },
+
   // Timeouts and Limits
   timeouts: {
     conversation: parseInt(process.env.CONVERSATION_TIMEOUT) || 15 * 60 * 1000, // 15 minutes
@@ -28,7 +28,11 @@ export const ttsConfig = {
       'en-US': ['Joanna', 'Matthew', 'Ivy', 'Justin'],
       'es-ES': ['Lupe', 'Pedro'],
       'fr-FR': ['Lea', 'Remi'],
-      'de-DE': ['Vicki', 'Daniel']
+      'de-DE': ['Vicki', 'Daniel'],
+      'cmn-CN': ['Zhiyu'],
+      'ko-KR': ['Seoyeon'],
+      'arb': ['Zeina'],
+      'pt-BR': ['Camila', 'Vitoria', 'Thiago']
     }
   },
   
@@ -74,6 +78,27 @@ export const ttsConfig = {
       openaiVoice: 'onyx',
       pollyVoice: 'Vicki',
       languageCode: 'de-DE'
+    },
+    // Polly has no Vietnamese, Tagalog or Haitian Creole voice, so those fall back to English
+    'zh-CN': {
+      openaiVoice: 'shimmer',
+      pollyVoice: 'Zhiyu',
+      languageCode: 'cmn-CN'
+    },
+    'ko-KR': {
+      openaiVoice: 'alloy',
+      pollyVoice: 'Seoyeon',
+      languageCode: 'ko-KR'
+    },
+    'ar-SA': {
+      openaiVoice: 'shimmer',
+      pollyVoice: 'Zeina',
+      languageCode: 'arb'
+    },
+    'pt-BR': {
+      openaiVoice: 'nova',
+      pollyVoice: 'Camila',
+      languageCode: 'pt-BR'
     }
   }
 };
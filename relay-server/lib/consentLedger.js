@@ -0,0 +1,210 @@
+/**
+ * SMS Consent Ledger
+ * One record per phone number with every consent event - who agreed, how
+ * (on a call or by text), to what, and when it was revoked. STOP always wins
+ * until the number texts START or UNSTOP again. Records live in the encrypted
+ * context store and are kept for config.sms.consentTtlMs.
+ */
+
+import { config } from './config/index.js';
+import { smsConversationConfig } from './conversationConfig.js';
+import { getContextStore } from './storage/contextStore.js';
+import logger from './logger.js';
+
+export const SMS_CONSENT_NAMESPACE = 'smsConsent';
+
+export const CONSENT_SOURCES = {
+  VOICE: 'voice',
+  SMS: 'sms'
+};
+
+// What a number agreed to receive; "all" comes from texting START
+export const CONSENT_SCOPES = {
+  CALL_SUMMARY: 'call_summary',
+  SAFETY_PLAN: 'safety_plan',
+  FOLLOW_UP: 'follow_up',
+  ALL: 'all'
+};
+
+export const CONSENT_STATUS = {
+  GRANTED: 'granted',
+  REVOKED: 'revoked'
+};
+
+export const CONSENT_EVENTS = {
+  GRANTED: 'granted',
+  REVOKED: 'revoked',
+  HELP: 'help'
+};
+
+// Why a send was refused
+export const CONSENT_BLOCK_REASONS = {
+  OPTED_OUT: 'opted_out',
+  NO_CONSENT: 'no_consent'
+};
+
+export class ConsentLedger {
+  /**
+   * @param {Object} [options]
+   * @param {ContextStore} [options.store] - Store to use instead of the shared context store
+   * @param {number} [options.ttlMs] - How long a number's record is kept
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ store = null, ttlMs = config.sms.consentTtlMs, now = Date.now } = {}) {
+    this.storeOverride = store;
+    this.ttlMs = ttlMs;
+    this.now = now;
+  }
+
+  get store() {
+    return this.storeOverride || getContextStore();
+  }
+
+  /**
+   * @param {string} phoneNumber - E.164 number
+   * @returns {Promise<Object|null>} { phoneNumber, status, scopes, events }
+   */
+  async getRecord(phoneNumber) {
+    return this.store.get(SMS_CONSENT_NAMESPACE, phoneNumber);
+  }
+
+  async appendEvent(phoneNumber, event, update) {
+    const record = (await this.getRecord(phoneNumber)) || { phoneNumber, status: null, scopes: [], events: [] };
+    const entry = {
+      type: event.type,
+      source: event.source,
+      scope: event.scope || null,
+      keyword: event.keyword || null,
+      callSid: event.callSid || null,
+      at: new Date(this.now()).toISOString()
+    };
+    const next = { ...record, ...update(record), events: [...record.events, entry] };
+    await this.store.set(SMS_CONSENT_NAMESPACE, phoneNumber, next, { ttlMs: this.ttlMs });
+    logger.info('SMS consent event recorded', { type: event.type, source: event.source, scope: event.scope || null });
+    return next;
+  }
+
+  /**
+   * Record that a number agreed to texts
+   * A number that texted STOP stays opted out: only texting START or UNSTOP
+   * lifts it, and a grant from anywhere else (a "yes" on a call, a texted
+   * "yes") leaves the record untouched.
+   * @param {string} phoneNumber - E.164 number
+   * @param {Object} consent
+   * @param {string} consent.source - CONSENT_SOURCES value
+   * @param {string} consent.scope - CONSENT_SCOPES value
+   * @param {string} [consent.callSid] - Call the consent was given on
+   * @param {string} [consent.keyword] - Keyword texted, e.g. "START"
+   * @returns {Promise<Object>} Updated record, still REVOKED if the grant could not lift a STOP
+   */
+  async grant(phoneNumber, { source, scope, callSid = null, keyword = null }) {
+    const record = await this.getRecord(phoneNumber);
+    const optsBackIn = source === CONSENT_SOURCES.SMS
+      && smsConversationConfig.optInKeywords.includes(String(keyword || '').toLowerCase());
+    if (record?.status === CONSENT_STATUS.REVOKED && !optsBackIn) {
+      logger.info('SMS consent grant ignored for opted-out number', { source, scope });
+      return record;
+    }
+    return this.appendEvent(phoneNumber, { type: CONSENT_EVENTS.GRANTED, source, scope, callSid, keyword }, record => ({
+      status: CONSENT_STATUS.GRANTED,
+      // Consent given before a STOP does not come back with a new grant
+      scopes: [...new Set([...(record.status === CONSENT_STATUS.REVOKED ? [] : record.scopes), scope])]
+    }));
+  }
+
+  /**
+   * Record that a number withdrew consent (STOP); covers every scope
+   * @param {string} phoneNumber - E.164 number
+   * @param {Object} revocation
+   * @param {string} revocation.source - CONSENT_SOURCES value
+   * @param {string} [revocation.keyword] - Keyword texted, e.g. "STOP"
+   * @param {string} [revocation.callSid] - Call the consent was withdrawn on
+   * @returns {Promise<Object>} Updated record
+   */
+  async revoke(phoneNumber, { source, keyword = null, callSid = null }) {
+    return this.appendEvent(phoneNumber, { type: CONSENT_EVENTS.REVOKED, source, keyword, callSid }, () => ({
+      status: CONSENT_STATUS.REVOKED,
+      scopes: []
+    }));
+  }
+
+  /**
+   * Record a HELP request, which must be answered whatever the consent status
+   * @param {string} phoneNumber - E.164 number
+   * @param {Object} [help]
+   * @param {string} [help.keyword] - Keyword texted
+   * @returns {Promise<Object>} Updated record
+   */
+  async recordHelp(phoneNumber, { keyword = null } = {}) {
+    return this.appendEvent(phoneNumber, { type: CONSENT_EVENTS.HELP, source: CONSENT_SOURCES.SMS, keyword }, () => ({}));
+  }
+
+  /**
+   * Why a text to a number may not be sent
+   * Without a scope only a STOP blocks the send; with one, the number must
+   * also have agreed to that kind of text.
+   *
+   * @param {string} phoneNumber - E.164 number
+   * @param {Object} [options]
+   * @param {string} [options.scope] - CONSENT_SCOPES value the text belongs to
+   * @returns {Promise<string|null>} CONSENT_BLOCK_REASONS value, or null if the send is allowed
+   */
+  async getBlockReason(phoneNumber, { scope = null } = {}) {
+    const record = await this.getRecord(phoneNumber);
+    if (record?.status === CONSENT_STATUS.REVOKED) {
+      return CONSENT_BLOCK_REASONS.OPTED_OUT;
+    }
+    if (scope && !(record?.status === CONSENT_STATUS.GRANTED && (record.scopes.includes(scope) || record.scopes.includes(CONSENT_SCOPES.ALL)))) {
+      return CONSENT_BLOCK_REASONS.NO_CONSENT;
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} phoneNumber - E.164 number
+   * @param {Object} [options] - See getBlockReason
+   * @returns {Promise<boolean>}
+   */
+  async canSend(phoneNumber, options = {}) {
+    return (await this.getBlockReason(phoneNumber, options)) === null;
+  }
+
+  /**
+   * Every consent event, oldest first
+   * @param {Object} [filters]
+   * @param {string} [filters.phoneNumber] - Only this number
+   * @param {Date|string} [filters.since] - Only events at or after this time
+   * @returns {Promise<Array<Object>>} Events with their phoneNumber
+   */
+  async exportAuditTrail({ phoneNumber = null, since = null } = {}) {
+    const records = phoneNumber
+      ? [await this.getRecord(phoneNumber)].filter(Boolean)
+      : (await this.store.entries(SMS_CONSENT_NAMESPACE)).map(record => record.value);
+    const sinceTime = since ? new Date(since).getTime() : null;
+
+    return records
+      .flatMap(record => record.events.map(event => ({ phoneNumber: record.phoneNumber, ...event })))
+      .filter(event => sinceTime === null || Date.parse(event.at) >= sinceTime)
+      .sort((a, b) => a.at.localeCompare(b.at));
+  }
+}
+
+let sharedLedger = null;
+
+/**
+ * @returns {ConsentLedger} Process-wide consent ledger
+ */
+export function getConsentLedger() {
+  if (!sharedLedger) {
+    sharedLedger = new ConsentLedger();
+  }
+  return sharedLedger;
+}
+
+/**
+ * Replace the process-wide consent ledger (tests)
+ * @param {ConsentLedger|null} ledger - Ledger, or null to recreate from config
+ */
+export function setConsentLedger(ledger) {
+  sharedLedger = ledger;
+}
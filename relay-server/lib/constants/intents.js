@@ -27,7 +27,20 @@ export const INTENTS = {
   GOODBYE: 'goodbye',
   THANK_YOU: 'thank_you',
   REPEAT: 'repeat',
-  CLARIFICATION: 'clarification'
+  CLARIFICATION: 'clarification',
+
+  // Intents returned by the classifier (lib/intentClassifier.js)
+  EMERGENCY_HELP: 'emergency_help',
+  LEGAL_SERVICES: 'legal_services',
+  COUNSELING_SERVICES: 'counseling_services',
+  OTHER_RESOURCES: 'other_resources',
+  GENERAL_INFORMATION: 'general_information',
+  PROVIDE_LOCATION: 'provide_location',
+  END_CONVERSATION: 'end_conversation',
+  TALK_TO_PERSON: 'talk_to_person',
+  LEAVE_MESSAGE: 'leave_message',
+  COVER_STORY: 'cover_story',
+  RESUME_CONVERSATION: 'resume_conversation'
 };
 
 // Intent Categories
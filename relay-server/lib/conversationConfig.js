@@ -1,4 +1,7 @@
-export const welcomeMessage = `Hello, and thank you for reaching out. I'm here to help you find support and resources. Are you in immediate danger right now? If so, please call 911. Otherwise, what brings you to call today?`;
+import { INTENTS } from './constants/intents.js';
+
+// {{emergencyNumber}} is filled from the caller's region (see regionRegistry.js)
+export const welcomeMessage = `Hello, and thank you for reaching out. I'm here to help you find support and resources. Are you in immediate danger right now? If so, please call {{emergencyNumber}}. Otherwise, what brings you to call today?`;
 
 export const voiceInstructions = `======== CONVERSATION CONTEXT ========
 {{conversation_context}}
@@ -269,4 +272,335 @@ Personality:
 - Be patient and understanding of different communication styles
 - Show compassion while maintaining professional boundaries
 - Use clear, simple language while being thorough
-- Be proactive in offering help and alternatives`; 
\ No newline at end of file
+- Be proactive in offering help and alternatives`; 
+/**
+ * Cover story ("decoy") mode
+ * When the caller says a trigger phrase the assistant switches to an innocuous
+ * persona until they say a resume phrase. Persona turns never mention abuse,
+ * shelters or hotlines and are never recorded in the conversation context.
+ */
+export const coverStoryConfig = {
+  // Phrase (lowercase, no punctuation) -> persona key
+  triggerPhrases: {
+    'i would like to refill my prescription': 'pharmacy',
+    'i want to refill my prescription': 'pharmacy',
+    'is my prescription ready': 'pharmacy',
+    'what is the weather going to be like tomorrow': 'weather',
+    'what is the forecast for tomorrow': 'weather'
+  },
+  resumePhrases: [
+    'it is safe now',
+    'its safe now',
+    'i can talk now',
+    'okay i can talk now'
+  ],
+  resumeMessage: "Okay, I'm still here. We can pick up where we left off whenever you're ready.",
+  personas: {
+    pharmacy: {
+      name: 'Pharmacy refill line',
+      greeting: 'Thank you for calling the pharmacy refill line. Can I have the name on the prescription, please?',
+      instructions: `You are a friendly automated pharmacy refill line. Keep every reply to one or two short sentences.
+Talk only about prescription refills, pickup times, store hours and insurance questions.
+Never mention abuse, violence, safety, shelters, hotlines, support services or that this is anything other than a pharmacy line.
+If asked something you cannot answer, say a pharmacist can help at pickup.`,
+      fallbackReplies: [
+        'Thank you. Your refill request has been noted and should be ready for pickup in about two hours.',
+        'Our pharmacy is open until nine tonight. Is there anything else I can help you with on your refill?',
+        'A pharmacist can go over that with you at pickup. Anything else on your prescription today?'
+      ]
+    },
+    weather: {
+      name: 'Weather line',
+      greeting: "Thanks for calling the weather line. Which city's forecast would you like?",
+      instructions: `You are a friendly automated weather information line. Keep every reply to one or two short sentences.
+Talk only about general weather, temperatures and whether to bring an umbrella. Give mild, plausible, non-specific forecasts.
+Never mention abuse, violence, safety, shelters, hotlines, support services or that this is anything other than a weather line.`,
+      fallbackReplies: [
+        'Tomorrow looks partly cloudy with a high in the low seventies and a light breeze.',
+        'There is a small chance of showers in the afternoon, so an umbrella would not hurt.',
+        'The weekend is looking mild and mostly dry. Would you like the forecast for another day?'
+      ]
+    }
+  }
+};
+
+/**
+ * Guided safety planning
+ * Walks the caller through the standard safety-plan sections one at a time.
+ * The finished plan can be texted to the caller; the text uses neutral
+ * to-do list labels and never mentions abuse or safety planning.
+ */
+export const safetyPlanConfig = {
+  sections: [
+    {
+      id: 'safePlaces',
+      title: 'Safe places',
+      prompt: 'First, think of a place you could go quickly if you needed to leave, like a friend or relative\'s home, or a public place that is open late. Where could you go?',
+      smsLabel: 'Places'
+    },
+    {
+      id: 'trustedContacts',
+      title: 'Trusted contacts',
+      prompt: 'Next, who are one or two people you trust and could call for help? You can just give first names.',
+      smsLabel: 'People to call'
+    },
+    {
+      id: 'goBag',
+      title: 'Go-bag',
+      prompt: 'It helps to keep a bag ready with things like medicine, a phone charger, spare keys, some cash and a change of clothes. What would you put in yours, and where could you keep it?',
+      smsLabel: 'Bag'
+    },
+    {
+      id: 'documents',
+      title: 'Important documents',
+      prompt: 'Which documents would you want to take, like your ID, birth certificates, insurance cards or bank details? Is there somewhere safe you could keep copies?',
+      smsLabel: 'Papers'
+    },
+    {
+      id: 'children',
+      title: 'Children',
+      prompt: 'If you have children, what would you like them to know or do, such as where to go or who to call? If this doesn\'t apply, just say skip.',
+      smsLabel: 'Kids'
+    },
+    {
+      id: 'codeWord',
+      title: 'Code word',
+      prompt: 'Last, choose a code word you can say or text to someone you trust so they know you need help. What word would you like to use?',
+      smsLabel: 'Word'
+    }
+  ],
+  // Spoken commands (lowercase) recognised while the plan is in progress
+  commands: {
+    skip: ['skip', 'skip it', 'skip this', 'next', 'next question', 'pass', 'i dont know', 'not sure'],
+    repeat: ['repeat', 'repeat that', 'say that again', 'can you repeat that', 'what was the question', 'pardon', 'sorry what'],
+    stop: ['stop the plan', 'stop the safety plan', 'pause', 'pause the plan', 'lets stop', 'stop for now', 'cancel the plan', 'not now']
+  },
+  messages: {
+    intro: "Let's make a safety plan together. I'll ask about a few things one at a time. You can say skip, repeat, or stop for now at any point.",
+    resume: "Welcome back. Let's pick up your safety plan where we left off.",
+    paused: "Okay, we'll stop here for now. Your answers are saved for this call, so just say safety plan when you'd like to continue.",
+    summaryIntro: 'Here is your safety plan.',
+    emptySummary: 'We skipped every section, so there is nothing to save yet. You can start again any time.',
+    smsOffer: 'Would you like me to text you a copy? It will read like an ordinary to-do list and won\'t mention safety planning. Only say yes if no one else reads your messages.',
+    smsSent: "Okay, I've sent it. Is there anything else I can help you with?",
+    smsDeclined: "Okay, I won't send anything. Is there anything else I can help you with?",
+    smsFailed: "I'm sorry, I wasn't able to send the text. Is there anything else I can help you with?",
+    smsOptedOut: "This number has opted out of our texts, so I won't send one. Is there anything else I can help you with?",
+    smsClarify: 'Sorry, I didn\'t catch that. Would you like me to text you a copy of your plan? Please say yes or no.',
+    closing: 'Is there anything else I can help you with?'
+  },
+  smsHeader: 'Your list:',
+  // Longest answer kept per section
+  maxAnswerLength: 300
+};
+
+/**
+ * Warm transfer to a human advocate or hotline
+ * The caller hears `messages`; the advocate hears the whisper before the
+ * two calls are bridged. Outside staffed hours the caller is offered voicemail.
+ * {{emergencyNumber}} and {{hotlineNumber}} are the caller's region's numbers.
+ */
+export const warmTransferConfig = {
+  messages: {
+    caller_request: "Of course. I'm connecting you with an advocate now. Please stay on the line.",
+    emergency: "I'm connecting you with an advocate right now. If you are in immediate danger, hang up and call {{emergencyNumber}}.",
+    low_confidence: "I'm having trouble understanding, so I'm going to connect you with an advocate who can help. Please stay on the line.",
+    failed: "I'm sorry, I wasn't able to reach an advocate just now. I'm still here with you. What can I help you with?",
+    unavailable: "I'm sorry, I can't connect you to a person right now. You can call the domestic violence hotline at {{hotlineNumber}} any time. What can I help you with?",
+    voicemail: "Our advocates aren't available right now, but you can leave them a message. Please speak after the tone, and press any key when you're done."
+  },
+  whisper: {
+    intro: 'Incoming transfer from the support line.',
+    reasons: {
+      caller_request: 'The caller asked to speak with a person.',
+      emergency: 'The caller may be in immediate danger.',
+      low_confidence: 'The assistant could not understand the caller.'
+    },
+    // Intent -> short topic for "Recent topics"
+    topics: {
+      find_shelter: 'shelter',
+      legal_services: 'legal help',
+      counseling_services: 'counseling',
+      emergency_help: 'an emergency',
+      safety_plan: 'safety planning',
+      other_resources: 'other services'
+    },
+    connecting: 'Connecting now.'
+  }
+};
+
+/**
+ * Leaving a message and asking for a safe callback
+ * After the recording the caller is asked for a number and a time that are
+ * safe; no callback is set up unless both are given.
+ */
+export const voicemailConfig = {
+  messages: {
+    prompt: "Of course. You can leave a message for our advocates. Please speak after the tone, and press any key when you're done.",
+    notRecorded: "I didn't get a message. I'm still here if there's anything else I can help you with.",
+    askNumber: "Your message has been saved. If you'd like an advocate to call you back, say or enter a phone number that is safe to call, then press pound. You can say 'this number', or say no if you don't want a call.",
+    numberRetry: "Sorry, I didn't get that. Please say or enter a safe number with the area code, or say no.",
+    askTime: "What time of day is it safe for us to call? For example, 'between 2 and 4 PM', or 'after 6'.",
+    timeRetry: "Sorry, I didn't catch a time. When is it safe to call? For example, 'in the morning', or 'between 2 and 4 PM'.",
+    askCodeWord: "Last thing. Choose a code word, like the name of a color or a fruit. When we call, we'll ask for it before we say anything else. What's your code word?",
+    codeWordRetry: "Sorry, I didn't catch that. Please say one or two words you'll remember as your code word.",
+    scheduled: "Thank you. An advocate will call you back {window}, and never outside that time. We'll ask for your code word first. I'm still here if there's anything else I can help you with.",
+    noCallback: "Okay, we won't call you. Your message has been saved. I'm still here if there's anything else I can help you with.",
+    callbackFailed: "I wasn't able to set up a callback, but your message has been saved. I'm still here if there's anything else I can help you with."
+  },
+  // Tries at the number, time and code word questions before going on without a callback
+  maxAttempts: 2
+};
+
+/**
+ * Safe callbacks
+ * Whoever picks up may not be the caller, so nothing on the call says who is
+ * calling or why until the code word has been given.
+ */
+export const callbackConfig = {
+  messages: {
+    greeting: 'Hello. Please say or enter your code word.',
+    greetingRetry: "Sorry, I didn't hear you. Please say or enter your code word.",
+    wrongNumber: 'Sorry, we must have the wrong number. Goodbye.',
+    noInput: 'Sorry, I still can\'t hear you. Goodbye.',
+    verified: "Thank you. This is the support line calling you back. I'm connecting you with an advocate now. Please stay on the line.",
+    unavailable: "I'm sorry, no advocate is free right now. We'll try you again later, only at the time you gave us. Goodbye."
+  },
+  whisper: 'Scheduled callback from the support line. The caller gave their code word. Connecting now.',
+  // Texting one of these, as the whole message, asks for a callback to the number that texted
+  smsKeywords: ['call me', 'call me back', 'callback', 'call back'],
+  smsMessages: {
+    askTime: 'When is a safe time to call this number? For example: between 2 and 4 PM.',
+    timeRetry: 'Sorry, I did not get a time. Reply with something like: after 6, or in the morning.',
+    askCodeWord: 'Reply with a code word. We will ask for it before saying anything when we call.',
+    codeWordRetry: 'Please reply with one or two words to use as your code word.',
+    scheduled: 'Thanks. We will call this number {window}, and only then.',
+    failed: 'Sorry, we could not set up a call. Text CALL ME to try again.'
+  }
+};
+
+/**
+ * Two-way SMS conversations
+ * Texts go to a phone someone else may read, so replies stay short and plain.
+ * {{emergencyNumber}} and {{hotlineNumber}} are the texter's region's numbers.
+ */
+export const smsConversationConfig = {
+  messages: {
+    askLocation: 'Which city or area should I look in?',
+    askLocationPart: 'Which state or country is {location} in?',
+    confirmLocation: 'Did you mean {location}? Reply YES or NO.',
+    locationSaved: 'Thanks. What kind of help are you looking for? For example housing, legal help or counseling.',
+    talkToPerson: 'You can talk to an advocate any time at {{hotlineNumber}}.',
+    goodbye: 'Take care. You can text this number again any time.',
+    error: 'Sorry, something went wrong. You can call {{hotlineNumber}} any time for support.',
+    optOut: 'You have been unsubscribed and will not receive any more messages. Text START to subscribe again.',
+    optIn: 'You are subscribed again. Msg & data rates may apply. Text HELP for help, STOP to unsubscribe.',
+    consent: 'Thank you for your consent. You will receive follow-up messages about your call summary and support resources. Text STOP to unsubscribe.',
+    help: 'If you are in danger, call {{emergencyNumber}}. Support any time: {{hotlineNumber}}. Msg & data rates may apply. Text STOP to unsubscribe.'
+  },
+  // Carrier-standard keywords, matched against the whole message only, so "he won't stop" is never an opt-out
+  optOutKeywords: ['stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit', 'opt out'],
+  optInKeywords: ['start', 'unstop'],
+  helpKeywords: ['help', 'info'],
+  // Agreeing to the follow-up offered after a call; only outside a conversation
+  consentKeywords: ['yes', 'agree', 'consent', 'ok', 'okay', 'sure']
+};
+
+/**
+ * Conversation flow (lib/conversationFlow.js)
+ * Where each intent leads, shared by voice, SMS and web. Transitions are keyed by
+ * INTENTS; a transition is a state name, or a list of { ifMentions, target } tried
+ * in order, where ifMentions names one of the phrase lists and a rule without it
+ * always matches. A state's own transitions win over the ones listed for every state.
+ * prompt is a languageConfig prompt key and smsMessage a key of
+ * smsConversationConfig.messages; states without them are answered by a search.
+ */
+export const conversationFlowConfig = {
+  initial: 'start',
+  // Where intents no transition names go
+  fallback: 'answer',
+  states: {
+    start: {},
+    answer: {},
+    findResources: { requires: ['location'] },
+    locationSaved: { requires: ['location'], prompt: 'locationSaved', smsMessage: 'locationSaved' },
+    advocate: { smsMessage: 'talkToPerson' },
+    emergency: { priority: 'high' },
+    // A second off-topic turn in a row steers back to what we can help with
+    offTopic: {
+      prompt: 'offTopic',
+      on: {
+        [INTENTS.OFF_TOPIC]: [{ ifMentions: 'endRequest', target: 'closing' }, { target: 'reengage' }]
+      }
+    },
+    reengage: { prompt: 'reengage' },
+    closing: { prompt: 'closing', smsMessage: 'goodbye', ends: true }
+  },
+  // Transitions from every state
+  on: {
+    [INTENTS.EMERGENCY_HELP]: 'emergency',
+    [INTENTS.END_CONVERSATION]: 'closing',
+    [INTENTS.OFF_TOPIC]: [
+      { ifMentions: 'endRequest', target: 'closing' },
+      { ifMentions: 'support', target: 'reengage' },
+      { target: 'offTopic' }
+    ],
+    [INTENTS.FIND_SHELTER]: 'findResources',
+    [INTENTS.LEGAL_SERVICES]: 'findResources',
+    [INTENTS.COUNSELING_SERVICES]: 'findResources',
+    [INTENTS.OTHER_RESOURCES]: 'findResources',
+    [INTENTS.PROVIDE_LOCATION]: 'locationSaved',
+    [INTENTS.TALK_TO_PERSON]: 'advocate',
+    [INTENTS.GENERAL_INFORMATION]: 'answer'
+  },
+  // Asked for when a state requires the slot and the conversation has no value for it
+  slots: {
+    location: { prompt: 'locationPrompt', smsMessage: 'askLocation' }
+  },
+  // Matched as whole words or phrases
+  phrases: {
+    endRequest: ['goodbye', 'bye', 'hang up', 'end the call', 'end this call', 'stop', 'have to go', 'need to go', 'got to go', 'gotta go'],
+    support: ['domestic violence', 'abuse', 'shelter', 'help', 'support', 'safety']
+  }
+};
+
+/**
+ * Discreet SMS mode
+ * Asked after the caller agrees to a text. Discreet texts are reworded so
+ * nothing in them points to domestic violence.
+ */
+export const discreetSmsConfig = {
+  messages: {
+    askDiscreet: "Should I keep the text discreet, so it doesn't say what we talked about? You can also tell me a time when it's safe to receive it.",
+    sendNow: 'Thank you. You will receive a text message with the summary and resources shortly.',
+    scheduled: "Thank you. I'll send the text {window}. Take care and stay safe.",
+    optedOut: "This number has opted out of our texts, so I won't send one. Take care and stay safe."
+  },
+  // Sent when a discreet rewrite still reads as sensitive; phone numbers are kept
+  fallbackMessage: 'Here is the info you asked about.',
+  // Asking for discreet texts outright, e.g. "yes, but keep it private"
+  requestPattern: /\b(discreet(ly)?|private(ly)?|quiet|secret|careful|plain|don'?t mention)\b/i,
+  // Declining discreet texts on top of a plain "no" - any other answer to the question is treated as yes
+  declinePattern: /^\s*(no|nope)\b|\b(no need|not needed|doesn'?t matter|normal|regular)\b/i
+};
+
+/**
+ * Yes/no questions on a call (SMS consent, reusing an earlier location)
+ * Answers are read by lib/yesNoClassifier.js; an unsure answer is asked
+ * again until maxAttempts, then treated as no.
+ */
+export const confirmationConfig = {
+  maxAttempts: 2,
+  // A longer unsure answer is a new request rather than a reply to the question
+  maxUnsureWords: 6
+};
+
+/**
+ * Media-stream calls (lib/mediaStream.js)
+ * Said when a stream closes before the call ends and the call carries on with <Gather>.
+ */
+export const streamingConfig = {
+  messages: {
+    fallback: "Sorry, I'm having trouble with the line. Let's keep going. What can I help you with?"
+  }
+};
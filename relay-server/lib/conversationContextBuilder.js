@@ -1,5 +1,6 @@
 import { getConversationContext } from './intentClassifier.js';
 import logger from './logger.js';
+import { getLanguageConfig, isLanguageSupported } from './languageConfig.js';
 
 /**
  * Build optimized conversation context with only relevant information
@@ -156,12 +157,9 @@ export function buildConversationContext(callSid, currentQuery = '', detectedLan
 
     // Language preference
     if (optimizedContext.language && optimizedContext.language !== 'en-US') {
-      const languageNames = {
-        'es-ES': 'Spanish',
-        'fr-FR': 'French',
-        'de-DE': 'German'
-      };
-      const languageName = languageNames[optimizedContext.language] || optimizedContext.language;
+      const languageName = isLanguageSupported(optimizedContext.language)
+        ? getLanguageConfig(optimizedContext.language).englishName
+        : optimizedContext.language;
       contextParts.push(`**Language Preference:** ${languageName}`);
     }
 
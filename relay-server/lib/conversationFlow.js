@@ -0,0 +1,201 @@
+/**
+ * Conversation Flow
+ * Decides where a turn goes from the caller's intent: a search, a question for
+ * a missing slot such as the location, a redirection, or the closing. The flow
+ * itself is data (conversationFlowConfig); voice, SMS and web all step through
+ * the same engine and only differ in how they phrase the result.
+ */
+
+import { conversationFlowConfig, smsConversationConfig } from './conversationConfig.js';
+import { INTENTS } from './constants/intents.js';
+import { getLanguageConfig, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from './languageConfig.js';
+import { applyRegionNumbers } from './regionRegistry.js';
+import { stripSSMLForTTS } from './ssmlTemplates.js';
+import { ConfigurationError } from './utils/errorHandling.js';
+
+const KNOWN_INTENTS = new Set(Object.values(INTENTS));
+
+// A transition is a state name or a list of { ifMentions, target } rules
+function getRules(transition) {
+  return typeof transition === 'string' ? [{ target: transition }] : transition;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check a flow definition before it is used
+ * @param {Object} flow - Flow definition in the shape of conversationFlowConfig
+ * @param {Object} [options]
+ * @param {Object} [options.prompts] - Prompt keys a state may name (defaults to the default language's)
+ * @param {Object} [options.smsMessages] - SMS message keys a state may name
+ * @returns {string[]} Problems; empty when the flow is usable
+ */
+export function validateFlow(flow, {
+  prompts = SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE].prompts,
+  smsMessages = smsConversationConfig.messages
+} = {}) {
+  const problems = [];
+  const states = flow?.states || {};
+  const slots = flow?.slots || {};
+  const phrases = flow?.phrases || {};
+
+  if (!states[flow?.initial]) {
+    problems.push(`unknown initial state ${flow?.initial}`);
+  }
+  if (!states[flow?.fallback]) {
+    problems.push(`unknown fallback state ${flow?.fallback}`);
+  }
+
+  const checkTransitions = (transitions = {}, where) => {
+    for (const [intent, transition] of Object.entries(transitions)) {
+      if (!KNOWN_INTENTS.has(intent)) {
+        problems.push(`${where} has a transition for unknown intent ${intent}`);
+      }
+      for (const rule of getRules(transition)) {
+        if (!states[rule.target]) {
+          problems.push(`${where} sends ${intent} to unknown state ${rule.target}`);
+        }
+        if (rule.ifMentions && !phrases[rule.ifMentions]?.length) {
+          problems.push(`${where} matches unknown phrase list ${rule.ifMentions}`);
+        }
+      }
+    }
+  };
+  const checkPrompts = (entry, where) => {
+    if (entry.prompt && !prompts[entry.prompt]) {
+      problems.push(`${where} has unknown prompt ${entry.prompt}`);
+    }
+    if (entry.smsMessage && !smsMessages[entry.smsMessage]) {
+      problems.push(`${where} has unknown SMS message ${entry.smsMessage}`);
+    }
+  };
+
+  checkTransitions(flow?.on, 'flow');
+  for (const [name, state] of Object.entries(states)) {
+    checkTransitions(state.on, `state ${name}`);
+    checkPrompts(state, `state ${name}`);
+    for (const slot of state.requires || []) {
+      if (!slots[slot]) {
+        problems.push(`state ${name} requires unknown slot ${slot}`);
+      }
+    }
+  }
+  for (const [name, slot] of Object.entries(slots)) {
+    if (!slot.prompt && !slot.smsMessage) {
+      problems.push(`slot ${name} has nothing to ask with`);
+    }
+    checkPrompts(slot, `slot ${name}`);
+  }
+
+  // Every state has to be reachable from the initial one
+  const reached = new Set([flow?.initial, flow?.fallback]);
+  const queue = [...reached];
+  while (queue.length > 0) {
+    const state = states[queue.shift()];
+    const transitions = [...Object.values(flow?.on || {}), ...Object.values(state?.on || {})];
+    for (const rule of transitions.flatMap(getRules)) {
+      if (!reached.has(rule.target)) {
+        reached.add(rule.target);
+        queue.push(rule.target);
+      }
+    }
+  }
+  for (const name of Object.keys(states).filter(name => !reached.has(name))) {
+    problems.push(`state ${name} is unreachable`);
+  }
+
+  return problems;
+}
+
+/**
+ * Text of a flow prompt in the caller's language, with the region's numbers filled in
+ * @param {string} key - languageConfig prompt key
+ * @param {string} [language] - Language code; missing prompts fall back to the default language
+ * @param {Object} [region] - Caller's region from resolveRegion
+ * @returns {string|null} Plain text, or null for an unknown key
+ */
+export function getFlowPromptText(key, language, region = undefined) {
+  const prompt = getLanguageConfig(language).prompts[key] || getLanguageConfig(null).prompts[key];
+  return prompt ? stripSSMLForTTS(applyRegionNumbers(prompt, region)) : null;
+}
+
+export class ConversationFlow {
+  /**
+   * @param {Object} [flow] - Flow definition (defaults to conversationFlowConfig)
+   * @throws {ConfigurationError} When validateFlow finds problems
+   */
+  constructor(flow = conversationFlowConfig) {
+    const problems = validateFlow(flow);
+    if (problems.length > 0) {
+      throw new ConfigurationError(`Invalid conversation flow: ${problems.join('; ')}`, 'conversationFlow');
+    }
+    this.flow = flow;
+    this.phrasePatterns = Object.fromEntries(Object.entries(flow.phrases || {}).map(([name, list]) => [
+      name,
+      new RegExp(`\\b(${list.map(escapeRegExp).join('|')})\\b`, 'i')
+    ]));
+  }
+
+  /**
+   * Take one turn
+   * @param {string|null} from - State the conversation is in; unknown or missing means the initial state
+   * @param {string} intent - Classified intent
+   * @param {Object} [options]
+   * @param {string} [options.query] - What the caller said, for phrase rules
+   * @returns {Object} { state, intent, prompt, smsMessage, requires, priority, ends }
+   */
+  next(from, intent, { query = '' } = {}) {
+    const current = this.flow.states[from] ? from : this.flow.initial;
+    const transition = this.flow.states[current].on?.[intent] || this.flow.on?.[intent];
+    const rule = transition
+      ? getRules(transition).find(rule => !rule.ifMentions || this.phrasePatterns[rule.ifMentions].test(query || ''))
+      : null;
+    const state = rule?.target || this.flow.fallback;
+    const definition = this.flow.states[state];
+
+    return {
+      state,
+      intent,
+      prompt: definition.prompt || null,
+      smsMessage: definition.smsMessage || null,
+      requires: definition.requires || [],
+      priority: definition.priority || null,
+      ends: !!definition.ends
+    };
+  }
+
+  /**
+   * What to say for a step once its slots are known: the first missing slot's
+   * question, otherwise the state's own prompt
+   * @param {Object} step - Result of next()
+   * @param {Object} [slots] - Slot values by name; empty values count as missing
+   * @returns {Object} { missing, prompt, smsMessage }
+   */
+  ask(step, slots = {}) {
+    const missing = step.requires.filter(slot => !slots[slot]);
+    const source = missing.length > 0 ? this.flow.slots[missing[0]] : step;
+    return { missing, prompt: source.prompt || null, smsMessage: source.smsMessage || null };
+  }
+}
+
+let sharedFlow = null;
+
+/**
+ * @returns {ConversationFlow} Process-wide flow, built from conversationFlowConfig on first use
+ */
+export function getConversationFlow() {
+  if (!sharedFlow) {
+    sharedFlow = new ConversationFlow();
+  }
+  return sharedFlow;
+}
+
+/**
+ * Replace the process-wide flow (tests)
+ * @param {ConversationFlow|null} flow - Flow, or null to rebuild from config
+ */
+export function setConversationFlow(flow) {
+  sharedFlow = flow;
+}
@@ -0,0 +1,216 @@
+/**
+ * Dialogue Trace
+ * A structured record of every caller turn: what Twilio heard, the validator's
+ * verdict, the intent, the rewritten query, the search and the results kept,
+ * the LLM prompt and answer, the TTS cache outcome and the TwiML sent back.
+ * Modules along the way add to the current turn with traceTurnEvent(); the
+ * turn is found through AsyncLocalStorage, so nothing has to be passed down.
+ * Events are redacted with sensitiveDataRedaction as they are recorded and
+ * kept in memory only, for config.trace.ttlMs.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { config } from './config/index.js';
+import { redactObject } from './utils/sensitiveDataRedaction.js';
+
+// Steps of a turn, in the order they normally happen
+export const TRACE_STAGES = {
+  SPEECH: 'speech',
+  VALIDATION: 'validation',
+  INTENT: 'intent',
+  REWRITE: 'rewrite',
+  SEARCH: 'search',
+  RESULTS: 'results',
+  LLM: 'llm',
+  TTS: 'tts',
+  TWIML: 'twiml',
+  // Media-stream answers are spoken in the stream, with no TwiML
+  REPLY: 'reply'
+};
+
+function clipText(value, maxLength) {
+  if (typeof value === 'string') {
+    return value.length > maxLength ? `${value.slice(0, maxLength)}... [${value.length - maxLength} more]` : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => clipText(item, maxLength));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clipText(item, maxLength)]));
+  }
+  return value;
+}
+
+// One line per event value for the timeline: strings as they are, anything else as JSON
+function describeValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+export class DialogueTrace {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled] - Record anything at all
+   * @param {number} [options.maxCalls] - Calls kept; the oldest is dropped first
+   * @param {number} [options.maxTurnsPerCall] - Turns kept per call; the oldest is dropped first
+   * @param {number} [options.ttlMs] - How long a call's trace is kept after its last turn
+   * @param {number} [options.maxTextLength] - Longer texts are cut
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({
+    enabled = config.trace.enabled,
+    maxCalls = config.trace.maxCalls,
+    maxTurnsPerCall = config.trace.maxTurnsPerCall,
+    ttlMs = config.trace.ttlMs,
+    maxTextLength = config.trace.maxTextLength,
+    now = Date.now
+  } = {}) {
+    this.enabled = enabled;
+    this.maxCalls = maxCalls;
+    this.maxTurnsPerCall = maxTurnsPerCall;
+    this.ttlMs = ttlMs;
+    this.maxTextLength = maxTextLength;
+    this.now = now;
+    this.calls = new Map();
+    this.currentTurn = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run fn as one turn of a call; events recorded while it runs, awaited work included, go to that turn
+   * @param {string} callSid - Call SID
+   * @param {Function} fn - Receives the turn (or null when tracing is off)
+   * @param {Object} [options]
+   * @param {string} [options.channel] - "voice", "stream", ...
+   * @returns {*} Whatever fn returns
+   */
+  runTurn(callSid, fn, { channel = 'voice' } = {}) {
+    if (!this.enabled || !callSid) {
+      return fn(null);
+    }
+    const turn = this.startTurn(callSid, channel);
+    return this.currentTurn.run(turn, () => fn(turn));
+  }
+
+  startTurn(callSid, channel) {
+    this.prune();
+    let call = this.calls.get(callSid);
+    if (call) {
+      // Most recently active calls are dropped last
+      this.calls.delete(callSid);
+    } else {
+      call = { callSid, startedAt: new Date(this.now()).toISOString(), turnCount: 0, turns: [] };
+    }
+    this.calls.set(callSid, call);
+    while (this.calls.size > this.maxCalls) {
+      this.calls.delete(this.calls.keys().next().value);
+    }
+
+    call.turnCount += 1;
+    call.lastActiveAt = this.now();
+    const turn = { turn: call.turnCount, channel, startedAt: new Date(this.now()).toISOString(), startMs: this.now(), events: [] };
+    call.turns.push(turn);
+    if (call.turns.length > this.maxTurnsPerCall) {
+      call.turns.shift();
+    }
+    return turn;
+  }
+
+  /**
+   * Add an event to the current turn; outside a turn this does nothing
+   * @param {string} stage - TRACE_STAGES value
+   * @param {Object} data - What happened; redacted and clipped before it is kept
+   * @param {Object} [turn] - Turn from runTurn, when recording outside its async context
+   */
+  record(stage, data = {}, turn = this.currentTurn.getStore()) {
+    if (!turn) {
+      return;
+    }
+    turn.events.push({
+      stage,
+      atMs: this.now() - turn.startMs,
+      data: clipText(redactObject(data), this.maxTextLength)
+    });
+  }
+
+  /**
+   * @param {string} callSid - Call SID
+   * @returns {Object|null} { callSid, startedAt, turns: [{ turn, channel, startedAt, events: [{ stage, atMs, data }] }] }
+   */
+  getTrace(callSid) {
+    this.prune();
+    const call = this.calls.get(callSid);
+    if (!call) {
+      return null;
+    }
+    return {
+      callSid: call.callSid,
+      startedAt: call.startedAt,
+      turns: call.turns.map(({ startMs, ...turn }) => ({ ...turn, events: turn.events.map(event => ({ ...event })) }))
+    };
+  }
+
+  /**
+   * Forget a call's trace now (quick exit), rather than after its TTL
+   * @param {string} callSid - Call SID
+   * @returns {boolean} Whether there was a trace to forget
+   */
+  deleteCall(callSid) {
+    return this.calls.delete(callSid);
+  }
+
+  prune() {
+    const cutoff = this.now() - this.ttlMs;
+    for (const [callSid, call] of this.calls) {
+      if (call.lastActiveAt < cutoff) {
+        this.calls.delete(callSid);
+      }
+    }
+  }
+}
+
+/**
+ * A trace as plain text, one line per event, for reading through a call
+ * @param {Object} trace - Result of getTrace
+ * @returns {string} Timeline
+ */
+export function formatTraceTimeline(trace) {
+  const lines = [`Call ${trace.callSid} (first turn ${trace.startedAt})`];
+  for (const turn of trace.turns) {
+    lines.push('', `Turn ${turn.turn} [${turn.channel}] ${turn.startedAt}`);
+    for (const event of turn.events) {
+      const details = Object.entries(event.data || {})
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}=${describeValue(value)}`);
+      lines.push(`  +${event.atMs}ms ${event.stage.padEnd(10)} ${details.join(' | ')}`.trimEnd());
+    }
+  }
+  return lines.join('\n');
+}
+
+let sharedTrace = null;
+
+/**
+ * @returns {DialogueTrace} Process-wide dialogue trace
+ */
+export function getDialogueTrace() {
+  if (!sharedTrace) {
+    sharedTrace = new DialogueTrace();
+  }
+  return sharedTrace;
+}
+
+/**
+ * Replace the process-wide dialogue trace (tests)
+ * @param {DialogueTrace|null} trace - Trace, or null to rebuild from config
+ */
+export function setDialogueTrace(trace) {
+  sharedTrace = trace;
+}
+
+/**
+ * Add an event to the current turn of the shared trace
+ * @param {string} stage - TRACE_STAGES value
+ * @param {Object} data - What happened
+ */
+export function traceTurnEvent(stage, data) {
+  getDialogueTrace().record(stage, data);
+}
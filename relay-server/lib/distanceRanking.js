@@ -0,0 +1,141 @@
+/**
+ * Distance Ranking
+ * Orders search and directory results by great-circle distance from the
+ * caller, drops results outside the configured radius, and phrases distances
+ * for voice and SMS ("about 4 miles away").
+ */
+
+import { config } from './config/index.js';
+import logger from './logger.js';
+import { geocodingIntegration } from '../integrations/geocodingIntegration.js';
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Street addresses such as "123 Main St" or "45 Oak Avenue, Austin"
+const STREET_ADDRESS_PATTERN = /\b\d+\s+[A-Za-z\s]+(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Court|Ct|Place|Pl|Way|Circle|Cir)\b(?:\s*,\s*[A-Za-z\s]+(?:,\s*[A-Z]{2}(?:\s*\d{5})?)?)?/i;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {Object} from - { lat, lon }
+ * @param {Object} to - { lat, lon }
+ * @returns {number} Distance in miles
+ */
+export function haversineMiles(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Phrase a distance for speech and SMS
+ * @param {number} miles - Distance in miles
+ * @returns {string} e.g. "about 4 miles away"
+ */
+export function formatDistance(miles) {
+  if (typeof miles !== 'number' || !Number.isFinite(miles)) return '';
+  if (miles < 1) return 'less than a mile away';
+  const rounded = Math.round(miles);
+  return `about ${rounded} mile${rounded === 1 ? '' : 's'} away`;
+}
+
+/**
+ * Find the first street address mentioned by a result
+ * @param {Object} result - Search result
+ * @returns {string|null} Address
+ */
+export function extractResultAddress(result) {
+  if (Array.isArray(result.extracted_addresses) && result.extracted_addresses.length > 0) {
+    return result.extracted_addresses[0].trim();
+  }
+  const match = (result.content || '').match(STREET_ADDRESS_PATTERN);
+  return match ? match[0].trim() : null;
+}
+
+/**
+ * Resolve a location to { lat, lon } with the given geocoder
+ * @param {string} location - Location text
+ * @param {Object} geocoder - Object with getCoordinates(location)
+ * @returns {Promise<Object|null>} Coordinates or null
+ */
+async function lookupCoordinates(location, geocoder) {
+  try {
+    const result = await geocoder.getCoordinates(location);
+    return result?.success ? { lat: result.latitude, lon: result.longitude } : null;
+  } catch (error) {
+    logger.warn('Distance ranking geocode failed', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Rank results by distance from the caller
+ *
+ * Results with known coordinates (directory entries) are used as-is; other
+ * results are geocoded from the first address in their content, qualified
+ * with the caller's location. Results inside the radius come first, nearest
+ * first, followed by results whose distance is unknown. Results outside the
+ * radius are dropped. If the caller's location cannot be geocoded the results
+ * are returned unchanged.
+ *
+ * @param {Array<Object>} results - Search results
+ * @param {string|Object} origin - Caller location text, or { lat, lon }
+ * @param {Object} [options]
+ * @param {Object} [options.geocoder] - Object with getCoordinates(location), defaults to Nominatim
+ * @param {number} [options.radiusMiles] - Maximum distance to keep
+ * @param {number} [options.maxGeocodeLookups] - Maximum addresses to geocode
+ * @returns {Promise<Array<Object>>} Results with distanceMiles and distanceText where known
+ */
+export async function rankResultsByDistance(results, origin, options = {}) {
+  const settings = { ...config.resources.distanceRanking, ...options };
+  const geocoder = settings.geocoder || geocodingIntegration;
+
+  if (!Array.isArray(results) || results.length === 0 || !origin || settings.enabled === false) {
+    return results || [];
+  }
+
+  const originCoordinates = typeof origin === 'string' ? await lookupCoordinates(origin, geocoder) : origin;
+  if (!originCoordinates) {
+    logger.info('Distance ranking skipped, caller location could not be geocoded');
+    return results;
+  }
+
+  let lookups = 0;
+  const measured = await Promise.all(results.map(async result => {
+    let coordinates = result.coordinates || result.resource?.coordinates || null;
+
+    if (!coordinates) {
+      const address = extractResultAddress(result);
+      if (address && lookups < settings.maxGeocodeLookups) {
+        lookups++;
+        const qualified = typeof origin === 'string' && !/,/.test(address) ? `${address}, ${origin}` : address;
+        coordinates = await lookupCoordinates(qualified, geocoder);
+      }
+    }
+
+    if (!coordinates) return result;
+
+    const distanceMiles = Math.round(haversineMiles(originCoordinates, coordinates) * 10) / 10;
+    return { ...result, coordinates, distanceMiles, distanceText: formatDistance(distanceMiles) };
+  }));
+
+  const located = measured
+    .filter(result => typeof result.distanceMiles === 'number' && result.distanceMiles <= settings.radiusMiles)
+    .sort((a, b) => a.distanceMiles - b.distanceMiles);
+  const unknown = measured.filter(result => typeof result.distanceMiles !== 'number');
+
+  logger.info('Ranked results by distance', {
+    total: results.length,
+    withinRadius: located.length,
+    unknownDistance: unknown.length,
+    outsideRadius: results.length - located.length - unknown.length,
+    radiusMiles: settings.radiusMiles
+  });
+
+  return [...located, ...unknown];
+}
@@ -0,0 +1,278 @@
+/**
+ * Resource Eligibility Needs
+ * Extracts structured needs (pets, children and their ages, language,
+ * wheelchair access, LGBTQ+-affirming, male survivors) from what the caller
+ * says, and matches search and directory results against them.
+ */
+
+export const ELIGIBILITY_NEEDS = {
+  PETS: 'pets',
+  CHILDREN: 'children',
+  LANGUAGE: 'language',
+  WHEELCHAIR_ACCESS: 'wheelchairAccess',
+  LGBTQ_AFFIRMING: 'lgbtqAffirming',
+  MALE_SURVIVORS: 'maleSurvivors'
+};
+
+// Language names callers use, mapped to the codes used in the resource directory
+const LANGUAGES = {
+  spanish: { name: 'Spanish', code: 'es', aliases: ['spanish', 'español', 'espanol'] },
+  chinese: { name: 'Chinese', code: 'zh', aliases: ['chinese', 'mandarin', 'cantonese'] },
+  vietnamese: { name: 'Vietnamese', code: 'vi', aliases: ['vietnamese'] },
+  korean: { name: 'Korean', code: 'ko', aliases: ['korean'] },
+  tagalog: { name: 'Tagalog', code: 'tl', aliases: ['tagalog', 'filipino'] },
+  arabic: { name: 'Arabic', code: 'ar', aliases: ['arabic'] },
+  russian: { name: 'Russian', code: 'ru', aliases: ['russian'] },
+  french: { name: 'French', code: 'fr', aliases: ['french', 'haitian creole', 'creole'] },
+  portuguese: { name: 'Portuguese', code: 'pt', aliases: ['portuguese'] },
+  hindi: { name: 'Hindi', code: 'hi', aliases: ['hindi'] },
+  asl: { name: 'ASL', code: 'asl', aliases: ['asl', 'sign language', 'american sign language'] }
+};
+
+const NEED_PATTERNS = {
+  [ELIGIBILITY_NEEDS.PETS]: /\b(pets?|dogs?|cats?|pupp(y|ies)|kittens?|service animal)\b/i,
+  [ELIGIBILITY_NEEDS.CHILDREN]: /\b(kids?|child(ren)?|sons?|daughters?|bab(y|ies)|toddlers?|teen(ager)?s?|infants?)\b/i,
+  [ELIGIBILITY_NEEDS.WHEELCHAIR_ACCESS]: /\b(wheel ?chairs?|mobility (aid|device)s?|walker|disabled|disabilit(y|ies)|handicap(ped)? accessible|ada accessible)\b/i,
+  [ELIGIBILITY_NEEDS.LGBTQ_AFFIRMING]: /\b(lgbt\w*|gay|lesbian|queer|trans(gender)?|non-?binary|bisexual|same[- ]sex)\b/i,
+  [ELIGIBILITY_NEEDS.MALE_SURVIVORS]: /\b(i'?m|i am) (a )?(man|male|guy|dad|father)\b|\b(male|men'?s?) (victims?|survivors?|shelters?)\b|\b(for|takes?|accepts?|serves?) men\b/i
+};
+
+// "no pets", "don't have kids" - the caller is ruling the need out
+const NEGATED_PATTERNS = {
+  [ELIGIBILITY_NEEDS.PETS]: /\b(no|don'?t have( any)?|without( any)?) (pets?|dogs?|cats?)\b/i,
+  [ELIGIBILITY_NEEDS.CHILDREN]: /\b(no|don'?t have( any)?|without( any)?) (kids?|children)\b/i
+};
+
+const LANGUAGE_CUE = /\b(speak(s|ing)?|language|interpreter|translator|habl[oa]|only know)\b|-speaking\b/i;
+
+// How a result's text shows it meets a need, and how it shows it doesn't
+const CONTENT_MATCHES = {
+  [ELIGIBILITY_NEEDS.PETS]: /\bpet[- ]friendly\b|\b(pets?|animals?) (are )?(welcome|allowed|accepted)\b|\bkennels?\b/i,
+  [ELIGIBILITY_NEEDS.CHILDREN]: /\b(children|kids|families|family)\b/i,
+  [ELIGIBILITY_NEEDS.WHEELCHAIR_ACCESS]: /\bwheel ?chair\b|\bada[- ](accessible|compliant)\b|\b(fully )?accessible\b/i,
+  [ELIGIBILITY_NEEDS.LGBTQ_AFFIRMING]: /\blgbt\w*\b|\bqueer\b|\btransgender\b|\ball genders\b/i,
+  [ELIGIBILITY_NEEDS.MALE_SURVIVORS]: /\b(men|male survivors?|all genders|any gender|regardless of gender)\b/i
+};
+
+const CONTENT_EXCLUSIONS = {
+  [ELIGIBILITY_NEEDS.PETS]: /\bno pets\b|\bpets (are )?not (allowed|permitted)\b/i,
+  [ELIGIBILITY_NEEDS.MALE_SURVIVORS]: /\b(women|females?) only\b|\bonly (serves? )?women\b/i
+};
+
+const TERMS = {
+  [ELIGIBILITY_NEEDS.PETS]: 'pet friendly',
+  [ELIGIBILITY_NEEDS.CHILDREN]: 'children families',
+  [ELIGIBILITY_NEEDS.WHEELCHAIR_ACCESS]: 'wheelchair accessible ADA',
+  [ELIGIBILITY_NEEDS.LGBTQ_AFFIRMING]: 'LGBTQ affirming',
+  [ELIGIBILITY_NEEDS.MALE_SURVIVORS]: 'male survivors men'
+};
+
+const LABELS = {
+  [ELIGIBILITY_NEEDS.PETS]: 'accepts pets',
+  [ELIGIBILITY_NEEDS.CHILDREN]: 'accepts children',
+  [ELIGIBILITY_NEEDS.WHEELCHAIR_ACCESS]: 'is wheelchair accessible',
+  [ELIGIBILITY_NEEDS.LGBTQ_AFFIRMING]: 'is LGBTQ+ affirming',
+  [ELIGIBILITY_NEEDS.MALE_SURVIVORS]: 'serves male survivors'
+};
+
+// Directory fields for needs the directory records as true/false/unknown
+const DIRECTORY_FIELDS = {
+  [ELIGIBILITY_NEEDS.PETS]: 'petsAllowed',
+  [ELIGIBILITY_NEEDS.CHILDREN]: 'childrenAllowed',
+  [ELIGIBILITY_NEEDS.WHEELCHAIR_ACCESS]: 'wheelchairAccessible',
+  [ELIGIBILITY_NEEDS.LGBTQ_AFFIRMING]: 'lgbtqAffirming',
+  [ELIGIBILITY_NEEDS.MALE_SURVIVORS]: 'servesMen'
+};
+
+// Score added per need a result is matched on
+const MATCH_BOOST = 0.1;
+
+function findLanguage(text) {
+  const lower = text.toLowerCase();
+  return Object.values(LANGUAGES).find(language =>
+    language.aliases.some(alias => new RegExp(`\\b${alias}\\b`, 'i').test(lower))
+  ) || null;
+}
+
+function extractChildAges(text) {
+  const ages = [];
+  // "my 4 year old", "and a 15-year-old" - not the caller's own age
+  for (const match of text.matchAll(/\b(?:my|our|a|an|and|,)\s+(\d{1,2})[- ]?(?:years?|yrs?|months?)?[- ]?old\b/gi)) {
+    ages.push(/month/i.test(match[0]) ? 0 : parseInt(match[1], 10));
+  }
+  // "two kids, ages 3 and 9" - only when the caller is talking about children
+  const listed = NEED_PATTERNS[ELIGIBILITY_NEEDS.CHILDREN].test(text) && text.match(/\bages?d? ((?:\d{1,2}(?:\s*(?:,|and|&)\s*)?)+)/i);
+  if (listed) {
+    ages.push(...listed[1].match(/\d{1,2}/g).map(age => parseInt(age, 10)));
+  }
+  return [...new Set(ages)].filter(age => age < 18).sort((a, b) => a - b);
+}
+
+/**
+ * Extract eligibility needs from a caller utterance
+ * @param {string} text - What the caller said
+ * @returns {Object} Needs found, e.g. { pets: true, children: true, childAges: [4, 15], language: 'Spanish' }
+ */
+export function extractEligibilityNeeds(text) {
+  if (!text || typeof text !== 'string') return {};
+  const needs = {};
+
+  for (const [need, pattern] of Object.entries(NEED_PATTERNS)) {
+    if (pattern.test(text) && !NEGATED_PATTERNS[need]?.test(text)) {
+      needs[need] = true;
+    }
+  }
+
+  const childAges = extractChildAges(text);
+  if (childAges.length > 0 && !NEGATED_PATTERNS[ELIGIBILITY_NEEDS.CHILDREN].test(text)) {
+    needs.children = true;
+    needs.childAges = childAges;
+  }
+
+  if (LANGUAGE_CUE.test(text)) {
+    const language = findLanguage(text);
+    if (language) needs.language = language.name;
+  }
+
+  return needs;
+}
+
+/**
+ * Combine needs gathered across a conversation; later answers win
+ * @param {Object} existing - Needs already in context
+ * @param {Object} latest - Needs from the latest utterance
+ * @returns {Object} Merged needs
+ */
+export function mergeEligibilityNeeds(existing = {}, latest = {}) {
+  const merged = { ...(existing || {}), ...(latest || {}) };
+  const childAges = [...(existing?.childAges || []), ...(latest?.childAges || [])];
+  if (childAges.length > 0) {
+    merged.childAges = [...new Set(childAges)].sort((a, b) => a - b);
+  }
+  return merged;
+}
+
+/**
+ * @param {Object} needs - Eligibility needs
+ * @returns {boolean} Whether any need is set
+ */
+export function hasEligibilityNeeds(needs) {
+  return !!needs && Object.values(ELIGIBILITY_NEEDS).some(need => !!needs[need]);
+}
+
+/**
+ * Search terms that narrow a query to resources meeting the needs
+ * @param {Object} needs - Eligibility needs
+ * @returns {Array<string>} Query terms
+ */
+export function buildEligibilityQueryTerms(needs = {}) {
+  const terms = [];
+  for (const need of Object.values(ELIGIBILITY_NEEDS)) {
+    if (!needs?.[need]) continue;
+    if (need === ELIGIBILITY_NEEDS.LANGUAGE) {
+      terms.push(`${needs.language} speaking bilingual`);
+    } else {
+      terms.push(TERMS[need]);
+    }
+  }
+  if (needs?.childAges?.some(age => age >= 13)) {
+    terms.push('teens');
+  }
+  return terms;
+}
+
+/**
+ * Check a single directory resource against one need
+ * @returns {boolean|null} true if met, false if ruled out, null if unknown
+ */
+function matchDirectoryNeed(resource, need, needs) {
+  if (need === ELIGIBILITY_NEEDS.LANGUAGE) {
+    if (!resource.languages || resource.languages.length === 0) return null;
+    const language = findLanguage(needs.language) || { name: needs.language, code: needs.language };
+    return resource.languages.some(offered => {
+      const value = offered.toLowerCase();
+      return value === language.code || value === language.name.toLowerCase();
+    }) ? true : null;
+  }
+
+  const value = resource[DIRECTORY_FIELDS[need]];
+  if (need === ELIGIBILITY_NEEDS.CHILDREN && value !== false && typeof resource.childAgeLimit === 'number'
+      && needs.childAges?.some(age => age > resource.childAgeLimit)) {
+    return false;
+  }
+  return typeof value === 'boolean' ? value : null;
+}
+
+function matchContentNeed(content, need, needs) {
+  if (need === ELIGIBILITY_NEEDS.LANGUAGE) {
+    const language = findLanguage(needs.language);
+    const aliases = language ? language.aliases : [needs.language.toLowerCase()];
+    return aliases.some(alias => new RegExp(`\\b${alias}\\b`, 'i').test(content)) ? true : null;
+  }
+  if (CONTENT_EXCLUSIONS[need]?.test(content)) return false;
+  return CONTENT_MATCHES[need].test(content) ? true : null;
+}
+
+function labelFor(need, needs, resource) {
+  if (need === ELIGIBILITY_NEEDS.LANGUAGE) return `offers services in ${needs.language}`;
+  if (need === ELIGIBILITY_NEEDS.CHILDREN && typeof resource?.childAgeLimit === 'number') {
+    return `accepts children up to age ${resource.childAgeLimit}`;
+  }
+  return LABELS[need];
+}
+
+/**
+ * Match a search or directory result against the caller's needs
+ * Directory entries are judged on their recorded policies; web results on
+ * what their text says. Unknown policies neither match nor exclude.
+ * @param {Object} result - Search result (directory results carry `resource`)
+ * @param {Object} needs - Eligibility needs
+ * @returns {Object} { matchedNeeds: Array<string>, excluded: boolean, boost: number }
+ */
+export function matchEligibility(result, needs = {}) {
+  const matchedNeeds = [];
+  let excluded = false;
+  const text = `${result.title || ''} ${result.content || ''}`;
+
+  for (const need of Object.values(ELIGIBILITY_NEEDS)) {
+    if (!needs?.[need]) continue;
+    const met = result.resource
+      ? matchDirectoryNeed(result.resource, need, needs)
+      : matchContentNeed(text, need, needs);
+    if (met === false) excluded = true;
+    if (met === true) matchedNeeds.push(labelFor(need, needs, result.resource));
+  }
+
+  return { matchedNeeds, excluded, boost: matchedNeeds.length * MATCH_BOOST };
+}
+
+/**
+ * Drop results that rule out a need and move better matches up
+ * The sort is stable, so results matching the same number of needs keep
+ * their existing (e.g. distance) order.
+ * @param {Array<Object>} results - Search or directory results
+ * @param {Object} needs - Eligibility needs
+ * @returns {Array<Object>} Results with matchedNeeds
+ */
+export function applyEligibilityNeeds(results, needs) {
+  if (!Array.isArray(results) || !hasEligibilityNeeds(needs)) return results || [];
+
+  return results
+    .map(result => {
+      const { matchedNeeds, excluded } = matchEligibility(result, needs);
+      return excluded ? null : { ...result, matchedNeeds };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.matchedNeeds.length - a.matchedNeeds.length);
+}
+
+/**
+ * Phrase matched needs for a response, e.g. "accepts pets and is wheelchair accessible"
+ * @param {Array<string>} matchedNeeds - Labels from matchEligibility
+ * @returns {string} Description, empty when nothing matched
+ */
+export function describeMatchedNeeds(matchedNeeds = []) {
+  if (!matchedNeeds || matchedNeeds.length === 0) return '';
+  if (matchedNeeds.length === 1) return matchedNeeds[0];
+  return `${matchedNeeds.slice(0, -1).join(', ')} and ${matchedNeeds[matchedNeeds.length - 1]}`;
+}
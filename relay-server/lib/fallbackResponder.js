@@ -1,10 +1,12 @@
 import { config } from './config.js';
 import logger from './logger.js';
 import { OpenAIIntegration } from '../integrations/openaiIntegration.js';
+import { getConversationContext } from './intentClassifier.js';
+import { resolveRegion, applyRegionNumbers, getRegionInstruction } from './regionRegistry.js';
 
 const openAIIntegration = new OpenAIIntegration();
 
-// Few-shot examples for each intent
+// Few-shot examples for each intent; hotline placeholders are filled from the caller's region
 const intentExamples = {
   find_shelter: [
     {
@@ -13,7 +15,7 @@ const intentExamples = {
     },
     {
       role: 'assistant',
-      content: 'I understand you need immediate shelter. The National Domestic Violence Hotline (1-800-799-7233) can help you find a safe place right now. They work with shelters across the country and can arrange transportation if needed. Your safety is the priority - please call them for immediate assistance.'
+      content: 'I understand you need immediate shelter. {{hotlineName}} ({{hotlineNumber}}) can help you find a safe place right now. They work with shelters across the country and can arrange transportation if needed. Your safety is the priority - please call them for immediate assistance.'
     }
   ],
   get_support_resource: [
@@ -23,7 +25,7 @@ const intentExamples = {
     },
     {
       role: 'assistant',
-      content: 'There are several types of support available: emergency shelters for immediate safety, counseling services for emotional support, legal aid for protection orders, and financial assistance programs. The National Domestic Violence Hotline (1-800-799-7233) can connect you with all these resources in your area. Would you like me to explain any of these options in more detail?'
+      content: 'There are several types of support available: emergency shelters for immediate safety, counseling services for emotional support, legal aid for protection orders, and financial assistance programs. {{hotlineName}} ({{hotlineNumber}}) can connect you with all these resources in your area. Would you like me to explain any of these options in more detail?'
     }
   ],
   get_contact_details: [
@@ -33,7 +35,7 @@ const intentExamples = {
     },
     {
       role: 'assistant',
-      content: 'You can reach the National Domestic Violence Hotline at 1-800-799-7233. They\'re available 24/7, and their advocates are trained to help with safety planning, finding local resources, and providing emotional support. The call is free and confidential. Would you like me to provide additional contact information for specific types of support?'
+      content: 'You can reach {{hotlineName}} at {{hotlineNumber}}. They\'re available 24/7, and their advocates are trained to help with safety planning, finding local resources, and providing emotional support. The call is free and confidential. Would you like me to provide additional contact information for specific types of support?'
     }
   ],
   get_information: [
@@ -43,7 +45,7 @@ const intentExamples = {
     },
     {
       role: 'assistant',
-      content: 'If you need to leave quickly, here\'s what to do: 1) Call the National Domestic Violence Hotline (1-800-799-7233) for immediate assistance. 2) If possible, gather essential items like ID, medications, and important documents. 3) Consider having a small emergency bag ready with basic necessities. 4) Have a safe place in mind to go. Remember, your safety comes first - if you need to leave immediately, do so and call for help from a safe location.'
+      content: 'If you need to leave quickly, here\'s what to do: 1) Call {{hotlineName}} ({{hotlineNumber}}) for immediate assistance. 2) If possible, gather essential items like ID, medications, and important documents. 3) Consider having a small emergency bag ready with basic necessities. 4) Have a safe place in mind to go. Remember, your safety comes first - if you need to leave immediately, do so and call for help from a safe location.'
     }
   ]
 };
@@ -52,14 +54,18 @@ const intentExamples = {
  * Generate a fallback response using GPT-3.5-turbo when Tavily results are insufficient
  * @param {string} query - The user's query
  * @param {string} intent - The detected intent
+ * @param {string} [callSid] - Call SID, for the conversation context
+ * @param {string} [detectedLanguage] - Caller's language
+ * @param {Object} [region] - Caller's region from resolveRegion; defaults to the country of their last location
  * @returns {Promise<string>} A helpful response
  */
-export async function fallbackResponse(query, intent, callSid = null, detectedLanguage = 'en-US') {
+export async function fallbackResponse(query, intent, callSid = null, detectedLanguage = 'en-US', region = null) {
+  const numbers = region || resolveRegion({ location: callSid ? getConversationContext(callSid)?.lastQueryContext?.location : null });
   try {
-    logger.info('Generating fallback response:', { query, intent, callSid });
+    logger.info('Generating fallback response:', { query, intent, callSid, country: numbers.country });
 
     // Get enhanced voice instructions if callSid is provided
-    let systemContent = `You are a compassionate domestic violence support assistant. Provide warm, empathetic, and supportive responses that validate the caller's feelings and experiences. Use gentle, reassuring language and show understanding of their situation. Always include the National Domestic Violence Hotline number (1-800-799-7233) in your response. Focus on immediate safety, emotional support, and practical next steps. Acknowledge their courage in reaching out and reassure them that help is available.`;
+    let systemContent = applyRegionNumbers(`You are a compassionate domestic violence support assistant. Provide warm, empathetic, and supportive responses that validate the caller's feelings and experiences. Use gentle, reassuring language and show understanding of their situation. Always include the {{hotlineName}} number ({{hotlineNumber}}) in your response. Focus on immediate safety, emotional support, and practical next steps. Acknowledge their courage in reaching out and reassure them that help is available.`, numbers);
     
     if (callSid) {
       try {
@@ -75,13 +81,18 @@ export async function fallbackResponse(query, intent, callSid = null, detectedLa
       }
     }
 
+    const regionInstruction = getRegionInstruction(numbers);
+    if (regionInstruction) {
+      systemContent = `${systemContent}\n\n${regionInstruction}`;
+    }
+
     const messages = [
       {
         role: 'system',
         content: systemContent
       },
       // Add few-shot example if available for the intent
-      ...(intentExamples[intent] || []),
+      ...(intentExamples[intent] || []).map(example => ({ ...example, content: applyRegionNumbers(example.content, numbers) })),
       {
         role: 'user',
         content: query
@@ -107,6 +118,6 @@ export async function fallbackResponse(query, intent, callSid = null, detectedLa
 
   } catch (error) {
     logger.error('Error generating fallback response:', error);
-    return "I apologize, but I'm having trouble providing specific information right now. Please call the National Domestic Violence Hotline at 1-800-799-7233 for immediate assistance. They are available 24/7 and can help connect you with local resources.";
+    return applyRegionNumbers("I apologize, but I'm having trouble providing specific information right now. Please call {{hotlineName}} at {{hotlineNumber}} for immediate assistance. They are available 24/7 and can help connect you with local resources.", numbers);
   }
 } 
\ No newline at end of file
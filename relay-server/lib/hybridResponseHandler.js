@@ -2,8 +2,21 @@ import { config } from './config.js';
 import logger from './logger.js';
 import { OpenAIIntegration } from '../integrations/openaiIntegration.js';
 import { SearchIntegration } from '../integrations/searchIntegration.js';
-import { voiceInstructions } from './conversationConfig.js';
+import { voiceInstructions, coverStoryConfig } from './conversationConfig.js';
+import { getResponseLanguageInstruction, DEFAULT_LANGUAGE } from './languageConfig.js';
+import { getRegionInstruction, getDefaultCountry, applyRegionNumbers } from './regionRegistry.js';
 import { gptCache } from './queryCache.js';
+import { getResourceDirectory, ResourceDirectory } from './resourceDirectory.js';
+import { rankResultsByDistance } from './distanceRanking.js';
+import { traceTurnEvent, TRACE_STAGES } from './dialogueTrace.js';
+import {
+  extractEligibilityNeeds,
+  mergeEligibilityNeeds,
+  buildEligibilityQueryTerms,
+  applyEligibilityNeeds,
+  ELIGIBILITY_NEEDS,
+  describeMatchedNeeds
+} from './eligibilityNeeds.js';
 
 /**
  * Hybrid Response Handler - AI-First with Tavily Fallback
@@ -19,11 +32,24 @@ export class HybridResponseHandler {
    * Main response generation method
    * @param {string} input - User query
    * @param {Object} context - Conversation context
-   * @param {string} requestType - 'voice' or 'web'
+   * @param {string} requestType - 'voice', 'web' or 'sms'
    * @param {Object} options - Additional options
    * @returns {Promise<Object>} Response object
    */
   static async getResponse(input, context = {}, requestType = 'web', options = {}) {
+    return this.localizeResponse(await this.generateResponse(input, context, requestType, options), options.region);
+  }
+
+  /**
+   * Answer a query; texts may carry {{emergencyNumber}} and {{hotlineNumber}}
+   * placeholders, which getResponse fills for the caller's region
+   * @param {string} input - User query
+   * @param {Object} context - Conversation context
+   * @param {string} requestType - 'voice', 'web' or 'sms'
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Response object
+   */
+  static async generateResponse(input, context, requestType, options) {
     try {
       logger.info('HybridResponseHandler: Processing query', { 
         input, 
@@ -31,8 +57,15 @@ export class HybridResponseHandler {
         hasContext: !!context 
       });
 
+      // Cover story turns bypass the cache and never see the real conversation
+      if (context?.coverStory?.active) {
+        logger.info('HybridResponseHandler: Responding in cover story persona');
+        return await this.handleCoverStoryResponse(input, context.coverStory, requestType);
+      }
+
       // Check cache first
-      const cachedResponse = this.getCachedResponse(input);
+      const cachedResponse = this.getCachedResponse(input, requestType, options.language, options.region?.country,
+        this.getCacheScope(input, context));
       if (cachedResponse) {
         logger.info('HybridResponseHandler: Using cached response');
         return cachedResponse;
@@ -85,7 +118,9 @@ export class HybridResponseHandler {
   }
 
   /**
-   * Handle shelter search using Tavily
+   * Handle shelter search using the local resource directory and Tavily
+   * Directory matches are merged ahead of Tavily results, and are used on
+   * their own when search is unavailable.
    * @param {string} input - User query
    * @param {Object} context - Conversation context
    * @param {string} requestType - Request type
@@ -95,37 +130,177 @@ export class HybridResponseHandler {
   static async handleShelterSearch(input, context, requestType, options) {
     const startTime = Date.now();
     
+    // Extract location from query or context
+    const location = this.extractLocation(input, context);
+    const needs = this.getEligibilityNeeds(input, context);
+    let directoryResults = this.searchResourceDirectory(location);
+    
     try {
-      // Extract location from query or context
-      const location = this.extractLocation(input, context);
-      
       // Build search query
-      const searchQuery = this.buildShelterSearchQuery(input, location);
+      const searchQuery = this.buildShelterSearchQuery(input, location, needs);
       
       // Search using Tavily
       const searchResult = await SearchIntegration.search(searchQuery);
       logger.info('HybridResponseHandler: DEBUG Tavily searchResult', { searchResult });
+      traceTurnEvent(TRACE_STAGES.SEARCH, {
+        query: searchQuery,
+        location,
+        success: searchResult?.success !== false,
+        resultCount: searchResult?.data?.results?.length || 0,
+        directoryCount: directoryResults.length
+      });
+      
+      // Nearest first, dropping anything outside the search radius
+      directoryResults = await this.rankByDistance(directoryResults, location, options);
+      if (searchResult?.data?.results) {
+        searchResult.data.results = await this.rankByDistance(searchResult.data.results, location, options);
+      }
+      
+      // Drop places that rule out the caller's needs and move matches up
+      directoryResults = applyEligibilityNeeds(directoryResults, needs);
+      if (searchResult?.data?.results) {
+        searchResult.data.results = applyEligibilityNeeds(searchResult.data.results, needs);
+      }
       
       const responseTime = Date.now() - startTime;
       
       logger.info('HybridResponseHandler: Tavily search completed', {
         query: searchQuery,
         resultsCount: searchResult?.data?.results?.length || 0,
+        directoryResults: directoryResults.length,
         responseTime: `${responseTime}ms`
       });
 
-      // Format response
-      const response = this.formatShelterResponse(searchResult, input, context, requestType);
+      // Format response; with nothing near the caller, offer the national hotlines
+      let response = this.formatShelterResponse(searchResult, input, context, requestType, directoryResults);
+      if (response.results.length === 0) {
+        response = this.formatNationalResourcesResponse(location, context, requestType, options) || response;
+      }
       
-      // Cache the response
-      this.cacheResponse(input, response);
+      // Only cache complete answers so a search outage isn't remembered
+      if (searchResult?.success !== false) {
+        this.cacheResponse(input, response, requestType, options?.language, options?.region?.country,
+          this.getCacheScope(input, context));
+      }
       
       return response;
 
     } catch (error) {
       logger.error('HybridResponseHandler: Tavily search failed', error);
-      // Fallback to AI response
-      return this.generateFallbackResponse(input, requestType);
+      directoryResults = applyEligibilityNeeds(directoryResults, needs);
+      if (directoryResults.length > 0) {
+        logger.info('HybridResponseHandler: Answering from local resource directory');
+        return this.formatShelterResponse(null, input, context, requestType, directoryResults);
+      }
+      // Then the national hotlines, and only then the generic fallback
+      return this.formatNationalResourcesResponse(location, context, requestType, options)
+        || this.generateFallbackResponse(input, requestType);
+    }
+  }
+
+  /**
+   * Eligibility needs from the conversation so far plus the current input
+   * @param {string} input - User input
+   * @param {Object} context - Conversation context
+   * @returns {Object} Eligibility needs
+   */
+  static getEligibilityNeeds(input, context) {
+    const known = context?.eligibilityNeeds || context?.lastQueryContext?.eligibilityNeeds;
+    return mergeEligibilityNeeds(known, extractEligibilityNeeds(input));
+  }
+
+  /**
+   * Rank results by distance from the caller, leaving them untouched on failure
+   * @param {Array} results - Search or directory results
+   * @param {string} location - Caller location
+   * @param {Object} options - Handler options (options.geocoder overrides Nominatim)
+   * @returns {Promise<Array>} Ranked results
+   */
+  static async rankByDistance(results, location, options = {}) {
+    if (!location || results.length === 0) return results;
+    try {
+      return await rankResultsByDistance(results, location, { geocoder: options.geocoder });
+    } catch (error) {
+      logger.error('HybridResponseHandler: Distance ranking failed', error);
+      return results;
+    }
+  }
+
+  /**
+   * Look up local directory entries for a location
+   * @param {string} location - Caller location
+   * @returns {Array<Object>} Directory entries in search-result shape, verified first
+   */
+  static searchResourceDirectory(location) {
+    try {
+      return getResourceDirectory()
+        .search({ location })
+        .map(resource => ResourceDirectory.toSearchResult(resource));
+    } catch (error) {
+      logger.error('HybridResponseHandler: Resource directory lookup failed', error);
+      return [];
+    }
+  }
+
+  /**
+   * National hotlines from the directory, for a caller in the country they serve
+   * The bundled national hotlines (data/national-resources.json) are US numbers.
+   * @param {Object} [region] - Caller's region from resolveRegion
+   * @returns {Array<Object>} National hotlines in search-result shape, verified first
+   */
+  static getNationalResults(region) {
+    if ((region?.country || getDefaultCountry()) !== 'US') return [];
+    try {
+      return getResourceDirectory()
+        .getNationalResources()
+        .map(resource => ResourceDirectory.toSearchResult(resource));
+    } catch (error) {
+      logger.error('HybridResponseHandler: National resource lookup failed', error);
+      return [];
+    }
+  }
+
+  /**
+   * Answer with national hotlines when no shelter near the caller was found
+   * @param {string} location - Caller location
+   * @param {Object} context - Conversation context
+   * @param {string} requestType - Request type
+   * @param {Object} options - Handler options (options.region picks the country)
+   * @returns {Object|null} Formatted response, or null when there are no national hotlines for the caller
+   */
+  static formatNationalResourcesResponse(location, context, requestType, options = {}) {
+    const results = this.getNationalResults(options?.region).slice(0, 3);
+    if (results.length === 0) return null;
+
+    const place = location || 'your area';
+    const hotlines = results.map((result, index) =>
+      `${index + 1}. ${this.cleanTitle(result.title)}, ${result.phone}${result.resource.text ? ` (${result.resource.text})` : ''}`);
+    const intro = `I couldn't find shelters in ${place}, but these national hotlines can help you find one`;
+    const baseResponse = {
+      success: true,
+      source: 'national_resources',
+      timestamp: new Date().toISOString(),
+      conversationContext: context,
+      results
+    };
+    const smsResponse = `No shelters found in ${place}. National hotlines:\n${hotlines.join('\n')}`;
+
+    if (requestType === 'voice') {
+      return {
+        ...baseResponse,
+        voiceResponse: `${intro}. ${hotlines.join('. ')}.`,
+        smsResponse,
+        summary: `No shelters found in ${place}. Offered ${results.length} national hotlines.`
+      };
+    } else if (requestType === 'sms') {
+      return { ...baseResponse, smsResponse };
+    } else {
+      return {
+        ...baseResponse,
+        webResponse: `${intro}:<br><br>${hotlines.join('<br>')}`,
+        voiceResponse: `${intro}. ${hotlines.join('. ')}.`,
+        smsResponse
+      };
     }
   }
 
@@ -144,8 +319,13 @@ export class HybridResponseHandler {
       // Build conversation context for AI
       const conversationContext = this.buildConversationContext(context);
       
-      // Determine which instructions to use
-      const instructions = requestType === 'voice' ? voiceInstructions : this.getWebInstructions();
+      // Determine which instructions to use, in the caller's language
+      const baseInstructions = requestType === 'voice'
+        ? voiceInstructions
+        : requestType === 'sms' ? this.getSMSInstructions(options?.region) : this.getWebInstructions(options?.region);
+      const instructions = [baseInstructions, getResponseLanguageInstruction(options?.language), getRegionInstruction(options?.region)]
+        .filter(Boolean)
+        .join('\n\n');
       
       // Create the AI prompt
       const prompt = this.createAIPrompt(input, conversationContext, instructions);
@@ -168,6 +348,7 @@ export class HybridResponseHandler {
         temperature: 0.7
       });
       logger.info('HybridResponseHandler: DEBUG aiResponse', { aiResponse });
+      traceTurnEvent(TRACE_STAGES.LLM, { model: config.GPT35_MODEL, system: instructions, prompt, answer: aiResponse.choices[0].message.content });
 
       const responseTime = Date.now() - startTime;
       
@@ -182,7 +363,7 @@ export class HybridResponseHandler {
       const response = this.formatAIResponse(aiResponse.choices[0].message.content, requestType, context);
       
       // Cache the response
-      this.cacheResponse(input, response);
+      this.cacheResponse(input, response, requestType, options?.language, options?.region?.country);
       
       return response;
       
@@ -191,7 +372,7 @@ export class HybridResponseHandler {
       
       // For AI path, always return success: true even on error
       // This ensures non-shelter queries don't fall back to failure responses
-      const fallbackMessage = 'I understand your question. Please call the National Domestic Violence Hotline at 1-800-799-7233 for immediate support and guidance.';
+      const fallbackMessage = 'I understand your question. Please call the domestic violence hotline at {{hotlineNumber}} for immediate support and guidance.';
       
       const fallbackResponse = {
         success: true,
@@ -207,6 +388,11 @@ export class HybridResponseHandler {
           smsResponse: fallbackMessage,
           summary: 'AI temporarily unavailable. Please call hotline for support.'
         };
+      } else if (requestType === 'sms') {
+        return {
+          ...fallbackResponse,
+          smsResponse: fallbackMessage
+        };
       } else {
         return {
           ...fallbackResponse,
@@ -218,6 +404,52 @@ export class HybridResponseHandler {
     }
   }
 
+  /**
+   * Handle a turn while the caller is in cover story mode
+   * Uses the persona's own instructions only - the real conversation context is
+   * deliberately not passed to the model - and nothing is cached.
+   * @param {string} input - User query
+   * @param {Object} coverStory - Cover story state ({ persona, turns })
+   * @param {string} requestType - Request type
+   * @returns {Promise<Object>} Response object flagged with isCoverStory
+   */
+  static async handleCoverStoryResponse(input, coverStory, requestType) {
+    const persona = coverStoryConfig.personas[coverStory.persona];
+    const turn = coverStory.turns || 0;
+    coverStory.turns = turn + 1;
+
+    let reply;
+    try {
+      const openAIIntegration = new OpenAIIntegration();
+      const aiResponse = await openAIIntegration.createChatCompletion({
+        model: config.GPT35_MODEL,
+        messages: [
+          { role: 'system', content: persona.instructions },
+          { role: 'user', content: input }
+        ],
+        maxTokens: 120,
+        temperature: 0.7
+      });
+      reply = aiResponse.choices[0].message.content.trim();
+    } catch (error) {
+      logger.warn('HybridResponseHandler: Cover story AI reply failed, using canned reply', { error: error.message });
+    }
+
+    if (!reply) {
+      reply = persona.fallbackReplies[turn % persona.fallbackReplies.length];
+    }
+
+    // No smsResponse or summary: cover story turns must never reach the SMS or call summary
+    return {
+      success: true,
+      source: 'cover_story',
+      isCoverStory: true,
+      timestamp: new Date().toISOString(),
+      voiceResponse: reply,
+      ...(requestType === 'voice' ? {} : { webResponse: reply })
+    };
+  }
+
   /**
    * Extract location from query or context
    * @param {string} input - User query
@@ -250,15 +482,21 @@ export class HybridResponseHandler {
    * Build shelter search query for Tavily
    * @param {string} input - User query
    * @param {string} location - Location
+   * @param {Object} needs - Eligibility needs from the conversation
    * @returns {string} Search query
    */
-  static buildShelterSearchQuery(input, location) {
+  static buildShelterSearchQuery(input, location, needs = {}) {
     let query = 'domestic violence shelter';
     
     if (location) {
       query += ` ${location}`;
     }
     
+    const needTerms = buildEligibilityQueryTerms(needs);
+    if (needTerms.length > 0) {
+      query += ` ${needTerms.join(' ')}`;
+    }
+    
     // Add simplified terms for better performance
     query += ' help resources contact';
     
@@ -276,7 +514,7 @@ export class HybridResponseHandler {
    * @param {string} requestType - Request type
    * @returns {Object} Formatted response
    */
-  static formatShelterResponse(searchResult, input, context, requestType) {
+  static formatShelterResponse(searchResult, input, context, requestType, directoryResults = []) {
     // Handle the nested data structure from SearchIntegration
     const results = searchResult?.data?.results || searchResult?.results || [];
     const location = this.extractLocation(input, context);
@@ -291,11 +529,11 @@ export class HybridResponseHandler {
       }))
     });
     
-    // Filter relevant results
-    const relevantResults = results.filter(result => 
+    // Filter relevant results; directory entries are curated and rank first
+    const relevantResults = this.mergeDirectoryResults(directoryResults, results.filter(result => 
       result.score >= 0.2 && 
       this.isRelevantShelter(result)
-    ).slice(0, 3);
+    )).slice(0, 3);
     
     logger.info('HybridResponseHandler: Filtered results', {
       originalCount: results.length,
@@ -306,11 +544,15 @@ export class HybridResponseHandler {
         url: r.url
       }))
     });
+    traceTurnEvent(TRACE_STAGES.RESULTS, {
+      originalCount: results.length,
+      kept: relevantResults.map(r => ({ title: r.title, url: r.url, score: r.score }))
+    });
     
     // Create response
     const baseResponse = {
       success: true,
-      source: 'tavily_hybrid',
+      source: searchResult && searchResult.success !== false ? 'tavily_hybrid' : 'resource_directory',
       timestamp: new Date().toISOString(),
       conversationContext: context,
       results: relevantResults
@@ -323,6 +565,12 @@ export class HybridResponseHandler {
         smsResponse: this.createSMSResponse(relevantResults, location),
         summary: this.createSummary(relevantResults, location)
       };
+    } else if (requestType === 'sms') {
+      // Full list: the SMS channel splits long replies into numbered parts itself
+      return {
+        ...baseResponse,
+        smsResponse: this.createSMSResponse(relevantResults, location, null)
+      };
     } else {
       return {
         ...baseResponse,
@@ -333,6 +581,27 @@ export class HybridResponseHandler {
     }
   }
 
+  /**
+   * Merge directory entries ahead of search results
+   * Verified organizations come first; search results that duplicate a
+   * directory entry (same phone number) are dropped.
+   * @param {Array} directoryResults - Directory entries in search-result shape
+   * @param {Array} searchResults - Filtered Tavily results
+   * @returns {Array} Merged results
+   */
+  static mergeDirectoryResults(directoryResults = [], searchResults = []) {
+    const digits = phone => (phone || '').replace(/\D/g, '');
+    const directoryPhones = new Set(directoryResults.map(result => digits(result.phone)));
+    const uniqueSearchResults = searchResults.filter(result => {
+      const phone = digits(this.extractPhone(result.content));
+      return !phone || !directoryPhones.has(phone);
+    });
+
+    const verified = directoryResults.filter(result => result.verified);
+    const unverified = directoryResults.filter(result => !result.verified);
+    return [...verified, ...unverified, ...uniqueSearchResults];
+  }
+
   /**
    * Format AI response
    * @param {string} aiResponse - AI response
@@ -355,6 +624,11 @@ export class HybridResponseHandler {
         smsResponse: this.createSMSResponseFromAI(aiResponse),
         summary: this.createSummaryFromAI(aiResponse)
       };
+    } else if (requestType === 'sms') {
+      return {
+        ...baseResponse,
+        smsResponse: this.createSMSResponseFromAI(aiResponse, null)
+      };
     } else {
       return {
         ...baseResponse,
@@ -410,16 +684,22 @@ export class HybridResponseHandler {
    */
   static createVoiceResponse(results, location) {
     if (!results || results.length === 0) {
-      return `I wasn't able to find shelters in ${location || 'your area'}. Please call the National Domestic Violence Hotline at 1-800-799-7233 for immediate assistance.`;
+      return `I wasn't able to find shelters in ${location || 'your area'}. Please call the domestic violence hotline at {{hotlineNumber}} for immediate assistance.`;
     }
     
     let response = `I found ${results.length} shelter${results.length > 1 ? 's' : ''} in ${location || 'your area'}. `;
     
     results.forEach((result, index) => {
       const title = this.cleanTitle(result.title);
-      const phone = this.extractPhone(result.content);
+      const phone = result.phone || this.extractPhone(result.content);
       
       response += `${index + 1}. ${title}`;
+      if (result.distanceText) {
+        response += `, ${result.distanceText}`;
+      }
+      if (result.matchedNeeds?.length > 0) {
+        response += `. It ${describeMatchedNeeds(result.matchedNeeds)}`;
+      }
       if (phone) {
         response += `. Phone: ${phone}`;
       }
@@ -435,27 +715,34 @@ export class HybridResponseHandler {
    * Create SMS response for shelter results
    * @param {Array} results - Shelter results
    * @param {string} location - Location
+   * @param {number|null} [maxLength=160] - Cut-off length, or null for the whole list
    * @returns {string} SMS response
    */
-  static createSMSResponse(results, location) {
+  static createSMSResponse(results, location, maxLength = 160) {
     if (!results || results.length === 0) {
-      return `No shelters found in ${location || 'your area'}. Call 1-800-799-7233 for help.`;
+      return `No shelters found in ${location || 'your area'}. Call {{hotlineNumber}} for help.`;
     }
     
     let response = `Shelters in ${location || 'your area'}: `;
     
     results.forEach((result, index) => {
       const title = this.cleanTitle(result.title);
-      const phone = this.extractPhone(result.content);
+      const phone = result.phone || this.extractPhone(result.content);
       
       response += `${index + 1}. ${title}`;
+      if (result.distanceText) {
+        response += `, ${result.distanceText}`;
+      }
       if (phone) {
         response += ` (${phone})`;
       }
+      if (result.matchedNeeds?.length > 0) {
+        response += ` - ${describeMatchedNeeds(result.matchedNeeds)}`;
+      }
       response += '; ';
     });
     
-    return response.substring(0, 160);
+    return maxLength === null ? response.replace(/;\s*$/, '.') : response.substring(0, maxLength);
   }
 
   /**
@@ -466,19 +753,25 @@ export class HybridResponseHandler {
    */
   static createWebResponse(results, location) {
     if (!results || results.length === 0) {
-      return `I wasn't able to find shelters in ${location || 'your area'}. Please call the National Domestic Violence Hotline at 1-800-799-7233 for immediate assistance.`;
+      return `I wasn't able to find shelters in ${location || 'your area'}. Please call the domestic violence hotline at {{hotlineNumber}} for immediate assistance.`;
     }
     
     let response = `I found ${results.length} shelter${results.length > 1 ? 's' : ''} in ${location || 'your area'}:<br><br>`;
     
     results.forEach((result, index) => {
       const title = this.cleanTitle(result.title);
-      const phone = this.extractPhone(result.content);
+      const phone = result.phone || this.extractPhone(result.content);
       
       response += `<strong>${index + 1}. ${title}</strong><br>`;
+      if (result.distanceText) {
+        response += `${result.distanceText.charAt(0).toUpperCase()}${result.distanceText.slice(1)}<br>`;
+      }
       if (phone) {
         response += `Phone: ${phone}<br>`;
       }
+      if (result.matchedNeeds?.length > 0) {
+        response += `Matches your needs: ${describeMatchedNeeds(result.matchedNeeds)}<br>`;
+      }
       response += `<br>`;
     });
     
@@ -490,19 +783,20 @@ export class HybridResponseHandler {
   /**
    * Create SMS response from AI response
    * @param {string} aiResponse - AI response
+   * @param {number|null} [maxLength=160] - Cut-off length, or null to keep the whole reply
    * @returns {string} SMS response
    */
-  static createSMSResponseFromAI(aiResponse) {
+  static createSMSResponseFromAI(aiResponse, maxLength = 160) {
     let smsResponse = aiResponse
       .replace(/^Hello[^.]*\./, '')
       .replace(/Thank you[^.]*\./, '')
       .trim();
     
-    if (smsResponse.length > 160) {
-      smsResponse = smsResponse.substring(0, 157) + '...';
+    if (maxLength !== null && smsResponse.length > maxLength) {
+      smsResponse = smsResponse.substring(0, maxLength - 3) + '...';
     }
     
-    return smsResponse || 'Thank you for reaching out. Please call 1-800-799-7233 for immediate support.';
+    return smsResponse || 'Thank you for reaching out. Please call {{hotlineNumber}} for immediate support.';
   }
 
   /**
@@ -527,7 +821,7 @@ export class HybridResponseHandler {
    */
   static createSummary(results, location) {
     if (!results || results.length === 0) {
-      return `No shelters found in ${location || 'your area'}. Please call 1-800-799-7233 for assistance.`;
+      return `No shelters found in ${location || 'your area'}. Please call {{hotlineNumber}} for assistance.`;
     }
     
     return `Found ${results.length} shelter${results.length > 1 ? 's' : ''} in ${location || 'your area'}. Please call them directly for availability.`;
@@ -581,10 +875,20 @@ Please respond appropriately based on the conversation instructions. If the user
 
   /**
    * Get web instructions (simplified version)
+   * @param {Object} [region] - Caller's region from resolveRegion (defaults to the default country)
    * @returns {string} Web instructions
    */
-  static getWebInstructions() {
-    return `You are a domestic violence support assistant. Be empathetic, helpful, and prioritize safety. If someone mentions immediate danger, direct them to call 911. Provide clear, actionable guidance and resources.`;
+  static getWebInstructions(region) {
+    return applyRegionNumbers(`You are a domestic violence support assistant. Be empathetic, helpful, and prioritize safety. If someone mentions immediate danger, direct them to call {{emergencyNumber}}. Provide clear, actionable guidance and resources.`, region);
+  }
+
+  /**
+   * Get SMS instructions
+   * @param {Object} [region] - Caller's region from resolveRegion (defaults to the default country)
+   * @returns {string} SMS instructions
+   */
+  static getSMSInstructions(region) {
+    return applyRegionNumbers(`You are a domestic violence support assistant replying by text message. Someone else may read this phone, so be brief and plain: a few short sentences, no greetings, markdown, links or emoji. Be empathetic and prioritize safety. If someone mentions immediate danger, tell them to call {{emergencyNumber}}. For support the domestic violence hotline is {{hotlineNumber}}. Include phone numbers when you mention a service.`, region);
   }
 
   /**
@@ -594,7 +898,7 @@ Please respond appropriately based on the conversation instructions. If the user
    * @returns {Object} Fallback response
    */
   static generateFallbackResponse(input, requestType) {
-    const fallbackMessage = 'I apologize, but I\'m having trouble processing your request right now. Please call the National Domestic Violence Hotline at 1-800-799-7233 for immediate support.';
+    const fallbackMessage = 'I apologize, but I\'m having trouble processing your request right now. Please call the domestic violence hotline at {{hotlineNumber}} for immediate support.';
     
     return {
       success: false,
@@ -607,6 +911,23 @@ Please respond appropriately based on the conversation instructions. If the user
     };
   }
 
+  /**
+   * Fill the region placeholders in every text of a response
+   * @param {Object} response - Response from generateResponse
+   * @param {Object} [region] - Caller's region from resolveRegion (defaults to the default country)
+   * @returns {Object} Response with the region's numbers
+   */
+  static localizeResponse(response, region) {
+    if (!response) return response;
+    const localized = { ...response };
+    for (const field of ['voiceResponse', 'smsResponse', 'webResponse', 'summary']) {
+      if (typeof localized[field] === 'string') {
+        localized[field] = applyRegionNumbers(localized[field], region);
+      }
+    }
+    return localized;
+  }
+
   /**
    * Utility methods
    */
@@ -624,16 +945,57 @@ Please respond appropriately based on the conversation instructions. If the user
   /**
    * Cache management
    */
-  static getCachedResponse(input) {
+  static getCachedResponse(input, requestType = 'web', language = null, country = null, scope = null) {
     if (!input) return null;
-    const normalizedInput = input.toLowerCase().trim();
-    return gptCache.get(normalizedInput);
+    return gptCache.get(this.getCacheKey(input, requestType, language, country, scope));
   }
 
-  static cacheResponse(input, response) {
+  static cacheResponse(input, response, requestType = 'web', language = null, country = null, scope = null) {
     if (!input) return;
+    gptCache.set(this.getCacheKey(input, requestType, language, country, scope), response, 3600000); // 1 hour cache
+  }
+
+  /**
+   * What a shelter answer depends on besides the words of the query
+   * Two callers can send the same text with a different location or
+   * different needs in context, and must not share a cached answer.
+   * @param {string} input - User query
+   * @param {Object} context - Conversation context
+   * @returns {string|null} Cache scope, or null when the answer depends on the text alone
+   */
+  static getCacheScope(input, context) {
+    if (!input || !this.isShelterSearch(input)) return null;
+    const needs = this.getEligibilityNeeds(input, context);
+    const parts = [];
+    if (context?.location) {
+      parts.push(`at=${String(context.location).toLowerCase().replace(/\s+/g, ' ').trim()}`);
+    }
+    for (const need of Object.values(ELIGIBILITY_NEEDS)) {
+      if (need === ELIGIBILITY_NEEDS.LANGUAGE) {
+        if (needs.language) parts.push(`${need}=${needs.language.toLowerCase()}`);
+      } else if (needs[need]) {
+        parts.push(need);
+      }
+    }
+    if (needs.childAges?.length > 0) {
+      parts.push(`childAges=${needs.childAges.join(',')}`);
+    }
+    return parts.length > 0 ? parts.join(';') : null;
+  }
+
+  // SMS responses only carry smsResponse, so they are cached apart from voice and web;
+  // answers in another language, or with another country's numbers, are cached apart from the default ones;
+  // a scope (see getCacheScope) keeps context-dependent shelter answers apart
+  static getCacheKey(input, requestType, language = null, country = null, scope = null) {
     const normalizedInput = input.toLowerCase().trim();
-    gptCache.set(normalizedInput, response, 3600000); // 1 hour cache
+    let key = requestType === 'sms' ? `sms:${normalizedInput}` : normalizedInput;
+    if (scope) {
+      key = `${key}|${scope}`;
+    }
+    if (country && country !== getDefaultCountry()) {
+      key = `${country}:${key}`;
+    }
+    return language && language !== DEFAULT_LANGUAGE ? `${language}:${key}` : key;
   }
 
   /**
@@ -4,6 +4,11 @@ import { extractLocationFromQuery as enhancedExtractLocation } from './enhancedL
 import { rewriteQuery } from './enhancedQueryRewriter.js';
 import { SearchIntegration } from '../integrations/searchIntegration.js';
 import { OpenAIIntegration } from '../integrations/openaiIntegration.js';
+import { coverStoryConfig } from './conversationConfig.js';
+import { StoredMap } from './storage/storedMap.js';
+import { extractEligibilityNeeds, mergeEligibilityNeeds } from './eligibilityNeeds.js';
+import { getConversationFlow, getFlowPromptText } from './conversationFlow.js';
+import { traceTurnEvent, TRACE_STAGES } from './dialogueTrace.js';
 
 // Re-export rewriteQuery for backward compatibility
 export { rewriteQuery };
@@ -13,7 +18,8 @@ const openAIIntegration = new OpenAIIntegration();
 
 
 // Add conversation context handling
-const conversationContexts = new Map();
+// Written through to the context store so live calls survive a restart
+const conversationContexts = new StoredMap('conversations');
 
 export function updateConversationContext(callSid, intent, query, response, tavilyResults = null, matchedResult = null) {
   if (!conversationContexts.has(callSid)) {
@@ -68,6 +74,12 @@ export function updateConversationContext(callSid, intent, query, response, tavi
   // Determine needsLocation
   const needsLocation = !location && isResourceQuery(intent);
 
+  // Pets, children, language and other needs accumulate across the call
+  const eligibilityNeeds = mergeEligibilityNeeds(
+    context.lastQueryContext?.eligibilityNeeds,
+    extractEligibilityNeeds(query)
+  );
+
   // Summarize results if present
   let summarizedResults = [];
   if (tavilyResults && tavilyResults.results && tavilyResults.results.length > 0) {
@@ -80,6 +92,7 @@ export function updateConversationContext(callSid, intent, query, response, tavi
     lastQuery: query,
     location: location || (context.lastQueryContext?.location ?? null),
     needsLocation,
+    eligibilityNeeds,
     results: summarizedResults,
     recentSummary: buildRecentSummary(context.history)
   };
@@ -89,6 +102,8 @@ export function updateConversationContext(callSid, intent, query, response, tavi
     context.lastQueryContext.results = context.lastQueryContext.results;
   }
 
+  conversationContexts.save(callSid);
+
   // Log for debug
   logger.info('Updated minimal conversation context:', {
     callSid,
@@ -138,6 +153,119 @@ export function clearConversationContext(callSid) {
   }
 }
 
+/**
+ * Reload conversation contexts from the context store after a restart
+ * @returns {Promise<number>} Number of contexts restored
+ */
+export async function hydrateConversationContexts() {
+  const restored = await conversationContexts.hydrate();
+  if (restored > 0) {
+    logger.info('Restored conversation contexts from store:', { restored });
+  }
+  return restored;
+}
+
+/**
+ * Normalize an utterance for cover story phrase matching
+ * @param {string} text - Raw speech text
+ * @returns {string} Lowercased text with contractions expanded and punctuation removed
+ */
+function normalizeCoverStoryPhrase(text) {
+  return text
+    .toLowerCase()
+    .replace(/\b(it|what|that|there)'s\b/g, '$1 is')
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Detect a cover story trigger or resume phrase
+ * @param {string} query - User query
+ * @returns {Object|null} { action: 'activate', persona } | { action: 'resume' } | null
+ */
+export function detectCoverStoryPhrase(query) {
+  if (!query || typeof query !== 'string') {
+    return null;
+  }
+
+  const utterance = normalizeCoverStoryPhrase(query);
+  const trigger = Object.entries(coverStoryConfig.triggerPhrases)
+    .find(([phrase]) => utterance.includes(phrase));
+  if (trigger) {
+    return { action: 'activate', persona: trigger[1] };
+  }
+
+  if (coverStoryConfig.resumePhrases.some(phrase => utterance.includes(phrase))) {
+    return { action: 'resume' };
+  }
+
+  return null;
+}
+
+/**
+ * Switch a call into cover story mode
+ * The real conversation context is snapshotted so it can be restored on resume.
+ * @param {string} callSid - Call SID
+ * @param {string} persona - Persona key from coverStoryConfig.personas
+ * @returns {Object} Cover story state
+ */
+export function activateCoverStory(callSid, persona) {
+  if (!conversationContexts.has(callSid)) {
+    conversationContexts.set(callSid, {
+      history: [],
+      lastIntent: null,
+      lastQuery: null,
+      lastQueryContext: null
+    });
+  }
+
+  const context = conversationContexts.get(callSid);
+  const personaKey = coverStoryConfig.personas[persona] ? persona : Object.keys(coverStoryConfig.personas)[0];
+
+  // Switching persona mid-cover keeps the original snapshot
+  const savedQueryContext = context.coverStory ? context.coverStory.savedQueryContext : context.lastQueryContext;
+  context.coverStory = {
+    active: true,
+    persona: personaKey,
+    turns: 0,
+    activatedAt: Date.now(),
+    savedQueryContext
+  };
+  conversationContexts.save(callSid);
+
+  logger.info('Cover story mode activated:', { callSid, persona: personaKey });
+  return context.coverStory;
+}
+
+/**
+ * Leave cover story mode and restore the real conversation context
+ * @param {string} callSid - Call SID
+ * @returns {Object|null} Restored conversation context, or null if no cover story was active
+ */
+export function resumeFromCoverStory(callSid) {
+  const context = conversationContexts.get(callSid);
+  if (!context?.coverStory) {
+    return null;
+  }
+
+  context.lastQueryContext = context.coverStory.savedQueryContext;
+  delete context.coverStory;
+  conversationContexts.save(callSid);
+
+  logger.info('Cover story mode ended, conversation restored:', { callSid });
+  return context;
+}
+
+/**
+ * Get the active cover story state for a call
+ * @param {string} callSid - Call SID
+ * @returns {Object|null} Cover story state or null
+ */
+export function getCoverStory(callSid) {
+  return conversationContexts.get(callSid)?.coverStory || null;
+}
+
 /**
  * Clean up old conversation contexts to prevent memory bloat
  * @param {number} maxAgeMs - Maximum age in milliseconds (default: 30 minutes)
@@ -200,6 +328,15 @@ setInterval(() => {
  */
 export async function getIntent(query) {
   try {
+    // Cover story phrases are matched deterministically so they never depend on the LLM
+    const coverStoryPhrase = detectCoverStoryPhrase(query);
+    if (coverStoryPhrase) {
+      logger.info('Cover story phrase detected:', { action: coverStoryPhrase.action });
+      const intent = coverStoryPhrase.action === 'activate' ? 'cover_story' : 'resume_conversation';
+      traceTurnEvent(TRACE_STAGES.INTENT, { intent, method: 'cover_story_phrase' });
+      return intent;
+    }
+
     logger.info('Classifying intent for query:', { query });
 
     // Check if we have a valid API key
@@ -212,6 +349,7 @@ export async function getIntent(query) {
         confidence: 'fallback',
         method: 'pattern_matching'
       });
+      traceTurnEvent(TRACE_STAGES.INTENT, { intent: fallbackIntent, method: 'pattern_matching' });
       return fallbackIntent;
     }
 
@@ -233,6 +371,9 @@ Available intents:
 - legal_services: For requests about legal help, restraining orders, court assistance, or legal representation.
 - counseling_services: For requests about therapy, counseling, mental health support, or emotional help.
 - emergency_help: For urgent requests, immediate danger, or crisis situations.
+- safety_plan: For requests to make, go through or continue a safety plan, such as 'Can you help me make a safety plan?' or 'Let's continue my safety plan'.
+- talk_to_person: For requests to speak with a real person, advocate or hotline worker instead of the assistant, such as 'Can I talk to a real person?' or 'Connect me to an advocate'.
+- leave_message: For callers who want to leave a message or can't talk right now and want to be called back later, such as 'Can I leave a message?' or 'I can't talk now, can someone call me back?'.
 - general_information: For general questions about domestic violence, recognizing abuse, or available support resources.
 - other_resources: For non-shelter support like financial assistance, job training, child care (not related to entering a shelter), or unrelated services.
 - provide_location: For statements where the user provides or updates their location, such as 'I live in Oakland, California', 'My city is Austin', 'I'm in Chicago', or 'I am from Dallas'.
@@ -287,6 +428,7 @@ Respond with only the intent name.`;
       confidenceLevel: getConfidenceLevel(confidence),
       timestamp: new Date().toISOString()
     });
+    traceTurnEvent(TRACE_STAGES.INTENT, { intent, confidence, method: 'openai_gpt35' });
 
     return intent;
 
@@ -310,6 +452,7 @@ Respond with only the intent name.`;
       method: 'pattern_matching',
       error: error.message
     });
+    traceTurnEvent(TRACE_STAGES.INTENT, { intent: fallbackIntent, method: 'pattern_matching', error: error.message });
     
     return fallbackIntent;
   }
@@ -329,7 +472,7 @@ function calculateIntentConfidence(intent, query, response) {
   const validIntents = [
     'find_shelter', 'legal_services', 'counseling_services', 
     'emergency_help', 'general_information', 'other_resources', 
-    'provide_location', 'end_conversation', 'off_topic'
+    'provide_location', 'end_conversation', 'off_topic', 'safety_plan', 'talk_to_person', 'leave_message'
   ];
   
   if (!validIntents.includes(intent)) {
@@ -344,6 +487,9 @@ function calculateIntentConfidence(intent, query, response) {
     'legal_services': ['legal', 'lawyer', 'attorney', 'court', 'restraining order', 'divorce'],
     'counseling_services': ['counseling', 'therapy', 'counselor', 'therapist', 'mental health', 'emotional'],
     'emergency_help': ['emergency', 'urgent', 'danger', 'help now', 'immediate', 'crisis'],
+    'safety_plan': ['safety plan', 'plan to stay safe', 'plan for my safety'],
+    'talk_to_person': ['real person', 'human', 'advocate', 'someone real', 'live person', 'operator'],
+    'leave_message': ['leave a message', 'voicemail', "can't talk", 'call me back', 'call back'],
     'general_information': ['what is', 'how to', 'information', 'about', 'tell me'],
     'other_resources': ['financial', 'money', 'job', 'work', 'childcare', 'transportation'],
     'provide_location': ['i live in', 'my city is', "i'm in", 'i am in', 'i am from', 'my location is', 'my address is', 'i reside in', 'i am located in', 'i stay in'],
@@ -400,7 +546,22 @@ function classifyIntentFallback(query) {
 
   const lowerQuery = query.toLowerCase();
   
-  // Check for end conversation first (before other checks)
+  // Explicit safety plan requests ("help me make a safety plan", "continue my safety plan")
+  if (/\b(safety plan(ning)?|plan (to stay|for staying) safe|plan for my safety)\b/i.test(lowerQuery)) {
+    return 'safety_plan';
+  }
+
+  // Requests to be connected to a person rather than the assistant
+  if (/\b((talk|speak|connect me) (to|with) (a |an )?(real |live |actual )?(person|human|advocate|operator)|(real|live|actual) (person|human)|transfer me)\b/i.test(lowerQuery)) {
+    return 'talk_to_person';
+  }
+
+  // Callers who want to leave a message or be called back later
+  if (/\b(leave (a |an |them a )?(message|voicemail)|can'?t talk (right )?now|call me back)\b/i.test(lowerQuery)) {
+    return 'leave_message';
+  }
+
+  // Check for end conversation next (before other checks)
   if (/\b(end|stop|goodbye|bye|hang up|disconnect|thank you|thanks)\b/i.test(lowerQuery)) {
     return 'end_conversation';
   }
@@ -1509,99 +1670,30 @@ async function generateLocationFollowUpResponse(locationQuery, lastQueryContext,
 
 /**
  * Manages conversation flow based on intent and context
+ * Steps through the shared conversation flow (lib/conversationFlow.js) from the
+ * state saved in the context
  * @param {string} intent - The classified intent
  * @param {string} query - The user query
  * @param {Object} context - Conversation context
  * @returns {Object} Flow management result
  */
 export function manageConversationFlow(intent, query, context) {
-  // Handle null/undefined context gracefully
-  if (!context) {
-    return {
-      shouldContinue: true,
-      shouldEndCall: false,
-      shouldReengage: false,
-      redirectionMessage: null,
-      confidence: 0.5
-    };
-  }
-
-  // Use context confidence if available
-  const confidence = context.confidence || 0.5;
-
-  // Handle off-topic intents
-  if (intent === 'off_topic') {
-    const lowerQuery = query.toLowerCase();
-    
-    // Check if user wants to end conversation
-    const endKeywords = ['goodbye', 'bye', 'end', 'stop', 'hang up', 'go'];
-    const wantsToEnd = endKeywords.some(keyword => lowerQuery.includes(keyword));
-    
-    if (wantsToEnd) {
-      return {
-        shouldContinue: false,
-        shouldEndCall: false,
-        shouldReengage: false,
-        redirectionMessage: "Before we end this call, I want to make sure you have the support you need. If you're experiencing domestic violence, please know that help is available 24/7. You can call the National Domestic Violence Hotline at 1-800-799-SAFE (7233) anytime.",
-        confidence
-      };
-    }
-    
-    // Check if user is trying to re-engage with domestic violence topic
-    const dvKeywords = ['domestic violence', 'abuse', 'shelter', 'help', 'support', 'safety'];
-    const isReengaging = dvKeywords.some(keyword => lowerQuery.includes(keyword));
-    
-    if (isReengaging) {
-      return {
-        shouldContinue: true,
-        shouldEndCall: false,
-        shouldReengage: true,
-        redirectionMessage: "I understand you're asking about domestic violence support. Let me help you find the resources you need. What specific type of help are you looking for?",
-        confidence
-      };
-    }
-    
-    // General redirection for off-topic queries
-    return {
-      shouldContinue: true,
-      shouldEndCall: false,
-      shouldReengage: false,
-      redirectionMessage: "I'm here to help with domestic violence support and resources. How can I assist you today?",
-      confidence
-    };
-  }
+  const flow = getConversationFlow();
+  const step = flow.next(context?.flowState, intent, { query });
+  // Questions for missing slots are the channel's to ask; only redirections are returned
+  const { missing } = flow.ask(step, { location: context?.location });
 
-  // Handle end conversation intent
-  if (intent === 'end_conversation') {
-    return {
-      shouldContinue: false,
-      shouldEndCall: false,
-      shouldReengage: false,
-      redirectionMessage: "Before we end this call, I want to make sure you have the support you need. If you're experiencing domestic violence, please know that help is available 24/7. You can call the National Domestic Violence Hotline at 1-800-799-SAFE (7233) anytime.",
-      confidence
-    };
-  }
-
-  // Handle emergency help with high priority
-  if (intent === 'emergency_help') {
-    return {
-      shouldContinue: true,
-      shouldEndCall: false,
-      shouldReengage: false,
-      redirectionMessage: null,
-      confidence,
-      priority: 'high'
-    };
-  }
-
-  // Continue conversation for regular intents
-  return {
-    shouldContinue: true,
+  const result = {
+    shouldContinue: !step.ends,
     shouldEndCall: false,
-    shouldReengage: false,
-    redirectionMessage: null,
-    confidence
+    shouldReengage: step.state === 'reengage',
+    redirectionMessage: step.prompt && missing.length === 0 ? getFlowPromptText(step.prompt, context?.language) : null,
+    confidence: context?.confidence || 0.5
   };
+  if (step.priority) {
+    result.priority = step.priority;
+  }
+  return result;
 }
 
 /**
@@ -5,8 +5,18 @@
  * - Twilio TTS voices and ASR settings
  * - Localized prompts and messages with SSML formatting
  * - Language detection and fallback
+ *
+ * Prompts say {{emergencyNumber}} and {{hotlineNumber}} rather than US numbers;
+ * they are filled from the caller's region (see regionRegistry.js).
  */
 
+import { ttsConfig } from './config/tts.js';
+import { applyRegionNumbers } from './regionRegistry.js';
+import { getQuickExitConfig } from './quickExit.js';
+
+// US callers can reach the national hotline in any language; it connects interpreters
+const US_NATIONAL_HOTLINE = { name: 'National Domestic Violence Hotline', number: '1-800-799-7233', region: 'US' };
+
 // Supported languages with their configurations
 export const SUPPORTED_LANGUAGES = {
   'en-US': {
@@ -16,19 +26,47 @@ export const SUPPORTED_LANGUAGES = {
     twilioLanguage: 'en-US',
     twilioSpeechRecognitionLanguage: 'en-US',
     fallback: null,
+    englishName: 'English',
+    // Hotlines that answer in this language; region is the ISO country they serve
+    hotlines: [US_NATIONAL_HOTLINE],
+    // Keypad key in the language menu, and phrases that switch the call to this language at any time
+    dtmfKey: '1',
+    switchPhrases: ['in english', 'english please', 'speak english', 'can we speak english'],
+    // Common words that only this language uses, for detecting the language of the first utterances
+    detectionWords: ['the', 'and', 'i', 'you', 'my', 'is', 'are', 'need', 'help', 'with', 'where', 'what', 'please', 'thank', 'husband', 'boyfriend', 'home', 'safe', 'shelter', 'want'],
+    // Cues for yes/no answers (lib/yesNoClassifier.js); longer phrases win over the words inside them
+    yesNo: {
+      yes: ['yes', 'yeah', 'yep', 'yup', 'ya', 'sure', 'ok', 'okay', 'alright', 'all right', 'please', 'please do', 'correct', 'right', 'absolutely', 'definitely', 'of course', 'go ahead', 'sounds good', 'that works', 'no problem', 'not a problem', 'uh huh', 'i do', 'i would'],
+      no: ['no', 'nope', 'nah', 'never', 'no thanks', 'no thank you', 'not really', 'rather not', "don't", 'dont', 'do not', "i don't", 'different', 'another', 'somewhere else'],
+      negations: ['not', 'never', "don't", 'dont', "didn't", "won't", "wouldn't"],
+      hedges: ['maybe', 'not sure', "i'm not sure", "i don't know", 'i dont know', 'perhaps', 'i guess', 'possibly', 'kind of', 'sort of', 'it depends', 'depends'],
+      contrast: ['but', 'although', 'except']
+    },
     prompts: {
-      welcome: `Hello, and thank you for reaching out. I'm here to help you find support and resources. Are you in immediate danger right now? If so, please call 911. Otherwise, what brings you to call today?`,
+      welcome: `Hello, and thank you for reaching out. I'm here to help you find support and resources. Are you in immediate danger right now? If so, please call {{emergencyNumber}}. Otherwise, what brings you to call today?`,
+      welcomeVoicemail: `Hello, and thank you for reaching out. I'm here to help you find support and resources. Our advocates aren't available right now, but you can leave them a message at any time. Are you in immediate danger right now? If so, please call {{emergencyNumber}}. Otherwise, what brings you to call today?`,
+      welcomeAssistantOnly: `Hello, and thank you for reaching out. I'm here to help you find support and resources. Our advocates aren't available right now, and the National Domestic Violence Hotline is open 24/7 at {{hotlineNumber}}. Are you in immediate danger right now? If so, please call {{emergencyNumber}}. Otherwise, what brings you to call today?`,
       incompleteLocation: `I'd be happy to help you find shelter. Could you please tell me which city, state, and country you're looking for? For example, you could say 'near San Francisco, California, USA' or 'in London, England, UK'.`,
       currentLocation: `I understand you want resources near your current location. To help you find the closest shelters, could you please tell me which city, state, and country you're in? For example, you could say 'I'm in San Francisco, California, USA' or 'near London, England, UK'.`,
       locationPrompt: `To help you find the right resources, could you please tell me which city, state, and country you're looking for? For example, you could say 'San Francisco, California, USA' or 'London, England, UK'.`,
       moreSpecificLocation: `I found a location, but I need more specific information to help you effectively. Could you please include the state or province and country?`,
       confirmLocation: `<speak>I found a location you mentioned earlier: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Would you like me to search for resources in that area?</prosody> <break time="300ms"/> Please say yes or no.</speak>`,
       usePreviousLocation: `<speak>I found a location you mentioned earlier: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Would you like me to use that location for your search, or would you prefer to provide a different location?</prosody></speak>`,
-      emergency: `<speak>This is an emergency situation. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Please call 911 immediately.</prosody> <break time="800ms"/> You can also call the National Domestic Violence Hotline at 1-800-799-7233 for immediate assistance. <break time="400ms"/> They are available 24/7 and can help you with safety planning and emergency resources.</speak>`,
+      smsConsentReask: `<speak>Sorry, I didn't catch that. <break time="300ms"/> Would you like me to send you a text message with a summary and resources? Please say yes or no.</speak>`,
+      languageMenuOption: `For English, press {{key}}.`,
+      languageSwitched: `Okay, let's continue in English. How can I help you today?`,
+      smsSummary: `Thank you for calling. Here are the resources we discussed: [Resource links would be included here]`,
+      emergency: `<speak>This is an emergency situation. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Please call {{emergencyNumber}} immediately.</prosody> <break time="800ms"/> You can also call the National Domestic Violence Hotline at {{hotlineNumber}} for immediate assistance. <break time="400ms"/> They are available 24/7 and can help you with safety planning and emergency resources.</speak>`,
       noSpeech: `<speak>I didn't hear anything. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Please try again.</prosody></speak>`,
       fallback: `<speak>I'm sorry, I didn't understand your request. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Could you please rephrase that or ask for help finding shelters, legal services, or general information about domestic violence?</prosody> <break time="300ms"/> I'm here to listen and help you.</speak>`,
-      error: `<speak>I'm sorry, I encountered an error processing your request. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Please try again.</prosody> <break time="400ms"/> If you're in immediate danger, please call 911.</speak>`,
-      processingError: `I'm sorry, I couldn't process your request. Please try rephrasing your question with a specific location.`
+      error: `<speak>I'm sorry, I encountered an error processing your request. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Please try again.</prosody> <break time="400ms"/> If you're in immediate danger, please call {{emergencyNumber}}.</speak>`,
+      processingError: `I'm sorry, I couldn't process your request. Please try rephrasing your question with a specific location.`,
+      locationSaved: `Thank you for sharing your location. What kind of help are you looking for? For example: emergency housing, legal help, or counseling?`,
+      offTopic: `I'm here to help with domestic violence support and resources. How can I help you today?`,
+      reengage: `I understand you're asking about domestic violence support. Let me help you find the resources you need. What kind of help are you looking for?`,
+      closing: `Before we end this call, I want to make sure you have the support you need. If you're experiencing domestic violence, help is available 24/7 at {{hotlineNumber}}. Take care and stay safe.`,
+      askLocationPart: `Which state or country is {{location}} in?`,
+      confirmHeardLocation: `Just to check, did you mean {{location}}? Please say yes or no.`
     }
   },
   'es-ES': {
@@ -38,19 +76,43 @@ export const SUPPORTED_LANGUAGES = {
     twilioLanguage: 'es-ES',
     twilioSpeechRecognitionLanguage: 'es-ES',
     fallback: 'en-US',
+    englishName: 'Spanish',
+    hotlines: [US_NATIONAL_HOTLINE, { name: 'Teléfono 016', number: '016', region: 'ES' }],
+    dtmfKey: '2',
+    switchPhrases: ['en español', 'en espanol', 'hablo español', 'hablo espanol', 'habla español', 'habla espanol', 'hablas español', 'hablas espanol', 'español por favor', 'espanol por favor', 'in spanish', 'spanish please'],
+    detectionWords: ['hola', 'gracias', 'necesito', 'ayuda', 'dónde', 'donde', 'estoy', 'tengo', 'quiero', 'mi', 'esposo', 'novio', 'casa', 'refugio', 'por', 'favor', 'una', 'los', 'las', 'que', 'para', 'pero', 'muy', 'puedo', 'usted'],
+    yesNo: {
+      yes: ['sí', 'si', 'claro', 'vale', 'de acuerdo', 'por supuesto', 'está bien', 'esta bien', 'bueno', 'correcto', 'dale', 'ok', 'okay', 'por favor'],
+      no: ['no', 'nunca', 'para nada', 'no gracias', 'mejor no', 'otra', 'otro', 'diferente'],
+      negations: ['no', 'nunca', 'ni'],
+      hedges: ['tal vez', 'quizás', 'quizas', 'no sé', 'no se', 'a lo mejor', 'depende', 'puede ser'],
+      contrast: ['pero', 'aunque', 'excepto']
+    },
     prompts: {
-      welcome: `Hola, y gracias por contactarnos. Estoy aquí para ayudarte a encontrar apoyo y recursos. ¿Estás en peligro inmediato en este momento? Si es así, por favor llama al 911. De lo contrario, ¿qué te trae a llamar hoy?`,
+      welcome: `Hola, y gracias por contactarnos. Estoy aquí para ayudarte a encontrar apoyo y recursos. ¿Estás en peligro inmediato en este momento? Si es así, por favor llama al {{emergencyNumber}}. De lo contrario, ¿qué te trae a llamar hoy?`,
+      welcomeVoicemail: `Hola, y gracias por contactarnos. Estoy aquí para ayudarte a encontrar apoyo y recursos. Nuestras defensoras no están disponibles en este momento, pero puedes dejarles un mensaje en cualquier momento. ¿Estás en peligro inmediato en este momento? Si es así, por favor llama al {{emergencyNumber}}. De lo contrario, ¿qué te trae a llamar hoy?`,
+      welcomeAssistantOnly: `Hola, y gracias por contactarnos. Estoy aquí para ayudarte a encontrar apoyo y recursos. Nuestras defensoras no están disponibles en este momento, y la Línea Nacional de Violencia Doméstica atiende las 24 horas al {{hotlineNumber}}. ¿Estás en peligro inmediato en este momento? Si es así, por favor llama al {{emergencyNumber}}. De lo contrario, ¿qué te trae a llamar hoy?`,
       incompleteLocation: `Me encantaría ayudarte a encontrar un refugio. ¿Podrías decirme en qué ciudad, estado y país estás buscando? Por ejemplo, podrías decir 'cerca de San Francisco, California, Estados Unidos' o 'en Londres, Inglaterra, Reino Unido'.`,
       currentLocation: `Entiendo que quieres recursos cerca de tu ubicación actual. Para ayudarte a encontrar los refugios más cercanos, ¿podrías decirme en qué ciudad, estado y país te encuentras? Por ejemplo, podrías decir 'estoy en San Francisco, California, Estados Unidos' o 'cerca de Londres, Inglaterra, Reino Unido'.`,
       locationPrompt: `Para ayudarte a encontrar los recursos adecuados, ¿podrías decirme en qué ciudad, estado y país estás buscando? Por ejemplo, podrías decir 'San Francisco, California, Estados Unidos' o 'Londres, Inglaterra, Reino Unido'.`,
       moreSpecificLocation: `Encontré una ubicación, pero necesito información más específica para ayudarte efectivamente. ¿Podrías incluir el estado o provincia y el país?`,
       confirmLocation: `<speak>Encontré una ubicación que mencionaste anteriormente: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">¿Te gustaría que busque recursos en esa área?</prosody> <break time="300ms"/> Por favor, di sí o no.</speak>`,
       usePreviousLocation: `<speak>Encontré una ubicación que mencionaste anteriormente: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">¿Te gustaría usar esa ubicación para tu búsqueda, o prefieres proporcionar una ubicación diferente?</prosody></speak>`,
-      emergency: `<speak>Esta es una situación de emergencia. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Por favor llama al 911 inmediatamente.</prosody> <break time="800ms"/> También puedes llamar a la Línea Nacional de Violencia Doméstica al 1-800-799-7233 para asistencia inmediata. <break time="400ms"/> Están disponibles las 24 horas y pueden ayudarte con la planificación de seguridad y recursos de emergencia.</speak>`,
+      smsConsentReask: `<speak>Perdón, no te entendí. <break time="300ms"/> ¿Te gustaría que te envíe un mensaje de texto con un resumen y recursos? Por favor, di sí o no.</speak>`,
+      languageMenuOption: `Para español, oprima {{key}}.`,
+      languageSwitched: `De acuerdo, seguimos en español. ¿En qué puedo ayudarte hoy?`,
+      smsSummary: `Gracias por llamar. Estos son los recursos de los que hablamos: [Aquí se incluirían los enlaces a los recursos]`,
+      emergency: `<speak>Esta es una situación de emergencia. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Por favor llama al {{emergencyNumber}} inmediatamente.</prosody> <break time="800ms"/> También puedes llamar a la Línea Nacional de Violencia Doméstica al {{hotlineNumber}} para asistencia inmediata. <break time="400ms"/> Están disponibles las 24 horas y pueden ayudarte con la planificación de seguridad y recursos de emergencia.</speak>`,
       noSpeech: `<speak>No escuché nada. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Por favor intenta de nuevo.</prosody></speak>`,
       fallback: `<speak>Lo siento, no entendí tu solicitud. <break time="400ms"/> <prosody rate="slow" pitch="+1st">¿Podrías reformularla o pedir ayuda para encontrar refugios, servicios legales o información general sobre violencia doméstica?</prosody></speak>`,
-      error: `<speak>Lo siento, encontré un error al procesar tu solicitud. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Por favor intenta de nuevo.</prosody> <break time="400ms"/> Si estás en peligro inmediato, por favor llama al 911.</speak>`,
-      processingError: `Lo siento, no pude procesar tu solicitud. Por favor intenta reformular tu pregunta con una ubicación específica.`
+      error: `<speak>Lo siento, encontré un error al procesar tu solicitud. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Por favor intenta de nuevo.</prosody> <break time="400ms"/> Si estás en peligro inmediato, por favor llama al {{emergencyNumber}}.</speak>`,
+      processingError: `Lo siento, no pude procesar tu solicitud. Por favor intenta reformular tu pregunta con una ubicación específica.`,
+      locationSaved: `Gracias por compartir tu ubicación. ¿Qué tipo de ayuda estás buscando? Por ejemplo: vivienda de emergencia, ayuda legal o asesoramiento.`,
+      offTopic: `Estoy aquí para ayudarte con apoyo y recursos sobre la violencia doméstica. ¿Cómo puedo ayudarte hoy?`,
+      reengage: `Entiendo que preguntas por apoyo ante la violencia doméstica. Déjame ayudarte a encontrar los recursos que necesitas. ¿Qué tipo de ayuda estás buscando?`,
+      closing: `Antes de terminar esta llamada, quiero asegurarme de que tengas el apoyo que necesitas. Si estás viviendo violencia doméstica, hay ayuda disponible las 24 horas en el {{hotlineNumber}}. Cuídate mucho.`,
+      askLocationPart: `¿En qué estado o país está {{location}}?`,
+      confirmHeardLocation: `Solo para confirmar, ¿te refieres a {{location}}? Por favor, di sí o no.`
     }
   },
   'fr-FR': {
@@ -60,19 +122,43 @@ export const SUPPORTED_LANGUAGES = {
     twilioLanguage: 'fr-FR',
     twilioSpeechRecognitionLanguage: 'fr-FR',
     fallback: 'en-US',
+    englishName: 'French',
+    hotlines: [US_NATIONAL_HOTLINE, { name: 'Violences Femmes Info', number: '3919', region: 'FR' }],
+    dtmfKey: '3',
+    switchPhrases: ['en français', 'en francais', 'parlez français', 'parlez francais', 'français s il vous plaît', 'in french', 'french please'],
+    detectionWords: ['bonjour', 'merci', 'besoin', 'aide', 'où', 'je', 'suis', 'mon', 'mari', 'copain', 'maison', 'refuge', 'vous', 'nous', 'les', 'des', 'une', 'est', 'pour', 'avec', 'mais', 'peux', 'veux', 'aidez', 'moi'],
+    yesNo: {
+      yes: ['oui', 'ouais', 'bien sûr', 'bien sur', "d'accord", 'daccord', 'ok', 'okay', 'volontiers', 'exactement', 'parfait', 'ça marche', 'ca marche', "s'il vous plaît"],
+      no: ['non', 'jamais', 'pas du tout', 'non merci', 'autre', 'différente', 'differente', 'ailleurs'],
+      negations: ['pas', 'ne', 'jamais'],
+      hedges: ['peut-être', 'peut être', 'peut etre', 'je ne sais pas', 'je sais pas', 'ça dépend', 'ca depend', 'pas sûr', 'pas sur', 'pas sûre'],
+      contrast: ['mais', 'sauf']
+    },
     prompts: {
-      welcome: `Bonjour, et merci de nous avoir contactés. Je suis ici pour vous aider à trouver du soutien et des ressources. Êtes-vous en danger immédiat en ce moment ? Si c'est le cas, veuillez appeler le 911. Sinon, qu'est-ce qui vous amène à appeler aujourd'hui ?`,
+      welcome: `Bonjour, et merci de nous avoir contactés. Je suis ici pour vous aider à trouver du soutien et des ressources. Êtes-vous en danger immédiat en ce moment ? Si c'est le cas, veuillez appeler le {{emergencyNumber}}. Sinon, qu'est-ce qui vous amène à appeler aujourd'hui ?`,
+      welcomeVoicemail: `Bonjour, et merci de nous avoir contactés. Je suis ici pour vous aider à trouver du soutien et des ressources. Nos intervenants ne sont pas disponibles pour le moment, mais vous pouvez leur laisser un message à tout moment. Êtes-vous en danger immédiat en ce moment ? Si c'est le cas, veuillez appeler le {{emergencyNumber}}. Sinon, qu'est-ce qui vous amène à appeler aujourd'hui ?`,
+      welcomeAssistantOnly: `Bonjour, et merci de nous avoir contactés. Je suis ici pour vous aider à trouver du soutien et des ressources. Nos intervenants ne sont pas disponibles pour le moment, et la Ligne Nationale de Violence Domestique est ouverte 24h/24 au {{hotlineNumber}}. Êtes-vous en danger immédiat en ce moment ? Si c'est le cas, veuillez appeler le {{emergencyNumber}}. Sinon, qu'est-ce qui vous amène à appeler aujourd'hui ?`,
       incompleteLocation: `Je serais ravi de vous aider à trouver un refuge. Pourriez-vous me dire dans quelle ville, état et pays vous cherchez ? Par exemple, vous pourriez dire 'près de San Francisco, Californie, États-Unis' ou 'à Londres, Angleterre, Royaume-Uni'.`,
       currentLocation: `Je comprends que vous voulez des ressources près de votre emplacement actuel. Pour vous aider à trouver les refuges les plus proches, pourriez-vous me dire dans quelle ville, état et pays vous vous trouvez ? Par exemple, vous pourriez dire 'je suis à San Francisco, Californie, États-Unis' ou 'près de Londres, Angleterre, Royaume-Uni'.`,
       locationPrompt: `Pour vous aider à trouver les bonnes ressources, pourriez-vous me dire dans quelle ville, état et pays vous cherchez ? Par exemple, vous pourriez dire 'San Francisco, Californie, États-Unis' ou 'Londres, Angleterre, Royaume-Uni'.`,
       moreSpecificLocation: `J'ai trouvé un emplacement, mais j'ai besoin d'informations plus spécifiques pour vous aider efficacement. Pourriez-vous inclure l'état ou la province et le pays ?`,
       confirmLocation: `<speak>J'ai trouvé une localisation que vous avez mentionnée précédemment : {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Voulez-vous que je cherche des ressources dans cette région ?</prosody> <break time="300ms"/> Dites oui ou non.</speak>`,
       usePreviousLocation: `<speak>J'ai trouvé une localisation que vous avez mentionnée précédemment : {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Voulez-vous utiliser cette localisation pour votre recherche, ou préférez-vous fournir une autre localisation ?</prosody></speak>`,
-      emergency: `<speak>C'est une situation d'urgence. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Veuillez appeler le 911 immédiatement.</prosody> <break time="800ms"/> Vous pouvez également appeler la Ligne Nationale de Violence Domestique au 1-800-799-7233 pour une assistance immédiate. <break time="400ms"/> Ils sont disponibles 24h/24 et peuvent vous aider avec la planification de sécurité et les ressources d'urgence.</speak>`,
+      smsConsentReask: `<speak>Pardon, je n'ai pas compris. <break time="300ms"/> Voulez-vous que je vous envoie un SMS avec un résumé et des ressources ? Dites oui ou non.</speak>`,
+      languageMenuOption: `Pour le français, appuyez sur {{key}}.`,
+      languageSwitched: `D'accord, continuons en français. Comment puis-je vous aider aujourd'hui ?`,
+      smsSummary: `Merci de votre appel. Voici les ressources dont nous avons parlé : [Les liens vers les ressources seraient inclus ici]`,
+      emergency: `<speak>C'est une situation d'urgence. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Veuillez appeler le {{emergencyNumber}} immédiatement.</prosody> <break time="800ms"/> Vous pouvez également appeler la Ligne Nationale de Violence Domestique au {{hotlineNumber}} pour une assistance immédiate. <break time="400ms"/> Ils sont disponibles 24h/24 et peuvent vous aider avec la planification de sécurité et les ressources d'urgence.</speak>`,
       noSpeech: `<speak>Je n'ai rien entendu. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Veuillez réessayer.</prosody></speak>`,
       fallback: `<speak>Je suis désolé, je n'ai pas compris votre demande. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Pourriez-vous la reformuler ou demander de l'aide pour trouver des refuges, des services juridiques ou des informations générales sur la violence domestique ?</prosody></speak>`,
-      error: `<speak>Je suis désolé, j'ai rencontré une erreur en traitant votre demande. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Veuillez réessayer.</prosody> <break time="400ms"/> Si vous êtes en danger immédiat, veuillez appeler le 911.</speak>`,
-      processingError: `Je suis désolé, je n'ai pas pu traiter votre demande. Veuillez essayer de reformuler votre question avec un emplacement spécifique.`
+      error: `<speak>Je suis désolé, j'ai rencontré une erreur en traitant votre demande. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Veuillez réessayer.</prosody> <break time="400ms"/> Si vous êtes en danger immédiat, veuillez appeler le {{emergencyNumber}}.</speak>`,
+      processingError: `Je suis désolé, je n'ai pas pu traiter votre demande. Veuillez essayer de reformuler votre question avec un emplacement spécifique.`,
+      locationSaved: `Merci d'avoir indiqué votre localisation. Quel type d'aide recherchez-vous ? Par exemple : un hébergement d'urgence, une aide juridique ou un accompagnement psychologique.`,
+      offTopic: `Je suis ici pour vous aider à trouver du soutien et des ressources face à la violence domestique. Comment puis-je vous aider aujourd'hui ?`,
+      reengage: `Je comprends que vous cherchez du soutien face à la violence domestique. Je vais vous aider à trouver les ressources dont vous avez besoin. Quel type d'aide recherchez-vous ?`,
+      closing: `Avant de terminer cet appel, je veux m'assurer que vous avez le soutien dont vous avez besoin. Si vous subissez de la violence domestique, de l'aide est disponible 24h/24 au {{hotlineNumber}}. Prenez soin de vous.`,
+      askLocationPart: `Dans quel état ou pays se trouve {{location}} ?`,
+      confirmHeardLocation: `Pour vérifier, vous voulez dire {{location}} ? Dites oui ou non.`
     }
   },
   'de-DE': {
@@ -82,19 +168,374 @@ export const SUPPORTED_LANGUAGES = {
     twilioLanguage: 'de-DE',
     twilioSpeechRecognitionLanguage: 'de-DE',
     fallback: 'en-US',
+    englishName: 'German',
+    hotlines: [US_NATIONAL_HOTLINE, { name: 'Hilfetelefon Gewalt gegen Frauen', number: '116 016', region: 'DE' }],
+    dtmfKey: '4',
+    switchPhrases: ['auf deutsch', 'sprechen sie deutsch', 'sprichst du deutsch', 'deutsch bitte', 'in german', 'german please'],
+    detectionWords: ['hallo', 'danke', 'bitte', 'brauche', 'hilfe', 'ich', 'bin', 'habe', 'mein', 'meine', 'mann', 'freund', 'zuhause', 'nicht', 'und', 'ist', 'der', 'die', 'das', 'wo', 'kann', 'sie', 'mir', 'helfen', 'frauenhaus'],
+    yesNo: {
+      yes: ['ja', 'jawohl', 'genau', 'klar', 'natürlich', 'naturlich', 'gerne', 'okay', 'ok', 'einverstanden', 'stimmt', 'sicher', 'bitte'],
+      no: ['nein', 'nee', 'niemals', 'nein danke', 'lieber nicht', 'andere', 'anderen', 'woanders'],
+      negations: ['nicht', 'kein', 'keine', 'nie'],
+      hedges: ['vielleicht', 'weiß nicht', 'weiss nicht', 'keine ahnung', 'kommt darauf an', 'eventuell', 'nicht sicher'],
+      contrast: ['aber', 'außer', 'ausser']
+    },
     prompts: {
-      welcome: `Hallo und vielen Dank, dass Sie sich gemeldet haben. Ich bin hier, um Ihnen zu helfen, Unterstützung und Ressourcen zu finden. Sind Sie derzeit in unmittelbarer Gefahr? Wenn ja, rufen Sie bitte 911 an. Andernfalls, was führt Sie heute zu diesem Anruf?`,
+      welcome: `Hallo und vielen Dank, dass Sie sich gemeldet haben. Ich bin hier, um Ihnen zu helfen, Unterstützung und Ressourcen zu finden. Sind Sie derzeit in unmittelbarer Gefahr? Wenn ja, rufen Sie bitte {{emergencyNumber}} an. Andernfalls, was führt Sie heute zu diesem Anruf?`,
+      welcomeVoicemail: `Hallo und vielen Dank, dass Sie sich gemeldet haben. Ich bin hier, um Ihnen zu helfen, Unterstützung und Ressourcen zu finden. Unsere Beraterinnen sind gerade nicht erreichbar, aber Sie können ihnen jederzeit eine Nachricht hinterlassen. Sind Sie derzeit in unmittelbarer Gefahr? Wenn ja, rufen Sie bitte {{emergencyNumber}} an. Andernfalls, was führt Sie heute zu diesem Anruf?`,
+      welcomeAssistantOnly: `Hallo und vielen Dank, dass Sie sich gemeldet haben. Ich bin hier, um Ihnen zu helfen, Unterstützung und Ressourcen zu finden. Unsere Beraterinnen sind gerade nicht erreichbar, und die Nationale Hotline für häusliche Gewalt ist rund um die Uhr unter {{hotlineNumber}} erreichbar. Sind Sie derzeit in unmittelbarer Gefahr? Wenn ja, rufen Sie bitte {{emergencyNumber}} an. Andernfalls, was führt Sie heute zu diesem Anruf?`,
       incompleteLocation: `Ich helfe Ihnen gerne, eine Unterkunft zu finden. Könnten Sie mir bitte sagen, in welcher Stadt, welchem Bundesland und welchem Land Sie suchen? Zum Beispiel könnten Sie sagen 'in der Nähe von San Francisco, Kalifornien, USA' oder 'in London, England, Großbritannien'.`,
       currentLocation: `Ich verstehe, dass Sie Ressourcen in Ihrer aktuellen Umgebung suchen. Um Ihnen zu helfen, die nächstgelegenen Unterkünfte zu finden, könnten Sie mir bitte sagen, in welcher Stadt, welchem Bundesland und welchem Land Sie sich befinden? Zum Beispiel könnten Sie sagen 'Ich bin in San Francisco, Kalifornien, USA' oder 'in der Nähe von London, England, Großbritannien'.`,
       locationPrompt: `Um Ihnen die richtigen Ressourcen zu finden, könnten Sie mir bitte sagen, in welcher Stadt, welchem Bundesland und welchem Land Sie suchen? Zum Beispiel könnten Sie sagen 'San Francisco, Kalifornien, USA' oder 'London, England, Großbritannien'.`,
       moreSpecificLocation: `Ich habe einen Ort gefunden, aber ich benötige genauere Informationen, um Ihnen effektiv zu helfen. Könnten Sie bitte das Bundesland und das Land angeben?`,
       confirmLocation: `<speak>Ich habe eine Standort, die Sie zuvor erwähnt haben: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Möchten Sie, dass ich Ressourcen in dieser Region suche?</prosody> <break time="300ms"/> Bitte sagen Sie ja oder nein.</speak>`,
       usePreviousLocation: `<speak>Ich habe eine Standort, die Sie zuvor erwähnt haben: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Möchten Sie diese Standort für Ihre Suche verwenden, oder möchten Sie eine andere Standort angeben?</prosody></speak>`,
-      emergency: `<speak>Dies ist eine Notfallsituation. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Bitte rufen Sie sofort 911 an.</prosody> <break time="800ms"/> Sie können auch die Nationale Hotline für häusliche Gewalt unter 1-800-799-7233 für sofortige Hilfe anrufen. <break time="400ms"/> Sie sind rund um die Uhr verfügbar und können Ihnen bei der Sicherheitsplanung und Notfallressourcen helfen.</speak>`,
+      smsConsentReask: `<speak>Entschuldigung, das habe ich nicht verstanden. <break time="300ms"/> Möchten Sie eine SMS mit einer Zusammenfassung und Hilfsangeboten erhalten? Bitte sagen Sie ja oder nein.</speak>`,
+      languageMenuOption: `Für Deutsch drücken Sie die {{key}}.`,
+      languageSwitched: `In Ordnung, wir sprechen weiter auf Deutsch. Wie kann ich Ihnen heute helfen?`,
+      smsSummary: `Danke für Ihren Anruf. Hier sind die Hilfsangebote, über die wir gesprochen haben: [Hier würden die Links zu den Angeboten stehen]`,
+      emergency: `<speak>Dies ist eine Notfallsituation. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Bitte rufen Sie sofort {{emergencyNumber}} an.</prosody> <break time="800ms"/> Sie können auch die Nationale Hotline für häusliche Gewalt unter {{hotlineNumber}} für sofortige Hilfe anrufen. <break time="400ms"/> Sie sind rund um die Uhr verfügbar und können Ihnen bei der Sicherheitsplanung und Notfallressourcen helfen.</speak>`,
       noSpeech: `<speak>Ich habe nichts gehört. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Bitte versuchen Sie es erneut.</prosody></speak>`,
       fallback: `<speak>Es tut mir leid, ich habe Ihre Anfrage nicht verstanden. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Könnten Sie sie bitte umformulieren oder um Hilfe beim Finden von Unterkünften, Rechtsdienstleistungen oder allgemeinen Informationen über häusliche Gewalt bitten?</prosody></speak>`,
-      error: `<speak>Es tut mir leid, ich habe einen Fehler bei der Verarbeitung Ihrer Anfrage festgestellt. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Bitte versuchen Sie es erneut.</prosody> <break time="400ms"/> Wenn Sie in unmittelbarer Gefahr sind, rufen Sie bitte 911 an.</speak>`,
-      processingError: `Es tut mir leid, ich konnte Ihre Anfrage nicht verarbeiten. Bitte versuchen Sie, Ihre Frage mit einem bestimmten Ort neu zu formulieren.`
+      error: `<speak>Es tut mir leid, ich habe einen Fehler bei der Verarbeitung Ihrer Anfrage festgestellt. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Bitte versuchen Sie es erneut.</prosody> <break time="400ms"/> Wenn Sie in unmittelbarer Gefahr sind, rufen Sie bitte {{emergencyNumber}} an.</speak>`,
+      processingError: `Es tut mir leid, ich konnte Ihre Anfrage nicht verarbeiten. Bitte versuchen Sie, Ihre Frage mit einem bestimmten Ort neu zu formulieren.`,
+      locationSaved: `Danke, dass Sie Ihren Standort genannt haben. Welche Art von Hilfe suchen Sie? Zum Beispiel eine Notunterkunft, rechtliche Hilfe oder Beratung.`,
+      offTopic: `Ich bin hier, um Ihnen bei Unterstützung und Hilfsangeboten zu häuslicher Gewalt zu helfen. Wie kann ich Ihnen heute helfen?`,
+      reengage: `Ich verstehe, dass Sie Unterstützung bei häuslicher Gewalt suchen. Ich helfe Ihnen, die passenden Hilfsangebote zu finden. Welche Art von Hilfe suchen Sie?`,
+      closing: `Bevor wir das Gespräch beenden, möchte ich sicherstellen, dass Sie die Unterstützung haben, die Sie brauchen. Wenn Sie häusliche Gewalt erleben, ist rund um die Uhr Hilfe unter {{hotlineNumber}} erreichbar. Passen Sie auf sich auf.`,
+      askLocationPart: `In welchem Bundesland oder Land liegt {{location}}?`,
+      confirmHeardLocation: `Nur zur Sicherheit: Meinten Sie {{location}}? Bitte sagen Sie ja oder nein.`
+    }
+  },
+  'vi-VN': {
+    name: 'Tiếng Việt',
+    // Polly has no Vietnamese voice
+    twilioVoice: 'Google.vi-VN-Standard-A',
+    openaiVoice: 'nova',
+    twilioLanguage: 'vi-VN',
+    twilioSpeechRecognitionLanguage: 'vi-VN',
+    fallback: 'en-US',
+    englishName: 'Vietnamese',
+    hotlines: [US_NATIONAL_HOTLINE],
+    dtmfKey: '5',
+    switchPhrases: ['tiếng việt', 'tieng viet', 'in vietnamese', 'vietnamese please'],
+    detectionWords: ['tôi', 'cần', 'giúp', 'đỡ', 'ở', 'đâu', 'chồng', 'bạn', 'trai', 'nhà', 'xin', 'cảm', 'ơn', 'không', 'có', 'của', 'là', 'muốn', 'được', 'chào'],
+    yesNo: {
+      yes: ['có', 'vâng', 'dạ', 'dạ vâng', 'vâng ạ', 'được', 'được ạ', 'đúng', 'đúng rồi', 'ừ', 'đồng ý', 'ok', 'okay'],
+      no: ['không', 'không cần', 'không được', 'không cảm ơn', 'thôi', 'khác', 'chỗ khác'],
+      negations: ['không', 'chưa', 'đừng'],
+      hedges: ['có lẽ', 'chắc là', 'không biết', 'tôi không biết', 'không chắc', 'để xem', 'tùy'],
+      contrast: ['nhưng', 'trừ khi']
+    },
+    prompts: {
+      welcome: `Xin chào, và cảm ơn bạn đã liên hệ. Tôi ở đây để giúp bạn tìm sự hỗ trợ và các nguồn trợ giúp. Bạn có đang gặp nguy hiểm ngay lúc này không? Nếu có, xin hãy gọi {{emergencyNumber}}. Nếu không, hôm nay bạn gọi vì việc gì?`,
+      welcomeVoicemail: `Xin chào, và cảm ơn bạn đã liên hệ. Tôi ở đây để giúp bạn tìm sự hỗ trợ và các nguồn trợ giúp. Các nhân viên hỗ trợ của chúng tôi hiện không có mặt, nhưng bạn có thể để lại lời nhắn cho họ bất cứ lúc nào. Bạn có đang gặp nguy hiểm ngay lúc này không? Nếu có, xin hãy gọi {{emergencyNumber}}. Nếu không, hôm nay bạn gọi vì việc gì?`,
+      welcomeAssistantOnly: `Xin chào, và cảm ơn bạn đã liên hệ. Tôi ở đây để giúp bạn tìm sự hỗ trợ và các nguồn trợ giúp. Các nhân viên hỗ trợ của chúng tôi hiện không có mặt, và Đường dây nóng Quốc gia về Bạo lực Gia đình hoạt động 24/7 tại số {{hotlineNumber}}, có thông dịch viên tiếng Việt. Bạn có đang gặp nguy hiểm ngay lúc này không? Nếu có, xin hãy gọi {{emergencyNumber}}. Nếu không, hôm nay bạn gọi vì việc gì?`,
+      incompleteLocation: `Tôi rất sẵn lòng giúp bạn tìm nơi tạm trú. Bạn có thể cho tôi biết thành phố, tiểu bang và quốc gia bạn đang tìm không? Ví dụ, bạn có thể nói 'gần San Francisco, California, Hoa Kỳ' hoặc 'ở London, Anh, Vương quốc Anh'.`,
+      currentLocation: `Tôi hiểu bạn muốn tìm các nguồn trợ giúp gần nơi bạn đang ở. Để giúp bạn tìm nơi tạm trú gần nhất, bạn có thể cho tôi biết bạn đang ở thành phố, tiểu bang và quốc gia nào không? Ví dụ, bạn có thể nói 'tôi đang ở San Francisco, California, Hoa Kỳ' hoặc 'gần London, Anh, Vương quốc Anh'.`,
+      locationPrompt: `Để giúp bạn tìm đúng nguồn trợ giúp, bạn có thể cho tôi biết thành phố, tiểu bang và quốc gia bạn đang tìm không? Ví dụ, bạn có thể nói 'San Francisco, California, Hoa Kỳ' hoặc 'London, Anh, Vương quốc Anh'.`,
+      moreSpecificLocation: `Tôi đã tìm thấy một địa điểm, nhưng tôi cần thông tin cụ thể hơn để giúp bạn hiệu quả. Bạn có thể nói thêm tiểu bang hoặc tỉnh và quốc gia không?`,
+      confirmLocation: `<speak>Tôi thấy một địa điểm bạn đã nhắc đến trước đó: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Bạn có muốn tôi tìm các nguồn trợ giúp ở khu vực đó không?</prosody> <break time="300ms"/> Xin hãy nói có hoặc không.</speak>`,
+      usePreviousLocation: `<speak>Tôi thấy một địa điểm bạn đã nhắc đến trước đó: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Bạn có muốn dùng địa điểm đó để tìm kiếm, hay bạn muốn cho tôi một địa điểm khác?</prosody></speak>`,
+      smsConsentReask: `<speak>Xin lỗi, tôi chưa nghe rõ. <break time="300ms"/> Bạn có muốn tôi gửi cho bạn một tin nhắn với phần tóm tắt và các nguồn trợ giúp không? Xin hãy nói có hoặc không.</speak>`,
+      languageMenuOption: `Để nói tiếng Việt, xin bấm số {{key}}.`,
+      languageSwitched: `Vâng, chúng ta sẽ tiếp tục bằng tiếng Việt. Hôm nay tôi có thể giúp gì cho bạn?`,
+      smsSummary: `Cảm ơn bạn đã gọi. Đây là các nguồn trợ giúp chúng ta đã nói đến: [Đường dẫn đến các nguồn trợ giúp sẽ có ở đây]`,
+      emergency: `<speak>Đây là một tình huống khẩn cấp. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Xin hãy gọi {{emergencyNumber}} ngay lập tức.</prosody> <break time="800ms"/> Bạn cũng có thể gọi Đường dây nóng Quốc gia về Bạo lực Gia đình theo số {{hotlineNumber}} để được giúp đỡ ngay. <break time="400ms"/> Họ làm việc 24/7, có thông dịch viên tiếng Việt, và có thể giúp bạn lập kế hoạch an toàn và tìm các nguồn trợ giúp khẩn cấp.</speak>`,
+      noSpeech: `<speak>Tôi không nghe thấy gì. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Xin hãy thử lại.</prosody></speak>`,
+      fallback: `<speak>Xin lỗi, tôi không hiểu yêu cầu của bạn. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Bạn có thể nói lại theo cách khác, hoặc nhờ tôi tìm nơi tạm trú, dịch vụ pháp lý hay thông tin chung về bạo lực gia đình không?</prosody></speak>`,
+      error: `<speak>Xin lỗi, đã có lỗi khi xử lý yêu cầu của bạn. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Xin hãy thử lại.</prosody> <break time="400ms"/> Nếu bạn đang gặp nguy hiểm ngay lúc này, xin hãy gọi {{emergencyNumber}}.</speak>`,
+      processingError: `Xin lỗi, tôi không thể xử lý yêu cầu của bạn. Xin hãy hỏi lại và nói rõ một địa điểm cụ thể.`,
+      locationSaved: `Cảm ơn bạn đã cho biết địa điểm. Bạn đang cần loại trợ giúp nào? Ví dụ: chỗ ở khẩn cấp, trợ giúp pháp lý hoặc tư vấn.`,
+      offTopic: `Tôi ở đây để giúp bạn tìm sự hỗ trợ và các nguồn trợ giúp về bạo lực gia đình. Hôm nay tôi có thể giúp gì cho bạn?`,
+      reengage: `Tôi hiểu bạn đang hỏi về sự hỗ trợ cho bạo lực gia đình. Hãy để tôi giúp bạn tìm các nguồn trợ giúp bạn cần. Bạn đang cần loại trợ giúp nào?`,
+      closing: `Trước khi kết thúc cuộc gọi, tôi muốn chắc chắn rằng bạn có được sự hỗ trợ cần thiết. Nếu bạn đang bị bạo lực gia đình, luôn có người giúp đỡ 24/7 tại số {{hotlineNumber}}. Xin hãy giữ an toàn.`,
+      askLocationPart: `{{location}} thuộc tiểu bang hoặc quốc gia nào?`,
+      confirmHeardLocation: `Cho tôi xác nhận lại, ý bạn là {{location}} phải không? Xin hãy nói có hoặc không.`
+    }
+  },
+  'zh-CN': {
+    name: '中文（普通话）',
+    twilioVoice: 'Polly.Zhiyu',
+    openaiVoice: 'shimmer',
+    twilioLanguage: 'cmn-CN',
+    twilioSpeechRecognitionLanguage: 'cmn-Hans-CN',
+    fallback: 'en-US',
+    englishName: 'Mandarin Chinese',
+    hotlines: [US_NATIONAL_HOTLINE, { name: '全国妇联妇女维权公益服务热线', number: '12338', region: 'CN' }],
+    dtmfKey: '6',
+    // Chinese is written without spaces, so cues match character by character
+    switchPhrases: ['中文', '普通话', '国语', 'in chinese', 'in mandarin', 'chinese please', 'mandarin please'],
+    detectionWords: ['我', '你', '需要', '帮助', '帮忙', '哪里', '丈夫', '老公', '男朋友', '家', '安全', '庇护所', '谢谢', '不', '是', '的', '了', '在', '想', '吗'],
+    yesNo: {
+      yes: ['是', '是的', '对', '对的', '好', '好的', '可以', '行', '没问题', '当然', '嗯'],
+      no: ['不', '不是', '不要', '不用', '不用了', '不行', '不好', '不可以', '没有', '别的', '另一个', '其他地方'],
+      negations: ['不', '没', '别'],
+      hedges: ['也许', '可能', '不知道', '不确定', '说不定', '看情况', '大概'],
+      contrast: ['但是', '可是', '不过', '除了']
+    },
+    prompts: {
+      welcome: `您好，感谢您与我们联系。我在这里帮助您寻找支持和资源。您现在是否处于紧急危险中？如果是，请立即拨打{{emergencyNumber}}。如果不是，请问您今天打电话是因为什么事情？`,
+      welcomeVoicemail: `您好，感谢您与我们联系。我在这里帮助您寻找支持和资源。我们的援助人员现在不在，但您可以随时给他们留言。您现在是否处于紧急危险中？如果是，请立即拨打{{emergencyNumber}}。如果不是，请问您今天打电话是因为什么事情？`,
+      welcomeAssistantOnly: `您好，感谢您与我们联系。我在这里帮助您寻找支持和资源。我们的援助人员现在不在，全国家庭暴力热线全天24小时开放，电话是{{hotlineNumber}}，可以提供中文翻译。您现在是否处于紧急危险中？如果是，请立即拨打{{emergencyNumber}}。如果不是，请问您今天打电话是因为什么事情？`,
+      incompleteLocation: `我很乐意帮您寻找庇护所。请问您要找的是哪个城市、州和国家？例如，您可以说“美国加利福尼亚州旧金山附近”或者“英国英格兰伦敦”。`,
+      currentLocation: `我明白您想找您现在所在地附近的资源。为了帮您找到最近的庇护所，请问您在哪个城市、州和国家？例如，您可以说“我在美国加利福尼亚州旧金山”或者“英国英格兰伦敦附近”。`,
+      locationPrompt: `为了帮您找到合适的资源，请问您要找的是哪个城市、州和国家？例如，您可以说“美国加利福尼亚州旧金山”或者“英国英格兰伦敦”。`,
+      moreSpecificLocation: `我找到了一个地点，但需要更具体的信息才能更好地帮助您。请问您能说一下州或省，以及国家吗？`,
+      confirmLocation: `<speak>我找到了您之前提到的一个地点：{{location}}。<break time="400ms"/> <prosody rate="slow" pitch="+1st">您希望我在那个地区为您查找资源吗？</prosody> <break time="300ms"/> 请回答是或不是。</speak>`,
+      usePreviousLocation: `<speak>我找到了您之前提到的一个地点：{{location}}。<break time="400ms"/> <prosody rate="slow" pitch="+1st">您想用这个地点进行搜索，还是想告诉我另一个地点？</prosody></speak>`,
+      smsConsentReask: `<speak>抱歉，我没有听清楚。<break time="300ms"/> 您希望我给您发一条短信，包含通话摘要和资源吗？请回答是或不是。</speak>`,
+      languageMenuOption: `普通话服务，请按{{key}}。`,
+      languageSwitched: `好的，我们接下来用中文交谈。今天我能为您做些什么？`,
+      smsSummary: `感谢您的来电。以下是我们谈到的资源：[此处将包含资源链接]`,
+      emergency: `<speak>这是紧急情况。<break time="500ms"/> <prosody rate="slow" pitch="+2st">请立即拨打{{emergencyNumber}}。</prosody> <break time="800ms"/> 您也可以拨打全国家庭暴力热线{{hotlineNumber}}获得即时帮助。<break time="400ms"/> 他们全天24小时服务，提供中文翻译，可以帮助您制定安全计划并寻找紧急资源。</speak>`,
+      noSpeech: `<speak>我没有听到声音。<break time="400ms"/> <prosody rate="slow" pitch="+1st">请再试一次。</prosody></speak>`,
+      fallback: `<speak>抱歉，我没有理解您的请求。<break time="400ms"/> <prosody rate="slow" pitch="+1st">您可以换一种说法，或者请我帮您寻找庇护所、法律服务或有关家庭暴力的一般信息。</prosody></speak>`,
+      error: `<speak>抱歉，处理您的请求时出现了错误。<break time="500ms"/> <prosody rate="slow" pitch="+2st">请再试一次。</prosody> <break time="400ms"/> 如果您现在处于紧急危险中，请拨打{{emergencyNumber}}。</speak>`,
+      processingError: `抱歉，我无法处理您的请求。请换一种方式提问，并说明具体的地点。`,
+      locationSaved: `谢谢您告诉我您的位置。您需要哪种帮助？例如：紧急住所、法律帮助或心理咨询。`,
+      offTopic: `我在这里帮助您获得家庭暴力方面的支持和资源。今天我能为您做些什么？`,
+      reengage: `我了解您在询问家庭暴力方面的支持。让我帮您找到需要的资源。您需要哪种帮助？`,
+      closing: `在结束通话之前，我想确认您已经得到需要的支持。如果您正在遭受家庭暴力，可以随时拨打 {{hotlineNumber}} 获得帮助，全天24小时服务。请保重，注意安全。`,
+      askLocationPart: `{{location}}在哪个州或哪个国家？`,
+      confirmHeardLocation: `确认一下，您说的是{{location}}吗？请回答是或不是。`
+    }
+  },
+  'ko-KR': {
+    name: '한국어',
+    twilioVoice: 'Polly.Seoyeon',
+    openaiVoice: 'alloy',
+    twilioLanguage: 'ko-KR',
+    twilioSpeechRecognitionLanguage: 'ko-KR',
+    fallback: 'en-US',
+    englishName: 'Korean',
+    hotlines: [US_NATIONAL_HOTLINE, { name: '여성긴급전화 1366', number: '1366', region: 'KR' }],
+    dtmfKey: '7',
+    switchPhrases: ['한국어', '한국어로', '한국말', '한국말로', 'in korean', 'korean please'],
+    detectionWords: ['안녕하세요', '감사합니다', '고맙습니다', '도와주세요', '필요해요', '필요합니다', '어디', '어디에', '남편', '남편이', '남자친구', '집에', '안전한', '쉼터', '저는', '제가', '저', '좀', '있어요', '싶어요', '주세요'],
+    yesNo: {
+      yes: ['네', '예', '응', '좋아요', '좋습니다', '그래요', '물론이죠', '맞아요', '알겠어요', '보내 주세요'],
+      no: ['아니요', '아니오', '아니', '아뇨', '싫어요', '됐어요', '안 돼요', '필요 없어요', '다른', '다른 곳'],
+      negations: ['안', '못', '않아요'],
+      // "괜찮아요" can mean "that's fine" or "no thanks", so it is asked again
+      hedges: ['괜찮아요', '글쎄요', '아마', '아마도', '모르겠어요', '잘 모르겠어요', '모르겠습니다', '생각해 볼게요'],
+      contrast: ['그런데', '근데', '하지만', '그렇지만']
+    },
+    prompts: {
+      welcome: `안녕하세요, 연락해 주셔서 감사합니다. 저는 지원과 도움을 찾으실 수 있도록 도와드리고 있습니다. 지금 당장 위험한 상황에 계신가요? 그렇다면 {{emergencyNumber}}에 전화하세요. 그렇지 않다면, 오늘 어떤 일로 전화하셨나요?`,
+      welcomeVoicemail: `안녕하세요, 연락해 주셔서 감사합니다. 저는 지원과 도움을 찾으실 수 있도록 도와드리고 있습니다. 지금은 상담원이 응대할 수 없지만, 언제든지 메시지를 남기실 수 있습니다. 지금 당장 위험한 상황에 계신가요? 그렇다면 {{emergencyNumber}}에 전화하세요. 그렇지 않다면, 오늘 어떤 일로 전화하셨나요?`,
+      welcomeAssistantOnly: `안녕하세요, 연락해 주셔서 감사합니다. 저는 지원과 도움을 찾으실 수 있도록 도와드리고 있습니다. 지금은 상담원이 응대할 수 없으며, 전국 가정폭력 핫라인은 {{hotlineNumber}}번으로 24시간 운영되고 한국어 통역을 제공합니다. 지금 당장 위험한 상황에 계신가요? 그렇다면 {{emergencyNumber}}에 전화하세요. 그렇지 않다면, 오늘 어떤 일로 전화하셨나요?`,
+      incompleteLocation: `쉼터를 찾아 드릴게요. 어느 도시, 주, 국가에서 찾고 계신지 말씀해 주시겠어요? 예를 들어 '미국 캘리포니아주 샌프란시스코 근처' 또는 '영국 잉글랜드 런던'이라고 말씀하시면 됩니다.`,
+      currentLocation: `지금 계신 곳 근처의 도움을 원하신다는 것을 이해했습니다. 가장 가까운 쉼터를 찾아 드리기 위해, 지금 어느 도시, 주, 국가에 계신지 말씀해 주시겠어요? 예를 들어 '저는 미국 캘리포니아주 샌프란시스코에 있어요' 또는 '영국 잉글랜드 런던 근처예요'라고 말씀하시면 됩니다.`,
+      locationPrompt: `알맞은 도움을 찾아 드리기 위해, 어느 도시, 주, 국가에서 찾고 계신지 말씀해 주시겠어요? 예를 들어 '미국 캘리포니아주 샌프란시스코' 또는 '영국 잉글랜드 런던'이라고 말씀하시면 됩니다.`,
+      moreSpecificLocation: `장소를 찾았지만, 제대로 도와드리려면 좀 더 자세한 정보가 필요합니다. 주나 도, 그리고 국가를 함께 말씀해 주시겠어요?`,
+      confirmLocation: `<speak>이전에 말씀하신 장소를 찾았습니다: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">그 지역에서 도움을 찾아 드릴까요?</prosody> <break time="300ms"/> 네 또는 아니요로 대답해 주세요.</speak>`,
+      usePreviousLocation: `<speak>이전에 말씀하신 장소를 찾았습니다: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">그 장소로 검색할까요, 아니면 다른 장소를 알려 주시겠어요?</prosody></speak>`,
+      smsConsentReask: `<speak>죄송합니다, 잘 듣지 못했습니다. <break time="300ms"/> 요약과 도움 정보를 문자 메시지로 보내 드릴까요? 네 또는 아니요로 대답해 주세요.</speak>`,
+      languageMenuOption: `한국어는 {{key}}번을 누르세요.`,
+      languageSwitched: `네, 이제 한국어로 이야기하겠습니다. 오늘 무엇을 도와드릴까요?`,
+      smsSummary: `전화해 주셔서 감사합니다. 이야기 나눈 도움 정보는 다음과 같습니다: [여기에 자료 링크가 들어갑니다]`,
+      emergency: `<speak>긴급 상황입니다. <break time="500ms"/> <prosody rate="slow" pitch="+2st">지금 바로 {{emergencyNumber}}에 전화하세요.</prosody> <break time="800ms"/> 전국 가정폭력 핫라인 {{hotlineNumber}}번으로 전화하셔도 즉시 도움을 받으실 수 있습니다. <break time="400ms"/> 24시간 운영되며 한국어 통역을 제공하고, 안전 계획과 긴급 지원을 도와드릴 수 있습니다.</speak>`,
+      noSpeech: `<speak>아무 말씀도 듣지 못했습니다. <break time="400ms"/> <prosody rate="slow" pitch="+1st">다시 말씀해 주세요.</prosody></speak>`,
+      fallback: `<speak>죄송합니다, 요청을 이해하지 못했습니다. <break time="400ms"/> <prosody rate="slow" pitch="+1st">다르게 말씀해 주시거나, 쉼터, 법률 서비스, 가정폭력에 대한 일반 정보를 찾아 달라고 말씀해 주시겠어요?</prosody></speak>`,
+      error: `<speak>죄송합니다, 요청을 처리하는 중에 오류가 발생했습니다. <break time="500ms"/> <prosody rate="slow" pitch="+2st">다시 시도해 주세요.</prosody> <break time="400ms"/> 지금 당장 위험하시다면 {{emergencyNumber}}에 전화하세요.</speak>`,
+      processingError: `죄송합니다, 요청을 처리할 수 없었습니다. 구체적인 장소를 넣어서 다시 질문해 주세요.`,
+      locationSaved: `위치를 알려주셔서 감사합니다. 어떤 도움이 필요하신가요? 예를 들어 긴급 주거, 법률 지원, 상담 등이 있습니다.`,
+      offTopic: `저는 가정폭력 관련 지원과 자원을 찾도록 도와드리기 위해 여기 있습니다. 오늘 무엇을 도와드릴까요?`,
+      reengage: `가정폭력 관련 지원에 대해 물어보시는 것으로 이해했습니다. 필요한 자원을 찾도록 도와드리겠습니다. 어떤 도움이 필요하신가요?`,
+      closing: `통화를 마치기 전에, 필요한 지원을 받으실 수 있는지 확인하고 싶습니다. 가정폭력을 겪고 계시다면 {{hotlineNumber}}에서 24시간 도움을 받으실 수 있습니다. 부디 안전하게 지내세요.`,
+      askLocationPart: `{{location}}은(는) 어느 주 또는 어느 나라에 있나요?`,
+      confirmHeardLocation: `확인차 여쭙니다. {{location}}을(를) 말씀하신 건가요? 네 또는 아니요로 대답해 주세요.`
+    }
+  },
+  'fil-PH': {
+    name: 'Tagalog',
+    // Polly has no Tagalog voice
+    twilioVoice: 'Google.fil-PH-Standard-A',
+    openaiVoice: 'nova',
+    twilioLanguage: 'fil-PH',
+    twilioSpeechRecognitionLanguage: 'fil-PH',
+    fallback: 'en-US',
+    englishName: 'Tagalog',
+    hotlines: [US_NATIONAL_HOTLINE],
+    dtmfKey: '8',
+    switchPhrases: ['sa tagalog', 'tagalog po', 'mag tagalog', 'magtagalog', 'in tagalog', 'in filipino', 'tagalog please'],
+    detectionWords: ['ako', 'ko', 'kailangan', 'tulong', 'saan', 'asawa', 'nobyo', 'bahay', 'po', 'salamat', 'ang', 'ng', 'mga', 'sa', 'ikaw', 'gusto', 'hindi', 'kasi', 'namin', 'ligtas'],
+    yesNo: {
+      yes: ['oo', 'opo', 'oo naman', 'sige', 'sige po', 'tama', 'ayos', 'pwede', 'puwede', 'gusto ko', 'ok', 'okay'],
+      no: ['hindi', 'hindi po', 'hindi na', 'hindi pwede', 'hindi puwede', 'ayaw', 'ayaw ko', 'huwag', 'huwag na', 'wag', 'iba', 'sa iba'],
+      negations: ['hindi', 'huwag', 'wag', 'ayaw'],
+      hedges: ['siguro', 'baka', 'ewan', 'hindi ko alam', 'hindi ako sigurado', 'depende', 'pag-iisipan ko'],
+      contrast: ['pero', 'kaso', 'maliban']
+    },
+    prompts: {
+      welcome: `Kumusta, at salamat sa pakikipag-ugnayan sa amin. Nandito ako para tulungan kang makahanap ng suporta at mga mapagkukunan ng tulong. Nasa agarang panganib ka ba ngayon? Kung oo, pakitawagan ang {{emergencyNumber}}. Kung hindi, ano ang dahilan ng pagtawag mo ngayon?`,
+      welcomeVoicemail: `Kumusta, at salamat sa pakikipag-ugnayan sa amin. Nandito ako para tulungan kang makahanap ng suporta at mga mapagkukunan ng tulong. Wala ang aming mga tagapagtaguyod ngayon, pero maaari kang mag-iwan ng mensahe para sa kanila anumang oras. Nasa agarang panganib ka ba ngayon? Kung oo, pakitawagan ang {{emergencyNumber}}. Kung hindi, ano ang dahilan ng pagtawag mo ngayon?`,
+      welcomeAssistantOnly: `Kumusta, at salamat sa pakikipag-ugnayan sa amin. Nandito ako para tulungan kang makahanap ng suporta at mga mapagkukunan ng tulong. Wala ang aming mga tagapagtaguyod ngayon, at bukas nang 24/7 ang National Domestic Violence Hotline sa {{hotlineNumber}}, na may tagasalin sa Tagalog. Nasa agarang panganib ka ba ngayon? Kung oo, pakitawagan ang {{emergencyNumber}}. Kung hindi, ano ang dahilan ng pagtawag mo ngayon?`,
+      incompleteLocation: `Ikinagagalak kong tulungan kang makahanap ng shelter. Maaari mo bang sabihin kung aling lungsod, estado, at bansa ang hinahanap mo? Halimbawa, maaari mong sabihin ang 'malapit sa San Francisco, California, USA' o 'sa London, England, UK'.`,
+      currentLocation: `Naiintindihan kong gusto mo ng tulong na malapit sa kinaroroonan mo ngayon. Para mahanap ang pinakamalapit na shelter, maaari mo bang sabihin kung aling lungsod, estado, at bansa ka naroroon? Halimbawa, maaari mong sabihin ang 'Nasa San Francisco, California, USA ako' o 'malapit sa London, England, UK'.`,
+      locationPrompt: `Para mahanap ang tamang tulong para sa iyo, maaari mo bang sabihin kung aling lungsod, estado, at bansa ang hinahanap mo? Halimbawa, maaari mong sabihin ang 'San Francisco, California, USA' o 'London, England, UK'.`,
+      moreSpecificLocation: `May nahanap akong lugar, pero kailangan ko ng mas tiyak na impormasyon para matulungan ka nang maayos. Maaari mo bang isama ang estado o probinsya at ang bansa?`,
+      confirmLocation: `<speak>May nahanap akong lugar na nabanggit mo kanina: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Gusto mo bang maghanap ako ng tulong sa lugar na iyon?</prosody> <break time="300ms"/> Pakisabi ang oo o hindi.</speak>`,
+      usePreviousLocation: `<speak>May nahanap akong lugar na nabanggit mo kanina: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Gusto mo bang gamitin ang lugar na iyon sa paghahanap, o mas gusto mong magbigay ng ibang lugar?</prosody></speak>`,
+      smsConsentReask: `<speak>Paumanhin, hindi ko iyon narinig nang malinaw. <break time="300ms"/> Gusto mo bang padalhan kita ng text message na may buod at mga mapagkukunan ng tulong? Pakisabi ang oo o hindi.</speak>`,
+      languageMenuOption: `Para sa Tagalog, pindutin ang {{key}}.`,
+      languageSwitched: `Sige, magpatuloy tayo sa Tagalog. Paano kita matutulungan ngayon?`,
+      smsSummary: `Salamat sa pagtawag. Narito ang mga mapagkukunan ng tulong na napag-usapan natin: [Dito ilalagay ang mga link sa mga mapagkukunan]`,
+      emergency: `<speak>Ito ay isang emergency. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Pakitawagan agad ang {{emergencyNumber}}.</prosody> <break time="800ms"/> Maaari mo ring tawagan ang National Domestic Violence Hotline sa {{hotlineNumber}} para sa agarang tulong. <break time="400ms"/> Bukas sila nang 24/7, may tagasalin sa Tagalog, at matutulungan ka nila sa pagpaplano para sa kaligtasan at sa mga mapagkukunan para sa emergency.</speak>`,
+      noSpeech: `<speak>Wala akong narinig. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Pakisubukan ulit.</prosody></speak>`,
+      fallback: `<speak>Paumanhin, hindi ko naintindihan ang hiling mo. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Maaari mo bang sabihin ito sa ibang paraan, o humingi ng tulong sa paghahanap ng shelter, serbisyong legal, o pangkalahatang impormasyon tungkol sa karahasan sa tahanan?</prosody></speak>`,
+      error: `<speak>Paumanhin, nagkaroon ng error sa pagproseso ng hiling mo. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Pakisubukan ulit.</prosody> <break time="400ms"/> Kung nasa agarang panganib ka, pakitawagan ang {{emergencyNumber}}.</speak>`,
+      processingError: `Paumanhin, hindi ko maproseso ang hiling mo. Pakisubukang itanong ulit nang may tiyak na lokasyon.`,
+      locationSaved: `Salamat sa pagbabahagi ng iyong lokasyon. Anong klaseng tulong ang hinahanap mo? Halimbawa: pang-emergency na tirahan, tulong legal, o counseling.`,
+      offTopic: `Narito ako para tumulong sa suporta at mga resources tungkol sa karahasan sa tahanan. Paano kita matutulungan ngayon?`,
+      reengage: `Naiintindihan kong nagtatanong ka tungkol sa suporta para sa karahasan sa tahanan. Tutulungan kitang hanapin ang mga resources na kailangan mo. Anong klaseng tulong ang hinahanap mo?`,
+      closing: `Bago natin tapusin ang tawag na ito, gusto kong matiyak na may suporta kang kailangan. Kung nakakaranas ka ng karahasan sa tahanan, may tulong 24/7 sa {{hotlineNumber}}. Mag-ingat ka palagi.`,
+      askLocationPart: `Saang estado o bansa ang {{location}}?`,
+      confirmHeardLocation: `Para makasiguro, {{location}} ba ang ibig mong sabihin? Pakisabi ang oo o hindi.`
+    }
+  },
+  'ar-SA': {
+    name: 'العربية',
+    twilioVoice: 'Polly.Zeina',
+    openaiVoice: 'shimmer',
+    // Zeina speaks Modern Standard Arabic
+    twilioLanguage: 'arb',
+    twilioSpeechRecognitionLanguage: 'ar-SA',
+    fallback: 'en-US',
+    englishName: 'Arabic',
+    hotlines: [US_NATIONAL_HOTLINE],
+    dtmfKey: '9',
+    switchPhrases: ['بالعربي', 'بالعربية', 'عربي', 'in arabic', 'arabic please'],
+    detectionWords: ['أنا', 'انا', 'أحتاج', 'احتاج', 'مساعدة', 'أين', 'وين', 'زوجي', 'بيتي', 'البيت', 'آمن', 'مأوى', 'من', 'في', 'على', 'شكرا', 'مرحبا', 'السلام', 'أريد', 'اريد'],
+    yesNo: {
+      yes: ['نعم', 'أجل', 'اجل', 'أيوه', 'ايوه', 'طيب', 'حسنا', 'موافق', 'بالتأكيد', 'طبعا', 'تمام', 'ماشي', 'اوكي'],
+      no: ['لا', 'كلا', 'لا شكرا', 'لا أريد', 'لا اريد', 'آخر', 'أخرى', 'مكان آخر'],
+      negations: ['لا', 'لم', 'لن', 'مش', 'ليس'],
+      hedges: ['ربما', 'يمكن', 'لا أعرف', 'لا اعرف', 'مش عارف', 'مش متأكد', 'لست متأكدا', 'لست متأكدة'],
+      contrast: ['لكن', 'ولكن', 'بس', 'إلا']
+    },
+    prompts: {
+      welcome: `مرحباً، وشكراً لتواصلك معنا. أنا هنا لمساعدتك في العثور على الدعم والموارد. هل أنت في خطر مباشر الآن؟ إذا كان الأمر كذلك، يرجى الاتصال بالرقم {{emergencyNumber}}. وإلا، ما الذي دفعك للاتصال اليوم؟`,
+      welcomeVoicemail: `مرحباً، وشكراً لتواصلك معنا. أنا هنا لمساعدتك في العثور على الدعم والموارد. فريق الدعم لدينا غير متاح الآن، لكن يمكنك ترك رسالة له في أي وقت. هل أنت في خطر مباشر الآن؟ إذا كان الأمر كذلك، يرجى الاتصال بالرقم {{emergencyNumber}}. وإلا، ما الذي دفعك للاتصال اليوم؟`,
+      welcomeAssistantOnly: `مرحباً، وشكراً لتواصلك معنا. أنا هنا لمساعدتك في العثور على الدعم والموارد. فريق الدعم لدينا غير متاح الآن، والخط الوطني الساخن للعنف الأسري متاح على مدار الساعة على الرقم {{hotlineNumber}}، مع مترجمين باللغة العربية. هل أنت في خطر مباشر الآن؟ إذا كان الأمر كذلك، يرجى الاتصال بالرقم {{emergencyNumber}}. وإلا، ما الذي دفعك للاتصال اليوم؟`,
+      incompleteLocation: `يسعدني مساعدتك في العثور على مأوى. هل يمكنك أن تخبرني بالمدينة والولاية والبلد الذي تبحث فيه؟ على سبيل المثال، يمكنك أن تقول 'بالقرب من سان فرانسيسكو، كاليفورنيا، الولايات المتحدة' أو 'في لندن، إنجلترا، المملكة المتحدة'.`,
+      currentLocation: `أفهم أنك تريد موارد قريبة من مكانك الحالي. لمساعدتك في العثور على أقرب مأوى، هل يمكنك أن تخبرني بالمدينة والولاية والبلد الذي أنت فيه؟ على سبيل المثال، يمكنك أن تقول 'أنا في سان فرانسيسكو، كاليفورنيا، الولايات المتحدة' أو 'بالقرب من لندن، إنجلترا، المملكة المتحدة'.`,
+      locationPrompt: `لمساعدتك في العثور على الموارد المناسبة، هل يمكنك أن تخبرني بالمدينة والولاية والبلد الذي تبحث فيه؟ على سبيل المثال، يمكنك أن تقول 'سان فرانسيسكو، كاليفورنيا، الولايات المتحدة' أو 'لندن، إنجلترا، المملكة المتحدة'.`,
+      moreSpecificLocation: `وجدت مكاناً، لكنني أحتاج إلى معلومات أدق لمساعدتك بشكل فعّال. هل يمكنك ذكر الولاية أو المقاطعة والبلد؟`,
+      confirmLocation: `<speak>وجدت مكاناً ذكرته سابقاً: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">هل تريد أن أبحث عن موارد في تلك المنطقة؟</prosody> <break time="300ms"/> من فضلك قل نعم أو لا.</speak>`,
+      usePreviousLocation: `<speak>وجدت مكاناً ذكرته سابقاً: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">هل تريد استخدام هذا المكان في البحث، أم تفضل أن تعطيني مكاناً آخر؟</prosody></speak>`,
+      smsConsentReask: `<speak>عذراً، لم أفهم ذلك. <break time="300ms"/> هل تريد أن أرسل لك رسالة نصية فيها ملخص وموارد؟ من فضلك قل نعم أو لا.</speak>`,
+      languageMenuOption: `للعربية، اضغط {{key}}.`,
+      languageSwitched: `حسناً، سنكمل باللغة العربية. كيف يمكنني مساعدتك اليوم؟`,
+      smsSummary: `شكراً لاتصالك. هذه هي الموارد التي تحدثنا عنها: [ستُدرج روابط الموارد هنا]`,
+      emergency: `<speak>هذه حالة طارئة. <break time="500ms"/> <prosody rate="slow" pitch="+2st">يرجى الاتصال بالرقم {{emergencyNumber}} فوراً.</prosody> <break time="800ms"/> يمكنك أيضاً الاتصال بالخط الوطني الساخن للعنف الأسري على الرقم {{hotlineNumber}} للحصول على مساعدة فورية. <break time="400ms"/> الخط متاح على مدار الساعة مع مترجمين باللغة العربية، ويمكنه مساعدتك في التخطيط للسلامة وإيجاد موارد الطوارئ.</speak>`,
+      noSpeech: `<speak>لم أسمع شيئاً. <break time="400ms"/> <prosody rate="slow" pitch="+1st">يرجى المحاولة مرة أخرى.</prosody></speak>`,
+      fallback: `<speak>عذراً، لم أفهم طلبك. <break time="400ms"/> <prosody rate="slow" pitch="+1st">هل يمكنك إعادة صياغته، أو طلب المساعدة في العثور على مأوى أو خدمات قانونية أو معلومات عامة عن العنف الأسري؟</prosody></speak>`,
+      error: `<speak>عذراً، حدث خطأ أثناء معالجة طلبك. <break time="500ms"/> <prosody rate="slow" pitch="+2st">يرجى المحاولة مرة أخرى.</prosody> <break time="400ms"/> إذا كنت في خطر مباشر، يرجى الاتصال بالرقم {{emergencyNumber}}.</speak>`,
+      processingError: `عذراً، لم أتمكن من معالجة طلبك. يرجى إعادة صياغة سؤالك مع ذكر مكان محدد.`,
+      locationSaved: `شكراً لمشاركة موقعك. ما نوع المساعدة التي تبحث عنها؟ مثلاً: سكن طارئ، أو مساعدة قانونية، أو استشارة نفسية.`,
+      offTopic: `أنا هنا لمساعدتك في الحصول على الدعم والموارد المتعلقة بالعنف الأسري. كيف يمكنني مساعدتك اليوم؟`,
+      reengage: `أفهم أنك تسأل عن الدعم المتعلق بالعنف الأسري. دعني أساعدك في العثور على الموارد التي تحتاجها. ما نوع المساعدة التي تبحث عنها؟`,
+      closing: `قبل أن ننهي هذه المكالمة، أريد أن أتأكد من حصولك على الدعم الذي تحتاجه. إذا كنت تتعرض للعنف الأسري، فالمساعدة متاحة على مدار الساعة على الرقم {{hotlineNumber}}. اعتنِ بنفسك وابقَ بأمان.`,
+      askLocationPart: `في أي ولاية أو بلد تقع {{location}}؟`,
+      confirmHeardLocation: `للتأكد فقط، هل تقصد {{location}}؟ من فضلك قل نعم أو لا.`
+    }
+  },
+  'ht-HT': {
+    name: 'Kreyòl ayisyen',
+    // No Polly or Google voice or recognizer speaks Haitian Creole; OpenAI TTS reads it,
+    // and the Polly fallback and speech recognition use French, the closest supported language
+    twilioVoice: 'Polly.Lea',
+    openaiVoice: 'alloy',
+    twilioLanguage: 'fr-FR',
+    twilioSpeechRecognitionLanguage: 'fr-FR',
+    fallback: 'en-US',
+    englishName: 'Haitian Creole',
+    hotlines: [US_NATIONAL_HOTLINE],
+    // The keypad menu has no key left; callers switch by asking ("an kreyòl")
+    dtmfKey: null,
+    switchPhrases: ['an kreyòl', 'an kreyol', 'pale kreyòl', 'pale kreyol', 'kreyòl souple', 'kreyol souple', 'in creole', 'in haitian creole', 'creole please'],
+    detectionWords: ['mwen', 'bezwen', 'èd', 'kote', 'mennaj', 'lakay', 'tanpri', 'mèsi', 'mesi', 'nou', 'yo', 'pa', 'gen', 'kijan', 'sekou', 'fanm', 'vle', 'kounye', 'bonjou', 'ki'],
+    yesNo: {
+      yes: ['wi', 'wi tanpri', 'dakò', 'dako', 'anfòm', 'pa gen pwoblèm', 'se sa', 'sètènman', 'oke', 'ok', 'okay'],
+      no: ['non', 'non mèsi', 'non mesi', 'pa vle', 'mwen pa vle', 'lòt', 'lòt kote'],
+      negations: ['pa', 'janm'],
+      hedges: ['petèt', 'petet', 'pa konnen', 'm pa konnen', 'mwen pa konnen', 'mwen pa sèten', 'sa depan'],
+      contrast: ['men', 'sof']
+    },
+    prompts: {
+      welcome: `Bonjou, epi mèsi paske ou kontakte nou. Mwen la pou ede w jwenn sipò ak resous. Èske ou an danje kounye a? Si se sa, tanpri rele {{emergencyNumber}}. Sinon, kisa ki fè ou rele jodi a?`,
+      welcomeVoicemail: `Bonjou, epi mèsi paske ou kontakte nou. Mwen la pou ede w jwenn sipò ak resous. Ajan sipò nou yo pa disponib kounye a, men ou ka kite yon mesaj pou yo nenpòt ki lè. Èske ou an danje kounye a? Si se sa, tanpri rele {{emergencyNumber}}. Sinon, kisa ki fè ou rele jodi a?`,
+      welcomeAssistantOnly: `Bonjou, epi mèsi paske ou kontakte nou. Mwen la pou ede w jwenn sipò ak resous. Ajan sipò nou yo pa disponib kounye a, epi Liy Nasyonal pou Vyolans Domestik la louvri 24 sou 24 nan {{hotlineNumber}}, avèk entèprèt an kreyòl. Èske ou an danje kounye a? Si se sa, tanpri rele {{emergencyNumber}}. Sinon, kisa ki fè ou rele jodi a?`,
+      incompleteLocation: `Mwen kontan ede w jwenn yon abri. Èske ou ka di m nan ki vil, ki eta, ak ki peyi w ap chèche? Pa egzanp, ou ka di 'toupre San Francisco, Kalifòni, Etazini' oswa 'nan Lond, Angletè, Wayòm Ini'.`,
+      currentLocation: `Mwen konprann ou vle resous toupre kote ou ye kounye a. Pou m ka ede w jwenn abri ki pi pre yo, èske ou ka di m nan ki vil, ki eta, ak ki peyi ou ye? Pa egzanp, ou ka di 'mwen nan San Francisco, Kalifòni, Etazini' oswa 'toupre Lond, Angletè, Wayòm Ini'.`,
+      locationPrompt: `Pou m ka ede w jwenn bon resous yo, èske ou ka di m nan ki vil, ki eta, ak ki peyi w ap chèche? Pa egzanp, ou ka di 'San Francisco, Kalifòni, Etazini' oswa 'Lond, Angletè, Wayòm Ini'.`,
+      moreSpecificLocation: `Mwen jwenn yon kote, men mwen bezwen plis detay pou m ka ede w byen. Èske ou ka di m eta a oswa pwovens lan, ak peyi a?`,
+      confirmLocation: `<speak>Mwen jwenn yon kote ou te mansyone anvan: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Èske ou vle m chèche resous nan zòn sa a?</prosody> <break time="300ms"/> Tanpri di wi oswa non.</speak>`,
+      usePreviousLocation: `<speak>Mwen jwenn yon kote ou te mansyone anvan: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Èske ou vle itilize kote sa a pou rechèch la, oswa ou pito ban m yon lòt kote?</prosody></speak>`,
+      smsConsentReask: `<speak>Eskize m, mwen pa t byen konprann. <break time="300ms"/> Èske ou vle m voye yon mesaj tèks ba ou avèk yon rezime ak resous? Tanpri di wi oswa non.</speak>`,
+      languageMenuOption: `Pou kreyòl, peze {{key}}.`,
+      languageSwitched: `Dakò, ann kontinye an kreyòl. Kijan mwen ka ede w jodi a?`,
+      smsSummary: `Mèsi paske ou rele. Men resous nou te pale de yo: [Lyen resous yo ta dwe la a]`,
+      emergency: `<speak>Sa a se yon ijans. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Tanpri rele {{emergencyNumber}} touswit.</prosody> <break time="800ms"/> Ou ka rele Liy Nasyonal pou Vyolans Domestik la tou nan {{hotlineNumber}} pou jwenn èd touswit. <break time="400ms"/> Yo disponib 24 sou 24, yo gen entèprèt an kreyòl, epi yo ka ede w fè yon plan sekirite ak jwenn resous ijans.</speak>`,
+      noSpeech: `<speak>Mwen pa tande anyen. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Tanpri eseye ankò.</prosody></speak>`,
+      fallback: `<speak>Eskize m, mwen pa konprann sa ou mande a. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Èske ou ka di l yon lòt jan, oswa mande m èd pou jwenn abri, sèvis legal, oswa enfòmasyon jeneral sou vyolans domestik?</prosody></speak>`,
+      error: `<speak>Eskize m, gen yon erè ki fèt pandan m t ap trete demann ou an. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Tanpri eseye ankò.</prosody> <break time="400ms"/> Si ou an danje kounye a, tanpri rele {{emergencyNumber}}.</speak>`,
+      processingError: `Eskize m, mwen pa t ka trete demann ou an. Tanpri poze kesyon an yon lòt jan epi bay yon kote ki presi.`,
+      locationSaved: `Mèsi paske ou di m ki kote ou ye. Ki kalite èd w ap chèche? Pa egzanp: yon kote pou rete an ijans, èd legal, oswa konsèy.`,
+      offTopic: `Mwen la pou ede w jwenn sipò ak resous sou vyolans nan fanmi. Kijan mwen ka ede w jodi a?`,
+      reengage: `Mwen konprann w ap mande sou sipò pou vyolans nan fanmi. Kite m ede w jwenn resous ou bezwen yo. Ki kalite èd w ap chèche?`,
+      closing: `Anvan nou fini apèl sa a, mwen vle asire m ou gen sipò ou bezwen. Si w ap viv vyolans nan fanmi, gen èd disponib 24 sou 24 nan {{hotlineNumber}}. Pran swen tèt ou.`,
+      askLocationPart: `Nan ki eta oswa ki peyi {{location}} ye?`,
+      confirmHeardLocation: `Jis pou verifye, èske ou vle di {{location}}? Tanpri di wi oswa non.`
+    }
+  },
+  'pt-BR': {
+    name: 'Português (Brasil)',
+    twilioVoice: 'Polly.Camila',
+    openaiVoice: 'nova',
+    twilioLanguage: 'pt-BR',
+    twilioSpeechRecognitionLanguage: 'pt-BR',
+    fallback: 'en-US',
+    englishName: 'Portuguese',
+    hotlines: [US_NATIONAL_HOTLINE, { name: 'Central de Atendimento à Mulher (Ligue 180)', number: '180', region: 'BR' }],
+    // The keypad menu has no key left; callers switch by asking ("em português")
+    dtmfKey: null,
+    switchPhrases: ['em português', 'em portugues', 'fala português', 'fala portugues', 'falo português', 'falo portugues', 'in portuguese', 'portuguese please'],
+    detectionWords: ['olá', 'ola', 'obrigado', 'obrigada', 'preciso', 'ajuda', 'onde', 'estou', 'tenho', 'quero', 'meu', 'minha', 'marido', 'namorado', 'abrigo', 'você', 'voce', 'não', 'nao', 'uma', 'com', 'socorro', 'isso'],
+    yesNo: {
+      yes: ['sim', 'claro', 'pode', 'pode ser', 'tá bom', 'ta bom', 'está bem', 'esta bem', 'tudo bem', 'certo', 'com certeza', 'beleza', 'por favor', 'ok', 'okay'],
+      no: ['não', 'nao', 'nunca', 'não obrigado', 'não obrigada', 'nao obrigado', 'nao obrigada', 'de jeito nenhum', 'outro', 'outra', 'diferente'],
+      negations: ['não', 'nao', 'nunca', 'nem'],
+      hedges: ['talvez', 'não sei', 'nao sei', 'sei lá', 'sei la', 'depende', 'não tenho certeza', 'nao tenho certeza'],
+      contrast: ['mas', 'porém', 'porem', 'exceto']
+    },
+    prompts: {
+      welcome: `Olá, e obrigada por entrar em contato. Estou aqui para ajudar você a encontrar apoio e recursos. Você está em perigo imediato agora? Se estiver, ligue para o {{emergencyNumber}}. Caso contrário, o que fez você ligar hoje?`,
+      welcomeVoicemail: `Olá, e obrigada por entrar em contato. Estou aqui para ajudar você a encontrar apoio e recursos. Nossas atendentes não estão disponíveis agora, mas você pode deixar uma mensagem para elas a qualquer momento. Você está em perigo imediato agora? Se estiver, ligue para o {{emergencyNumber}}. Caso contrário, o que fez você ligar hoje?`,
+      welcomeAssistantOnly: `Olá, e obrigada por entrar em contato. Estou aqui para ajudar você a encontrar apoio e recursos. Nossas atendentes não estão disponíveis agora, e a Linha Nacional de Violência Doméstica funciona 24 horas pelo {{hotlineNumber}}, com intérpretes de português. Você está em perigo imediato agora? Se estiver, ligue para o {{emergencyNumber}}. Caso contrário, o que fez você ligar hoje?`,
+      incompleteLocation: `Fico feliz em ajudar você a encontrar um abrigo. Você pode me dizer em qual cidade, estado e país está procurando? Por exemplo, você pode dizer 'perto de San Francisco, Califórnia, Estados Unidos' ou 'em Londres, Inglaterra, Reino Unido'.`,
+      currentLocation: `Entendo que você quer recursos perto de onde está agora. Para ajudar você a encontrar os abrigos mais próximos, pode me dizer em qual cidade, estado e país você está? Por exemplo, você pode dizer 'estou em San Francisco, Califórnia, Estados Unidos' ou 'perto de Londres, Inglaterra, Reino Unido'.`,
+      locationPrompt: `Para ajudar você a encontrar os recursos certos, pode me dizer em qual cidade, estado e país está procurando? Por exemplo, você pode dizer 'San Francisco, Califórnia, Estados Unidos' ou 'Londres, Inglaterra, Reino Unido'.`,
+      moreSpecificLocation: `Encontrei um local, mas preciso de informações mais específicas para ajudar você. Pode incluir o estado ou província e o país?`,
+      confirmLocation: `<speak>Encontrei um local que você mencionou antes: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Você gostaria que eu procurasse recursos nessa região?</prosody> <break time="300ms"/> Por favor, diga sim ou não.</speak>`,
+      usePreviousLocation: `<speak>Encontrei um local que você mencionou antes: {{location}}. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Você gostaria de usar esse local na sua busca, ou prefere informar um local diferente?</prosody></speak>`,
+      smsConsentReask: `<speak>Desculpe, não entendi. <break time="300ms"/> Você gostaria que eu enviasse uma mensagem de texto com um resumo e recursos? Por favor, diga sim ou não.</speak>`,
+      languageMenuOption: `Para português, tecle {{key}}.`,
+      languageSwitched: `Tudo bem, vamos continuar em português. Como posso ajudar você hoje?`,
+      smsSummary: `Obrigada por ligar. Aqui estão os recursos de que falamos: [Os links dos recursos seriam incluídos aqui]`,
+      emergency: `<speak>Esta é uma situação de emergência. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Por favor, ligue para o {{emergencyNumber}} imediatamente.</prosody> <break time="800ms"/> Você também pode ligar para a Linha Nacional de Violência Doméstica no {{hotlineNumber}} para ajuda imediata. <break time="400ms"/> Eles atendem 24 horas, têm intérpretes de português e podem ajudar você com um plano de segurança e recursos de emergência.</speak>`,
+      noSpeech: `<speak>Não ouvi nada. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Por favor, tente de novo.</prosody></speak>`,
+      fallback: `<speak>Desculpe, não entendi o seu pedido. <break time="400ms"/> <prosody rate="slow" pitch="+1st">Você pode dizer de outra forma, ou pedir ajuda para encontrar abrigos, serviços jurídicos ou informações gerais sobre violência doméstica?</prosody></speak>`,
+      error: `<speak>Desculpe, ocorreu um erro ao processar o seu pedido. <break time="500ms"/> <prosody rate="slow" pitch="+2st">Por favor, tente de novo.</prosody> <break time="400ms"/> Se você estiver em perigo imediato, ligue para o {{emergencyNumber}}.</speak>`,
+      processingError: `Desculpe, não consegui processar o seu pedido. Tente reformular a sua pergunta com um local específico.`,
+      locationSaved: `Obrigado por compartilhar sua localização. Que tipo de ajuda você está procurando? Por exemplo: abrigo de emergência, ajuda jurídica ou aconselhamento.`,
+      offTopic: `Estou aqui para ajudar com apoio e recursos sobre violência doméstica. Como posso ajudar você hoje?`,
+      reengage: `Entendo que você está perguntando sobre apoio em casos de violência doméstica. Vou ajudar você a encontrar os recursos de que precisa. Que tipo de ajuda você está procurando?`,
+      closing: `Antes de encerrarmos esta ligação, quero ter certeza de que você tem o apoio de que precisa. Se você está sofrendo violência doméstica, há ajuda disponível 24 horas pelo {{hotlineNumber}}. Cuide-se e fique em segurança.`,
+      askLocationPart: `Em qual estado ou país fica {{location}}?`,
+      confirmHeardLocation: `Só para confirmar, você quis dizer {{location}}? Por favor, diga sim ou não.`
     }
   }
 };
@@ -162,4 +603,104 @@ export function isLanguageSupported(languageCode) {
 export function getFallbackLanguage(languageCode) {
   const config = getLanguageConfig(languageCode);
   return config.fallback || DEFAULT_LANGUAGE;
-} 
\ No newline at end of file
+} 
+
+// Welcome prompt for each staffing routing mode (see lib/schedule.js)
+const WELCOME_PROMPTS = {
+  live_transfer: 'welcome',
+  voicemail: 'welcomeVoicemail',
+  assistant_only: 'welcomeAssistantOnly'
+};
+
+/**
+ * Get the welcome message for the current staffing mode
+ * @param {string} languageCode - The language code
+ * @param {string} routingMode - live_transfer, voicemail or assistant_only
+ * @param {Object} [region] - Caller's region from resolveRegion; numbers default to the default country's
+ * @returns {string} Welcome message
+ */
+export function getWelcomePrompt(languageCode, routingMode, region) {
+  const prompts = getLanguageConfig(languageCode).prompts;
+  return applyRegionNumbers(prompts[WELCOME_PROMPTS[routingMode]] || prompts.welcome, region);
+}
+
+/**
+ * Instruction that keeps the model answering in the caller's language
+ * @param {string} languageCode - The language code
+ * @returns {string|null} Instruction, or null for the default language
+ */
+export function getResponseLanguageInstruction(languageCode) {
+  const config = getLanguageConfig(languageCode);
+  if (!languageCode || config === SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE]) {
+    return null;
+  }
+  return `The caller speaks ${config.englishName}. Always respond in ${config.englishName}, even if the question or search results are in another language.`;
+}
+
+// Entry fields every language needs; its prompts are checked against the default language's
+const REQUIRED_LANGUAGE_FIELDS = ['name', 'englishName', 'twilioVoice', 'openaiVoice', 'twilioLanguage', 'twilioSpeechRecognitionLanguage', 'hotlines', 'switchPhrases', 'detectionWords', 'yesNo'];
+
+// Anything in braces, so "{location}" and "{{ubicación}}" are caught as well as "{{location}}"
+const PLACEHOLDER_PATTERN = /\{+[^{}]*\}+/g;
+
+/**
+ * Check every language for missing fields and prompts, and for prompts whose
+ * placeholders differ from the default language's (a dropped or mistyped {{location}})
+ * A menu key that is also a quick-exit key would hang up on the caller who presses it.
+ * @param {Object} [languages] - Language table to check (defaults to SUPPORTED_LANGUAGES)
+ * @param {Object} [options]
+ * @param {string[]} [options.quickExitKeys] - Keypad keys that end the call (defaults to config.safety.quickExit.dtmfKeys)
+ * @returns {Object<string, string[]>} Problems by language code; empty when every language is complete
+ */
+export function validateLanguageConfig(languages = SUPPORTED_LANGUAGES, { quickExitKeys = getQuickExitConfig().dtmfKeys } = {}) {
+  const reference = SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE].prompts;
+  const menuKeys = new Map();
+  const problems = {};
+
+  for (const [code, language] of Object.entries(languages)) {
+    const issues = [];
+
+    for (const field of REQUIRED_LANGUAGE_FIELDS) {
+      const value = language[field];
+      if (!value || (Array.isArray(value) && value.length === 0)) {
+        issues.push(`missing ${field}`);
+      }
+    }
+    if (language.openaiVoice && !ttsConfig.openai.supportedVoices.includes(language.openaiVoice)) {
+      issues.push(`unsupported OpenAI voice ${language.openaiVoice}`);
+    }
+    if (language.fallback && !languages[language.fallback]) {
+      issues.push(`unknown fallback language ${language.fallback}`);
+    }
+    if (language.dtmfKey) {
+      if (quickExitKeys.includes(language.dtmfKey)) {
+        issues.push(`menu key ${language.dtmfKey} is a quick-exit key`);
+      } else if (menuKeys.has(language.dtmfKey)) {
+        issues.push(`menu key ${language.dtmfKey} is already used by ${menuKeys.get(language.dtmfKey)}`);
+      } else {
+        menuKeys.set(language.dtmfKey, code);
+      }
+    }
+
+    for (const [key, referencePrompt] of Object.entries(reference)) {
+      const prompt = language.prompts?.[key];
+      if (typeof prompt !== 'string' || !prompt.trim()) {
+        issues.push(`missing prompt ${key}`);
+        continue;
+      }
+      const expected = referencePrompt.match(PLACEHOLDER_PATTERN) || [];
+      const found = prompt.match(PLACEHOLDER_PATTERN) || [];
+      for (const placeholder of found.filter(placeholder => !expected.includes(placeholder))) {
+        issues.push(`prompt ${key} has broken placeholder ${placeholder}`);
+      }
+      for (const placeholder of expected.filter(placeholder => !found.includes(placeholder))) {
+        issues.push(`prompt ${key} is missing ${placeholder}`);
+      }
+    }
+
+    if (issues.length > 0) {
+      problems[code] = issues;
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,103 @@
+/**
+ * Caller Language Detection
+ * Works out which supported language a caller wants: an explicit request
+ * ("en español"), a key pressed in the language menu, or the words of their
+ * first utterances. Cues live in languageConfig alongside each language.
+ */
+
+import { config } from './config/index.js';
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from './languageConfig.js';
+import { stripSSMLForTTS } from './ssmlTemplates.js';
+
+// How the call's language was chosen; a caller's own choice is never overridden by detection
+export const LANGUAGE_SOURCES = {
+  DEFAULT: 'default',
+  DETECTED: 'detected',
+  REQUEST: 'request',
+  DTMF: 'dtmf'
+};
+
+// Distinct cue words needed before an utterance is taken to be in another language
+const MIN_DETECTION_WORDS = 2;
+
+function normalize(text) {
+  return ` ${(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]+/gu, ' ')
+    // Chinese is written without spaces, so each character is matched as a word
+    .replace(/\p{Script=Han}/gu, ' $& ')
+    .replace(/\s+/g, ' ')
+    .trim()} `;
+}
+
+/**
+ * Language the caller explicitly asked for, e.g. "en español" or "in French please"
+ * @param {string} text - What the caller said
+ * @returns {string|null} Language code, or null if no language was asked for
+ */
+export function detectLanguageRequest(text) {
+  const utterance = normalize(text);
+  for (const [code, language] of Object.entries(SUPPORTED_LANGUAGES)) {
+    if ((language.switchPhrases || []).some(phrase => utterance.includes(normalize(phrase)))) {
+      return code;
+    }
+  }
+  return null;
+}
+
+/**
+ * Best guess at the language of an utterance from its common words
+ * @param {string} text - What the caller said
+ * @returns {string|null} Language code, or null when no language clearly wins
+ */
+export function detectLanguageFromText(text) {
+  const utterance = normalize(text);
+  const scores = Object.entries(SUPPORTED_LANGUAGES)
+    .map(([code, language]) => ({
+      code,
+      score: (language.detectionWords || []).filter(word => utterance.includes(normalize(word))).length
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+  if (!best || best.score < MIN_DETECTION_WORDS || best.score === runnerUp?.score) {
+    return null;
+  }
+  return best.code;
+}
+
+/**
+ * Language for a key pressed in the language menu
+ * @param {string} digits - Digits collected by <Gather>
+ * @returns {string|null} Language code
+ */
+export function getLanguageForDigit(digits) {
+  const key = typeof digits === 'string' ? digits.trim().charAt(0) : null;
+  if (!key) {
+    return null;
+  }
+  const match = Object.entries(SUPPORTED_LANGUAGES).find(([, language]) => language.dtmfKey === key);
+  return match ? match[0] : null;
+}
+
+/**
+ * Spoken language menu, each option in its own language ("For English, press 1. Para español, oprima 2.")
+ * @param {string} [currentLanguage] - Language the call is in; listed first
+ * @returns {string} Plain-text menu
+ */
+export function buildLanguageMenu(currentLanguage = DEFAULT_LANGUAGE) {
+  return Object.entries(SUPPORTED_LANGUAGES)
+    .filter(([, language]) => language.dtmfKey && language.prompts.languageMenuOption)
+    .sort(([a], [b]) => (b === currentLanguage) - (a === currentLanguage))
+    .map(([, language]) => stripSSMLForTTS(language.prompts.languageMenuOption.replace('{{key}}', language.dtmfKey)))
+    .join(' ');
+}
+
+/**
+ * Whether the welcome reads the keypad language menu
+ * @returns {boolean}
+ */
+export function isLanguageMenuEnabled() {
+  return config.language?.dtmfMenu === true;
+}
@@ -0,0 +1,289 @@
+/**
+ * Location Slot
+ * The caller's location as one slot shared by voice, SMS and web: the value,
+ * how sure we are of it and where it came from (what they said, earlier in the
+ * conversation, or the geocoder filling in a state or country). A slot missing
+ * its state or country is asked about, a value we are unsure of is read back
+ * before it is searched, and "no, I said Austin" replaces it.
+ */
+
+import { config } from './config/index.js';
+import logger from './logger.js';
+import { extractLocation } from './speechProcessor.js';
+import { detectLocationFallback } from './enhancedLocationDetector.js';
+import { findRegionInText } from './regionRegistry.js';
+import { classifyYesNo, YES_NO_ANSWERS } from './yesNoClassifier.js';
+import { conversationFlowConfig } from './conversationConfig.js';
+import { geocodingIntegration } from '../integrations/geocodingIntegration.js';
+
+// Where the slot's value came from
+export const LOCATION_SOURCES = {
+  SPEECH: 'speech',
+  CONTEXT: 'context',
+  GEOCODER: 'geocoder'
+};
+
+// Parts a bare place name may be missing
+export const LOCATION_PARTS = {
+  STATE: 'state',
+  COUNTRY: 'country'
+};
+
+// Questions asked about the slot
+export const LOCATION_QUESTIONS = {
+  ASK: 'ask',
+  MISSING_PART: 'missingPart',
+  CONFIRM: 'confirm'
+};
+
+// What a reply to one of those questions did to the slot
+export const LOCATION_ANSWERS = {
+  CONFIRMED: 'confirmed',
+  CHANGED: 'changed',
+  DECLINED: 'declined',
+  UNSURE: 'unsure',
+  UNRELATED: 'unrelated'
+};
+
+const CONFIDENCE = {
+  CORRECTED: 0.95,
+  COMPLETE: 0.85,
+  GEOCODED: 0.7,
+  CONTEXT: 0.6,
+  PARTIAL: 0.5
+};
+
+// "no, I said Austin", "I meant Dallas Texas", "it's Austin"
+const CORRECTION_PATTERN = /^(?:(?:no|nope|nah)\b[\s,.!]*)?(?:i\s+(?:said|meant|mean)|it'?s|it\s+is)\s+(?:in\s+)?(.+)$/i;
+// "no, Dallas Texas"
+const NO_THEN_PLACE_PATTERN = /^(?:no|nope|nah)\b[\s,.!]+(.+)$/i;
+// "it's in Texas", "in Texas" after "which state or country is Austin in?"
+const PART_FILLER_PATTERN = /^(?:(?:it'?s|it\s+is)\s+)?(?:in\s+)?/i;
+// Lower-case words a place name may contain ("Stratford upon Avon", "Rio de Janeiro")
+const PLACE_CONNECTORS = new Set(['of', 'on', 'upon', 'the', 'de', 'del', 'la', 'le', 'du', 'am', 'an', 'sur']);
+const MAX_BARE_ANSWER_WORDS = 4;
+
+/**
+ * @param {string|null} value - Location as it will be searched
+ * @param {string} source - LOCATION_SOURCES value
+ * @param {number} confidence - 0 to 1
+ * @param {Object} [options]
+ * @param {string[]} [options.missing] - LOCATION_PARTS the value still lacks
+ * @param {boolean} [options.confirmed] - The caller said yes to it or corrected us
+ * @returns {Object} { value, source, confidence, missing, confirmed }
+ */
+export function createLocationSlot(value, source, confidence, { missing = [], confirmed = false } = {}) {
+  return { value, source, confidence, missing, confirmed };
+}
+
+/**
+ * The place in a correction of the location we have ("no, I said Austin")
+ * @param {string} text - What the caller said
+ * @returns {string|null} The corrected place as said, or null when this is not a correction
+ */
+export function detectLocationCorrection(text) {
+  const trimmed = (text || '').trim().replace(/[.!?]+$/, '');
+  const match = trimmed.match(CORRECTION_PATTERN) || trimmed.match(NO_THEN_PLACE_PATTERN);
+  return match ? match[1].trim() : null;
+}
+
+// A short reply that is only a place name ("Austin", "Dallas, Texas"), for when we just asked for one
+function readBareAnswer(text) {
+  const answer = (text || '').trim().replace(/[.!?]+$/, '');
+  const words = answer.split(/[\s,]+/).filter(Boolean);
+  if (words.length === 0 || words.length > MAX_BARE_ANSWER_WORDS) return null;
+  if (!words.every((word, index) => /^\p{Lu}/u.test(word) || (index > 0 && PLACE_CONNECTORS.has(word)))) return null;
+  // "Yes", "No", "Maybe"
+  if (classifyYesNo(answer).confidence > 0) return null;
+  return answer;
+}
+
+function isCompleteLocation(location) {
+  return detectLocationFallback(location).isComplete || !!findRegionInText(location);
+}
+
+function isSamePlace(a, b) {
+  return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+export class LocationSlotFiller {
+  /**
+   * @param {Object} [options]
+   * @param {Object|null} [options.geocoder] - Geocoder with geocode(location); null never geocodes
+   * @param {number} [options.confirmBelow] - Values less sure than this are read back
+   * @param {Object} [options.askWith] - { prompt, smsMessage } for an empty slot (the flow's location slot)
+   */
+  constructor({
+    geocoder = config.location.geocode ? geocodingIntegration : null,
+    confirmBelow = config.location.confirmBelow,
+    askWith = conversationFlowConfig.slots.location
+  } = {}) {
+    this.geocoder = geocoder;
+    this.confirmBelow = confirmBelow;
+    this.askWith = askWith;
+  }
+
+  /**
+   * A location from earlier in the conversation; callers may have moved on, so it is read back
+   * @param {string|null} location - Saved location
+   * @returns {Object|null} Slot, or null when nothing was saved
+   */
+  fromContext(location) {
+    return location ? createLocationSlot(location, LOCATION_SOURCES.CONTEXT, CONFIDENCE.CONTEXT) : null;
+  }
+
+  /**
+   * Read what the caller said into the slot
+   * @param {Object|null} slot - Current slot
+   * @param {string} text - What the caller said or texted
+   * @param {Object} [options]
+   * @param {string} [options.asked] - LOCATION_QUESTIONS value the text answers; a bare
+   *   place name only counts as a location when we asked for one
+   * @returns {Promise<Object|null>} The new slot, or the one passed in when no place was named
+   */
+  async fill(slot, text, { asked = null } = {}) {
+    let said = null;
+    try {
+      said = await extractLocation(text);
+    } catch (error) {
+      logger.error('Error extracting location for the location slot:', { error: error.message });
+    }
+
+    if (asked === LOCATION_QUESTIONS.MISSING_PART && slot?.value) {
+      // "Texas", after "which state or country is Austin in?"; "Dallas, Texas" is a new place
+      const part = readBareAnswer(text.trim().replace(PART_FILLER_PATTERN, ''));
+      if (part && !part.includes(',') && (!said || isSamePlace(said, part))) {
+        return this.resolve(`${slot.value}, ${part}`, LOCATION_SOURCES.SPEECH, CONFIDENCE.COMPLETE);
+      }
+    }
+
+    const correction = slot?.value ? detectLocationCorrection(text) : null;
+    const corrected = correction ? (said || readBareAnswer(correction)) : null;
+    if (corrected && !isSamePlace(corrected, slot.value)) {
+      return this.resolve(corrected, LOCATION_SOURCES.SPEECH, CONFIDENCE.CORRECTED, { confirmed: true });
+    }
+
+    const place = said || (asked && asked !== LOCATION_QUESTIONS.CONFIRM ? readBareAnswer(text) : null);
+    if (!place) {
+      return slot;
+    }
+    if (isSamePlace(place, slot?.value)) {
+      // Saying the place again settles it
+      return { ...slot, confirmed: true };
+    }
+    return this.resolve(place, LOCATION_SOURCES.SPEECH, CONFIDENCE.COMPLETE);
+  }
+
+  /**
+   * Turn a place as said into a slot: complete as said, completed by the geocoder, or missing parts
+   * @param {string} location - Place as said
+   * @param {string} source - LOCATION_SOURCES value for a value used as said
+   * @param {number} confidence - Confidence when nothing had to be filled in
+   * @param {Object} [options]
+   * @param {boolean} [options.confirmed] - The caller has already settled the value
+   * @returns {Promise<Object>} Slot
+   */
+  async resolve(location, source, confidence, { confirmed = false } = {}) {
+    if (isCompleteLocation(location)) {
+      return createLocationSlot(location, source, confidence, { confirmed });
+    }
+
+    const geocoded = await this.geocode(location);
+    if (geocoded?.country) {
+      const added = [geocoded.state, geocoded.country]
+        .filter(part => part && !location.toLowerCase().includes(part.toLowerCase()));
+      return added.length > 0
+        ? createLocationSlot([location, ...added].join(', '), LOCATION_SOURCES.GEOCODER, Math.min(confidence, CONFIDENCE.GEOCODED))
+        : createLocationSlot(location, source, confidence, { confirmed });
+    }
+
+    return createLocationSlot(location, source, Math.min(confidence, CONFIDENCE.PARTIAL), {
+      missing: [LOCATION_PARTS.STATE, LOCATION_PARTS.COUNTRY],
+      confirmed
+    });
+  }
+
+  async geocode(location) {
+    if (!this.geocoder) return null;
+    try {
+      const result = await this.geocoder.geocode(location);
+      return result?.success ? result.data : null;
+    } catch (error) {
+      logger.warn('Could not geocode location slot', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * The question to ask before the slot can be searched
+   * @param {Object|null} slot - Current slot
+   * @returns {Object|null} { question, prompt, smsMessage, params }, or null when the value can be searched
+   */
+  getQuestion(slot) {
+    if (!slot?.value) {
+      return { question: LOCATION_QUESTIONS.ASK, prompt: this.askWith.prompt, smsMessage: this.askWith.smsMessage, params: {} };
+    }
+    const params = { location: slot.value };
+    if (slot.missing.length > 0) {
+      return { question: LOCATION_QUESTIONS.MISSING_PART, prompt: 'askLocationPart', smsMessage: 'askLocationPart', params };
+    }
+    if (!slot.confirmed && slot.confidence < this.confirmBelow) {
+      return {
+        question: LOCATION_QUESTIONS.CONFIRM,
+        prompt: slot.source === LOCATION_SOURCES.CONTEXT ? 'confirmLocation' : 'confirmHeardLocation',
+        smsMessage: 'confirmLocation',
+        params
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Read a reply to a question from getQuestion
+   * @param {Object|null} slot - Slot the question was about
+   * @param {string} question - LOCATION_QUESTIONS value that was asked
+   * @param {string} text - The reply
+   * @param {string} [language] - Caller's language, for yes/no cues
+   * @returns {Promise<Object>} { answer: LOCATION_ANSWERS value, slot }
+   */
+  async answer(slot, question, text, language = null) {
+    const filled = await this.fill(slot, text, { asked: question });
+    const changed = filled !== slot && !!filled?.value;
+
+    if (question !== LOCATION_QUESTIONS.CONFIRM) {
+      return changed ? { answer: LOCATION_ANSWERS.CHANGED, slot: filled } : { answer: LOCATION_ANSWERS.UNRELATED, slot };
+    }
+
+    const { answer } = classifyYesNo(text, language);
+    if (changed && !isSamePlace(filled.value, slot?.value)) {
+      return { answer: LOCATION_ANSWERS.CHANGED, slot: filled };
+    }
+    if (answer === YES_NO_ANSWERS.YES || changed) {
+      return { answer: LOCATION_ANSWERS.CONFIRMED, slot: { ...slot, confirmed: true } };
+    }
+    if (answer === YES_NO_ANSWERS.NO) {
+      return { answer: LOCATION_ANSWERS.DECLINED, slot: null };
+    }
+    return { answer: LOCATION_ANSWERS.UNSURE, slot };
+  }
+}
+
+let sharedFiller = null;
+
+/**
+ * @returns {LocationSlotFiller} Process-wide slot filler
+ */
+export function getLocationSlotFiller() {
+  if (!sharedFiller) {
+    sharedFiller = new LocationSlotFiller();
+  }
+  return sharedFiller;
+}
+
+/**
+ * Replace the process-wide slot filler (tests)
+ * @param {LocationSlotFiller|null} filler - Filler, or null to rebuild from config
+ */
+export function setLocationSlotFiller(filler) {
+  sharedFiller = filler;
+}
@@ -0,0 +1,132 @@
+/**
+ * Media Stream Mode
+ * Lets a call run over a bidirectional Twilio media stream instead of
+ * <Gather> turns: the voice webhook answers with <Connect><Stream>, caller
+ * audio arrives over /twilio-stream and replies go back as mu-law media
+ * frames (see services/mediaStreamSession.js). When the stream closes for any
+ * reason other than the call ending, the <Redirect> after <Connect> drops the
+ * call back to the <Gather> path.
+ *
+ * Each stream carries the call SID and an HMAC token as <Parameter> values;
+ * the WebSocket server only binds a socket whose start event presents a valid
+ * token for the call SID Twilio reports.
+ */
+
+import crypto from 'crypto';
+import twilio from 'twilio';
+import { config } from './config/index.js';
+
+export const VOICE_MODES = {
+  GATHER: 'gather',
+  STREAM: 'stream'
+};
+
+// Where Twilio continues when the stream closes
+export const STREAM_FALLBACK_PATH = '/twilio/voice/gather';
+
+// Twilio plays media in 20ms frames: 160 bytes of 8kHz mu-law
+const FRAME_BYTES = 160;
+
+// Used when STREAM_TOKEN_SECRET isn't set
+const PROCESS_TOKEN_SECRET = crypto.randomBytes(32);
+
+function signStream(callSid, expiresAt) {
+  return crypto
+    .createHmac('sha256', config.streaming.tokenSecret || PROCESS_TOKEN_SECRET)
+    .update(`${callSid}.${expiresAt}`)
+    .digest('base64url');
+}
+
+/**
+ * Token that lets a media stream bind to a call
+ * @param {string} callSid - Call SID the stream is for
+ * @param {number} [now] - Current time in ms, for tests
+ * @returns {string} "<expiry>.<signature>"
+ */
+export function issueStreamToken(callSid, now = Date.now()) {
+  const expiresAt = now + config.streaming.tokenTtlMs;
+  return `${expiresAt}.${signStream(callSid, expiresAt)}`;
+}
+
+/**
+ * Check a stream's token against the call SID Twilio reported
+ * @param {string} callSid - Call SID from the start event
+ * @param {string} token - Token from the stream's parameters
+ * @param {number} [now] - Current time in ms, for tests
+ * @returns {boolean} True if the token was issued for this call and hasn't expired
+ */
+export function verifyStreamToken(callSid, token, now = Date.now()) {
+  const [expiry, signature] = String(token || '').split('.');
+  const expiresAt = Number(expiry);
+  if (!callSid || !signature || !Number.isFinite(expiresAt) || expiresAt < now) {
+    return false;
+  }
+  const expected = Buffer.from(signStream(callSid, expiresAt));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Voice mode for a call: the webhook's ?mode= wins, otherwise the configured default
+ * @param {string} [requestedMode] - Mode asked for on the voice webhook
+ * @returns {string} VOICE_MODES value
+ */
+export function getVoiceMode(requestedMode) {
+  const mode = String(requestedMode || '').toLowerCase();
+  if (Object.values(VOICE_MODES).includes(mode)) {
+    return mode;
+  }
+  return config.streaming.defaultMode;
+}
+
+/**
+ * WebSocket URL Twilio should stream the call to
+ * @param {string} host - Host header of the voice webhook
+ * @returns {string} wss:// URL
+ */
+export function getStreamUrl(host) {
+  return config.streaming.url || `wss://${host}/twilio-stream`;
+}
+
+/**
+ * TwiML that connects the call to our media stream, falling back to <Gather> when it closes
+ * @param {Object} options
+ * @param {string} options.url - WebSocket URL
+ * @param {string} options.callSid - Call SID, passed back to us in the stream's start event
+ * @param {string} options.token - Token from issueStreamToken / registerCall
+ * @param {string} options.language - Language the call starts in
+ * @returns {string} TwiML
+ */
+export function buildStreamTwiml({ url, callSid, token, language }) {
+  const response = new twilio.twiml.VoiceResponse();
+  const stream = response.connect().stream({ url });
+  stream.parameter({ name: 'callSid', value: callSid });
+  stream.parameter({ name: 'token', value: token });
+  stream.parameter({ name: 'language', value: language });
+  response.redirect({ method: 'POST' }, STREAM_FALLBACK_PATH);
+  return response.toString();
+}
+
+/**
+ * Split a reply into sentences so the first can be spoken while the rest are synthesized
+ * @param {string} text - Reply text
+ * @returns {string[]} Sentences, in order
+ */
+export function splitIntoSentences(text) {
+  return (String(text || '').match(/[^.!?。！？]+[.!?。！？]*["')\]]*\s*/gu) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Cut mu-law audio into base64 media frames for Twilio
+ * @param {Buffer} audio - 8kHz mu-law
+ * @returns {string[]} Base64 payloads of 20ms each
+ */
+export function toMediaFrames(audio) {
+  const frames = [];
+  for (let offset = 0; offset < audio.length; offset += FRAME_BYTES) {
+    frames.push(audio.subarray(offset, offset + FRAME_BYTES).toString('base64'));
+  }
+  return frames;
+}
@@ -0,0 +1,89 @@
+import { config } from './config/index.js';
+
+/**
+ * Quick Exit
+ * Detects the caller's safe word or quick-exit keypad press so the call can be
+ * ended immediately, without a goodbye, consent prompt or SMS summary.
+ */
+
+/**
+ * Get the active quick-exit settings
+ * @returns {Object} Quick-exit configuration ({ enabled, dtmfKeys, safeWords })
+ */
+export function getQuickExitConfig() {
+  return config.safety?.quickExit || { enabled: false, dtmfKeys: [], safeWords: [] };
+}
+
+/**
+ * Normalize an utterance for safe word matching
+ * @param {string} text - Raw speech text
+ * @returns {string} Lowercased text with punctuation removed and whitespace collapsed
+ */
+function normalizeUtterance(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Check whether keypad input contains a quick-exit key
+ * @param {string} digits - Digits collected by <Gather>
+ * @param {Object} quickExitConfig - Optional config override
+ * @returns {boolean} True if any pressed key is a quick-exit key
+ */
+export function isQuickExitDigits(digits, quickExitConfig = getQuickExitConfig()) {
+  if (!quickExitConfig.enabled || !digits || typeof digits !== 'string') {
+    return false;
+  }
+  return [...digits].some(key => quickExitConfig.dtmfKeys.includes(key));
+}
+
+/**
+ * Check whether an utterance is a configured safe word
+ * The whole utterance must be the safe word, so "I have the wrong number for
+ * the shelter" keeps a caller who needs help on the line.
+ * @param {string} speech - Speech text from Twilio
+ * @param {Object} quickExitConfig - Optional config override
+ * @returns {boolean} True if the utterance is a safe word
+ */
+export function isQuickExitPhrase(speech, quickExitConfig = getQuickExitConfig()) {
+  if (!quickExitConfig.enabled || !speech || typeof speech !== 'string') {
+    return false;
+  }
+
+  const utterance = normalizeUtterance(speech);
+  return !!utterance && quickExitConfig.safeWords.some(word => normalizeUtterance(word) === utterance);
+}
+
+/**
+ * Inspect a Twilio webhook body for a quick-exit trigger
+ * @param {Object} body - Twilio webhook body (SpeechResult and/or Digits)
+ * @param {Object} quickExitConfig - Optional config override
+ * @returns {Object|null} { trigger: 'dtmf' | 'safe_word' } or null if no trigger
+ */
+export function detectQuickExit(body = {}, quickExitConfig = getQuickExitConfig()) {
+  if (isQuickExitDigits(body.Digits, quickExitConfig)) {
+    return { trigger: 'dtmf' };
+  }
+  if (isQuickExitPhrase(body.SpeechResult, quickExitConfig)) {
+    return { trigger: 'safe_word' };
+  }
+  return null;
+}
+
+/**
+ * Gather attributes that let the caller press a quick-exit key at any prompt
+ * Spread into every <Gather> so keypad input reaches the same action URL as speech.
+ * @returns {Object} Gather attributes
+ */
+export function getQuickExitGatherOptions() {
+  if (!getQuickExitConfig().enabled) {
+    return { input: 'speech' };
+  }
+  return {
+    input: 'speech dtmf',
+    numDigits: 1
+  };
+}
@@ -0,0 +1,265 @@
+/**
+ * Region Registry
+ * Emergency numbers, national domestic violence hotlines, text lines and
+ * crisis chat links by country, with state-level overrides (Scotland has its
+ * own helpline, for example). Prompts carry {{emergencyNumber}} and
+ * {{hotlineNumber}} placeholders that are filled from the caller's region:
+ * the country they named or we geocoded from their location, then the
+ * prefix of the number they called from, then the configured default.
+ */
+
+import fs from 'fs';
+import { config } from './config/index.js';
+import { geocodingIntegration } from '../integrations/geocodingIntegration.js';
+import logger from './logger.js';
+
+// Where the caller's region came from, most to least reliable
+export const REGION_SOURCES = {
+  GEOCODED: 'geocoded',
+  DETECTED: 'detected',
+  PHONE: 'phone',
+  DEFAULT: 'default'
+};
+
+// Used when the registry file is missing so callers are never left without a number
+const BUILT_IN_REGIONS = {
+  US: {
+    name: 'United States',
+    aliases: ['united states', 'usa'],
+    callingCodes: ['1'],
+    emergency: '911',
+    hotline: {
+      name: 'National Domestic Violence Hotline',
+      phone: '1-800-799-7233',
+      text: 'Text START to 88788',
+      chatUrl: 'https://www.thehotline.org'
+    }
+  }
+};
+
+let sharedRegions = null;
+
+/**
+ * Load the region registry from a JSON file; a missing or broken file gives the built-in US entry
+ * @param {string} file - Path to the registry
+ * @returns {Object} { countryCode: { name, aliases, callingCodes, emergency, hotline, states } }
+ */
+export function loadRegionRegistry(file = config.regions.registryFile) {
+  if (!file || !fs.existsSync(file)) {
+    logger.warn('Region registry not found, using built-in US numbers', { file });
+    return BUILT_IN_REGIONS;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    logger.error('Failed to load region registry', { file, error: error.message });
+    return BUILT_IN_REGIONS;
+  }
+}
+
+/**
+ * @returns {Object} Process-wide region registry, loaded on first use
+ */
+export function getRegionRegistry() {
+  if (!sharedRegions) {
+    sharedRegions = loadRegionRegistry();
+  }
+  return sharedRegions;
+}
+
+/**
+ * Replace the process-wide region registry (tests, reloads)
+ * @param {Object|null} regions - Registry, or null to reload from config
+ */
+export function setRegionRegistry(regions) {
+  sharedRegions = regions;
+}
+
+function normalize(text) {
+  return ` ${String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]+/gu, ' ')
+    .replace(/\p{Script=Han}/gu, ' $& ')
+    .replace(/\s+/g, ' ')
+    .trim()} `;
+}
+
+function namesOf(entry) {
+  return [entry.name, ...(entry.aliases || [])].filter(Boolean);
+}
+
+function findCountry(countryCode) {
+  const regions = getRegionRegistry();
+  const code = String(countryCode || '').toUpperCase();
+  return regions[code] ? code : null;
+}
+
+function findState(countryCode, state) {
+  const states = getRegionRegistry()[countryCode]?.states || {};
+  const wanted = normalize(state);
+  if (wanted === '  ') return null;
+  return Object.keys(states).find(code =>
+    normalize(code) === wanted || namesOf(states[code]).some(name => normalize(name) === wanted)
+  ) || null;
+}
+
+/**
+ * Country and state named in free text, e.g. "Glasgow, Scotland" or "I'm in Spain".
+ * Longer names win, so "Northern Ireland" is not read as Ireland.
+ * @param {string} text - Location or utterance
+ * @returns {{country: string, state: string|null}|null}
+ */
+export function findRegionInText(text) {
+  const haystack = normalize(text);
+  const candidates = [];
+  for (const [country, entry] of Object.entries(getRegionRegistry())) {
+    for (const name of namesOf(entry)) {
+      candidates.push({ country, state: null, name: normalize(name) });
+    }
+    for (const [state, stateEntry] of Object.entries(entry.states || {})) {
+      for (const name of namesOf(stateEntry)) {
+        candidates.push({ country, state, name: normalize(name) });
+      }
+    }
+  }
+  const match = candidates
+    .sort((a, b) => b.name.length - a.name.length)
+    .find(candidate => candidate.name.trim() && haystack.includes(candidate.name));
+  return match ? { country: match.country, state: match.state } : null;
+}
+
+/**
+ * Country for a phone number from its calling code; the longest matching code
+ * wins, so Canadian area codes are told apart from the rest of +1
+ * @param {string} phoneNumber - E.164 number, e.g. "+442071234567"
+ * @returns {string|null} Country code
+ */
+export function countryFromPhoneNumber(phoneNumber) {
+  const value = String(phoneNumber || '').trim();
+  if (!value.startsWith('+')) return null;
+  const digits = value.replace(/\D/g, '');
+  let best = null;
+  for (const [country, entry] of Object.entries(getRegionRegistry())) {
+    for (const code of entry.callingCodes || []) {
+      if (digits.startsWith(code) && (!best || code.length > best.code.length)) {
+        best = { country, code };
+      }
+    }
+  }
+  return best?.country || null;
+}
+
+/**
+ * @returns {string} Country whose numbers are used when nothing is known about the caller
+ */
+export function getDefaultCountry() {
+  const regions = getRegionRegistry();
+  return findCountry(config.regions.defaultCountry) || Object.keys(regions)[0] || 'US';
+}
+
+/**
+ * Emergency and hotline numbers for a caller. A state's entries override its
+ * country's, and anything still missing comes from the default country.
+ * @param {Object} [hints]
+ * @param {string} [hints.countryCode] - ISO country code, e.g. from geocoding
+ * @param {string} [hints.state] - State, province or nation name or code
+ * @param {string} [hints.location] - Free-text location to look for a country in
+ * @param {string} [hints.phoneNumber] - Caller's number, used when nothing else is known
+ * @param {string} [hints.source] - Source to record for countryCode (defaults to geocoded)
+ * @returns {Object} { country, state, source, emergencyNumber, hotlineName, hotlineNumber, textLine, chatUrl }
+ */
+export function resolveRegion({ countryCode, state, location, phoneNumber, source } = {}) {
+  let country = findCountry(countryCode);
+  let stateCode = country ? findState(country, state) : null;
+  let resolvedSource = country ? (source || REGION_SOURCES.GEOCODED) : null;
+
+  if (!country && location) {
+    const named = findRegionInText(location);
+    if (named) {
+      country = named.country;
+      stateCode = named.state;
+      resolvedSource = REGION_SOURCES.DETECTED;
+    }
+  }
+  if (!country) {
+    country = countryFromPhoneNumber(phoneNumber);
+    resolvedSource = country ? REGION_SOURCES.PHONE : null;
+  }
+  const regions = getRegionRegistry();
+  const defaultCountry = getDefaultCountry();
+  if (!country) {
+    country = defaultCountry;
+    resolvedSource = REGION_SOURCES.DEFAULT;
+  }
+
+  const countryEntry = regions[country] || {};
+  const stateEntry = stateCode ? countryEntry.states?.[stateCode] || {} : {};
+  const fallbackEntry = regions[defaultCountry] || BUILT_IN_REGIONS.US;
+  const hotline = stateEntry.hotline || countryEntry.hotline || fallbackEntry.hotline || {};
+
+  return {
+    country,
+    state: stateCode,
+    source: resolvedSource,
+    emergencyNumber: stateEntry.emergency || countryEntry.emergency || fallbackEntry.emergency,
+    hotlineName: hotline.name || null,
+    hotlineNumber: hotline.phone || fallbackEntry.hotline?.phone,
+    textLine: hotline.text || null,
+    chatUrl: hotline.chatUrl || null
+  };
+}
+
+/**
+ * Region for a location the caller gave: a country named in it, otherwise the
+ * geocoder's answer. Returns null when neither places it, so callers can keep
+ * the region they already have.
+ * @param {string} location - Location as the caller said it
+ * @param {Object} [options]
+ * @param {Object} [options.geocoder] - Geocoder with geocode(location) (defaults to the shared one)
+ * @returns {Promise<Object|null>} Region as returned by resolveRegion
+ */
+export async function resolveRegionForLocation(location, { geocoder = geocodingIntegration } = {}) {
+  if (!location) return null;
+  if (findRegionInText(location)) {
+    return resolveRegion({ location });
+  }
+  if (!config.regions.geocode) return null;
+  try {
+    const result = await geocoder.geocode(location);
+    if (result?.success && result.data?.countryCode) {
+      return resolveRegion({ countryCode: result.data.countryCode, state: result.data.state });
+    }
+  } catch (error) {
+    logger.warn('Could not geocode location for region', { error: error.message });
+  }
+  return null;
+}
+
+/**
+ * Instruction that keeps the model from giving US numbers to callers elsewhere
+ * @param {Object} [region] - Region from resolveRegion
+ * @returns {string|null} Instruction, or null for the default country
+ */
+export function getRegionInstruction(region) {
+  if (!region?.country || region.country === getDefaultCountry()) {
+    return null;
+  }
+  const name = getRegionRegistry()[region.country]?.name || region.country;
+  const hotline = region.hotlineName ? `${region.hotlineName} at ${region.hotlineNumber}` : region.hotlineNumber;
+  return `The caller is in ${name}. For emergencies tell them to call ${region.emergencyNumber}, and for support the domestic violence hotline is ${hotline}. Do not give US numbers such as 911 or 1-800-799-7233.`;
+}
+
+/**
+ * Fill {{emergencyNumber}}, {{hotlineNumber}} and {{hotlineName}} in a prompt
+ * @param {string} text - Prompt or template
+ * @param {Object} [region] - Region from resolveRegion (defaults to the default country)
+ * @returns {string} Text with the region's numbers
+ */
+export function applyRegionNumbers(text, region = resolveRegion()) {
+  if (typeof text !== 'string') return text;
+  return text
+    .replaceAll('{{emergencyNumber}}', region.emergencyNumber)
+    .replaceAll('{{hotlineNumber}}', region.hotlineNumber)
+    .replaceAll('{{hotlineName}}', region.hotlineName || 'a domestic violence hotline');
+}
@@ -0,0 +1,311 @@
+/**
+ * Local Resource Directory
+ * Curated shelters, hotlines and services that can be searched without a
+ * network connection. Local entries are imported from JSON or CSV with
+ * scripts/import-resources.js; verified national hotlines ship in data/.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from './config/index.js';
+import logger from './logger.js';
+import { ValidationError } from './utils/errorHandling.js';
+
+const SERVICE_AREAS = ['local', 'state', 'national'];
+
+/**
+ * Parse a yes/no style CSV or JSON value
+ * @param {any} value - Raw value
+ * @returns {boolean|null} true, false, or null when unknown
+ */
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === undefined || value === null || value === '') return null;
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+  return null;
+}
+
+function parseList(value) {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  if (!value) return [];
+  return String(value).split(';').map(item => item.trim()).filter(Boolean);
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Validate and normalize a raw resource record
+ * @param {Object} raw - Record from JSON or CSV
+ * @returns {Object} Normalized resource
+ * @throws {ValidationError} If required fields are missing or malformed
+ */
+export function normalizeResource(raw) {
+  const name = raw?.name?.trim();
+  if (!name) {
+    throw new ValidationError('Resource name is required', 'name', raw?.name);
+  }
+
+  const phone = raw.phone ? String(raw.phone).trim() : '';
+  // Allow short crisis numbers such as 988 alongside full phone numbers
+  if (phone.replace(/\D/g, '').length < 3) {
+    throw new ValidationError(`Resource "${name}" needs a phone number`, 'phone', raw.phone);
+  }
+
+  const latitude = parseNumber(raw.latitude ?? raw.coordinates?.lat);
+  const longitude = parseNumber(raw.longitude ?? raw.coordinates?.lon);
+  if ((latitude === null) !== (longitude === null)
+      || (latitude !== null && (Math.abs(latitude) > 90 || Math.abs(longitude) > 180))) {
+    throw new ValidationError(`Resource "${name}" has invalid coordinates`, 'coordinates', raw.coordinates);
+  }
+
+  const serviceArea = (raw.serviceArea || 'local').trim().toLowerCase();
+  if (!SERVICE_AREAS.includes(serviceArea)) {
+    throw new ValidationError(`Resource "${name}" has unknown service area "${serviceArea}"`, 'serviceArea', raw.serviceArea);
+  }
+
+  return {
+    id: raw.id || slugify(`${name}-${raw.city || serviceArea}`),
+    name,
+    phone,
+    text: raw.text || null,
+    address: raw.address || null,
+    city: raw.city || null,
+    state: raw.state ? String(raw.state).trim().toUpperCase() : null,
+    postalCode: raw.postalCode ? String(raw.postalCode).trim() : null,
+    coordinates: latitude !== null ? { lat: latitude, lon: longitude } : null,
+    services: parseList(raw.services),
+    languages: parseList(raw.languages),
+    petsAllowed: parseBoolean(raw.petsAllowed),
+    childrenAllowed: parseBoolean(raw.childrenAllowed),
+    // Oldest child accepted, e.g. shelters that don't take teenage boys
+    childAgeLimit: parseNumber(raw.childAgeLimit),
+    wheelchairAccessible: parseBoolean(raw.wheelchairAccessible),
+    lgbtqAffirming: parseBoolean(raw.lgbtqAffirming),
+    servesMen: parseBoolean(raw.servesMen),
+    hours: raw.hours || null,
+    url: raw.url || null,
+    serviceArea,
+    verified: parseBoolean(raw.verified) === true
+  };
+}
+
+/**
+ * Parse CSV text into raw resource records
+ * Supports quoted fields with embedded commas, quotes and newlines.
+ * @param {string} text - CSV content with a header row
+ * @returns {Array<Object>} Raw records keyed by header name
+ */
+export function parseResourceCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return records.map(cells => Object.fromEntries(
+    columns.map((column, index) => [column, (cells[index] ?? '').trim()])
+  ));
+}
+
+/**
+ * Parse a JSON or CSV resource file
+ * @param {string} content - File content
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Array<Object>} Normalized resources
+ */
+export function parseResources(content, format) {
+  const records = format === 'csv' ? parseResourceCsv(content) : JSON.parse(content);
+  if (!Array.isArray(records)) {
+    throw new ValidationError('Resource file must contain an array of resources', 'resources');
+  }
+  return records.map(normalizeResource);
+}
+
+/**
+ * Split a caller location such as "Austin, TX" into comparable parts
+ * @param {string} location - Location text
+ * @returns {Object} { city, state, postalCode }
+ */
+function parseLocation(location) {
+  const text = String(location || '').trim();
+  const postalCode = text.match(/\b\d{5}\b/)?.[0] || null;
+  const [cityPart, statePart] = text.replace(/\b\d{5}\b/, '').split(',').map(part => part?.trim());
+  return {
+    city: cityPart ? cityPart.toLowerCase() : null,
+    state: statePart ? statePart.split(/\s+/)[0].toUpperCase() : null,
+    postalCode
+  };
+}
+
+export class ResourceDirectory {
+  /**
+   * @param {Array<Object>} resources - Normalized resources
+   */
+  constructor(resources = []) {
+    this.resources = [];
+    this.add(resources);
+  }
+
+  /**
+   * Load a directory from JSON/CSV files; missing files are skipped
+   * @param {Array<string>} files - File paths
+   * @returns {ResourceDirectory}
+   */
+  static fromFiles(files) {
+    const directory = new ResourceDirectory();
+    for (const file of files.filter(Boolean)) {
+      if (!fs.existsSync(file)) {
+        logger.info('Resource directory file not found, skipping', { file });
+        continue;
+      }
+      try {
+        const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json';
+        directory.add(parseResources(fs.readFileSync(file, 'utf8'), format));
+      } catch (error) {
+        logger.error('Failed to load resource directory file', { file, error: error.message });
+      }
+    }
+    return directory;
+  }
+
+  /**
+   * Add resources, replacing any with the same id
+   * @param {Array<Object>} resources - Normalized resources
+   */
+  add(resources) {
+    for (const resource of resources) {
+      const index = this.resources.findIndex(existing => existing.id === resource.id);
+      if (index >= 0) {
+        this.resources[index] = resource;
+      } else {
+        this.resources.push(resource);
+      }
+    }
+  }
+
+  /**
+   * Find local and state resources serving a location, verified first
+   * @param {Object} criteria
+   * @param {string} criteria.location - Caller location, e.g. "Austin, TX" or a ZIP code
+   * @param {number} [criteria.limit] - Maximum results
+   * @returns {Array<Object>} Matching resources
+   */
+  search({ location, limit } = {}) {
+    if (!location) return [];
+    const wanted = parseLocation(location);
+
+    const matches = this.resources.filter(resource => {
+      if (resource.serviceArea === 'national') return false;
+      if (wanted.postalCode && resource.postalCode === wanted.postalCode) return true;
+      if (wanted.state && resource.state && wanted.state !== resource.state) return false;
+      if (resource.serviceArea === 'state') {
+        return !!wanted.state && wanted.state === resource.state;
+      }
+      return !!wanted.city && resource.city?.toLowerCase() === wanted.city;
+    });
+
+    const ranked = matches.sort((a, b) => Number(b.verified) - Number(a.verified)
+      || Number(a.serviceArea === 'state') - Number(b.serviceArea === 'state'));
+    return limit ? ranked.slice(0, limit) : ranked;
+  }
+
+  /**
+   * @returns {Array<Object>} National hotlines, verified first
+   */
+  getNationalResources() {
+    return this.resources
+      .filter(resource => resource.serviceArea === 'national')
+      .sort((a, b) => Number(b.verified) - Number(a.verified));
+  }
+
+  /**
+   * Convert a resource to the search-result shape used by response formatters
+   * @param {Object} resource - Normalized resource
+   * @returns {Object} Search result
+   */
+  static toSearchResult(resource) {
+    const details = [
+      resource.address && [resource.address, resource.city, resource.state].filter(Boolean).join(', '),
+      resource.hours && `Hours: ${resource.hours}`,
+      resource.services.length > 0 && `Services: ${resource.services.join(', ')}`
+    ].filter(Boolean);
+
+    return {
+      title: resource.name,
+      url: resource.url || '',
+      content: [`Phone: ${resource.phone}`, ...details].join('. '),
+      phone: resource.phone,
+      coordinates: resource.coordinates,
+      score: resource.verified ? 1 : 0.9,
+      source: 'resource_directory',
+      verified: resource.verified,
+      resource
+    };
+  }
+}
+
+let sharedDirectory = null;
+
+/**
+ * Get the process-wide directory, loaded from config on first use
+ * @returns {ResourceDirectory}
+ */
+export function getResourceDirectory() {
+  if (!sharedDirectory) {
+    sharedDirectory = ResourceDirectory.fromFiles([config.resources.nationalFile, config.resources.directoryFile]);
+    logger.info('Resource directory loaded', { resources: sharedDirectory.resources.length });
+  }
+  return sharedDirectory;
+}
+
+/**
+ * Replace the process-wide directory (tests, reloads after import)
+ * @param {ResourceDirectory|null} directory - Directory, or null to reload from config
+ */
+export function setResourceDirectory(directory) {
+  sharedDirectory = directory;
+}
@@ -0,0 +1,192 @@
+/**
+ * Guided Safety Plan
+ * A multi-turn state machine that walks the caller through the sections in
+ * safetyPlanConfig. The state is a plain object so it can be stored in the
+ * conversation context and resumed later in the call.
+ */
+
+import { safetyPlanConfig } from './conversationConfig.js';
+
+export const SAFETY_PLAN_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  AWAITING_SMS_CONSENT: 'awaiting_sms_consent',
+  PAUSED: 'paused',
+  COMPLETED: 'completed'
+};
+
+const YES_PATTERN = /^(yes|yeah|yep|sure|ok|okay|please|please do|yes please|go ahead|send it)\b/;
+const NO_PATTERN = /^(no|nope|dont|do not|no thanks|no thank you|not now)\b/;
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Recognise a skip, repeat or stop command
+ * @param {string} text - Caller utterance
+ * @returns {string|null} 'skip', 'repeat', 'stop' or null
+ */
+export function detectSafetyPlanCommand(text) {
+  const normalized = normalize(text);
+  for (const [command, phrases] of Object.entries(safetyPlanConfig.commands)) {
+    if (phrases.includes(normalized)) return command;
+  }
+  return null;
+}
+
+/**
+ * @param {Object|null} plan - Safety plan state
+ * @returns {boolean} Whether the caller is in the middle of the plan
+ */
+export function isSafetyPlanActive(plan) {
+  return plan?.status === SAFETY_PLAN_STATUS.IN_PROGRESS
+    || plan?.status === SAFETY_PLAN_STATUS.AWAITING_SMS_CONSENT;
+}
+
+/**
+ * @param {number} now - Timestamp
+ * @returns {Object} New safety plan state
+ */
+export function createSafetyPlan(now = Date.now()) {
+  return {
+    status: SAFETY_PLAN_STATUS.IN_PROGRESS,
+    step: 0,
+    answers: {},
+    skipped: [],
+    smsSent: false,
+    startedAt: now,
+    updatedAt: now
+  };
+}
+
+function currentSection(plan) {
+  return safetyPlanConfig.sections[plan.step] || null;
+}
+
+/**
+ * Spoken summary of the answered sections
+ * @param {Object} plan - Safety plan state
+ * @returns {string} Summary, or the empty-plan message
+ */
+export function formatSafetyPlan(plan) {
+  const lines = safetyPlanConfig.sections
+    .filter(section => plan.answers[section.id])
+    .map(section => `${section.title}: ${plan.answers[section.id]}.`);
+  if (lines.length === 0) return safetyPlanConfig.messages.emptySummary;
+  return `${safetyPlanConfig.messages.summaryIntro} ${lines.join(' ')}`;
+}
+
+/**
+ * Discreet text message version of the plan
+ * Uses neutral labels so the message reads like an ordinary list.
+ * @param {Object} plan - Safety plan state
+ * @returns {string} SMS body
+ */
+export function formatSafetyPlanSms(plan) {
+  const lines = safetyPlanConfig.sections
+    .filter(section => plan.answers[section.id])
+    .map(section => `${section.smsLabel}: ${plan.answers[section.id]}`);
+  return [safetyPlanConfig.smsHeader, ...lines].join('\n');
+}
+
+function hasAnswers(plan) {
+  return Object.keys(plan.answers).length > 0;
+}
+
+/**
+ * Move to the next section, or finish the plan after the last one
+ */
+function nextStep(plan, { canSendSms }) {
+  plan.step += 1;
+  const section = currentSection(plan);
+  if (section) {
+    return { plan, reply: section.prompt, sendSms: false };
+  }
+
+  const summary = formatSafetyPlan(plan);
+  if (canSendSms && hasAnswers(plan)) {
+    plan.status = SAFETY_PLAN_STATUS.AWAITING_SMS_CONSENT;
+    return { plan, reply: `${summary} ${safetyPlanConfig.messages.smsOffer}`, sendSms: false };
+  }
+
+  plan.status = SAFETY_PLAN_STATUS.COMPLETED;
+  return { plan, reply: `${summary} ${safetyPlanConfig.messages.closing}`, sendSms: false };
+}
+
+function answerSmsOffer(plan, utterance) {
+  const normalized = normalize(utterance);
+  const command = detectSafetyPlanCommand(utterance);
+
+  if (command === 'repeat') {
+    return { plan, reply: `${formatSafetyPlan(plan)} ${safetyPlanConfig.messages.smsOffer}`, sendSms: false };
+  }
+  if (YES_PATTERN.test(normalized)) {
+    plan.status = SAFETY_PLAN_STATUS.COMPLETED;
+    return { plan, reply: safetyPlanConfig.messages.smsSent, sendSms: true };
+  }
+  if (NO_PATTERN.test(normalized) || command === 'stop' || command === 'skip') {
+    plan.status = SAFETY_PLAN_STATUS.COMPLETED;
+    return { plan, reply: safetyPlanConfig.messages.smsDeclined, sendSms: false };
+  }
+  return { plan, reply: safetyPlanConfig.messages.smsClarify, sendSms: false };
+}
+
+/**
+ * Start, resume or advance the safety plan by one caller turn
+ *
+ * @param {Object|null} state - Stored plan state (null to start a new plan)
+ * @param {string} utterance - What the caller said
+ * @param {Object} [options]
+ * @param {boolean} [options.start] - The caller asked for a safety plan this turn
+ * @param {boolean} [options.canSendSms] - A caller number is known, so the plan can be texted
+ * @param {number} [options.now] - Timestamp
+ * @returns {Object} { plan, reply, sendSms } - sendSms is true once the caller agreed to a text
+ */
+export function advanceSafetyPlan(state, utterance, options = {}) {
+  const { start = false, canSendSms = false, now = Date.now() } = options;
+
+  if (!state || state.status === SAFETY_PLAN_STATUS.COMPLETED) {
+    const plan = createSafetyPlan(now);
+    return { plan, reply: `${safetyPlanConfig.messages.intro} ${currentSection(plan).prompt}`, sendSms: false };
+  }
+
+  const plan = { ...state, answers: { ...state.answers }, skipped: [...state.skipped], updatedAt: now };
+
+  if (plan.status === SAFETY_PLAN_STATUS.PAUSED) {
+    if (detectSafetyPlanCommand(utterance) === 'stop') {
+      return { plan, reply: safetyPlanConfig.messages.paused, sendSms: false };
+    }
+    // Paused while the text offer was open - offer it again
+    if (!currentSection(plan)) {
+      plan.status = SAFETY_PLAN_STATUS.AWAITING_SMS_CONSENT;
+      return { plan, reply: `${formatSafetyPlan(plan)} ${safetyPlanConfig.messages.smsOffer}`, sendSms: false };
+    }
+    plan.status = SAFETY_PLAN_STATUS.IN_PROGRESS;
+    return { plan, reply: `${safetyPlanConfig.messages.resume} ${currentSection(plan).prompt}`, sendSms: false };
+  }
+
+  if (plan.status === SAFETY_PLAN_STATUS.AWAITING_SMS_CONSENT) {
+    return answerSmsOffer(plan, utterance);
+  }
+
+  const section = currentSection(plan);
+  const command = detectSafetyPlanCommand(utterance);
+
+  if (command === 'stop') {
+    plan.status = SAFETY_PLAN_STATUS.PAUSED;
+    return { plan, reply: safetyPlanConfig.messages.paused, sendSms: false };
+  }
+
+  // Asking for the plan again mid-way just repeats where we are
+  if (command === 'repeat' || start) {
+    return { plan, reply: section.prompt, sendSms: false };
+  }
+
+  if (command === 'skip') {
+    plan.skipped.push(section.id);
+  } else {
+    plan.answers[section.id] = String(utterance).trim().slice(0, safetyPlanConfig.maxAnswerLength);
+  }
+
+  return nextStep(plan, { canSendSms });
+}
@@ -0,0 +1,209 @@
+/**
+ * Staffing Schedule
+ * Decides whether partner advocates are on shift, and therefore whether a
+ * caller who needs a person is transferred live, offered voicemail, or stays
+ * with the assistant. Hours are evaluated in the schedule's time zone; the
+ * clock is injectable so the engine can be tested at any time of day.
+ */
+
+import fs from 'fs';
+import { config } from './config/index.js';
+import logger from './logger.js';
+import { ConfigurationError } from './utils/errorHandling.js';
+
+export const ROUTING_MODES = {
+  LIVE_TRANSFER: 'live_transfer',
+  VOICEMAIL: 'voicemail',
+  ASSISTANT_ONLY: 'assistant_only'
+};
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MINUTES = 24 * 60;
+
+/**
+ * @param {string} time - "HH:MM" (24-hour); "24:00" is the end of the day
+ * @returns {number} Minutes after midnight
+ */
+function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new ConfigurationError(`Invalid schedule time: ${time}`, 'schedule');
+  }
+  return Math.min(Number(match[1]) * 60 + Number(match[2]), DAY_MINUTES);
+}
+
+/**
+ * @param {string} range - "09:00-17:00"; an end before the start runs past midnight
+ * @returns {Object} { start, end } in minutes
+ */
+function parseRange(range) {
+  const [start, end] = String(range).split('-');
+  if (end === undefined) {
+    throw new ConfigurationError(`Invalid schedule hours: ${range}`, 'schedule');
+  }
+  return { start: parseTime(start), end: parseTime(end) };
+}
+
+function parseWeeklyHours(weeklyHours) {
+  if (!weeklyHours) return null; // No hours means always staffed
+  const parsed = {};
+  for (const [day, ranges] of Object.entries(weeklyHours)) {
+    const key = day.slice(0, 3).toLowerCase();
+    if (!DAYS.includes(key)) {
+      throw new ConfigurationError(`Invalid schedule day: ${day}`, 'schedule');
+    }
+    parsed[key] = [].concat(ranges || []).map(parseRange);
+  }
+  return parsed;
+}
+
+function assertTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new ConfigurationError(`Invalid schedule time zone: ${timeZone}`, 'schedule');
+  }
+}
+
+function parseRules(rules) {
+  const timeZone = rules.timeZone || 'UTC';
+  assertTimeZone(timeZone);
+  return {
+    timeZone,
+    weeklyHours: parseWeeklyHours(rules.weeklyHours),
+    holidays: new Set((rules.holidays || []).map(String)),
+    openMode: rules.openMode || ROUTING_MODES.LIVE_TRANSFER,
+    closedMode: rules.closedMode || ROUTING_MODES.VOICEMAIL
+  };
+}
+
+/**
+ * Wall-clock date, weekday and time in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { date: 'YYYY-MM-DD', day: 'mon', minutes }
+ */
+export function getLocalTime(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: parts.weekday.slice(0, 3).toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+function previousDate(isoDate) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+}
+
+export class ScheduleEngine {
+  /**
+   * @param {Object} schedule - { timeZone, weeklyHours, holidays, openMode, closedMode, languages }
+   * @param {Object} [options]
+   * @param {Function} [options.clock] - Returns the current Date
+   */
+  constructor(schedule = {}, { clock = () => new Date() } = {}) {
+    const { languages = {}, ...base } = schedule;
+    this.clock = clock;
+    this.rules = parseRules(base);
+    // Per-language overrides replace the base fields they set (e.g. Spanish-line hours)
+    this.languageRules = Object.fromEntries(Object.entries(languages).map(
+      ([language, override]) => [language.toLowerCase(), parseRules({ ...base, ...override })]
+    ));
+  }
+
+  /**
+   * @param {string} [language] - BCP 47 tag; falls back to the base language, then the default rules
+   * @returns {Object} Parsed rules
+   */
+  getRules(language) {
+    const tag = String(language || '').toLowerCase();
+    return this.languageRules[tag] || this.languageRules[tag.split('-')[0]] || this.rules;
+  }
+
+  /**
+   * Whether advocates are on shift
+   * @param {string} [language] - Caller language
+   * @param {Date} [at] - Instant to check, defaults to the clock
+   * @returns {boolean}
+   */
+  isOpen(language, at = this.clock()) {
+    const rules = this.getRules(language);
+    const local = getLocalTime(at, rules.timeZone);
+    if (rules.holidays.has(local.date)) return false;
+    if (!rules.weeklyHours) return true;
+
+    const today = rules.weeklyHours[local.day] || [];
+    const openToday = today.some(({ start, end }) => end > start
+      ? local.minutes >= start && local.minutes < end
+      : local.minutes >= start);
+    if (openToday) return true;
+
+    // Overnight hours that started yesterday
+    const yesterday = DAYS[(DAYS.indexOf(local.day) + 6) % 7];
+    if (rules.holidays.has(previousDate(local.date))) return false;
+    return (rules.weeklyHours[yesterday] || []).some(({ start, end }) => end <= start && local.minutes < end);
+  }
+
+  /**
+   * How a caller who needs a person should be handled right now
+   * @param {string} [language] - Caller language
+   * @param {Date} [at] - Instant to check, defaults to the clock
+   * @returns {string} One of ROUTING_MODES
+   */
+  getRoutingMode(language, at = this.clock()) {
+    const rules = this.getRules(language);
+    return this.isOpen(language, at) ? rules.openMode : rules.closedMode;
+  }
+}
+
+/**
+ * Load a schedule from JSON; a missing or invalid file means advocates are always on shift
+ * @param {string} file - Path to the schedule
+ * @param {Object} [options] - ScheduleEngine options
+ * @returns {ScheduleEngine}
+ */
+export function loadSchedule(file = config.schedule.file, options = {}) {
+  if (!file || !fs.existsSync(file)) {
+    logger.info('Staffing schedule not found, advocates treated as always available', { file });
+    return new ScheduleEngine({}, options);
+  }
+  try {
+    return new ScheduleEngine(JSON.parse(fs.readFileSync(file, 'utf8')), options);
+  } catch (error) {
+    logger.error('Failed to load staffing schedule', { file, error: error.message });
+    return new ScheduleEngine({}, options);
+  }
+}
+
+let sharedEngine = null;
+
+/**
+ * @returns {ScheduleEngine} Process-wide schedule, loaded on first use
+ */
+export function getScheduleEngine() {
+  if (!sharedEngine) {
+    sharedEngine = loadSchedule();
+  }
+  return sharedEngine;
+}
+
+/**
+ * Replace the process-wide schedule (tests, reloads)
+ * @param {ScheduleEngine|null} engine - Engine, or null to reload from config
+ */
+export function setScheduleEngine(engine) {
+  sharedEngine = engine;
+}
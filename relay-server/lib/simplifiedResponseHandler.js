@@ -4,6 +4,7 @@ import { OpenAIIntegration } from '../integrations/openaiIntegration.js';
 import { SearchIntegration } from '../integrations/searchIntegration.js';
 import { voiceInstructions } from './conversationConfig.js';
 import { gptCache } from './queryCache.js';
+import { traceTurnEvent, TRACE_STAGES } from './dialogueTrace.js';
 
 const openAIIntegration = new OpenAIIntegration();
 
@@ -98,6 +99,7 @@ export class SimplifiedResponseHandler {
       inputLength: input.length,
       responseLength: aiResponse.choices[0].message.content.length
     });
+    traceTurnEvent(TRACE_STAGES.LLM, { model: config.GPT35_MODEL, system: instructions, prompt, answer: aiResponse.choices[0].message.content });
 
     // Format the response based on request type
     return this.formatResponse(aiResponse.choices[0].message.content, requestType, context);
@@ -0,0 +1,294 @@
+/**
+ * SMS Safeguards
+ * Every outgoing text goes through here. A text is only sent if the consent
+ * ledger allows it; a caller who asked for discreet texts gets neutral wording with
+ * short-lived links; and a caller who named a safe time only gets texts
+ * inside it - anything else waits in the encrypted context store.
+ */
+
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from './config/index.js';
+import { getContextStore } from './storage/contextStore.js';
+import { isWithinCallbackWindow } from './voicemail.js';
+import { discreetSmsConfig } from './conversationConfig.js';
+import { getConsentLedger, CONSENT_BLOCK_REASONS } from './consentLedger.js';
+import logger from './logger.js';
+
+export const SMS_PREFERENCES_NAMESPACE = 'smsPreferences';
+export const SHORT_LINK_NAMESPACE = 'shortLinks';
+export const SCHEDULED_SMS_NAMESPACE = 'scheduledSms';
+
+export const SMS_DELIVERY_STATUS = {
+  SENT: 'sent',
+  SCHEDULED: 'scheduled',
+  OPTED_OUT: CONSENT_BLOCK_REASONS.OPTED_OUT,
+  NO_CONSENT: CONSENT_BLOCK_REASONS.NO_CONSENT
+};
+
+// Longer phrases first, so "domestic violence shelter" is not half rewritten
+const NEUTRAL_WORDING = [
+  [/\bnational domestic violence hotline\b/gi, 'national support line'],
+  [/\b(domestic|family|dating|intimate partner|sexual) (violence|abuse|assault)\b/gi, 'support'],
+  [/\b(women'?s |emergency |dv )?shelters\b/gi, 'housing options'],
+  [/\b(women'?s |emergency |dv )?shelter\b/gi, 'housing'],
+  [/\bsafety plan(ning|s)?\b/gi, 'plan'],
+  [/\b(protective|protection|restraining) orders?\b/gi, 'court order'],
+  [/\b(abusers?|batterers?|perpetrators?)\b/gi, 'the other person'],
+  [/\b(victims?|survivors?)\b/gi, 'people'],
+  [/\badvocates?\b/gi, 'staff'],
+  [/\b(abusive|violent)\b/gi, 'difficult'],
+  [/\b(abuse[ds]?|violence|assault(ed|s)?|battered|stalk(ing|ed|er)?|rape)\b/gi, 'this'],
+  [/\b(flee|escape)\b/gi, 'move'],
+  [/\b(fleeing|escaping)\b/gi, 'moving']
+];
+
+const SENSITIVE_TERMS = /\b(domestic|violen\w*|abus\w*|assault\w*|shelters?|batter\w*|victims?|survivors?|rape|stalk\w*|advocates?|dv|safety plan\w*|(protective|restraining) orders?)\b/i;
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"')]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:org|com|net|gov)(?:\/[^\s<>"')]*)?/gi;
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g;
+
+function matchCase(original, replacement) {
+  return /^[A-Z]/.test(original) ? replacement.charAt(0).toUpperCase() + replacement.slice(1) : replacement;
+}
+
+/**
+ * @param {string} text - Message text
+ * @returns {boolean} True if the text mentions domestic violence or related services
+ */
+export function containsSensitiveTerms(text) {
+  return SENSITIVE_TERMS.test(String(text || ''));
+}
+
+/**
+ * Reword a text so it reads as ordinary information
+ * Links are swapped for short links first, so a telling domain never reaches
+ * the phone. If the rewrite still reads as sensitive, only the phone numbers
+ * and links are kept.
+ *
+ * @param {string} text - Message text
+ * @param {Object} [options]
+ * @param {Function} [options.shortenLink] - async (url) => replacement link
+ * @returns {Promise<string>} Neutral text
+ */
+export async function toDiscreetText(text, { shortenLink = async url => url } = {}) {
+  const links = [];
+  const withMarkers = String(text || '').replace(LINK_PATTERN, url => {
+    links.push(url.replace(/[.,;:!?]+$/, ''));
+    return `{{${links.length - 1}}}${url.slice(links[links.length - 1].length)}`;
+  });
+
+  let rewritten = NEUTRAL_WORDING
+    .reduce((value, [pattern, replacement]) => value.replace(pattern, match => matchCase(match, replacement)), withMarkers)
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (containsSensitiveTerms(rewritten)) {
+    const kept = [...(rewritten.match(PHONE_PATTERN) || []), ...links.map((_, index) => `{{${index}}}`)];
+    rewritten = [discreetSmsConfig.fallbackMessage, kept.join(', ')].filter(Boolean).join(' ');
+  }
+
+  const shortLinks = await Promise.all(links.map(url => shortenLink(url)));
+  return rewritten.replace(/\{\{(\d+)\}\}/g, (_, index) => shortLinks[Number(index)]);
+}
+
+// Imported on first send, since the integration needs Twilio credentials at import
+async function sendWithTwilio(to, body) {
+  const { TwilioIntegration } = await import('../integrations/twilioIntegration.js');
+  return TwilioIntegration.sendSMS(to, body);
+}
+
+export class SmsSafeguards {
+  /**
+   * @param {Object} [options]
+   * @param {ContextStore} [options.store] - Store to use instead of the shared context store
+   * @param {ConsentLedger} [options.ledger] - Ledger to use instead of the shared one
+   * @param {Function} [options.transport] - async (to, body) => message, used when a send names none
+   * @param {string} [options.baseUrl] - Public base URL for short links
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ store = null, ledger = null, transport = sendWithTwilio, baseUrl = config.server.baseUrl, now = Date.now } = {}) {
+    this.storeOverride = store;
+    this.ledgerOverride = ledger;
+    this.transport = transport;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.now = now;
+    this.deliveryTimer = null;
+  }
+
+  get store() {
+    return this.storeOverride || getContextStore();
+  }
+
+  get ledger() {
+    return this.ledgerOverride || getConsentLedger();
+  }
+
+  /**
+   * @param {string} phoneNumber - Caller number
+   * @returns {Promise<Object>} { discreet, window } - plain texts at any time by default
+   */
+  async getPreferences(phoneNumber) {
+    const preferences = await this.store.get(SMS_PREFERENCES_NAMESPACE, phoneNumber);
+    return { discreet: false, window: null, ...preferences };
+  }
+
+  /**
+   * Remember how a caller wants to be texted
+   * @param {string} phoneNumber - Caller number
+   * @param {Object} preferences
+   * @param {boolean} preferences.discreet - Neutral wording and short-lived links
+   * @param {Object} [preferences.window] - Safe window from parseCallbackWindow
+   * @returns {Promise<Object>} Stored preferences
+   */
+  async savePreferences(phoneNumber, { discreet, window = null }) {
+    const preferences = { discreet: !!discreet, window, updatedAt: this.now() };
+    // Deleted first so the retention period restarts with every answer
+    await this.store.delete(SMS_PREFERENCES_NAMESPACE, phoneNumber);
+    await this.store.set(SMS_PREFERENCES_NAMESPACE, phoneNumber, preferences, { ttlMs: config.sms.preferenceTtlMs });
+    logger.info('SMS preferences saved', { discreet: preferences.discreet, hasWindow: !!window });
+    return preferences;
+  }
+
+  /**
+   * Drop every held text for a number, e.g. once it has opted out
+   * @param {string} phoneNumber - Destination number
+   * @returns {Promise<number>} Number of texts dropped
+   */
+  async cancelScheduled(phoneNumber) {
+    const queued = (await this.store.entries(SCHEDULED_SMS_NAMESPACE)).filter(record => record.value.to === phoneNumber);
+    await Promise.all(queued.map(record => this.store.delete(SCHEDULED_SMS_NAMESPACE, record.key)));
+    return queued.length;
+  }
+
+  /**
+   * @param {string} url - Link to hide
+   * @returns {Promise<string>} Short link that stops working after config.sms.linkTtlMs
+   */
+  async createShortLink(url) {
+    // Hex only, so a token can never contain a sensitive word
+    const token = crypto.randomBytes(5).toString('hex');
+    const target = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+    await this.store.set(SHORT_LINK_NAMESPACE, token, { url: target }, { ttlMs: config.sms.linkTtlMs });
+    return `${this.baseUrl}/l/${token}`;
+  }
+
+  /**
+   * @param {string} token - Short link token
+   * @returns {Promise<string|null>} Target URL, or null once the link has expired
+   */
+  async resolveShortLink(token) {
+    const link = await this.store.get(SHORT_LINK_NAMESPACE, token);
+    return link?.url || null;
+  }
+
+  /**
+   * Apply a number's preferences to a message
+   * @param {string} phoneNumber - Destination number
+   * @param {string} text - Message text
+   * @returns {Promise<string>}
+   */
+  async prepareText(phoneNumber, text) {
+    const { discreet } = await this.getPreferences(phoneNumber);
+    return discreet ? toDiscreetText(text, { shortenLink: url => this.createShortLink(url) }) : text;
+  }
+
+  /**
+   * Send a text, or hold it until the caller's window opens
+   * @param {string} to - Destination number
+   * @param {string} text - Message text
+   * @param {Object} [options]
+   * @param {Function} [options.transport] - async (to, body) => message
+   * @param {string} [options.scope] - CONSENT_SCOPES value the number must have agreed to
+   * @returns {Promise<Object>} { status, message?, id?, window? }
+   */
+  async send(to, text, { transport = this.transport, scope = null } = {}) {
+    const blocked = await this.ledger.getBlockReason(to, { scope });
+    if (blocked) {
+      logger.info('SMS not sent: no consent', { reason: blocked, scope });
+      return { status: blocked };
+    }
+
+    const preferences = await this.getPreferences(to);
+    const body = preferences.discreet
+      ? await toDiscreetText(text, { shortenLink: url => this.createShortLink(url) })
+      : text;
+
+    if (preferences.window && !isWithinCallbackWindow(preferences, new Date(this.now()))) {
+      const id = uuidv4();
+      await this.store.set(SCHEDULED_SMS_NAMESPACE, id, { id, to, body, scope, window: preferences.window, createdAt: this.now() }, { ttlMs: config.sms.scheduledTtlMs });
+      logger.info('SMS held until the safe window', { id, window: preferences.window });
+      return { status: SMS_DELIVERY_STATUS.SCHEDULED, id, window: preferences.window };
+    }
+
+    const message = await transport(to, body);
+    return { status: SMS_DELIVERY_STATUS.SENT, message };
+  }
+
+  /**
+   * Send held texts whose window is open; failures stay queued for the next run
+   * @param {Date} [at] - Instant to check
+   * @returns {Promise<number>} Number of texts sent
+   */
+  async sendDueMessages(at = new Date(this.now())) {
+    const scheduled = await this.store.entries(SCHEDULED_SMS_NAMESPACE);
+    let sent = 0;
+
+    for (const { key, value } of scheduled) {
+      if (!isWithinCallbackWindow(value, at)) continue;
+      // Consent is checked again, since it may have been withdrawn while the text waited
+      if (!(await this.ledger.canSend(value.to, { scope: value.scope }))) {
+        await this.store.delete(SCHEDULED_SMS_NAMESPACE, key);
+        continue;
+      }
+      try {
+        await this.transport(value.to, value.body);
+        await this.store.delete(SCHEDULED_SMS_NAMESPACE, key);
+        sent++;
+      } catch (error) {
+        logger.error('Error sending scheduled SMS:', { id: key, error: error.message });
+      }
+    }
+
+    return sent;
+  }
+
+  startDeliveryTimer(intervalMs = config.sms.deliveryIntervalMs) {
+    this.stopDeliveryTimer();
+    this.deliveryTimer = setInterval(() => {
+      this.sendDueMessages().catch(error => {
+        logger.error('Error delivering scheduled SMS:', error);
+      });
+    }, intervalMs);
+    this.deliveryTimer.unref?.();
+  }
+
+  stopDeliveryTimer() {
+    if (this.deliveryTimer) {
+      clearInterval(this.deliveryTimer);
+      this.deliveryTimer = null;
+    }
+  }
+}
+
+let sharedSafeguards = null;
+
+/**
+ * @returns {SmsSafeguards} Process-wide SMS safeguards, delivering held texts in the background
+ */
+export function getSmsSafeguards() {
+  if (!sharedSafeguards) {
+    sharedSafeguards = new SmsSafeguards();
+    sharedSafeguards.startDeliveryTimer();
+  }
+  return sharedSafeguards;
+}
+
+/**
+ * Replace the process-wide SMS safeguards (tests)
+ * @param {SmsSafeguards|null} safeguards - Instance, or null to recreate from config
+ */
+export function setSmsSafeguards(safeguards) {
+  sharedSafeguards?.stopDeliveryTimer();
+  sharedSafeguards = safeguards;
+}
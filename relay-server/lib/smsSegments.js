@@ -0,0 +1,138 @@
+import { config } from './config/index.js';
+
+/**
+ * SMS Segments
+ * Carriers split texts into segments of 160 GSM-7 characters, or 70 once any
+ * character needs UCS-2 (emoji, many accented letters). Long replies are sent
+ * as numbered parts that each fit in one segment, so they still read in order
+ * if the carrier delivers them out of order.
+ */
+
+const GSM_7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+// Sent as an escape plus the character, so each counts twice
+const GSM_7_EXTENDED = '^{}\\[~]|€';
+
+export const SEGMENT_LIMITS = {
+  gsm7: 160,
+  ucs2: 70
+};
+
+// Typographic characters that would otherwise force the whole reply into UCS-2
+const GSM_REPLACEMENTS = [
+  [/[‘’‚′]/g, "'"],
+  [/[“”„″]/g, '"'],
+  [/[–—−]/g, '-'],
+  [/…/g, '...'],
+  [/[   ]/g, ' '],
+  [/•/g, '-']
+];
+
+/**
+ * @param {string} text - Message text
+ * @returns {boolean} True if every character is in the GSM-7 alphabet
+ */
+export function isGsm7(text) {
+  return [...String(text)].every(char => GSM_7_BASIC.includes(char) || GSM_7_EXTENDED.includes(char));
+}
+
+/**
+ * Length of a message in its encoding's units
+ * @param {string} text - Message text
+ * @returns {Object} { encoding: 'gsm7' | 'ucs2', length }
+ */
+export function getSmsLength(text) {
+  const value = String(text);
+  if (!isGsm7(value)) {
+    return { encoding: 'ucs2', length: value.length }; // UTF-16 code units, as sent
+  }
+  const extended = [...value].filter(char => GSM_7_EXTENDED.includes(char)).length;
+  return { encoding: 'gsm7', length: value.length + extended };
+}
+
+/**
+ * Swap typographic punctuation for plain equivalents and collapse whitespace
+ * @param {string} text - Reply text
+ * @returns {string}
+ */
+export function normalizeSmsText(text) {
+  return GSM_REPLACEMENTS
+    .reduce((value, [pattern, replacement]) => value.replace(pattern, replacement), String(text || ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function fits(text, limit) {
+  return getSmsLength(text).length <= limit;
+}
+
+/**
+ * Pack words greedily into chunks of at most `limit` units; overlong words are cut
+ */
+function chunkText(text, limit) {
+  const chunks = [];
+  let current = '';
+  for (const word of text.split(' ')) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (fits(candidate, limit)) {
+      current = candidate;
+      continue;
+    }
+    if (current) chunks.push(current);
+    current = '';
+    let rest = word;
+    while (!fits(rest, limit)) {
+      const chars = [...rest];
+      let cut = limit;
+      while (cut > 1 && !fits(chars.slice(0, cut).join(''), limit)) cut--;
+      chunks.push(chars.slice(0, cut).join(''));
+      rest = chars.slice(cut).join('');
+    }
+    current = rest;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function truncateToFit(text, limit) {
+  const ellipsis = '...';
+  if (fits(text, limit)) return text;
+  const words = text.split(' ');
+  while (words.length > 1 && !fits(`${words.join(' ')}${ellipsis}`, limit)) {
+    words.pop();
+  }
+  return `${words.join(' ').replace(/[\s,;:.]+$/, '')}${ellipsis}`;
+}
+
+/**
+ * Split a reply into texts that each fit in a single segment
+ * A reply that fits in one segment is sent as is; longer replies become
+ * "(1/3) ...", "(2/3) ..." and are cut off with "..." after `maxParts`.
+ *
+ * @param {string} text - Reply text
+ * @param {Object} [options]
+ * @param {number} [options.maxParts] - Most texts to send for one reply
+ * @returns {Array<string>} Texts to send, in order
+ */
+export function splitSmsReply(text, { maxParts = config.sms.maxParts } = {}) {
+  const normalized = normalizeSmsText(text);
+  if (!normalized) return [];
+
+  const limit = SEGMENT_LIMITS[getSmsLength(normalized).encoding];
+  if (fits(normalized, limit)) return [normalized];
+
+  // The "(n/n) " prefix grows with the part count, so find a count that holds
+  let chunks = [];
+  for (let total = 2; ; total++) {
+    const prefixLength = `(${total}/${total}) `.length;
+    chunks = chunkText(normalized, limit - prefixLength);
+    if (chunks.length <= total) break;
+  }
+
+  if (chunks.length > maxParts) {
+    const prefixLength = `(${maxParts}/${maxParts}) `.length;
+    const last = chunks.slice(maxParts - 1).join(' ');
+    chunks = [...chunks.slice(0, maxParts - 1), truncateToFit(last, limit - prefixLength)];
+  }
+
+  return chunks.map((chunk, index) => `(${index + 1}/${chunks.length}) ${chunk}`);
+}
@@ -0,0 +1,287 @@
+/**
+ * Context Store
+ * Single storage interface for per-call state (conversation contexts, call
+ * records, summaries). Records are namespaced, encrypted with AES-256-GCM when
+ * a key is configured, and expire a fixed time after they were first written.
+ */
+
+import { config } from '../config/index.js';
+import logger from '../logger.js';
+import { ConfigurationError } from '../utils/errorHandling.js';
+import { RecordCipher } from './encryption.js';
+import { MemoryDriver } from './drivers/memoryDriver.js';
+import { FileDriver } from './drivers/fileDriver.js';
+import { SqliteDriver } from './drivers/sqliteDriver.js';
+
+const DEFAULT_OPTIONS = {
+  driver: 'memory',
+  ttlMs: 2 * 60 * 60 * 1000,
+  purgeIntervalMs: 5 * 60 * 1000
+};
+
+/**
+ * Create a storage driver by name
+ * @param {string} name - memory | file | sqlite
+ * @param {Object} options - Storage options
+ * @returns {Object} Storage driver
+ */
+export function createDriver(name, options = {}) {
+  switch (name) {
+    case 'memory':
+      return new MemoryDriver();
+    case 'file':
+      return new FileDriver({ directory: options.fileDirectory });
+    case 'sqlite':
+      return new SqliteDriver({ filename: options.sqlitePath });
+    default:
+      throw new ConfigurationError(`Unknown context store driver: ${name}`, 'storage.driver');
+  }
+}
+
+export class ContextStore {
+  /**
+   * @param {Object} [options] - Overrides for config.storage
+   * @param {string} [options.driver] - memory | file | sqlite
+   * @param {Object} [options.driverInstance] - Pre-built driver
+   * @param {string|Buffer} [options.encryptionKey] - 32-byte key, base64 or hex encoded
+   * @param {number} [options.ttlMs] - Default hard TTL for records
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...config?.storage, ...options };
+    this.driver = this.options.driverInstance || createDriver(this.options.driver, this.options);
+    this.cipher = this.options.encryptionKey ? new RecordCipher(this.options.encryptionKey) : null;
+    this.now = this.options.now || Date.now;
+    this.ready = null;
+
+    // Victim data must never reach disk in the clear
+    if (this.driver.persistent && !this.cipher) {
+      throw new ConfigurationError(
+        `The ${this.driver.name} context store driver requires CONTEXT_ENCRYPTION_KEY`,
+        'storage.encryptionKey'
+      );
+    }
+  }
+
+  async init() {
+    if (!this.ready) {
+      this.ready = this.driver.init().then(() => {
+        logger.info('Context store initialized', {
+          driver: this.driver.name,
+          encrypted: !!this.cipher,
+          ttlMs: this.options.ttlMs
+        });
+      });
+    }
+    return this.ready;
+  }
+
+  recordId(namespace, key) {
+    return this.cipher ? this.cipher.recordId(namespace, key) : String(key);
+  }
+
+  encode(namespace, id, key, value) {
+    const plaintext = JSON.stringify({ key, value });
+    return this.cipher ? this.cipher.encrypt(plaintext, `${namespace}:${id}`) : plaintext;
+  }
+
+  decode(record) {
+    const plaintext = this.cipher
+      ? this.cipher.decrypt(record.payload, `${record.namespace}:${record.id}`)
+      : record.payload;
+    return JSON.parse(plaintext);
+  }
+
+  /**
+   * Read a record and its timestamps, dropping it if expired or unreadable
+   * @param {string} namespace - Record namespace
+   * @param {string} key - Record key
+   * @returns {Promise<Object|null>} { key, value, createdAt, expiresAt } or null
+   */
+  async getRecord(namespace, key) {
+    await this.init();
+    const id = this.recordId(namespace, key);
+    const record = await this.driver.read(namespace, id);
+    return record ? this.openRecord(record) : null;
+  }
+
+  async openRecord(record) {
+    if (record.expiresAt <= this.now()) {
+      await this.driver.remove(record.namespace, record.id);
+      return null;
+    }
+
+    try {
+      const { key, value } = this.decode(record);
+      return { key, value, createdAt: record.createdAt, expiresAt: record.expiresAt };
+    } catch (error) {
+      // Wrong key or tampered payload - the record is unusable either way
+      logger.error('Discarding unreadable context record', { namespace: record.namespace, error: error.message });
+      await this.driver.remove(record.namespace, record.id);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} namespace - Record namespace
+   * @param {string} key - Record key
+   * @returns {Promise<any|null>} Stored value or null
+   */
+  async get(namespace, key) {
+    const record = await this.getRecord(namespace, key);
+    return record ? record.value : null;
+  }
+
+  /**
+   * Write a record. Overwriting keeps the original expiry, so the TTL is a
+   * hard limit from first write rather than a sliding window.
+   * @param {string} namespace - Record namespace
+   * @param {string} key - Record key
+   * @param {any} value - JSON-serializable value
+   * @param {Object} [options]
+   * @param {number} [options.createdAt] - Known creation time (skips a read)
+   * @param {number} [options.expiresAt] - Known expiry time (skips a read)
+   * @param {number} [options.ttlMs] - TTL for new records
+   * @returns {Promise<Object>} { createdAt, expiresAt }
+   */
+  async set(namespace, key, value, options = {}) {
+    await this.init();
+    const id = this.recordId(namespace, key);
+    let { createdAt, expiresAt } = options;
+
+    if (!createdAt || !expiresAt) {
+      const existing = await this.driver.read(namespace, id);
+      const now = this.now();
+      if (existing && existing.expiresAt > now) {
+        createdAt = existing.createdAt;
+        expiresAt = existing.expiresAt;
+      } else {
+        createdAt = now;
+        expiresAt = now + (options.ttlMs || this.options.ttlMs);
+      }
+    }
+
+    await this.driver.write({
+      namespace,
+      id,
+      createdAt,
+      expiresAt,
+      payload: this.encode(namespace, id, key, value)
+    });
+
+    return { createdAt, expiresAt };
+  }
+
+  /**
+   * @param {string} namespace - Record namespace
+   * @param {string} key - Record key
+   * @returns {Promise<boolean>} Whether a record was removed
+   */
+  async delete(namespace, key) {
+    await this.init();
+    return this.driver.remove(namespace, this.recordId(namespace, key));
+  }
+
+  /**
+   * @param {string} namespace - Record namespace
+   * @returns {Promise<Array<Object>>} Live records as { key, value, createdAt, expiresAt }
+   */
+  async entries(namespace) {
+    await this.init();
+    const records = await this.driver.list(namespace);
+    const opened = await Promise.all(records.map(record => this.openRecord(record)));
+    return opened.filter(Boolean);
+  }
+
+  /**
+   * Delete every record in a namespace
+   * @param {string} namespace - Record namespace
+   * @returns {Promise<number>} Number of records removed
+   */
+  async clear(namespace) {
+    await this.init();
+    const records = await this.driver.list(namespace);
+    await Promise.all(records.map(record => this.driver.remove(namespace, record.id)));
+    return records.length;
+  }
+
+  /**
+   * @returns {Promise<number>} Number of expired records removed
+   */
+  async purgeExpired() {
+    await this.init();
+    const removed = await this.driver.removeExpired(this.now());
+    if (removed > 0) {
+      logger.info('Purged expired context records', { removed });
+    }
+    return removed;
+  }
+
+  startPurgeTimer(intervalMs = this.options.purgeIntervalMs) {
+    this.stopPurgeTimer();
+    this.purgeTimer = setInterval(() => {
+      this.purgeExpired().catch(error => {
+        logger.error('Error purging expired context records:', error);
+      });
+    }, intervalMs);
+    this.purgeTimer.unref?.();
+  }
+
+  stopPurgeTimer() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+  }
+
+  async isHealthy() {
+    try {
+      const key = `health-check-${this.now()}`;
+      await this.set('health', key, { ok: true }, { ttlMs: 60000 });
+      const value = await this.get('health', key);
+      await this.delete('health', key);
+      return value?.ok === true;
+    } catch (error) {
+      logger.error('Context store health check failed:', error);
+      return false;
+    }
+  }
+
+  getStatus() {
+    return {
+      driver: this.driver.name,
+      persistent: this.driver.persistent,
+      encrypted: !!this.cipher,
+      ttlMs: this.options.ttlMs
+    };
+  }
+
+  async close() {
+    this.stopPurgeTimer();
+    await this.driver.close();
+    this.ready = null;
+  }
+}
+
+let sharedStore = null;
+
+/**
+ * Get the process-wide context store, creating it from config on first use
+ * @returns {ContextStore}
+ */
+export function getContextStore() {
+  if (!sharedStore) {
+    sharedStore = new ContextStore();
+    sharedStore.startPurgeTimer();
+  }
+  return sharedStore;
+}
+
+/**
+ * Replace the process-wide context store (startup wiring and tests)
+ * @param {ContextStore|null} store - Store to use, or null to recreate from config
+ */
+export function setContextStore(store) {
+  sharedStore?.stopPurgeTimer();
+  sharedStore = store;
+}
@@ -0,0 +1,110 @@
+/**
+ * Encrypted File Storage Driver
+ * One file per record under <directory>/<namespace>/<id>.json.
+ * Payloads arrive already encrypted; file names are opaque record ids.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export class FileDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Root directory for record files
+   */
+  constructor({ directory }) {
+    this.name = 'file';
+    this.persistent = true;
+    this.directory = directory;
+  }
+
+  async init() {
+    await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+  }
+
+  namespaceDir(namespace) {
+    return path.join(this.directory, encodeURIComponent(namespace));
+  }
+
+  recordPath(namespace, id) {
+    return path.join(this.namespaceDir(namespace), `${id}.json`);
+  }
+
+  async read(namespace, id) {
+    try {
+      const content = await fs.readFile(this.recordPath(namespace, id), 'utf8');
+      return { namespace, id, ...JSON.parse(content) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async write(record) {
+    const dir = this.namespaceDir(record.namespace);
+    await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+
+    const target = this.recordPath(record.namespace, record.id);
+    const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    const content = JSON.stringify({
+      createdAt: record.createdAt,
+      expiresAt: record.expiresAt,
+      payload: record.payload
+    });
+
+    // Write then rename so a crash never leaves a half-written record
+    await fs.writeFile(tmp, content, { mode: 0o600 });
+    await fs.rename(tmp, target);
+  }
+
+  async remove(namespace, id) {
+    try {
+      await fs.unlink(this.recordPath(namespace, id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list(namespace) {
+    let files;
+    try {
+      files = await fs.readdir(this.namespaceDir(namespace));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const record = await this.read(namespace, path.basename(file, '.json'));
+      if (record) records.push(record);
+    }
+    return records;
+  }
+
+  async listNamespaces() {
+    try {
+      const entries = await fs.readdir(this.directory, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => decodeURIComponent(entry.name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async removeExpired(now) {
+    let removed = 0;
+    for (const namespace of await this.listNamespaces()) {
+      for (const record of await this.list(namespace)) {
+        if (record.expiresAt <= now && await this.remove(namespace, record.id)) {
+          removed++;
+        }
+      }
+    }
+    return removed;
+  }
+
+  async close() {}
+}
@@ -0,0 +1,57 @@
+/**
+ * Memory Storage Driver
+ * Keeps records in process memory; nothing survives a restart.
+ *
+ * Driver records have the shape { namespace, id, createdAt, expiresAt, payload }
+ * where payload is an opaque string produced by the ContextStore.
+ */
+
+export class MemoryDriver {
+  constructor() {
+    this.name = 'memory';
+    this.persistent = false;
+    this.namespaces = new Map();
+  }
+
+  async init() {}
+
+  getNamespace(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  async read(namespace, id) {
+    return this.namespaces.get(namespace)?.get(id) || null;
+  }
+
+  async write(record) {
+    this.getNamespace(record.namespace).set(record.id, { ...record });
+  }
+
+  async remove(namespace, id) {
+    return this.namespaces.get(namespace)?.delete(id) || false;
+  }
+
+  async list(namespace) {
+    return Array.from(this.namespaces.get(namespace)?.values() || []);
+  }
+
+  async removeExpired(now) {
+    let removed = 0;
+    for (const records of this.namespaces.values()) {
+      for (const [id, record] of records) {
+        if (record.expiresAt <= now) {
+          records.delete(id);
+          removed++;
+        }
+      }
+    }
+    return removed;
+  }
+
+  async close() {
+    this.namespaces.clear();
+  }
+}
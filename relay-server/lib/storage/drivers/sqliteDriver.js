@@ -0,0 +1,107 @@
+/**
+ * SQLite Storage Driver
+ * Stores encrypted records in a single SQLite database via better-sqlite3,
+ * which is an optional dependency and only loaded when this driver is selected.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import { ConfigurationError } from '../../utils/errorHandling.js';
+
+const require = createRequire(import.meta.url);
+
+export class SqliteDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.filename - Database file path (':memory:' for an in-process database)
+   */
+  constructor({ filename }) {
+    this.name = 'sqlite';
+    this.persistent = filename !== ':memory:';
+    this.filename = filename;
+    this.db = null;
+  }
+
+  async init() {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new ConfigurationError(
+        'The sqlite context store driver requires the better-sqlite3 package',
+        'storage.driver'
+      );
+    }
+
+    if (this.persistent) {
+      await fs.mkdir(path.dirname(this.filename), { recursive: true, mode: 0o700 });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS context_records (
+        namespace TEXT NOT NULL,
+        id TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        payload TEXT NOT NULL,
+        PRIMARY KEY (namespace, id)
+      );
+      CREATE INDEX IF NOT EXISTS context_records_expires_at ON context_records (expires_at);
+    `);
+
+    this.statements = {
+      read: this.db.prepare('SELECT * FROM context_records WHERE namespace = ? AND id = ?'),
+      write: this.db.prepare(`
+        INSERT INTO context_records (namespace, id, created_at, expires_at, payload)
+        VALUES (@namespace, @id, @createdAt, @expiresAt, @payload)
+        ON CONFLICT (namespace, id) DO UPDATE SET
+          created_at = excluded.created_at,
+          expires_at = excluded.expires_at,
+          payload = excluded.payload
+      `),
+      remove: this.db.prepare('DELETE FROM context_records WHERE namespace = ? AND id = ?'),
+      list: this.db.prepare('SELECT * FROM context_records WHERE namespace = ?'),
+      removeExpired: this.db.prepare('DELETE FROM context_records WHERE expires_at <= ?')
+    };
+  }
+
+  toRecord(row) {
+    return row ? {
+      namespace: row.namespace,
+      id: row.id,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      payload: row.payload
+    } : null;
+  }
+
+  async read(namespace, id) {
+    return this.toRecord(this.statements.read.get(namespace, id));
+  }
+
+  async write({ namespace, id, createdAt, expiresAt, payload }) {
+    this.statements.write.run({ namespace, id, createdAt, expiresAt, payload });
+  }
+
+  async remove(namespace, id) {
+    return this.statements.remove.run(namespace, id).changes > 0;
+  }
+
+  async list(namespace) {
+    return this.statements.list.all(namespace).map(row => this.toRecord(row));
+  }
+
+  async removeExpired(now) {
+    return this.statements.removeExpired.run(now).changes;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
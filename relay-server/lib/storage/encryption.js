@@ -0,0 +1,108 @@
+/**
+ * Record Encryption
+ * AES-256-GCM encryption for per-call state written to disk
+ */
+
+import crypto from 'crypto';
+import { ConfigurationError } from '../utils/errorHandling.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const FORMAT_VERSION = 'v1';
+
+/**
+ * Decode an encryption key from base64 or hex
+ * @param {string|Buffer} encodedKey - 32-byte key, base64 or hex encoded
+ * @returns {Buffer} Raw key bytes
+ * @throws {ConfigurationError} If the key is missing or not 32 bytes
+ */
+export function parseEncryptionKey(encodedKey) {
+  if (!encodedKey) {
+    throw new ConfigurationError('Context store encryption key is not configured', 'storage.encryptionKey');
+  }
+
+  if (Buffer.isBuffer(encodedKey)) {
+    if (encodedKey.length !== KEY_LENGTH) {
+      throw new ConfigurationError(`Context store encryption key must be ${KEY_LENGTH} bytes`, 'storage.encryptionKey');
+    }
+    return encodedKey;
+  }
+
+  const trimmed = String(encodedKey).trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== KEY_LENGTH) {
+    throw new ConfigurationError(
+      `Context store encryption key must be ${KEY_LENGTH} bytes (base64 or hex encoded)`,
+      'storage.encryptionKey'
+    );
+  }
+
+  return key;
+}
+
+/**
+ * Encrypts and decrypts store records with a single key.
+ * Callers bind the namespace and record id in as additional authenticated
+ * data so a ciphertext cannot be swapped between records.
+ */
+export class RecordCipher {
+  /**
+   * @param {string|Buffer} encodedKey - 32-byte key, base64 or hex encoded
+   */
+  constructor(encodedKey) {
+    this.key = parseEncryptionKey(encodedKey);
+    // Separate key for record ids so identifiers never appear on disk in the clear
+    this.idKey = Buffer.from(crypto.hkdfSync('sha256', this.key, Buffer.alloc(0), 'context-store-record-id', KEY_LENGTH));
+  }
+
+  /**
+   * Derive an opaque, stable id for a record
+   * @param {string} namespace - Record namespace
+   * @param {string} key - Record key (e.g. a CallSid)
+   * @returns {string} Hex digest safe for file names
+   */
+  recordId(namespace, key) {
+    return crypto.createHmac('sha256', this.idKey).update(`${namespace}:${key}`).digest('hex');
+  }
+
+  /**
+   * @param {string} plaintext - Serialized record
+   * @param {string} aad - Additional authenticated data
+   * @returns {string} Encoded ciphertext
+   */
+  encrypt(plaintext, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    cipher.setAAD(Buffer.from(aad, 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [FORMAT_VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+  }
+
+  /**
+   * @param {string} payload - Encoded ciphertext from encrypt()
+   * @param {string} aad - Additional authenticated data used when encrypting
+   * @returns {string} Plaintext
+   * @throws {Error} If the payload was tampered with or the key is wrong
+   */
+  decrypt(payload, aad) {
+    const [version, iv, tag, ciphertext] = String(payload).split(':');
+    if (version !== FORMAT_VERSION || !iv || !tag || ciphertext === undefined) {
+      throw new Error('Unrecognized encrypted record format');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+}
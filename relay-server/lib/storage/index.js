@@ -0,0 +1,11 @@
+/**
+ * Per-call State Storage
+ * Pluggable, encrypted storage for conversation contexts and call records
+ */
+
+export { ContextStore, createDriver, getContextStore, setContextStore } from './contextStore.js';
+export { StoredMap } from './storedMap.js';
+export { RecordCipher, parseEncryptionKey } from './encryption.js';
+export { MemoryDriver } from './drivers/memoryDriver.js';
+export { FileDriver } from './drivers/fileDriver.js';
+export { SqliteDriver } from './drivers/sqliteDriver.js';
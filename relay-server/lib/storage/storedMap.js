@@ -0,0 +1,167 @@
+/**
+ * Stored Map
+ * A Map that writes through to the context store so per-call state survives
+ * a restart. Reads stay synchronous against the in-memory copy; load() and
+ * hydrate() pull records back from the store.
+ *
+ * Values mutated in place are only persisted on the next set() or save().
+ */
+
+import logger from '../logger.js';
+import { getContextStore } from './contextStore.js';
+
+export class StoredMap extends Map {
+  /**
+   * @param {string} namespace - Context store namespace
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Context store (defaults to the shared store)
+   * @param {Function} [options.serialize] - Map value -> JSON-safe value
+   * @param {Function} [options.deserialize] - JSON value -> Map value
+   * @param {number} [options.ttlMs] - Hard TTL override for this namespace
+   */
+  constructor(namespace, options = {}) {
+    super();
+    this.namespace = namespace;
+    this.storeOverride = options.store || null;
+    this.serialize = options.serialize || (value => value);
+    this.deserialize = options.deserialize || (value => value);
+    this.ttlMs = options.ttlMs;
+    this.expiries = new Map();
+    this.pending = new Map();
+  }
+
+  get store() {
+    return this.storeOverride || getContextStore();
+  }
+
+  get ttl() {
+    return this.ttlMs || this.store.options.ttlMs;
+  }
+
+  isExpired(key) {
+    const expiry = this.expiries.get(key);
+    return !!expiry && expiry.expiresAt <= this.store.now();
+  }
+
+  // Serialize store operations per key so a delete never races an earlier write
+  enqueue(key, operation) {
+    const previous = this.pending.get(key) || Promise.resolve();
+    const next = previous.then(operation).catch(error => {
+      logger.error('Context store write failed', { namespace: this.namespace, error: error.message });
+    });
+    this.pending.set(key, next);
+    next.then(() => {
+      if (this.pending.get(key) === next) this.pending.delete(key);
+    });
+    return next;
+  }
+
+  get(key) {
+    if (this.isExpired(key)) {
+      this.delete(key);
+      return undefined;
+    }
+    return super.get(key);
+  }
+
+  has(key) {
+    if (this.isExpired(key)) {
+      this.delete(key);
+      return false;
+    }
+    return super.has(key);
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    if (!this.expiries.has(key)) {
+      const now = this.store.now();
+      this.expiries.set(key, { createdAt: now, expiresAt: now + this.ttl });
+    }
+    this.save(key);
+    return this;
+  }
+
+  /**
+   * Persist the current in-memory value for a key
+   * @param {string} key - Record key
+   * @returns {Promise<void>}
+   */
+  save(key) {
+    if (!super.has(key)) return Promise.resolve();
+    const value = this.serialize(super.get(key));
+    const times = this.expiries.get(key);
+    return this.enqueue(key, () => this.store.set(this.namespace, key, value, times));
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    this.expiries.delete(key);
+    this.enqueue(key, () => this.store.delete(this.namespace, key));
+    return existed;
+  }
+
+  clear() {
+    for (const key of Array.from(super.keys())) {
+      this.delete(key);
+    }
+  }
+
+  /**
+   * Load a single record from the store if it is not already in memory
+   * @param {string} key - Record key
+   * @returns {Promise<any|undefined>} The value, if one exists
+   */
+  async load(key) {
+    if (this.has(key)) return super.get(key);
+
+    await this.pending.get(key);
+    const record = await this.store.getRecord(this.namespace, key);
+    if (!record) return undefined;
+
+    super.set(key, this.deserialize(record.value));
+    this.expiries.set(key, { createdAt: record.createdAt, expiresAt: record.expiresAt });
+    return super.get(key);
+  }
+
+  /**
+   * Load every live record in the namespace into memory
+   * @returns {Promise<number>} Number of records loaded
+   */
+  async hydrate() {
+    const records = await this.store.entries(this.namespace);
+    for (const record of records) {
+      super.set(record.key, this.deserialize(record.value));
+      this.expiries.set(record.key, { createdAt: record.createdAt, expiresAt: record.expiresAt });
+    }
+    return records.length;
+  }
+
+  /**
+   * Drop expired entries from memory and the store
+   * @returns {number} Number of entries removed
+   */
+  pruneExpired() {
+    let removed = 0;
+    for (const key of Array.from(super.keys())) {
+      if (this.isExpired(key)) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Wait for queued store writes to finish
+   * @param {string} [key] - Only wait for writes to this key
+   * @returns {Promise<void>}
+   */
+  async flush(key) {
+    if (key !== undefined) {
+      await this.pending.get(key);
+      return;
+    }
+    await Promise.all(Array.from(this.pending.values()));
+  }
+}
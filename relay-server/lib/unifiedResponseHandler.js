@@ -6,6 +6,7 @@ import { getActiveHandler, getHandlerClassName, getHandlerImportPath, isFeatureE
 import { ResponseGenerator } from './response.js';
 import { SimplifiedResponseHandler } from './simplifiedResponseHandler.js';
 import { HybridResponseHandler } from './hybridResponseHandler.js';
+import { applyRegionNumbers } from './regionRegistry.js';
 
 /**
  * Unified Response Handler
@@ -79,7 +80,7 @@ export class UnifiedResponseHandler {
 
     } catch (error) {
       logger.error('UnifiedResponseHandler: Error generating response', error);
-      return this.generateFallbackResponse(input, requestType, activeHandler);
+      return this.generateFallbackResponse(input, requestType, activeHandler, options?.region);
     }
   }
 
@@ -145,10 +146,11 @@ export class UnifiedResponseHandler {
    * @param {string} input - User query
    * @param {string} requestType - Request type
    * @param {string} activeHandler - Active handler that failed
+   * @param {Object} [region] - Caller's region from resolveRegion (defaults to the default country)
    * @returns {Object} Fallback response
    */
-  static generateFallbackResponse(input, requestType, activeHandler) {
-    const fallbackMessage = 'I apologize, but I\'m having trouble processing your request right now. Please call the National Domestic Violence Hotline at 1-800-799-7233 for immediate support.';
+  static generateFallbackResponse(input, requestType, activeHandler, region) {
+    const fallbackMessage = applyRegionNumbers('I apologize, but I\'m having trouble processing your request right now. Please call the domestic violence hotline at {{hotlineNumber}} for immediate support.', region);
     
     return {
       success: false,
@@ -47,6 +47,15 @@ export class ConfigurationError extends Error {
   }
 }
 
+export class ConsentError extends Error {
+  constructor(message, reason = null) {
+    super(message);
+    this.name = 'ConsentError';
+    this.reason = reason;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
 /**
  * Wrap async function with error handling
  * @param {Function} fn - Async function to wrap
@@ -0,0 +1,120 @@
+/**
+ * Voice Activity Detection
+ * Finds where a caller starts and stops talking in a media stream. Frames are
+ * 16-bit PCM (Twilio sends 20ms of 8kHz mu-law, decoded by AudioService); a
+ * frame is speech when its RMS energy passes a threshold. Utterances are cut
+ * into chunks while the caller keeps talking so transcription can start early.
+ */
+
+import { config } from './config/index.js';
+
+export const VAD_EVENTS = {
+  SPEECH_START: 'speech_start',
+  CHUNK: 'chunk',
+  SPEECH_END: 'speech_end'
+};
+
+const SAMPLE_RATE = 8000;
+
+/**
+ * RMS energy of a 16-bit little-endian PCM frame
+ * @param {Buffer} frame - PCM samples
+ * @returns {number} Root mean square sample value
+ */
+export function frameEnergy(frame) {
+  const samples = Math.floor(frame.length / 2);
+  if (samples === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = frame.readInt16LE(i * 2);
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+export class VoiceActivityDetector {
+  /**
+   * @param {Object} [options] - Overrides for config.streaming.vad
+   * @param {number} [options.sampleRate] - PCM sample rate (defaults to 8000)
+   */
+  constructor(options = {}) {
+    this.options = { sampleRate: SAMPLE_RATE, ...config.streaming.vad, ...options };
+    this.reset();
+  }
+
+  reset() {
+    this.speaking = false;
+    this.candidate = [];
+    this.candidateMs = 0;
+    this.preRoll = [];
+    this.preRollMs = 0;
+    this.chunk = [];
+    this.chunkMs = 0;
+    this.silenceMs = 0;
+  }
+
+  frameMs(frame) {
+    return (frame.length / 2 / this.options.sampleRate) * 1000;
+  }
+
+  /**
+   * Feed one frame of caller audio
+   * @param {Buffer} frame - 16-bit PCM
+   * @returns {Object[]} Events in order: { type: VAD_EVENTS.SPEECH_START },
+   *   { type: VAD_EVENTS.CHUNK, audio } or { type: VAD_EVENTS.SPEECH_END, audio }
+   */
+  process(frame) {
+    const ms = this.frameMs(frame);
+    const isSpeech = frameEnergy(frame) >= this.options.energyThreshold;
+    const events = [];
+
+    if (!this.speaking) {
+      if (!isSpeech) {
+        // A blip too short to be speech goes back into the pre-roll
+        this.keepPreRoll([...this.candidate, frame], this.candidateMs + ms);
+        this.candidate = [];
+        this.candidateMs = 0;
+        return events;
+      }
+      this.candidate.push(frame);
+      this.candidateMs += ms;
+      if (this.candidateMs >= this.options.speechStartMs) {
+        this.speaking = true;
+        this.chunk = [...this.preRoll, ...this.candidate];
+        this.chunkMs = this.preRollMs + this.candidateMs;
+        this.candidate = [];
+        this.candidateMs = 0;
+        this.preRoll = [];
+        this.preRollMs = 0;
+        this.silenceMs = 0;
+        events.push({ type: VAD_EVENTS.SPEECH_START });
+      }
+      return events;
+    }
+
+    this.chunk.push(frame);
+    this.chunkMs += ms;
+    this.silenceMs = isSpeech ? 0 : this.silenceMs + ms;
+
+    if (this.silenceMs >= this.options.silenceEndMs) {
+      events.push({ type: VAD_EVENTS.SPEECH_END, audio: Buffer.concat(this.chunk) });
+      this.speaking = false;
+      this.chunk = [];
+      this.chunkMs = 0;
+      this.silenceMs = 0;
+    } else if (this.chunkMs >= this.options.maxChunkMs) {
+      events.push({ type: VAD_EVENTS.CHUNK, audio: Buffer.concat(this.chunk) });
+      this.chunk = [];
+      this.chunkMs = 0;
+    }
+    return events;
+  }
+
+  keepPreRoll(frames, ms) {
+    this.preRoll.push(...frames);
+    this.preRollMs += ms;
+    while (this.preRoll.length > 1 && this.preRollMs - this.frameMs(this.preRoll[0]) >= this.options.preRollMs) {
+      this.preRollMs -= this.frameMs(this.preRoll.shift());
+    }
+  }
+}
@@ -0,0 +1,393 @@
+/**
+ * Voicemail and Safe Callbacks
+ * Keeps messages left for the advocates in the context store - encrypted at
+ * rest and removed after the retention period - together with the callback
+ * the caller asked for. A callback only ever goes to the number the caller
+ * said is safe, inside the time window they said is safe.
+ */
+
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from './config/index.js';
+import { getContextStore } from './storage/contextStore.js';
+import { getLocalTime } from './schedule.js';
+import { normalizeDialNumber } from './warmTransfer.js';
+import logger from './logger.js';
+
+export const VOICEMAIL_NAMESPACE = 'voicemails';
+export const CALLBACK_NAMESPACE = 'callbacks';
+
+export const CALLBACK_STATUS = {
+  PENDING: 'pending',
+  DIALING: 'dialing',
+  VERIFIED: 'verified',
+  COMPLETED: 'completed',
+  // Whoever answered did not know the code word; the number is not called again
+  NOT_VERIFIED: 'not_verified',
+  FAILED: 'failed'
+};
+
+export const CALLBACK_SOURCES = {
+  CALL: 'call',
+  SMS: 'sms'
+};
+
+// Loose spoken periods of the day -> window
+const DAY_PERIODS = {
+  morning: ['09:00', '12:00'],
+  afternoon: ['12:00', '17:00'],
+  evening: ['17:00', '20:00'],
+  tonight: ['17:00', '21:00']
+};
+
+const SPOKEN_DIGITS = {
+  zero: '0', oh: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+
+const TIME_TOKEN = /\b(noon|midday|\d{1,2}(?::\d{2})?(?:\s*[ap]\.?\s?m\b\.?)?)(?![\d:])/gi;
+
+/**
+ * @param {string} time - "HH:MM"
+ * @returns {number} Minutes after midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function toClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * @param {string} text - "2", "2:30 pm", "14:00", "noon"
+ * @returns {Object|null} { hour, minute, meridiem: 'a' | 'p' | null }
+ */
+function parseSpokenTime(text) {
+  const value = text.trim().toLowerCase();
+  if (value === 'noon' || value === 'midday') {
+    return { hour: 12, minute: 0, meridiem: 'p' };
+  }
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*(?:([ap])\.?\s?m\.?)?$/.exec(value);
+  if (!match || Number(match[1]) > 23 || Number(match[2] || 0) > 59) {
+    return null;
+  }
+  return { hour: Number(match[1]), minute: Number(match[2] || 0), meridiem: match[3] || null };
+}
+
+/**
+ * Resolve a spoken time to minutes after midnight
+ * Without "am"/"pm" the other end of the range decides; failing that, 1-7
+ * are taken as afternoon times since nobody asks for a call at 3 in the morning.
+ */
+function resolveMinutes({ hour, minute, meridiem }, fallbackMeridiem = null) {
+  let resolvedHour = hour;
+  const resolvedMeridiem = hour > 12 ? null : (meridiem || fallbackMeridiem || (hour >= 1 && hour <= 7 ? 'p' : null));
+  if (resolvedMeridiem === 'p' && hour < 12) resolvedHour += 12;
+  if (resolvedMeridiem === 'a' && hour === 12) resolvedHour = 0;
+  return resolvedHour * 60 + minute;
+}
+
+/**
+ * Turn the caller's safe time into a daily callback window
+ * Understands ranges ("between 2 and 4 pm", "from 10 to noon"), open ends
+ * ("after 6", "before noon"), a single time ("at 3" gives an hour) and parts
+ * of the day ("in the morning").
+ *
+ * @param {string} text - What the caller said
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone the caller's times are in
+ * @param {string} [options.dayStart] - Start of an open-ended window, "HH:MM"
+ * @param {string} [options.dayEnd] - End of an open-ended window, "HH:MM"
+ * @returns {Object|null} { start: 'HH:MM', end: 'HH:MM', timeZone } or null if no usable window was given
+ */
+export function parseCallbackWindow(text, {
+  timeZone = 'UTC',
+  dayStart = config.voicemail.callbackDayStart,
+  dayEnd = config.voicemail.callbackDayEnd
+} = {}) {
+  if (!text || typeof text !== 'string') return null;
+  const lower = text.toLowerCase();
+  const times = [...lower.matchAll(TIME_TOKEN)].map(match => parseSpokenTime(match[1])).filter(Boolean);
+
+  let start = null;
+  let end = null;
+  if (times.length >= 2) {
+    const [first, second] = times;
+    start = resolveMinutes(first, second.meridiem);
+    end = resolveMinutes(second, first.meridiem);
+    if (end <= start && !second.meridiem) {
+      end = resolveMinutes(second); // "from 10 am to 2"
+    }
+    if (end <= start && !first.meridiem && start >= 12 * 60) {
+      start -= 12 * 60; // "between 11 and 1 pm"
+    }
+  } else if (times.length === 1) {
+    const time = resolveMinutes(times[0]);
+    if (/\b(after|from|once|later than)\b/.test(lower)) {
+      [start, end] = [time, toMinutes(dayEnd)];
+    } else if (/\b(before|until|till|by)\b/.test(lower)) {
+      [start, end] = [toMinutes(dayStart), time];
+    } else {
+      [start, end] = [time, time + 60];
+    }
+  } else {
+    const period = Object.keys(DAY_PERIODS).find(name => lower.includes(name));
+    if (period) {
+      [start, end] = DAY_PERIODS[period].map(toMinutes);
+    } else if (/\bany ?time\b/.test(lower)) {
+      [start, end] = [toMinutes(dayStart), toMinutes(dayEnd)];
+    }
+  }
+
+  // Windows that run past midnight are refused rather than guessed at
+  if (start === null || end === null || end <= start || end > 24 * 60) {
+    return null;
+  }
+  return { start: toClock(start), end: toClock(end), timeZone };
+}
+
+/**
+ * Read a callback window back to the caller, e.g. "between 2 PM and 4 PM"
+ * @param {Object} window - { start, end }
+ * @returns {string}
+ */
+export function describeCallbackWindow(window) {
+  const spoken = time => {
+    const minutes = toMinutes(time);
+    const hour = Math.floor(minutes / 60) % 12 || 12;
+    const minute = minutes % 60;
+    return `${hour}${minute ? `:${String(minute).padStart(2, '0')}` : ''} ${minutes >= 12 * 60 && minutes < 24 * 60 ? 'PM' : 'AM'}`;
+  };
+  return `between ${spoken(window.start)} and ${spoken(window.end)}`;
+}
+
+/**
+ * Whether a callback may be placed at a given time
+ * @param {Object} task - Callback task with a window
+ * @param {Date} [at] - Instant to check
+ * @returns {boolean}
+ */
+export function isWithinCallbackWindow(task, at = new Date()) {
+  const window = task?.window;
+  if (!window?.start || !window?.end) return false;
+  const { minutes } = getLocalTime(at, window.timeZone || 'UTC');
+  return minutes >= toMinutes(window.start) && minutes < toMinutes(window.end);
+}
+
+/**
+ * Work out the safe callback number from keypad or speech input
+ * @param {string} speech - What the caller said
+ * @param {Object} [options]
+ * @param {string} [options.digits] - Keypad digits, preferred over speech
+ * @param {string} [options.callerNumber] - Number the caller is calling from ("this number")
+ * @returns {string|null} E.164 number or null
+ */
+export function parseCallbackNumber(speech, { digits = null, callerNumber = null } = {}) {
+  if (digits) return normalizeDialNumber(digits);
+  if (!speech || typeof speech !== 'string') return null;
+  if (/\b(this|same|current) (phone )?number\b|\bnumber i'?m calling from\b|\bthis phone\b/i.test(speech)) {
+    return normalizeDialNumber(callerNumber);
+  }
+  const spokenDigits = speech.toLowerCase().replace(/\b(zero|oh|one|two|three|four|five|six|seven|eight|nine)\b/g, word => SPOKEN_DIGITS[word]);
+  return normalizeDialNumber(spokenDigits);
+}
+
+/**
+ * @param {string} speech - Answer to "what number is safe to call?"
+ * @returns {boolean} True if the caller does not want a callback at all
+ */
+export function isCallbackDeclined(speech) {
+  return /^\s*(no|nope)\b|\b(don'?t|do not|never) call\b|\bno call ?backs?\b/i.test(String(speech || ''));
+}
+
+/**
+ * Take the code word out of an answer such as "my code word is bluebird"
+ * @param {string} text - What the caller said or typed
+ * @returns {string|null} Lower-case code word, or null if none was given
+ */
+export function parseCodeWord(text) {
+  const word = String(text || '')
+    .toLowerCase()
+    .replace(/^\s*((ok(ay)?|um+|so)[\s,]+)?((my |the )?(code ?word|password) (is|will be)|it'?s|it is)?\s*/, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const words = word ? word.split(' ') : [];
+  return words.length >= 1 && words.length <= 4 && word.replace(/ /g, '').length >= 3 ? word : null;
+}
+
+function hashCodeWord(word, salt) {
+  return crypto.createHash('sha256').update(`${salt}:${word.replace(/ /g, '')}`).digest('hex');
+}
+
+/**
+ * Whether an answer contains the task's code word
+ * Any run of words may match, so "it's bluebird" and "blue bird" both pass.
+ * @param {Object} task - Callback task with codeWordHash and codeWordSalt
+ * @param {string} text - What the person who answered said or typed
+ * @returns {boolean}
+ */
+export function matchesCodeWord(task, text) {
+  if (!task?.codeWordHash) return false;
+  const words = String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean);
+  const expected = Buffer.from(task.codeWordHash, 'hex');
+
+  for (let start = 0; start < words.length; start++) {
+    for (let end = start + 1; end <= Math.min(words.length, start + 4); end++) {
+      const candidate = Buffer.from(hashCodeWord(words.slice(start, end).join(' '), task.codeWordSalt), 'hex');
+      if (crypto.timingSafeEqual(candidate, expected)) return true;
+    }
+  }
+  return false;
+}
+
+export class VoicemailStore {
+  /**
+   * @param {Object} [options]
+   * @param {ContextStore} [options.store] - Store to use instead of the shared context store
+   * @param {number} [options.retentionMs] - How long messages and callback tasks are kept
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ store = null, retentionMs = config.voicemail.retentionMs, now = Date.now } = {}) {
+    this.storeOverride = store;
+    this.retentionMs = retentionMs;
+    this.now = now;
+  }
+
+  get store() {
+    return this.storeOverride || getContextStore();
+  }
+
+  /**
+   * Keep a recorded message
+   * @param {Object} voicemail
+   * @param {string} voicemail.recordingSid - Twilio recording SID, used as the message ID
+   * @param {string} voicemail.callSid - Call the message was left on
+   * @param {Buffer} [voicemail.audio] - Recording audio (WAV)
+   * @param {string} [voicemail.transcript] - Whisper transcript
+   * @returns {Promise<Object>} Stored message metadata
+   */
+  async saveVoicemail({ recordingSid, callSid, audio = null, transcript = null }) {
+    const record = {
+      id: recordingSid,
+      callSid,
+      audio: audio ? audio.toString('base64') : null,
+      contentType: 'audio/wav',
+      transcript,
+      createdAt: this.now()
+    };
+    await this.store.set(VOICEMAIL_NAMESPACE, recordingSid, record, { ttlMs: this.retentionMs });
+    logger.info('Voicemail stored', { recordingSid, callSid, hasAudio: !!audio, hasTranscript: !!transcript });
+    return { ...record, audio: undefined };
+  }
+
+  /**
+   * @param {string} recordingSid - Message ID
+   * @returns {Promise<Object|null>} Message with audio as a Buffer, or null once it has expired
+   */
+  async getVoicemail(recordingSid) {
+    const record = await this.store.get(VOICEMAIL_NAMESPACE, recordingSid);
+    if (!record) return null;
+    return { ...record, audio: record.audio ? Buffer.from(record.audio, 'base64') : null };
+  }
+
+  /**
+   * Record a callback the caller asked for
+   * @param {Object} task
+   * @param {string} task.callSid - Call the request was made on
+   * @param {string} [task.voicemailId] - Message the callback follows up
+   * @param {string} task.number - Safe E.164 number
+   * @param {Object} task.window - Safe window from parseCallbackWindow
+   * @param {string} [task.language] - Caller language
+   * @param {string} [task.codeWord] - Word asked for before anything is said on the callback; only a hash is kept
+   * @param {string} [task.source] - CALLBACK_SOURCES value
+   * @returns {Promise<Object>} Stored task
+   */
+  async createCallbackTask({ callSid = null, voicemailId = null, number, window, language = null, codeWord = null, source = CALLBACK_SOURCES.CALL }) {
+    const codeWordSalt = crypto.randomBytes(16).toString('hex');
+    const task = {
+      id: uuidv4(),
+      callSid,
+      voicemailId,
+      number,
+      window,
+      language,
+      source,
+      codeWordSalt,
+      codeWordHash: codeWord ? hashCodeWord(codeWord, codeWordSalt) : null,
+      status: CALLBACK_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: null,
+      createdAt: this.now()
+    };
+    await this.store.set(CALLBACK_NAMESPACE, task.id, task, { ttlMs: this.retentionMs });
+    logger.info('Callback task created', { taskId: task.id, callSid, source, window });
+    return task;
+  }
+
+  /**
+   * @param {string} id - Task ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object|null>} Updated task, or null if it has expired
+   */
+  async updateCallbackTask(id, changes) {
+    const task = await this.getCallbackTask(id);
+    if (!task) return null;
+    const next = { ...task, ...changes };
+    // Retention still counts from when the caller asked
+    const ttlMs = Math.max(1, task.createdAt + this.retentionMs - this.now());
+    await this.store.set(CALLBACK_NAMESPACE, id, next, { ttlMs });
+    return next;
+  }
+
+  /**
+   * @param {string} id - Task ID
+   * @returns {Promise<Object|null>}
+   */
+  async getCallbackTask(id) {
+    return this.store.get(CALLBACK_NAMESPACE, id);
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} All callback tasks still within retention
+   */
+  async listCallbackTasks() {
+    const records = await this.store.entries(CALLBACK_NAMESPACE);
+    return records.map(record => record.value);
+  }
+
+  /**
+   * Pending callbacks that may be placed right now - never one outside the caller's
+   * window, nor a retry before its backoff has passed
+   * @param {Date} [at] - Instant to check
+   * @returns {Promise<Array<Object>>}
+   */
+  async getDueCallbackTasks(at = new Date(this.now())) {
+    const tasks = await this.listCallbackTasks();
+    return tasks.filter(task => task.status === CALLBACK_STATUS.PENDING
+      && (!task.nextAttemptAt || task.nextAttemptAt <= at.getTime())
+      && isWithinCallbackWindow(task, at));
+  }
+}
+
+let sharedStore = null;
+
+/**
+ * @returns {VoicemailStore} Process-wide voicemail store
+ */
+export function getVoicemailStore() {
+  if (!sharedStore) {
+    sharedStore = new VoicemailStore();
+  }
+  return sharedStore;
+}
+
+/**
+ * Replace the process-wide voicemail store (tests)
+ * @param {VoicemailStore|null} store - Store, or null to recreate from config
+ */
+export function setVoicemailStore(store) {
+  sharedStore = store;
+}
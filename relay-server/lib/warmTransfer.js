@@ -0,0 +1,219 @@
+/**
+ * Warm Transfer
+ * Connects the caller to a human advocate or hotline with <Dial>. Target
+ * numbers come from a routing table keyed by language and region; the
+ * advocate hears a short whisper built from the conversation context before
+ * the calls are bridged. When no advocate is on shift (lib/schedule.js) the
+ * caller can leave a message instead.
+ */
+
+import fs from 'fs';
+import twilio from 'twilio';
+import { config } from './config/index.js';
+import { warmTransferConfig } from './conversationConfig.js';
+import logger from './logger.js';
+
+export const TRANSFER_REASONS = {
+  CALLER_REQUEST: 'caller_request',
+  EMERGENCY: 'emergency',
+  LOW_CONFIDENCE: 'low_confidence'
+};
+
+// Dial outcomes that mean the advocate and caller were actually connected
+const CONNECTED_DIAL_STATUSES = ['completed', 'answered'];
+
+let sharedRoutes = null;
+
+/**
+ * Load the routing table from a JSON file; a missing or broken file gives an empty table
+ * @param {string} file - Path to the routing table
+ * @returns {Object} { language: { region: number } }
+ */
+export function loadTransferRoutes(file = config.transfer.routesFile) {
+  if (!file || !fs.existsSync(file)) {
+    logger.warn('Transfer routing table not found', { file });
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    logger.error('Failed to load transfer routing table', { file, error: error.message });
+    return {};
+  }
+}
+
+/**
+ * @returns {Object} Process-wide routing table, loaded on first use
+ */
+export function getTransferRoutes() {
+  if (!sharedRoutes) {
+    sharedRoutes = loadTransferRoutes();
+  }
+  return sharedRoutes;
+}
+
+/**
+ * Replace the process-wide routing table (tests, reloads)
+ * @param {Object|null} routes - Routing table, or null to reload from config
+ */
+export function setTransferRoutes(routes) {
+  sharedRoutes = routes;
+}
+
+/**
+ * Normalise a phone number for <Dial>; US numbers without a country code get +1
+ * @param {string} number - Phone number as written in the routing table
+ * @returns {string|null} E.164 number or null
+ */
+export function normalizeDialNumber(number) {
+  if (!number) return null;
+  const digits = String(number).replace(/\D/g, '');
+  if (String(number).trim().startsWith('+')) return digits ? `+${digits}` : null;
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function pickRegion(regions, location) {
+  if (!regions) return null;
+  if (location) {
+    const match = Object.keys(regions)
+      .filter(region => region !== 'default')
+      .find(region => new RegExp(`\\b${escapeRegExp(region)}\\b`, 'i').test(location));
+    if (match) return regions[match];
+  }
+  return regions.default || null;
+}
+
+/**
+ * Find the number to transfer to
+ * Tries the exact language tag (es-US), then the base language (es), then
+ * "default"; within a language, a region key that appears in the caller's
+ * location (TX, Texas, Austin) wins over that language's "default".
+ *
+ * @param {Object} routes - Routing table
+ * @param {Object} [caller]
+ * @param {string} [caller.language] - BCP 47 language tag
+ * @param {string} [caller.location] - Caller location, e.g. "Austin, TX"
+ * @returns {string|null} E.164 number or null if no route applies
+ */
+export function resolveTransferNumber(routes, { language, location } = {}) {
+  const tag = String(language || '').toLowerCase();
+  const candidates = [...new Set([tag, tag.split('-')[0], 'default'].filter(Boolean))];
+  const tableKeys = Object.keys(routes || {});
+
+  for (const candidate of candidates) {
+    const key = tableKeys.find(tableKey => tableKey.toLowerCase() === candidate);
+    const number = normalizeDialNumber(pickRegion(routes[key], location));
+    if (number) return number;
+  }
+  return null;
+}
+
+/**
+ * Whether a classified intent should send the caller to a person
+ * @param {string} intent - Classified intent
+ * @param {Object} [call] - Active call record
+ * @returns {string|null} Transfer reason or null
+ */
+export function getTransferReason(intent, call = null) {
+  if (intent === 'talk_to_person') {
+    return TRANSFER_REASONS.CALLER_REQUEST;
+  }
+  // An automatic transfer that already failed is not retried; the caller can still ask for a person
+  if (intent === 'emergency_help' && config.transfer.onEmergency && call?.transfer?.status !== 'failed') {
+    return TRANSFER_REASONS.EMERGENCY;
+  }
+  return null;
+}
+
+/**
+ * Whether the Dial action status means the caller was connected
+ * @param {string} dialCallStatus - Twilio DialCallStatus
+ * @returns {boolean}
+ */
+export function isTransferConnected(dialCallStatus) {
+  return CONNECTED_DIAL_STATUSES.includes(dialCallStatus);
+}
+
+/**
+ * Build the whisper the advocate hears before the calls are bridged
+ * Only the reason, location, language and recent topics are read out - never
+ * what the caller actually said.
+ *
+ * @param {Object} summary - ContextService.buildContextSummary result
+ * @param {string} reason - Transfer reason
+ * @returns {string} Whisper text
+ */
+export function buildWhisperSummary(summary = {}, reason) {
+  const { whisper } = warmTransferConfig;
+  const parts = [whisper.intro];
+
+  if (whisper.reasons[reason]) parts.push(whisper.reasons[reason]);
+  if (summary.emergencyDetected && reason !== TRANSFER_REASONS.EMERGENCY) {
+    parts.push(whisper.reasons.emergency);
+  }
+  if (summary.location) parts.push(`Location: ${summary.location}.`);
+  if (summary.language && !/^en\b/i.test(summary.language)) {
+    parts.push(`Preferred language: ${summary.language}.`);
+  }
+  if (summary.familyConcerns) parts.push(`Family: ${summary.familyConcerns}.`);
+
+  const topics = [...new Set((summary.recentInteractions || [])
+    .map(interaction => whisper.topics[interaction.intent])
+    .filter(Boolean))];
+  if (topics.length > 0) parts.push(`Recent topics: ${topics.join(', ')}.`);
+
+  parts.push(whisper.connecting);
+  return parts.join(' ');
+}
+
+/**
+ * TwiML that tells the caller they are being connected and dials the advocate
+ * @param {Object} options
+ * @param {string} options.callSid - Caller's call SID, passed to the whisper and status callbacks
+ * @param {string} options.number - E.164 number to dial
+ * @param {string} options.message - What the caller hears first
+ * @returns {string} TwiML
+ */
+export function buildTransferTwiml({ callSid, number, message }) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  const query = `callSid=${encodeURIComponent(callSid)}`;
+
+  if (message) twiml.say(message);
+
+  const dialOptions = {
+    action: `/twilio/transfer/status?${query}`,
+    method: 'POST',
+    timeout: config.transfer.dialTimeout
+  };
+  if (config.transfer.callerId) dialOptions.callerId = config.transfer.callerId;
+
+  twiml.dial(dialOptions).number({ url: `/twilio/transfer/whisper?${query}`, method: 'POST' }, number);
+  return twiml.toString();
+}
+
+/**
+ * TwiML that records a message for the advocates when none are on shift
+ * @param {Object} options
+ * @param {string} options.callSid - Caller's call SID
+ * @param {string} options.message - What the caller hears before the tone
+ * @returns {string} TwiML
+ */
+export function buildVoicemailTwiml({ callSid, message }) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  if (message) twiml.say(message);
+  twiml.record({
+    action: `/twilio/voicemail/complete?callSid=${encodeURIComponent(callSid)}`,
+    method: 'POST',
+    maxLength: config.transfer.voicemailMaxLength,
+    playBeep: true,
+    recordingStatusCallback: '/twilio/recording',
+    recordingStatusCallbackMethod: 'POST'
+  });
+  return twiml.toString();
+}
@@ -0,0 +1,153 @@
+/**
+ * Yes/No Answer Classifier
+ * Reads a spoken or texted answer to a yes/no question ("sure, go ahead",
+ * "no thanks", "yes but not today", "I'm not sure") using the per-language
+ * cues in languageConfig. Hedges and contradictory answers come back as
+ * "unsure" so the caller can be asked again instead of guessed at.
+ */
+
+import { getLanguageConfig, getFallbackLanguage } from './languageConfig.js';
+
+export const YES_NO_ANSWERS = {
+  YES: 'yes',
+  NO: 'no',
+  UNSURE: 'unsure'
+};
+
+// Answers below this confidence are reported as unsure
+export const MIN_YES_NO_CONFIDENCE = 0.6;
+
+// How many words a negation may sit before the yes cue it flips ("not really sure" is a hedge)
+const NEGATION_REACH = 2;
+
+function normalize(text) {
+  return (text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[^\p{L}\p{M}\p{N}'\s]+/gu, ' ')
+    // Chinese is written without spaces, so each character is matched as a word
+    .replace(/\p{Script=Han}/gu, ' $& ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Cue phrases for a language, with its fallback language's cues added so
+ * a Spanish caller saying "okay" is still understood
+ * @param {string} languageCode - The language code
+ * @returns {Array<{kind: string, words: string[]}>} Cues, longest first
+ */
+function getCues(languageCode) {
+  const cues = [];
+  const seen = new Set();
+  const sets = [getLanguageConfig(languageCode).yesNo, getLanguageConfig(getFallbackLanguage(languageCode)).yesNo];
+
+  for (const set of sets.filter(Boolean)) {
+    for (const kind of ['hedges', 'yes', 'no', 'negations', 'contrast']) {
+      for (const phrase of set[kind] || []) {
+        const words = normalize(phrase);
+        const key = words.join(' ');
+        if (words.length && !seen.has(key)) {
+          seen.add(key);
+          cues.push({ kind, words });
+        }
+      }
+    }
+  }
+  return cues.sort((a, b) => b.words.length - a.words.length);
+}
+
+// Greedy left-to-right match; the longest cue at each position wins, so
+// "no problem" is a yes and "not sure" is a hedge
+function matchCues(words, cues) {
+  const matches = [];
+  let index = 0;
+  while (index < words.length) {
+    const cue = cues.find(candidate => candidate.words.every((word, offset) => words[index + offset] === word));
+    if (cue) {
+      matches.push({ kind: cue.kind, index, words: cue.words });
+      index += cue.words.length;
+    } else {
+      index += 1;
+    }
+  }
+  return matches;
+}
+
+// The clause's answer: its last yes/no cue, with a yes flipped by a negation
+// just before it ("not okay"), or a bare negation ("but not now") read as no
+function readClause(matches, negations) {
+  let answer = null;
+  let conflicting = false;
+  let lastNegationEnd = -Infinity;
+
+  for (const match of matches) {
+    let kind = match.kind;
+    if (kind === 'yes' && match.index - lastNegationEnd < NEGATION_REACH) {
+      kind = 'no';
+    }
+    if (kind === 'yes' || kind === 'no') {
+      conflicting = conflicting || (answer !== null && answer !== kind);
+      answer = kind;
+    }
+    // Spanish "no" is both an answer and a negation
+    if (kind === 'negations' || negations.has(match.words.join(' '))) {
+      lastNegationEnd = match.index + match.words.length;
+      if (answer === null && match.kind === 'negations') {
+        answer = 'no';
+      }
+    }
+  }
+  return { answer, conflicting };
+}
+
+/**
+ * Classify an answer to a yes/no question
+ * @param {string} text - What the caller said or texted
+ * @param {string} [languageCode] - Conversation language (e.g. 'es-ES')
+ * @returns {{answer: string, confidence: number}} YES_NO_ANSWERS value and a 0-1 confidence
+ */
+export function classifyYesNo(text, languageCode = null) {
+  const cues = getCues(languageCode);
+  const matches = matchCues(normalize(text), cues);
+  const unsure = confidence => ({ answer: YES_NO_ANSWERS.UNSURE, confidence });
+
+  if (matches.length === 0) {
+    return unsure(0);
+  }
+  if (matches.some(match => match.kind === 'hedges')) {
+    return unsure(0.3);
+  }
+
+  const negations = new Set(cues.filter(cue => cue.kind === 'negations').map(cue => cue.words.join(' ')));
+
+  // "Yes, but not today": the clause after a contrast word has the last say
+  const clauses = [[]];
+  for (const match of matches) {
+    if (match.kind === 'contrast') {
+      clauses.push([]);
+    } else {
+      clauses[clauses.length - 1].push(match);
+    }
+  }
+
+  const readings = clauses.map(clause => readClause(clause, negations)).filter(reading => reading.answer);
+  if (readings.length === 0) {
+    return unsure(0);
+  }
+
+  const final = readings[readings.length - 1];
+  let confidence = 0.9;
+  if (final.conflicting) {
+    confidence = 0.4;
+  } else if (readings.some(reading => reading.answer !== final.answer)) {
+    confidence = 0.75;
+  }
+
+  if (confidence < MIN_YES_NO_CONFIDENCE) {
+    return unsure(confidence);
+  }
+  return { answer: final.answer, confidence };
+}
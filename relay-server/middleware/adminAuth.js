@@ -0,0 +1,28 @@
+import crypto from 'crypto';
+import logger from '../lib/logger.js';
+import { config } from '../lib/config/index.js';
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * Require `Authorization: Bearer <ADMIN_API_TOKEN>`
+ * Admin routes answer 404 when no token is configured, so they don't exist
+ * on deployments that never set one.
+ */
+export function requireAdminToken(req, res, next) {
+  const expected = config.admin.apiToken;
+  if (!expected) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  // Hashing first gives equal-length buffers, so the comparison takes the same time for any token
+  if (scheme !== 'Bearer' || !token || !crypto.timingSafeEqual(digest(token), digest(expected))) {
+    logger.warn('Rejected admin request:', { path: req.originalUrl, ip: req.ip });
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
@@ -0,0 +1,23 @@
+import { getDialogueTrace, TRACE_STAGES } from '../lib/dialogueTrace.js';
+
+/**
+ * Dialogue Trace
+ * Runs a Twilio speech webhook as one traced turn of its call and records the
+ * TwiML (or error) it answers with.
+ */
+export function traceTwilioTurn(req, res, next) {
+  const trace = getDialogueTrace();
+  trace.runTurn(req.body?.CallSid, turn => {
+    if (turn) {
+      const send = res.send.bind(res);
+      res.send = body => {
+        trace.record(TRACE_STAGES.TWIML, {
+          status: res.statusCode,
+          twiml: typeof body === 'string' ? body : JSON.stringify(body)
+        }, turn);
+        return send(body);
+      };
+    }
+    next();
+  });
+}
@@ -0,0 +1,159 @@
+import twilio from 'twilio';
+import logger from '../lib/logger.js';
+import { config } from '../lib/config/index.js';
+
+/**
+ * Twilio Webhook Signatures
+ * Rejects /twilio requests that don't carry a valid X-Twilio-Signature for the
+ * public URL Twilio called, and requests that replay one already accepted.
+ */
+
+export const SIGNATURE_MODES = {
+  ENFORCE: 'enforce',
+  TEST: 'test',
+  OFF: 'off'
+};
+
+export const REJECTION_REASONS = {
+  MISSING_SIGNATURE: 'missingSignature',
+  INVALID_SIGNATURE: 'invalidSignature',
+  REPLAYED: 'replayed',
+  NO_AUTH_TOKEN: 'noAuthToken'
+};
+
+const metrics = createMetrics();
+
+// Accepted signatures by expiry time; insertion order is expiry order
+const seenSignatures = new Map();
+
+let warnedOff = false;
+
+function createMetrics() {
+  return {
+    validated: 0,
+    rejected: Object.fromEntries(Object.values(REJECTION_REASONS).map(reason => [reason, 0])),
+    lastRejection: null
+  };
+}
+
+function firstHeaderValue(value) {
+  return String(value || '').split(',')[0].trim();
+}
+
+/**
+ * Mode in effect: "off" never applies in production
+ * @returns {string} SIGNATURE_MODES value
+ */
+export function getSignatureMode() {
+  const mode = config.webhooks.signatureMode;
+  if (mode === SIGNATURE_MODES.OFF && config.isProduction) {
+    return SIGNATURE_MODES.ENFORCE;
+  }
+  return Object.values(SIGNATURE_MODES).includes(mode) ? mode : SIGNATURE_MODES.ENFORCE;
+}
+
+/**
+ * The URL Twilio requested, as Twilio saw it
+ * TWILIO_WEBHOOK_BASE_URL wins; otherwise the scheme, host and port come from
+ * the proxy's X-Forwarded-* headers, falling back to the request itself.
+ * @param {express.Request} req - Incoming request
+ * @returns {string} Absolute URL including the query string
+ */
+export function getPublicUrl(req) {
+  const baseUrl = config.webhooks.publicBaseUrl;
+  if (baseUrl) {
+    return `${baseUrl.replace(/\/+$/, '')}${req.originalUrl}`;
+  }
+
+  const proto = firstHeaderValue(req.headers['x-forwarded-proto']) || req.protocol || 'https';
+  let host = firstHeaderValue(req.headers['x-forwarded-host']) || req.headers.host;
+  const port = firstHeaderValue(req.headers['x-forwarded-port']);
+  const defaultPort = proto === 'https' ? '443' : '80';
+  if (port && port !== defaultPort && !/:\d+$/.test(host)) {
+    host = `${host}:${port}`;
+  }
+  return `${proto}://${host}${req.originalUrl}`;
+}
+
+/**
+ * Record a signature as used
+ * @returns {boolean} False if it was already used within the replay window
+ */
+function markSeen(key, now = Date.now()) {
+  for (const [seenKey, expiresAt] of seenSignatures) {
+    if (expiresAt > now) break;
+    seenSignatures.delete(seenKey);
+  }
+  if (seenSignatures.has(key)) {
+    return false;
+  }
+  seenSignatures.set(key, now + config.webhooks.replayWindowMs);
+  return true;
+}
+
+function reject(req, res, reason) {
+  metrics.rejected[reason]++;
+  metrics.lastRejection = { reason, path: req.path, at: new Date().toISOString() };
+  logger.warn('Rejected Twilio webhook:', { path: req.originalUrl, reason, ip: req.ip });
+  return res.status(403).json({ error: 'Forbidden' });
+}
+
+/**
+ * Require a valid, unused X-Twilio-Signature
+ * Twilio's retries of a request carry the same I-Twilio-Idempotency-Token and
+ * signature, so they are treated as replays once the first attempt was accepted.
+ */
+export function verifyTwilioSignature(req, res, next) {
+  const mode = getSignatureMode();
+  if (mode === SIGNATURE_MODES.OFF) {
+    if (!warnedOff) {
+      logger.warn('Twilio webhook signature validation is off; anyone can post to /twilio');
+      warnedOff = true;
+    }
+    return next();
+  }
+
+  const authToken = mode === SIGNATURE_MODES.TEST ? config.webhooks.testAuthToken : config.api.twilio.authToken;
+  if (!authToken) {
+    return reject(req, res, REJECTION_REASONS.NO_AUTH_TOKEN);
+  }
+
+  const signature = req.headers['x-twilio-signature'];
+  if (!signature) {
+    return reject(req, res, REJECTION_REASONS.MISSING_SIGNATURE);
+  }
+
+  const params = req.method === 'POST' && req.is('application/x-www-form-urlencoded') ? req.body : {};
+  if (!twilio.validateRequest(authToken, signature, getPublicUrl(req), params || {})) {
+    return reject(req, res, REJECTION_REASONS.INVALID_SIGNATURE);
+  }
+
+  if (!markSeen(`${req.headers['i-twilio-idempotency-token'] || ''}:${signature}`)) {
+    return reject(req, res, REJECTION_REASONS.REPLAYED);
+  }
+
+  metrics.validated++;
+  next();
+}
+
+/**
+ * Counters for /health/detailed
+ * @returns {Object} { mode, validated, rejected, rejectedByReason, lastRejection }
+ */
+export function getWebhookSignatureMetrics() {
+  return {
+    mode: getSignatureMode(),
+    validated: metrics.validated,
+    rejected: Object.values(metrics.rejected).reduce((total, count) => total + count, 0),
+    rejectedByReason: { ...metrics.rejected },
+    lastRejection: metrics.lastRejection
+  };
+}
+
+/**
+ * Clear counters and remembered signatures
+ */
+export function resetWebhookSignatureMetrics() {
+  Object.assign(metrics, createMetrics());
+  seenSignatures.clear();
+}
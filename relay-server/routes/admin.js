@@ -0,0 +1,115 @@
+/**
+ * Admin Routes
+ * Compliance exports and call traces for staff. Every route needs the admin token.
+ */
+
+import express from 'express';
+import logger from '../lib/logger.js';
+import { requireAdminToken } from '../middleware/adminAuth.js';
+import { getConsentLedger } from '../lib/consentLedger.js';
+import { getCallbackScheduler } from '../lib/callbackScheduler.js';
+import { getDialogueTrace, formatTraceTimeline } from '../lib/dialogueTrace.js';
+
+const router = express.Router();
+
+router.use(requireAdminToken);
+
+const AUDIT_COLUMNS = ['at', 'phoneNumber', 'type', 'source', 'scope', 'keyword', 'callSid'];
+const CALLBACK_AUDIT_COLUMNS = ['at', 'taskId', 'event', 'attempt', 'reason', 'source', 'callSid', 'dialCallStatus', 'nextAttemptAt'];
+
+function toCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Spreadsheets run cells starting with these as formulas ("+1555..." included)
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * SMS consent audit trail
+ * 
+ * @route GET /admin/sms-consent/audit
+ * @param {string} [req.query.phone] - Only this number (E.164)
+ * @param {string} [req.query.since] - Only events at or after this ISO time
+ * @param {string} [req.query.format] - "json" (default) or "csv"
+ * @returns {Object|string} { count, events } or a CSV file
+ */
+router.get('/sms-consent/audit', async (req, res) => {
+  const { phone = null, since = null, format = 'json' } = req.query;
+  if (since && Number.isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: 'since must be an ISO date' });
+  }
+
+  try {
+    const events = await getConsentLedger().exportAuditTrail({ phoneNumber: phone, since });
+    logger.info('SMS consent audit exported', { count: events.length, format });
+
+    if (format === 'csv') {
+      const rows = events.map(event => AUDIT_COLUMNS.map(column => toCsvField(event[column])).join(','));
+      res.type('text/csv');
+      res.set('Content-Disposition', 'attachment; filename="sms-consent-audit.csv"');
+      return res.send([AUDIT_COLUMNS.join(','), ...rows].join('\n'));
+    }
+
+    res.json({ count: events.length, events });
+  } catch (error) {
+    logger.error('Error exporting SMS consent audit:', error);
+    res.status(500).json({ error: 'Failed to export audit trail' });
+  }
+});
+
+/**
+ * Safe callback audit trail: every scheduled, placed, missed and verified call
+ * 
+ * @route GET /admin/callbacks/audit
+ * @param {string} [req.query.task] - Only this callback task
+ * @param {string} [req.query.since] - Only events at or after this ISO time
+ * @param {string} [req.query.format] - "json" (default) or "csv"
+ * @returns {Object|string} { count, events } or a CSV file
+ */
+router.get('/callbacks/audit', async (req, res) => {
+  const { task = null, since = null, format = 'json' } = req.query;
+  if (since && Number.isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: 'since must be an ISO date' });
+  }
+
+  try {
+    const events = await getCallbackScheduler().exportAuditTrail({ taskId: task, since });
+    logger.info('Callback audit exported', { count: events.length, format });
+
+    if (format === 'csv') {
+      const rows = events.map(event => CALLBACK_AUDIT_COLUMNS.map(column => toCsvField(event[column])).join(','));
+      res.type('text/csv');
+      res.set('Content-Disposition', 'attachment; filename="callback-audit.csv"');
+      return res.send([CALLBACK_AUDIT_COLUMNS.join(','), ...rows].join('\n'));
+    }
+
+    res.json({ count: events.length, events });
+  } catch (error) {
+    logger.error('Error exporting callback audit:', error);
+    res.status(500).json({ error: 'Failed to export audit trail' });
+  }
+});
+
+/**
+ * Per-turn dialogue trace of a call, already redacted
+ * 
+ * @route GET /admin/calls/:callSid/trace
+ * @param {string} [req.query.format] - "json" (default) or "timeline" for plain text
+ * @returns {Object|string} { callSid, startedAt, turns } or a timeline
+ */
+router.get('/calls/:callSid/trace', (req, res) => {
+  const { format = 'json' } = req.query;
+  const trace = getDialogueTrace().getTrace(req.params.callSid);
+  if (!trace) {
+    return res.status(404).json({ error: 'No trace for this call' });
+  }
+  logger.info('Dialogue trace exported', { turns: trace.turns.length, format });
+
+  if (format === 'timeline') {
+    res.type('text/plain');
+    return res.send(formatTraceTimeline(trace));
+  }
+  res.json(trace);
+});
+
+export default router;
@@ -12,6 +12,7 @@ import { OpenAIIntegration } from '../integrations/openaiIntegration.js';
 import { SearchIntegration } from '../integrations/searchIntegration.js';
 import { TwilioIntegration } from '../integrations/twilioIntegration.js';
 import { TTSIntegration } from '../integrations/ttsIntegration.js';
+import { getWebhookSignatureMetrics } from '../middleware/twilioSignature.js';
 
 const router = express.Router();
 
@@ -73,6 +74,7 @@ router.get('/detailed', async (req, res) => {
         errors: performance.errors
       },
       logging,
+      webhookSignatures: getWebhookSignatureMetrics(),
       integrations: integrationChecks,
       config: {
         features: config.features,
@@ -0,0 +1,30 @@
+/**
+ * Short Link Routes
+ * Resolves the short links used in discreet texts. They expire, so a link
+ * found on the phone later leads nowhere and does not say where it went.
+ */
+
+import express from 'express';
+import logger from '../lib/logger.js';
+import { getSmsSafeguards } from '../lib/smsSafeguards.js';
+
+const router = express.Router();
+
+/**
+ * Redirect a short link to its target
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const url = await getSmsSafeguards().resolveShortLink(req.params.token);
+    if (!url) {
+      return res.status(410).type('text/plain').send('This link has expired.');
+    }
+    res.set('Referrer-Policy', 'no-referrer');
+    res.redirect(302, url);
+  } catch (error) {
+    logger.error('Error resolving short link:', error);
+    res.status(500).type('text/plain').send('Something went wrong.');
+  }
+});
+
+export default router;
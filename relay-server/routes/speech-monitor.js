@@ -20,6 +20,18 @@ export function addTranscriptionEntry(entry) {
   }
 }
 
+// Remove every transcription recorded for a call (used by quick exit)
+export function purgeTranscriptionEntries(callSid) {
+  let removed = 0;
+  for (let i = recentTranscriptions.length - 1; i >= 0; i--) {
+    if (recentTranscriptions[i].CallSid === callSid) {
+      recentTranscriptions.splice(i, 1);
+      removed++;
+    }
+  }
+  return removed;
+}
+
 /**
  * Get recent speech transcriptions for monitoring
  * @route GET /speech-monitor/recent
@@ -22,10 +22,18 @@ import { welcomeMessage } from '../lib/conversationConfig.js';
 import { createTwilioController } from '../controllers/twilioController.js';
 import { validateRequest, rateLimiter } from '../middleware/validation.js';
 import { enhancedRequestLogger, enhancedErrorLogger, performanceLogger } from '../middleware/logging.js';
-import { getLanguageConfig } from '../lib/languageConfig.js';
-import { addTranscriptionEntry } from './speech-monitor.js';
+import { verifyTwilioSignature } from '../middleware/twilioSignature.js';
+import { traceTwilioTurn } from '../middleware/dialogueTrace.js';
+import { getLanguageConfig, getWelcomePrompt } from '../lib/languageConfig.js';
+import { resolveRegion, applyRegionNumbers } from '../lib/regionRegistry.js';
+import { getScheduleEngine } from '../lib/schedule.js';
+import { addTranscriptionEntry, purgeTranscriptionEntries } from './speech-monitor.js';
+import { detectQuickExit, getQuickExitGatherOptions } from '../lib/quickExit.js';
+import { buildLanguageMenu, isLanguageMenuEnabled } from '../lib/languageDetection.js';
 import { validateTranscription, generateRepromptMessage } from '../lib/transcriptionValidator.js';
+import { traceTurnEvent, TRACE_STAGES } from '../lib/dialogueTrace.js';
 import { geocodingIntegration } from '../integrations/geocodingIntegration.js';
+import { getVoiceMode, getStreamUrl, buildStreamTwiml, VOICE_MODES } from '../lib/mediaStream.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -40,6 +48,13 @@ function createTwilioRouter(handlerManager) {
   const twilioController = createTwilioController(handlerManager);
   logger.info('Twilio controller created successfully');
 
+  // Media-stream calls run their turns through the same controller
+  handlerManager.setStreamTurnHandler?.({
+    respond: (callSid, transcript) => twilioController.handleStreamTurn(callSid, transcript),
+    handleDigit: (callSid, digit) => twilioController.handleStreamDigit(callSid, digit),
+    fallback: (callSid, reason) => twilioController.handleStreamFallback(callSid, reason)
+  });
+
 // Initialize TwilioVoiceHandler
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
 const authToken = process.env.TWILIO_AUTH_TOKEN;
@@ -77,14 +92,8 @@ const getWebSocketServer = () => {
   return wsServer;
 };
 
-// Add after other global variables
-const processedSpeechResults = new Map();
-const callContexts = new Map();
-
-// Cache for Tavily API responses
-const tavilyCache = new Map();
-const CACHE_TTL = 1000 * 60 * 30; // 30 minutes
-const MAX_CACHE_SIZE = 1000; // Maximum number of cached responses
+// Per-call state lives in handlerManager.activeCalls and the intent classifier,
+// both of which write through to the encrypted context store (lib/storage)
 
 // Speech recognition configuration constants
 const SPEECH_CONFIG = {
@@ -98,17 +107,82 @@ const SPEECH_CONFIG = {
   INTERIM_SPEECH_RESULTS_CALLBACK: '/twilio/voice/interim'
 };
 
+// Render the quick-exit Gather attributes for hand-written fallback TwiML
+const quickExitGatherXml = () => Object.entries(getQuickExitGatherOptions())
+  .map(([name, value]) => `${name}="${value}"`)
+  .join(' ');
+
+/**
+ * Hang up and purge the call if the caller used their safe word or quick-exit key
+ * Must run before anything else touches the request so nothing is logged or stored.
+ * @param {Object} [input] - Fields to check, defaults to the whole webhook body
+ * @returns {Promise<boolean>} True if the request was handled as a quick exit
+ */
+const handleQuickExitIfRequested = async (req, res, input = req.body) => {
+  const quickExit = detectQuickExit(input);
+  if (!quickExit) {
+    return false;
+  }
+  const { CallSid } = req.body;
+  purgeTranscriptionEntries(CallSid);
+  await twilioController.handleQuickExit(CallSid, quickExit.trigger, res);
+  return true;
+};
+
+/**
+ * Middleware form of handleQuickExitIfRequested, for routes that trace their turn:
+ * mounted ahead of validation and traceTwilioTurn so a quick-exit turn is never
+ * validated (which logs a bad body) or recorded
+ */
+const quickExitBeforeTracing = async (req, res, next) => {
+  try {
+    if (!(await handleQuickExitIfRequested(req, res))) {
+      next();
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Make sure the call has a record in the voice handler
+ * The welcome doesn't create one, and after a restart the call may only exist in the context store.
+ * @param {string} CallSid - Twilio call SID
+ * @param {string} [from] - Caller number
+ */
+const ensureActiveCall = async (CallSid, from) => {
+  if (!handlerManager.activeCalls.has(CallSid) && !(await handlerManager.restoreCall(CallSid))) {
+    handlerManager.activeCalls.set(CallSid, {
+      from: from || 'unknown',
+      startTime: Date.now(),
+      hasConsent: false,
+      conversationHistory: [],
+      timeouts: new Set(),
+      lastActivity: Date.now()
+    });
+    logger.info('Initialized call in voice handler during speech processing:', { CallSid, from });
+  }
+};
+
 // Function to fetch and log Twilio call details
 
 
+// On these a typed number or code may contain a quick-exit key, so only the safe word counts
+const DIGIT_ENTRY_PATHS = ['/voicemail/callback-number', '/voicemail/callback-code-word'];
+
+// A quick-exit turn is never logged: the request logger would write the safe word to the logs
+const isQuickExitRequest = req => !!detectQuickExit(
+  DIGIT_ENTRY_PATHS.includes(req.path) ? { SpeechResult: req.body?.SpeechResult } : req.body
+);
+
 // Apply enhanced middleware to all routes
-router.use(enhancedRequestLogger);
+router.use((req, res, next) => (isQuickExitRequest(req) ? next() : enhancedRequestLogger(req, res, next)));
 router.use(performanceLogger(2000)); // Log requests taking longer than 2 seconds
 router.use(rateLimiter);
 
-// Apply validation to all Twilio routes - moved after twilioVoiceHandler initialization
-// Temporarily disabled to fix timeout issues
-// router.use(twilioVoiceHandler.validateTwilioRequest.bind(twilioVoiceHandler));
+// Every Twilio webhook must carry a valid X-Twilio-Signature; the web client's endpoint is not a webhook
+const WEB_CLIENT_PATHS = ['/web/process'];
+router.use((req, res, next) => (WEB_CLIENT_PATHS.includes(req.path) ? next() : verifyTwilioSignature(req, res, next)));
 
 // Log when the router is initialized
 logger.info('Initializing Twilio routes with enhanced logging');
@@ -127,6 +201,7 @@ logger.info('Initializing Twilio routes with enhanced logging');
  * @param {Object} req.body.CallSid - Twilio call SID
  * @param {Object} req.body.From - Caller phone number
  * @param {Object} req.body.To - Called phone number
+ * @param {string} [req.query.mode] - 'stream' or 'gather', overrides VOICE_MODE for this call
  * @returns {string} TwiML response for Twilio
  */
 router.post('/voice', async (req, res) => {
@@ -138,6 +213,8 @@ router.post('/voice', async (req, res) => {
   const requestId = Math.random().toString(36).substring(7);
   const languageCode = req.body.Language || 'en-US';
   const voice = getLanguageConfig(languageCode)?.voice || 'nova';
+  // Until the caller says where they are, their number's country decides which emergency number they hear
+  const region = resolveRegion({ phoneNumber: From });
   
   logger.info('🎯 VOICE CALL INITIATED', {
     requestId,
@@ -146,23 +223,43 @@ router.post('/voice', async (req, res) => {
     To,
     languageCode,
     voice,
+    country: region.country,
     timestamp: new Date().toISOString()
   });
 
   try {
-    // Get the full configurable welcome message from language config
-    const welcomeMessage = getLanguageConfig(languageCode)?.prompts?.welcome || 
+    // Get the welcome message for the current advocate staffing mode from language config
+    const routingMode = getScheduleEngine().getRoutingMode(languageCode);
+    let welcomeMessage = getWelcomePrompt(languageCode, routingMode, region) || 
                           'Hello, and thank you for reaching out. I\'m here to listen and help you find the support and resources you need.';
+    const languageMenu = isLanguageMenuEnabled();
+    if (languageMenu) {
+      welcomeMessage = `${welcomeMessage} ${buildLanguageMenu(languageCode)}`;
+    }
     
     logger.info('🎯 VOICE CALL - Using welcome message', {
       requestId,
       CallSid,
+      routingMode,
       welcomeMessageLength: welcomeMessage.length,
       welcomeMessage: welcomeMessage.substring(0, 100) + '...',
       voice,
       timestamp: new Date().toISOString()
     });
 
+    // Stream mode: the welcome is spoken over the media stream once it starts
+    const voiceMode = getVoiceMode(req.query?.mode);
+    if (voiceMode === VOICE_MODES.STREAM && handlerManager.wsServer) {
+      const token = handlerManager.wsServer.registerCall(CallSid, From, { voiceMode, language: languageCode, greeting: welcomeMessage });
+      await ensureActiveCall(CallSid, From);
+      const call = handlerManager.activeCalls.get(CallSid);
+      call.voiceMode = voiceMode;
+      handlerManager.activeCalls.set(CallSid, call);
+      logger.info('🎯 VOICE CALL - Connecting media stream', { requestId, CallSid });
+      res.type('text/xml');
+      return res.send(buildStreamTwiml({ url: getStreamUrl(req.headers.host), callSid: CallSid, token, language: languageCode }));
+    }
+
     // Generate TTS-based TwiML for the welcome message
     const metadata = {
       requestId,
@@ -170,6 +267,7 @@ router.post('/voice', async (req, res) => {
       text: welcomeMessage,
       voice,
       isWelcomeMessage: true,
+      languageMenu,
       timestamp: new Date().toISOString()
     };
 
@@ -200,8 +298,8 @@ router.post('/voice', async (req, res) => {
     // Fallback to simple TwiML if TTS generation fails
     const fallbackTwiml = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-  <Say voice="Polly.Amy">${welcomeMessage}</Say>
-  <Gather input="speech" action="/twilio/voice/process" method="POST" 
+  <Say voice="Polly.Amy">${applyRegionNumbers(welcomeMessage, region)}</Say>
+  <Gather ${quickExitGatherXml()} action="/twilio/voice/process" method="POST" 
           speechTimeout="auto" 
           speechModel="phone_call"
           enhanced="true"
@@ -213,6 +311,20 @@ router.post('/voice', async (req, res) => {
   }
 });
 
+/**
+ * Media stream closed before the call ended
+ * Twilio continues with the <Redirect> after <Connect>, so the call carries on with <Gather>.
+ * 
+ * @route POST /twilio/voice/gather
+ * @param {Object} req.body.CallSid - Twilio call SID
+ * @returns {string} TwiML that asks for the caller's next turn
+ */
+router.post('/voice/gather', validateRequest('twilioVoice'), async (req, res) => {
+  const { CallSid, From } = req.body;
+  await ensureActiveCall(CallSid, From);
+  await twilioController.handleStreamClosed(CallSid, res);
+});
+
 /**
  * Endpoint for processing speech input from Twilio
  * This is called when Twilio sends transcribed speech back to the server
@@ -222,7 +334,7 @@ router.post('/voice', async (req, res) => {
  * @param {Object} req.body.SpeechResult - Transcribed speech text
  * @returns {string} TwiML response for Twilio
  */
-router.post('/voice/process', validateRequest('twilioVoice'), async (req, res) => {
+router.post('/voice/process', quickExitBeforeTracing, validateRequest('twilioVoice'), traceTwilioTurn, async (req, res) => {
   console.log('=== ROUTE HANDLER CALLED ===', { 
     CallSid: req.body.CallSid, 
     SpeechResult: req.body.SpeechResult,
@@ -278,7 +390,7 @@ router.post('/voice/process', validateRequest('twilioVoice'), async (req, res) =
       res.status(408).type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
 <Response>
   <Say voice="Polly.Amy">I'm sorry, the request is taking too long. Please try again.</Say>
-  <Gather input="speech" action="/twilio/voice/process" method="POST" 
+  <Gather ${quickExitGatherXml()} action="/twilio/voice/process" method="POST" 
           speechTimeout="auto" 
           speechModel="phone_call"
           enhanced="true"
@@ -288,6 +400,34 @@ router.post('/voice/process', validateRequest('twilioVoice'), async (req, res) =
   }, 8000); // Reduced to 8 seconds for faster response
   
   try {
+    // Keypad input that isn't a quick-exit key: a language menu choice, or ask the caller to speak instead
+    if (CallSid && !SpeechResult && req.body.Digits) {
+      await ensureActiveCall(CallSid, req.body.From);
+      const languageSelection = await twilioController.handleLanguageSelection(CallSid, { digits: req.body.Digits }, requestId);
+      if (languageSelection) {
+        const twiml = await handlerManager.generateTTSBasedTwiML(languageSelection.response, true, languageSelection.language, { requestId, callSid: CallSid });
+        clearTimeout(requestTimeout);
+        res.type('text/xml');
+        return res.send(typeof twiml === 'object' && twiml.toString ? twiml.toString() : twiml);
+      }
+
+      clearTimeout(requestTimeout);
+      const keypadLanguage = handlerManager.activeCalls.get(CallSid)?.language || languageCode;
+      const noSpeechTwiml = new twilio.twiml.VoiceResponse();
+      noSpeechTwiml.say(getLanguageConfig(keypadLanguage)?.prompts?.noSpeech || "I didn't catch that. Could you please repeat?");
+      noSpeechTwiml.gather({
+        ...getQuickExitGatherOptions(),
+        action: '/twilio/voice/process',
+        method: 'POST',
+        speechTimeout: 'auto',
+        speechModel: 'phone_call',
+        enhanced: 'true',
+        language: keypadLanguage
+      });
+      res.type('text/xml');
+      return res.send(noSpeechTwiml.toString());
+    }
+
     // NEW: Return 400 if required fields are missing
     if (!CallSid || !SpeechResult) {
       logger.error('Missing required parameters:', { CallSid, SpeechResult });
@@ -308,18 +448,10 @@ router.post('/voice/process', validateRequest('twilioVoice'), async (req, res) =
     
     logger.info('Processing speech:', { CallSid, SpeechResult });
     
-    // Ensure call is initialized in voice handler (in case it wasn't initialized in voice endpoint)
-    if (!handlerManager.activeCalls.has(CallSid)) {
-      handlerManager.activeCalls.set(CallSid, {
-        from: req.body.From || 'unknown',
-        startTime: Date.now(),
-        hasConsent: false,
-        conversationHistory: [],
-        timeouts: new Set(),
-        lastActivity: Date.now()
-      });
-      logger.info('Initialized call in voice handler during speech processing:', { CallSid, from: req.body.From });
-    }
+    // Ensure call is initialized in voice handler (in case it wasn't initialized in voice endpoint,
+    // or the server restarted mid-call and the call only exists in the context store)
+    await ensureActiveCall(CallSid, req.body.From);
+    let callLanguage = handlerManager.activeCalls.get(CallSid)?.language || languageCode;
     
     // Clean and process speech result
     const originalSpeech = SpeechResult || '';
@@ -328,6 +460,14 @@ router.post('/voice/process', validateRequest('twilioVoice'), async (req, res) =
     // Validate and correct transcription errors
     const validationResult = validateTranscription(originalSpeech, speechConfidence, CallSid);
     cleanedSpeechResult = validationResult.corrected;
+    traceTurnEvent(TRACE_STAGES.SPEECH, { speechResult: originalSpeech, confidence: speechConfidence, language: callLanguage });
+    traceTurnEvent(TRACE_STAGES.VALIDATION, {
+      corrected: validationResult.corrected,
+      confidenceLevel: validationResult.confidenceLevel,
+      isValid: validationResult.isValid,
+      corrections: validationResult.corrections.map(correction => correction.type),
+      shouldReprompt: validationResult.shouldReprompt
+    });
     
     // Add to speech monitor for real-time tracking
     addTranscriptionEntry({
@@ -361,6 +501,17 @@ router.post('/voice/process', validateRequest('twilioVoice'), async (req, res) =
       timestamp: new Date().toISOString()
     });
 
+    // Too many hard-to-understand turns in a row: hand the caller to a person
+    const lowConfidenceTransfer = await twilioController.handleSpeechConfidence(CallSid, validationResult.confidenceLevel, requestId);
+    if (lowConfidenceTransfer) {
+      clearTimeout(requestTimeout);
+      if (!res.headersSent) {
+        res.type('text/xml');
+        return res.send(lowConfidenceTransfer.transferTwiml);
+      }
+      return;
+    }
+
     // Handle very low confidence transcriptions by asking for clarification
     if (validationResult.shouldReprompt) {
       logger.info('🔊 SPEECH TRANSCRIPTION DEBUG - Very low confidence, asking for clarification', {
@@ -375,13 +526,13 @@ router.post('/voice/process', validateRequest('twilioVoice'), async (req, res) =
       const repromptTwiml = new twilio.twiml.VoiceResponse();
       repromptTwiml.say(repromptMessage);
       repromptTwiml.gather({
-        input: 'speech',
+        ...getQuickExitGatherOptions(),
         action: '/twilio/voice/process',
         method: 'POST',
         speechTimeout: 'auto',
         speechModel: 'phone_call',
         enhanced: 'true',
-        language: languageCode
+        language: callLanguage
       });
 
       clearTimeout(requestTimeout);
@@ -437,8 +588,22 @@ router.post('/voice/process', validateRequest('twilioVoice'), async (req, res) =
     
     // Extract response and flags from processResult (similar to handleSpeechInput)
     const response = typeof processedResponse === 'string' ? processedResponse : processedResponse.response;
+    // The caller may have switched language on this turn
+    callLanguage = handlerManager.activeCalls.get(CallSid)?.language || callLanguage;
     const shouldEndCall = typeof processedResponse === 'object' && processedResponse.shouldEndCall;
     const shouldRedirectToConsent = typeof processedResponse === 'object' && processedResponse.shouldRedirectToConsent;
+    const transferTwiml = typeof processedResponse === 'object' && processedResponse.transferTwiml;
+    
+    // Handle warm transfer to a human advocate
+    if (transferTwiml) {
+      logger.info('Transferring call to an advocate:', { requestId, CallSid });
+      if (!res.headersSent) {
+        res.type('text/xml');
+        return res.send(transferTwiml);
+      }
+      logger.warn('Headers already sent, cannot send transfer TwiML:', { requestId, CallSid });
+      return;
+    }
     
     // Handle consent redirect
     if (shouldRedirectToConsent) {
@@ -475,7 +640,7 @@ router.post('/voice/process', validateRequest('twilioVoice'), async (req, res) =
       };
       
       twiml = await Promise.race([
-        handlerManager.generateTTSBasedTwiML(response, !shouldEndCall, null, metadata),
+        handlerManager.generateTTSBasedTwiML(response, !shouldEndCall, callLanguage, metadata),
         new Promise((_, reject) => 
           setTimeout(() => reject(new Error('TwiML generation timeout')), 5000) // Reduced from 12000 to 5000ms
         )
@@ -495,13 +660,13 @@ router.post('/voice/process', validateRequest('twilioVoice'), async (req, res) =
       
       if (!shouldEndCall) {
         fallbackTwiml.gather({
-          input: 'speech',
+          ...getQuickExitGatherOptions(),
           action: '/twilio/voice/process',
           method: 'POST',
           speechTimeout: 'auto',
           speechModel: 'phone_call',
           enhanced: 'true',
-          language: 'en-US'
+          language: callLanguage
         });
       }
       
@@ -560,7 +725,7 @@ router.post('/voice/process', validateRequest('twilioVoice'), async (req, res) =
       const errorTwiml = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
   <Say voice="Polly.Amy">I'm sorry, I encountered an error processing your request. Please try again.</Say>
-  <Gather input="speech" action="/twilio/voice/process" method="POST" 
+  <Gather ${quickExitGatherXml()} action="/twilio/voice/process" method="POST" 
           speechTimeout="auto" 
           speechModel="phone_call"
           enhanced="true"
@@ -602,9 +767,9 @@ router.post('/status', validateRequest('callStatus'), async (req, res) => {
       await twilioController.handleCallStatus(CallSid, CallStatus, res);
 });
 
-router.post('/recording', validateRequest('recording'), (req, res) => {
+router.post('/recording', validateRequest('recording'), async (req, res) => {
   const { RecordingSid, RecordingUrl, CallSid } = req.body;
-      twilioController.handleRecording(RecordingSid, RecordingUrl, CallSid, res);
+      await twilioController.handleRecording(RecordingSid, RecordingUrl, CallSid, res);
 });
 
 router.post('/sms', validateRequest('twilioSMS'), async (req, res) => {
@@ -612,6 +777,186 @@ router.post('/sms', validateRequest('twilioSMS'), async (req, res) => {
       await twilioController.handleSMS(From, Body, res);
 });
 
+// ============================================================================
+// WARM TRANSFER
+// ============================================================================
+// <Dial> callbacks for handing the caller to a human advocate or hotline
+
+/**
+ * Whisper played to the advocate after they answer, before the calls are bridged
+ * 
+ * @route POST /twilio/transfer/whisper
+ * @param {string} req.query.callSid - Caller's call SID (the request's own CallSid is the advocate leg)
+ * @returns {string} TwiML with the context summary
+ */
+router.post('/transfer/whisper', async (req, res) => {
+  const callSid = req.query.callSid || req.body.ParentCallSid;
+  if (callSid && !handlerManager.activeCalls.has(callSid)) {
+    await handlerManager.restoreCall(callSid);
+  }
+  await twilioController.handleTransferWhisper(callSid, res);
+});
+
+/**
+ * <Dial> action: called when the transfer ends or fails
+ * 
+ * @route POST /twilio/transfer/status
+ * @param {Object} req.body.CallSid - Caller's call SID
+ * @param {Object} req.body.DialCallStatus - completed, answered, busy, no-answer, failed or canceled
+ * @returns {string} TwiML that hangs up, or returns the caller to the assistant
+ */
+router.post('/transfer/status', validateRequest('twilioVoice'), async (req, res) => {
+  const { CallSid, DialCallStatus } = req.body;
+  if (CallSid && !handlerManager.activeCalls.has(CallSid)) {
+    await handlerManager.restoreCall(CallSid);
+  }
+  await twilioController.handleTransferStatus(CallSid, DialCallStatus, res);
+});
+
+/**
+ * <Record> action: called when a caller finishes leaving a message for the advocates
+ * 
+ * @route POST /twilio/voicemail/complete
+ * @param {Object} req.body.CallSid - Caller's call SID
+ * @param {Object} req.body.RecordingSid - Recording SID (absent if nothing was recorded)
+ * @returns {string} TwiML that returns the caller to the assistant
+ */
+router.post('/voicemail/complete', validateRequest('twilioVoice'), async (req, res) => {
+  const { CallSid, RecordingSid } = req.body;
+  if (CallSid && !handlerManager.activeCalls.has(CallSid)) {
+    await handlerManager.restoreCall(CallSid);
+  }
+  await twilioController.handleVoicemailComplete(CallSid, RecordingSid, res);
+});
+
+/**
+ * Safe callback number, spoken or typed, after a voicemail
+ * 
+ * @route POST /twilio/voicemail/callback-number
+ * @param {Object} req.body.CallSid - Caller's call SID
+ * @param {Object} req.body.SpeechResult - Spoken number, "this number" or "no"
+ * @param {Object} req.body.Digits - Keypad number
+ * @returns {string} TwiML asking for a safe time, or returning the caller to the assistant
+ */
+router.post('/voicemail/callback-number', validateRequest('twilioVoice'), async (req, res) => {
+  // Only the safe word ends the call here: a typed phone number may contain a quick-exit key
+  if (await handleQuickExitIfRequested(req, res, { SpeechResult: req.body.SpeechResult })) {
+    return;
+  }
+  const { CallSid, SpeechResult, Digits } = req.body;
+  if (CallSid && !handlerManager.activeCalls.has(CallSid)) {
+    await handlerManager.restoreCall(CallSid);
+  }
+  await twilioController.handleVoicemailCallbackNumber(CallSid, SpeechResult, Digits, res);
+});
+
+/**
+ * Safe callback time after a voicemail
+ * 
+ * @route POST /twilio/voicemail/callback-time
+ * @param {Object} req.body.CallSid - Caller's call SID
+ * @param {Object} req.body.SpeechResult - When it is safe to call, e.g. "between 2 and 4 PM"
+ * @returns {string} TwiML confirming the callback and returning the caller to the assistant
+ */
+router.post('/voicemail/callback-time', validateRequest('twilioVoice'), async (req, res) => {
+  if (await handleQuickExitIfRequested(req, res)) {
+    return;
+  }
+  const { CallSid, SpeechResult } = req.body;
+  if (CallSid && !handlerManager.activeCalls.has(CallSid)) {
+    await handlerManager.restoreCall(CallSid);
+  }
+  await twilioController.handleVoicemailCallbackTime(CallSid, SpeechResult, res);
+});
+
+/**
+ * Code word for the safe callback, after a voicemail
+ * 
+ * @route POST /twilio/voicemail/callback-code-word
+ * @param {Object} req.body.CallSid - Caller's call SID
+ * @param {Object} req.body.SpeechResult - Spoken code word
+ * @param {Object} req.body.Digits - Keypad code
+ * @returns {string} TwiML confirming the callback and returning the caller to the assistant
+ */
+router.post('/voicemail/callback-code-word', validateRequest('twilioVoice'), async (req, res) => {
+  // Only the safe word ends the call here: a typed code may contain a quick-exit key
+  if (await handleQuickExitIfRequested(req, res, { SpeechResult: req.body.SpeechResult })) {
+    return;
+  }
+  const { CallSid, SpeechResult, Digits } = req.body;
+  if (CallSid && !handlerManager.activeCalls.has(CallSid)) {
+    await handlerManager.restoreCall(CallSid);
+  }
+  await twilioController.handleVoicemailCallbackCodeWord(CallSid, SpeechResult, Digits, res);
+});
+
+// ============================================================================
+// SAFE CALLBACKS
+// ============================================================================
+// Outbound calls placed by the callback scheduler; ?task= names the callback task
+
+/**
+ * Outbound callback answered
+ * 
+ * @route POST /twilio/callback/answer
+ * @param {string} req.query.task - Callback task ID
+ * @param {Object} req.body.AnsweredBy - Answering machine detection result
+ * @returns {string} TwiML asking for the code word
+ */
+router.post('/callback/answer', validateRequest('twilioVoice'), async (req, res) => {
+  await twilioController.handleCallbackAnswer(req.query.task, req.body.AnsweredBy, res);
+});
+
+/**
+ * Code word given on an outbound callback
+ * 
+ * @route POST /twilio/callback/verify
+ * @param {string} req.query.task - Callback task ID
+ * @param {string} [req.query.retry] - Set once the code word has been asked for twice
+ * @param {Object} req.body.SpeechResult - Spoken code word
+ * @param {Object} req.body.Digits - Keypad code
+ * @returns {string} TwiML connecting an advocate, or hanging up
+ */
+router.post('/callback/verify', validateRequest('twilioVoice'), async (req, res) => {
+  const { CallSid, SpeechResult, Digits } = req.body;
+  await twilioController.handleCallbackVerify(req.query.task, CallSid, SpeechResult, Digits, req.query.retry === '1', res);
+});
+
+/**
+ * Whisper played to the advocate before a callback is bridged
+ * 
+ * @route POST /twilio/callback/whisper
+ * @param {string} req.query.task - Callback task ID
+ * @returns {string} TwiML
+ */
+router.post('/callback/whisper', async (req, res) => {
+  await twilioController.handleCallbackWhisper(req.query.task, res);
+});
+
+/**
+ * <Dial> action: the advocate leg of a callback ended
+ * 
+ * @route POST /twilio/callback/connected
+ * @param {string} req.query.task - Callback task ID
+ * @param {Object} req.body.DialCallStatus - completed, answered, busy, no-answer, failed or canceled
+ * @returns {string} TwiML that hangs up
+ */
+router.post('/callback/connected', validateRequest('twilioVoice'), async (req, res) => {
+  await twilioController.handleCallbackConnected(req.query.task, req.body.DialCallStatus, res);
+});
+
+/**
+ * Status callback for outbound callbacks
+ * 
+ * @route POST /twilio/callback/status
+ * @param {string} req.query.task - Callback task ID
+ * @param {Object} req.body.CallStatus - completed, busy, no-answer, failed or canceled
+ */
+router.post('/callback/status', validateRequest('twilioVoice'), async (req, res) => {
+  const { CallSid, CallStatus } = req.body;
+  await twilioController.handleCallbackStatus(req.query.task, CallSid, CallStatus, res);
+});
+
 // ============================================================================
 // CONSENT AND SMS FUNCTIONALITY
 // ============================================================================
@@ -627,10 +972,35 @@ router.post('/sms', validateRequest('twilioSMS'), async (req, res) => {
  * @returns {string} TwiML response confirming consent and ending call
  */
 router.post('/consent', validateRequest('twilioVoice'), async (req, res) => {
+  if (await handleQuickExitIfRequested(req, res)) {
+    return;
+  }
   const { CallSid, SpeechResult } = req.body;
+  if (CallSid && !handlerManager.activeCalls.has(CallSid)) {
+    await handlerManager.restoreCall(CallSid);
+  }
       await twilioController.handleConsent(CallSid, SpeechResult, res);
 });
 
+/**
+ * Discreet text preference, asked after the caller agrees to a text
+ * 
+ * @route POST /twilio/consent/discreet
+ * @param {Object} req.body.CallSid - Twilio call SID
+ * @param {Object} req.body.SpeechResult - Whether to keep the text discreet, and optionally a safe time
+ * @returns {string} TwiML confirming when the text will arrive and ending call
+ */
+router.post('/consent/discreet', validateRequest('twilioVoice'), async (req, res) => {
+  if (await handleQuickExitIfRequested(req, res)) {
+    return;
+  }
+  const { CallSid, SpeechResult } = req.body;
+  if (CallSid && !handlerManager.activeCalls.has(CallSid)) {
+    await handlerManager.restoreCall(CallSid);
+  }
+  await twilioController.handleDiscreetConsent(CallSid, SpeechResult, res);
+});
+
 // ============================================================================
 // WEB-BASED FUNCTIONALITY
 // ============================================================================
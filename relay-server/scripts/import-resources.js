@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Import shelters and services into the local resource directory
+ *
+ * Usage: node scripts/import-resources.js <file.csv|file.json> [--output path] [--replace]
+ *
+ * Rows are validated and merged by id into the directory file
+ * (RESOURCE_DIRECTORY_FILE, default ./data/resource-directory.json).
+ * See data/resource-directory.example.csv for the CSV columns.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../lib/config/index.js';
+import { ResourceDirectory, parseResourceCsv, normalizeResource } from '../lib/resourceDirectory.js';
+
+const args = process.argv.slice(2);
+const inputFile = args.find(arg => !arg.startsWith('--'));
+const outputIndex = args.indexOf('--output');
+const outputFile = outputIndex >= 0 ? args[outputIndex + 1] : config.resources.directoryFile;
+const replace = args.includes('--replace');
+
+if (!inputFile) {
+  console.error('Usage: node scripts/import-resources.js <file.csv|file.json> [--output path] [--replace]');
+  process.exit(1);
+}
+
+const content = fs.readFileSync(inputFile, 'utf8');
+const records = path.extname(inputFile).toLowerCase() === '.csv' ? parseResourceCsv(content) : JSON.parse(content);
+
+const errors = [];
+const imported = [];
+records.forEach((record, index) => {
+  try {
+    imported.push(normalizeResource(record));
+  } catch (error) {
+    errors.push(`Record ${index + 1}: ${error.message}`);
+  }
+});
+
+if (errors.length > 0) {
+  console.error(`Import aborted, ${errors.length} invalid record(s):\n${errors.join('\n')}`);
+  process.exit(1);
+}
+
+const directory = replace || !fs.existsSync(outputFile)
+  ? new ResourceDirectory()
+  : ResourceDirectory.fromFiles([outputFile]);
+directory.add(imported);
+
+fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+fs.writeFileSync(outputFile, JSON.stringify(directory.resources, null, 2) + '\n');
+
+const verified = imported.filter(resource => resource.verified).length;
+console.log(`Imported ${imported.length} resource(s) (${verified} verified) into ${outputFile}; directory now has ${directory.resources.length}`);
@@ -32,6 +32,8 @@ import { config } from './lib/config.js';
 import createTwilioRouter from './routes/twilio.js';
 import healthRoutes from './routes/health.js';
 import speechMonitorRoutes from './routes/speech-monitor.js';
+import linkRoutes from './routes/links.js';
+import adminRoutes from './routes/admin.js';
 import { TwilioWebSocketServer } from './websocketServer.js';
 import logger from './lib/logger.js';
 import { SearchIntegration } from './integrations/searchIntegration.js';
@@ -42,6 +44,11 @@ import { errorHandler } from './middleware/validation.js';
 import { enhancedRequestLogger, enhancedErrorLogger, skipHealthCheckLogging } from './middleware/logging.js';
 import { performanceMonitoring, errorTracking, startMemoryMonitoring } from './middleware/performanceMonitoring.js';
 import { OpenAIIntegration } from './integrations/openaiIntegration.js';
+import { hydrateConversationContexts } from './lib/intentClassifier.js';
+import { validateLanguageConfig } from './lib/languageConfig.js';
+import { validateFlow } from './lib/conversationFlow.js';
+import { conversationFlowConfig } from './lib/conversationConfig.js';
+import { startCallbackScheduler } from './lib/callbackScheduler.js';
 
 // ES Module compatibility: Get the directory name for __dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -198,6 +205,12 @@ app.use('/health', healthRoutes);
 // Mount speech monitoring routes
 app.use('/speech-monitor', speechMonitorRoutes);
 
+// Short links used in discreet texts
+app.use('/l', linkRoutes);
+
+// Admin exports (token protected)
+app.use('/admin', adminRoutes);
+
 // Simple test route to verify basic routing works
 app.get('/test', (req, res) => {
   res.json({ message: 'Basic routing works', timestamp: new Date().toISOString() });
@@ -277,6 +290,11 @@ function mountTestRoutes(appInstance) {
     getConversationContext: () => Promise.resolve(null),
     updateConversationContext: () => {},
     cleanupCall: () => {},
+    purgeCall: () => Promise.resolve(),
+    restoreCall: () => Promise.resolve(null),
+    getSafetyPlan: () => Promise.resolve(null),
+    saveSafetyPlan: () => Promise.resolve(null),
+    buildContextSummary: () => Promise.resolve({ hasContext: false }),
     sendSMSWithRetry: () => Promise.resolve(),
     setWebSocketServer: () => {}
   };
@@ -312,6 +330,22 @@ function startServer() {
       logger.info('⚙️  Services initializing...');
     }
     
+    // Report languages with missing prompts or broken placeholders; callers in them hear fallback text
+    for (const [language, issues] of Object.entries(validateLanguageConfig())) {
+      logger.warn(`⚠️  Language ${language} is incomplete: ${issues.join('; ')}`);
+    }
+    
+    // Every conversation turn goes through the flow, so a broken one is an error rather than a warning
+    const flowProblems = validateFlow(conversationFlowConfig);
+    if (flowProblems.length > 0) {
+      logger.error(`❌ Conversation flow is invalid: ${flowProblems.join('; ')}`);
+    }
+    
+    // Callbacks are only placed by a running server, never in tests
+    if (startCallbackScheduler()) {
+      logger.info('📞 Safe callback scheduler started');
+    }
+    
     logger.info('✅ Server startup complete');
   }).on('error', (err) => {
     logger.error('❌ Failed to start server:', err);
@@ -354,6 +388,9 @@ if (process.env.NODE_ENV !== 'test') {
       // Initialize the handler manager with all dependencies
       handlerManager = new HandlerManager(Object.fromEntries(serviceManager.getAllServices()), dependencies);
       
+      // Restore conversation contexts for calls that were live before a restart
+      await hydrateConversationContexts();
+      
       // Create and mount Twilio routes with injected handlerManager
       try {
         const twilioRoutes = createTwilioRouter(handlerManager);
@@ -407,6 +444,11 @@ if (process.env.NODE_ENV !== 'test') {
         getConversationContext: () => Promise.resolve(null),
         updateConversationContext: () => {},
         cleanupCall: () => {},
+        purgeCall: () => Promise.resolve(),
+        restoreCall: () => Promise.resolve(null),
+        getSafetyPlan: () => Promise.resolve(null),
+        saveSafetyPlan: () => Promise.resolve(null),
+        buildContextSummary: () => Promise.resolve({ hasContext: false }),
         sendSMSWithRetry: () => Promise.resolve(),
         setWebSocketServer: () => {},
         preprocessSpeech: (speech) => speech,
@@ -449,6 +491,11 @@ if (process.env.NODE_ENV !== 'test') {
     getConversationContext: () => Promise.resolve(null),
     updateConversationContext: () => {},
     cleanupCall: () => {},
+    purgeCall: () => Promise.resolve(),
+    restoreCall: () => Promise.resolve(null),
+    getSafetyPlan: () => Promise.resolve(null),
+    saveSafetyPlan: () => Promise.resolve(null),
+    buildContextSummary: () => Promise.resolve({ hasContext: false }),
     sendSMSWithRetry: () => Promise.resolve(),
     setWebSocketServer: () => {}
   };
@@ -10,6 +10,8 @@ import logger from '../lib/logger.js';
 import { TTSIntegration } from '../integrations/ttsIntegration.js';
 import { OpenAIIntegration } from '../integrations/openaiIntegration.js';
 import { speechRecognitionIntegration } from '../integrations/speechRecognitionIntegration.js';
+import { getLanguageConfig } from '../lib/languageConfig.js';
+import { stripSSMLForTTS } from '../lib/ssmlTemplates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,6 +23,15 @@ const openAIIntegration = new OpenAIIntegration();
 const CHUNK_SIZE = 1024 * 1024; // 1MB chunks
 const MAX_CHUNKS = 10; // Maximum number of chunks to process at once
 
+// Media streams carry 8kHz mu-law; OpenAI's raw "pcm" speech is 24kHz 16-bit
+const STREAM_SAMPLE_RATE = 8000;
+const OPENAI_PCM_SAMPLE_RATE = 24000;
+const ULAW_BIAS = 0x84;
+const ULAW_CLIP = 32635;
+
+// Whisper takes ISO 639-1 codes; Tagalog is "tl" rather than "fil"
+const WHISPER_LANGUAGES = { fil: 'tl' };
+
 // Cache configuration
 const CACHE_DIR = path.join(process.cwd(), 'cache');
 const CACHE_TTL = 1000 * 60 * 60 * 24; // 24 hours in milliseconds
@@ -131,8 +142,90 @@ export class AudioService {
     const sign = (ulaw & 0x80) ? -1 : 1;
     const exponent = (ulaw & 0x70) >> 4;
     const mantissa = ulaw & 0x0F;
-    const sample = sign * ((mantissa << 3) + 0x84) << exponent;
-    return sample - 0x84;
+    // The bias is added before the shift and removed from the magnitude, not the signed sample
+    const magnitude = (((mantissa << 3) + ULAW_BIAS) << exponent) - ULAW_BIAS;
+    return sign * magnitude;
+  }
+
+  // Linear 16-bit sample to μ-law (G.711)
+  linear2ulaw(sample) {
+    const sign = sample < 0 ? 0x80 : 0;
+    const magnitude = Math.min(Math.abs(sample), ULAW_CLIP) + ULAW_BIAS;
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+      exponent--;
+    }
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0F;
+    return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+  }
+
+  // Convert PCM (16-bit) to μ-law for Twilio media frames
+  pcmToUlaw(pcmData) {
+    const ulawData = Buffer.alloc(Math.floor(pcmData.length / 2));
+    for (let i = 0; i < ulawData.length; i++) {
+      ulawData[i] = this.linear2ulaw(pcmData.readInt16LE(i * 2));
+    }
+    return ulawData;
+  }
+
+  // Resample 16-bit PCM by averaging (down) or repeating (up) the nearest samples
+  resamplePcm(pcmData, fromRate, toRate) {
+    if (fromRate === toRate) return pcmData;
+    const inputSamples = Math.floor(pcmData.length / 2);
+    const outputSamples = Math.floor(inputSamples * toRate / fromRate);
+    const output = Buffer.alloc(outputSamples * 2);
+    const step = fromRate / toRate;
+    for (let i = 0; i < outputSamples; i++) {
+      const start = Math.floor(i * step);
+      const end = Math.max(start + 1, Math.min(inputSamples, Math.floor((i + 1) * step)));
+      let sum = 0;
+      for (let j = start; j < end; j++) {
+        sum += pcmData.readInt16LE(j * 2);
+      }
+      output.writeInt16LE(Math.round(sum / (end - start)), i * 2);
+    }
+    return output;
+  }
+
+  // Wrap raw 16-bit mono PCM in a WAV header so Whisper can read it
+  pcmToWav(pcmData, sampleRate = STREAM_SAMPLE_RATE) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcmData.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(pcmData.length, 40);
+    return Buffer.concat([header, pcmData]);
+  }
+
+  // Transcribe one chunk of streamed caller audio (8kHz PCM) in the call's language
+  async transcribeStreamChunk(pcmData, languageCode = null) {
+    const language = languageCode ? languageCode.split('-')[0].toLowerCase() : null;
+    const text = await speechRecognitionIntegration.transcribeAudio({
+      audioBuffer: this.pcmToWav(pcmData),
+      model: 'whisper-1',
+      ...(language && { language: WHISPER_LANGUAGES[language] || language }),
+      responseFormat: 'text'
+    });
+    return typeof text === 'string' ? text.trim() : '';
+  }
+
+  // Speech for a media stream: 8kHz μ-law in the language's OpenAI voice
+  async synthesizeForStream(text, languageCode = 'en-US') {
+    const pcm = await this.openAI.createTTS({
+      text: stripSSMLForTTS(text),
+      voice: getLanguageConfig(languageCode).openaiVoice,
+      responseFormat: 'pcm'
+    });
+    return this.pcmToUlaw(this.resamplePcm(pcm, OPENAI_PCM_SAMPLE_RATE, STREAM_SAMPLE_RATE));
   }
 
   // Transcribe audio using Whisper
@@ -1,11 +1,23 @@
 import { config } from '../lib/config.js';
 import logger from '../lib/logger.js';
 import { OpenAIIntegration } from '../integrations/openaiIntegration.js';
+import { toDiscreetText } from '../lib/smsSafeguards.js';
+import { getResponseLanguageInstruction } from '../lib/languageConfig.js';
+import { StoredMap } from '../lib/storage/storedMap.js';
+
+// For summaries that may be read by someone other than the caller
+const DISCREET_SUMMARY_INSTRUCTIONS = 'Someone else may read this summary. Use neutral, everyday wording: do not mention domestic violence, abuse, shelters, advocates or safety planning. Describe services generically, such as "housing help" or "a support line", and keep phone numbers.';
 
 export class CallSummaryService {
-  constructor(openAIIntegrationInstance = new OpenAIIntegration()) {
+  /**
+   * @param {Object} [openAIIntegrationInstance] - OpenAI integration
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Context store (defaults to the shared store)
+   */
+  constructor(openAIIntegrationInstance = new OpenAIIntegration(), { store } = {}) {
     this.openAI = openAIIntegrationInstance;
-    this.callHistory = new Map();
+    // Transcript so far per call, written through to the encrypted context store
+    this.callHistory = new StoredMap('callHistory', { store });
   }
 
   addToHistory(callSid, message) {
@@ -13,11 +25,23 @@ export class CallSummaryService {
       this.callHistory.set(callSid, []);
     }
     this.callHistory.get(callSid).push(message);
+    this.callHistory.save(callSid);
+  }
+
+  clearHistory(callSid) {
+    this.callHistory.delete(callSid);
   }
 
-  async generateSummary(callSid) {
+  /**
+   * @param {string} callSid - Call SID
+   * @param {Object} [options]
+   * @param {boolean} [options.discreet] - Neutral wording for a caller who asked for discreet texts
+   * @param {string} [options.language] - Language the call was held in; the summary is written in it
+   * @returns {Promise<string>} Summary text
+   */
+  async generateSummary(callSid, { discreet = false, language = null } = {}) {
     try {
-      const history = this.callHistory.get(callSid) || [];
+      const history = await this.callHistory.load(callSid) || [];
       if (history.length === 0) {
         return 'No conversation history available.';
       }
@@ -28,6 +52,7 @@ ${history.map(msg => `${msg.role}: ${msg.content}`).join('\n')}
 
 Summary:`;
 
+      const languageInstruction = getResponseLanguageInstruction(language);
       const response = await this.openAI.createChatCompletion({
         model: config.GPT35_MODEL,
         messages: [
@@ -36,13 +61,14 @@ Summary:`;
             content: prompt
           }
         ],
-        systemPrompt: 'You are a helpful assistant that summarizes conversations. Focus on key points, resources provided, and any action items.',
+        systemPrompt: `You are a helpful assistant that summarizes conversations. Focus on key points, resources provided, and any action items.${discreet ? ` ${DISCREET_SUMMARY_INSTRUCTIONS}` : ''}${languageInstruction ? ` ${languageInstruction}` : ''}`,
         maxTokens: 500,
         temperature: 0.7
       });
 
       const summary = response.choices[0].message.content;
-      return summary;
+      // The model does not always follow the instructions, so the wording is checked as well
+      return discreet ? await toDiscreetText(summary) : summary;
     } catch (error) {
       logger.error('Error generating call summary:', error);
       return 'Error generating call summary.';
@@ -1,9 +1,7 @@
 import { BaseService } from '../base/BaseService.js';
 import { config } from '../../lib/config/index.js';
 import { isNotEmpty } from '../../lib/utils/validation.js';
-import crypto from 'crypto';
-import fs from 'fs/promises';
-import path from 'path';
+import { StoredMap } from '../../lib/storage/storedMap.js';
 
 /**
  * Context Service
@@ -18,8 +16,9 @@ export class ContextService extends BaseService {
       maxHistoryItems: 10,
       ...config 
     };
-    this.contexts = new Map();
-    this.storageDir = './cache/contexts';
+    // In-memory copy of every context, written through to the encrypted context store
+    this.contexts = new StoredMap('contexts', { store: this.config.store });
+    this.storageDir = this.config.storageDir || './cache/contexts';
   }
   
   /**
@@ -29,8 +28,7 @@ export class ContextService extends BaseService {
     try {
       this.logOperation('initializing');
       
-      // Create storage directory
-      await fs.mkdir(this.storageDir, { recursive: true });
+      await this.contexts.store.init();
       
       // Load persisted contexts
       await this.loadPersistedContexts();
@@ -43,29 +41,16 @@ export class ContextService extends BaseService {
   }
   
   /**
-   * Load persisted contexts from disk
+   * Load persisted contexts from the context store
    */
   async loadPersistedContexts() {
     try {
-      const files = await fs.readdir(this.storageDir);
-      const contextFiles = files.filter(file => file.endsWith('.json'));
+      await this.contexts.hydrate();
       
-      for (const file of contextFiles) {
-        try {
-          const filePath = path.join(this.storageDir, file);
-          const data = await fs.readFile(filePath, 'utf8');
-          const context = JSON.parse(data);
-          
-          // Check if context is still valid
-          if (this.isContextValid(context)) {
-            const callSid = file.replace('.json', '');
-            this.contexts.set(callSid, context);
-          } else {
-            // Remove expired context file
-            await fs.unlink(filePath).catch(() => {});
-          }
-        } catch (error) {
-          this.logger.warn(`Failed to load context file ${file}:`, error.message);
+      // Drop contexts that timed out while the server was down
+      for (const [callSid, context] of Array.from(this.contexts.entries())) {
+        if (!this.isContextValid(context)) {
+          this.contexts.delete(callSid);
         }
       }
       
@@ -82,7 +67,7 @@ export class ContextService extends BaseService {
    */
   async getConversationContext(callSid) {
     try {
-      const context = this.contexts.get(callSid);
+      const context = this.contexts.get(callSid) || await this.contexts.load(callSid);
       
       if (!context) {
         return null;
@@ -127,7 +112,6 @@ export class ContextService extends BaseService {
         context = this.validateAndCleanContext(context);
         
         // Store updated context
-        this.contexts.set(callSid, context);
         await this.persistContext(callSid, context);
         
         this.logOperation('context updated', { 
@@ -157,10 +141,15 @@ export class ContextService extends BaseService {
       emotionalTone: null,
       language: 'en-US',
       intent: null,
+      lastIntent: null,
       lastQuery: null,
       lastResults: null,
       safetyLevel: 'unknown',
-      emergencyDetected: false
+      emergencyDetected: false,
+      safetyPlan: null,
+      flowState: null,
+      locationSlot: null,
+      locationQuestion: null
     };
   }
   
@@ -206,6 +195,11 @@ export class ContextService extends BaseService {
       updated.intent = update.intent;
     }
     
+    // Update the intent IntentHandler last classified if provided
+    if (update.lastIntent) {
+      updated.lastIntent = update.lastIntent;
+    }
+    
     // Update last query if provided
     if (update.lastQuery) {
       updated.lastQuery = update.lastQuery;
@@ -226,9 +220,48 @@ export class ContextService extends BaseService {
       updated.emergencyDetected = update.emergencyDetected;
     }
     
+    // Update guided safety plan state if provided (null clears it)
+    if (update.safetyPlan !== undefined) {
+      updated.safetyPlan = update.safetyPlan;
+    }
+    
+    // Update conversation flow state if provided (see lib/conversationFlow.js)
+    if (update.flowState) {
+      updated.flowState = update.flowState;
+    }
+    
+    // Update the location slot and the question pending about it if provided (null clears them)
+    if (update.locationSlot !== undefined) {
+      updated.locationSlot = update.locationSlot;
+    }
+    if (update.locationQuestion !== undefined) {
+      updated.locationQuestion = update.locationQuestion;
+    }
+    
     return updated;
   }
   
+  /**
+   * Get the guided safety plan state for a call
+   * @param {string} callSid - Call SID
+   * @returns {Promise<Object|null>} Safety plan state or null if none started
+   */
+  async getSafetyPlan(callSid) {
+    const context = await this.getConversationContext(callSid);
+    return context?.safetyPlan || null;
+  }
+  
+  /**
+   * Save the guided safety plan state so it can be resumed later in the call
+   * @param {string} callSid - Call SID
+   * @param {Object|null} safetyPlan - Safety plan state
+   * @returns {Promise<Object|null>} Saved state, or null if the context could not be updated
+   */
+  async saveSafetyPlan(callSid, safetyPlan) {
+    const result = await this.updateConversationContext(callSid, { safetyPlan });
+    return result.success ? result.data.safetyPlan : null;
+  }
+  
   /**
    * Add interaction to history
    * @param {Array} history - Current history
@@ -295,7 +328,6 @@ export class ContextService extends BaseService {
    */
   async clearConversationContext(callSid) {
     try {
-      this.contexts.delete(callSid);
       await this.removePersistedContext(callSid);
       this.logOperation('context cleared', { callSid });
     } catch (error) {
@@ -442,30 +474,22 @@ export class ContextService extends BaseService {
   }
   
   /**
-   * Persist context to disk
+   * Store context in memory and the encrypted context store
    * @param {string} callSid - Call SID
    * @param {Object} context - Context to persist
    */
   async persistContext(callSid, context) {
-    try {
-      const filePath = path.join(this.storageDir, `${callSid}.json`);
-      await fs.writeFile(filePath, JSON.stringify(context, null, 2));
-    } catch (error) {
-      this.logger.warn('Failed to persist context:', error.message);
-    }
+    this.contexts.set(callSid, context);
+    await this.contexts.flush(callSid);
   }
   
   /**
-   * Remove persisted context from disk
+   * Remove context from memory and the context store
    * @param {string} callSid - Call SID
    */
   async removePersistedContext(callSid) {
-    try {
-      const filePath = path.join(this.storageDir, `${callSid}.json`);
-      await fs.unlink(filePath);
-    } catch (error) {
-      // Ignore errors when removing context files
-    }
+    this.contexts.delete(callSid);
+    await this.contexts.flush(callSid);
   }
   
   /**
@@ -516,15 +540,7 @@ export class ContextService extends BaseService {
    */
   async isHealthy() {
     try {
-      // Check if storage directory is accessible
-      await fs.access(this.storageDir);
-      
-      // Check if we can read/write
-      const testFile = path.join(this.storageDir, 'health-check.json');
-      await fs.writeFile(testFile, JSON.stringify({ test: true }));
-      await fs.unlink(testFile);
-      
-      return true;
+      return await this.contexts.store.isHealthy();
     } catch (error) {
       this.logger.error('Context service health check failed:', error.message);
       return false;
@@ -538,6 +554,7 @@ export class ContextService extends BaseService {
   getStatus() {
     return {
       storageDirectory: this.storageDir,
+      store: this.contexts.store.getStatus(),
       conversationTimeout: this.config.conversationTimeout,
       maxHistoryItems: this.config.maxHistoryItems,
       stats: this.getContextStats()
@@ -0,0 +1,225 @@
+import logger from '../lib/logger.js';
+import { config } from '../lib/config/index.js';
+import { VoiceActivityDetector, VAD_EVENTS } from '../lib/voiceActivity.js';
+import { splitIntoSentences, toMediaFrames } from '../lib/mediaStream.js';
+
+/**
+ * One call's bidirectional media stream
+ *
+ * Caller audio runs through voice-activity detection; each utterance (or each
+ * chunk of a long one) is transcribed as soon as it is cut, and the joined
+ * transcript goes to the turn handler, which runs the same conversation
+ * pipeline as <Gather> turns. Replies are synthesized a sentence at a time and
+ * sent back as media frames, with a mark after each sentence so we know what
+ * the caller has heard. Speech from the caller while a reply is playing is a
+ * barge-in: Twilio's buffer is cleared and the rest of the reply is dropped.
+ * Too many failures in a row close the stream so the call falls back to <Gather>.
+ *
+ * The turn handler provides:
+ *   respond(callSid, transcript) -> { text, language } | { handedOff: true }
+ *   handleDigit(callSid, digit) -> same, or null to ignore the key
+ *   fallback(callSid, reason)
+ */
+export class MediaStreamSession {
+  /**
+   * @param {Object} options
+   * @param {string} options.callSid - Call SID
+   * @param {string} options.streamSid - Twilio stream SID, required on every message we send
+   * @param {WebSocket} options.ws - The stream's socket
+   * @param {AudioService} options.audioService - Decoding, transcription and synthesis
+   * @param {Object} options.turnHandler - See above
+   * @param {string} [options.language] - Language the call is in
+   * @param {Object} [options.vad] - VoiceActivityDetector overrides
+   */
+  constructor({ callSid, streamSid, ws, audioService, turnHandler, language = null, vad = {} }) {
+    this.callSid = callSid;
+    this.streamSid = streamSid;
+    this.ws = ws;
+    this.audioService = audioService;
+    this.turnHandler = turnHandler;
+    this.language = language;
+    this.vad = new VoiceActivityDetector(vad);
+    this.pendingChunks = [];
+    this.playback = null;
+    this.playbackCount = 0;
+    this.failures = 0;
+    this.closed = false;
+    // Utterances are answered one at a time, in the order they were spoken
+    this.turns = Promise.resolve();
+  }
+
+  /**
+   * @returns {boolean} True while a reply is being synthesized or is still playing
+   */
+  isSpeaking() {
+    return this.playback !== null;
+  }
+
+  /**
+   * Handle one inbound media frame
+   * @param {string} payload - Base64 mu-law from the media event
+   */
+  async handleMedia(payload) {
+    if (this.closed) return;
+    const pcm = await this.audioService.decodeTwilioAudio(payload);
+    for (const event of this.vad.process(pcm)) {
+      if (event.type === VAD_EVENTS.SPEECH_START) {
+        if (this.isSpeaking()) {
+          this.bargeIn();
+        }
+      } else if (event.type === VAD_EVENTS.CHUNK) {
+        this.pendingChunks.push(this.transcribe(event.audio));
+      } else if (event.type === VAD_EVENTS.SPEECH_END) {
+        this.pendingChunks.push(this.transcribe(event.audio));
+        const chunks = this.pendingChunks;
+        this.pendingChunks = [];
+        this.turns = this.turns.then(() => this.handleUtterance(chunks));
+      }
+    }
+  }
+
+  /**
+   * Handle a key the caller pressed during the stream
+   * @param {string} digit - DTMF digit
+   */
+  async handleDigit(digit) {
+    if (this.closed) return;
+    this.turns = this.turns.then(async () => {
+      const result = await this.turnHandler.handleDigit(this.callSid, digit);
+      if (result) {
+        await this.applyTurnResult(result);
+      }
+    }).catch(error => logger.error('Error handling streamed keypad input:', { callSid: this.callSid, error: error.message }));
+    return this.turns;
+  }
+
+  /**
+   * Mark event from Twilio: the caller has heard everything up to this mark
+   * @param {string} name - Mark name
+   */
+  handleMark(name) {
+    const playback = this.playback;
+    if (!playback || !playback.marks.delete(name)) return;
+    if (playback.done && playback.marks.size === 0) {
+      this.playback = null;
+    }
+  }
+
+  async transcribe(audio) {
+    try {
+      const text = await this.audioService.transcribeStreamChunk(audio, this.language);
+      this.failures = 0;
+      return text;
+    } catch (error) {
+      logger.error('Streamed transcription failed:', { callSid: this.callSid, error: error.message });
+      this.recordFailure('transcription');
+      return '';
+    }
+  }
+
+  async handleUtterance(chunks) {
+    const transcript = (await Promise.all(chunks)).filter(Boolean).join(' ').trim();
+    if (!transcript || this.closed) return;
+    try {
+      const result = await this.turnHandler.respond(this.callSid, transcript);
+      await this.applyTurnResult(result);
+    } catch (error) {
+      logger.error('Error answering streamed utterance:', { callSid: this.callSid, error: error.message });
+      this.recordFailure('response');
+    }
+  }
+
+  async applyTurnResult(result) {
+    if (result?.handedOff) {
+      // The call now runs other TwiML (transfer, consent, hang-up); Twilio ends the stream
+      this.closed = true;
+      return;
+    }
+    if (result?.language) {
+      this.language = result.language;
+    }
+    if (result?.text) {
+      await this.speak(result.text);
+    }
+  }
+
+  /**
+   * Speak a reply, one sentence at a time
+   * @param {string} text - Reply text
+   */
+  async speak(text) {
+    if (this.closed) return;
+    const playback = { id: ++this.playbackCount, marks: new Set(), cancelled: false, done: false };
+    this.playback = playback;
+
+    const sentences = splitIntoSentences(text);
+    for (const [index, sentence] of sentences.entries()) {
+      let audio;
+      try {
+        audio = await this.audioService.synthesizeForStream(sentence, this.language || undefined);
+      } catch (error) {
+        logger.error('Streamed speech synthesis failed:', { callSid: this.callSid, error: error.message });
+        this.recordFailure('synthesis');
+        break;
+      }
+      if (playback.cancelled || this.closed) return;
+      for (const payload of toMediaFrames(audio)) {
+        this.send({ event: 'media', media: { payload } });
+      }
+      const mark = `reply-${playback.id}-${index}`;
+      playback.marks.add(mark);
+      this.send({ event: 'mark', mark: { name: mark } });
+    }
+
+    playback.done = true;
+    if (this.playback === playback && playback.marks.size === 0) {
+      this.playback = null;
+    }
+  }
+
+  // The caller started talking over a reply: stop it where it is
+  bargeIn() {
+    const playback = this.playback;
+    playback.cancelled = true;
+    this.playback = null;
+    this.send({ event: 'clear' });
+    logger.info('Caller interrupted playback:', { callSid: this.callSid, reply: playback.id });
+  }
+
+  recordFailure(stage) {
+    this.failures++;
+    if (this.failures >= config.streaming.maxFailures) {
+      this.fallback(`${stage} failed ${this.failures} times in a row`);
+    }
+  }
+
+  /**
+   * Close the stream so Twilio continues with the <Gather> fallback
+   * @param {string} reason - Why the stream is being abandoned (logged)
+   */
+  fallback(reason) {
+    if (this.closed) return;
+    this.closed = true;
+    logger.warn('Falling back from media stream to <Gather>:', { callSid: this.callSid, reason });
+    try {
+      this.turnHandler.fallback?.(this.callSid, reason);
+    } finally {
+      if (this.ws?.readyState === 1) {
+        this.ws.close();
+      }
+    }
+  }
+
+  close() {
+    this.closed = true;
+    this.playback = null;
+    this.pendingChunks = [];
+    this.vad.reset();
+  }
+
+  send(message) {
+    if (this.ws?.readyState === 1) {
+      this.ws.send(JSON.stringify({ ...message, streamSid: this.streamSid }));
+    }
+  }
+}
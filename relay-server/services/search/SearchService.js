@@ -2,6 +2,8 @@ import { BaseService } from '../base/BaseService.js';
 import { apiConfig } from '../../lib/config/api.js';
 import { withTimeout, retryWithBackoff, isRetryableError } from '../../lib/utils/errorHandling.js';
 import { isNotEmpty, isValidUrl } from '../../lib/utils/validation.js';
+import { rankResultsByDistance } from '../../lib/distanceRanking.js';
+import { buildEligibilityQueryTerms, matchEligibility, applyEligibilityNeeds, ELIGIBILITY_NEEDS } from '../../lib/eligibilityNeeds.js';
 import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
@@ -172,7 +174,7 @@ export class SearchService extends BaseService {
     }
     
     return results
-      .map(result => this.processSingleResult(result, query))
+      .map(result => this.processSingleResult(result, query, options.eligibility))
       .filter(result => result !== null)
       .sort((a, b) => (b.score || 0) - (a.score || 0))
       .slice(0, options.maxResults || this.config.maxResults);
@@ -182,9 +184,10 @@ export class SearchService extends BaseService {
    * Process a single search result
    * @param {Object} result - Raw result from Tavily
    * @param {string} query - Original search query
+   * @param {Object} eligibility - Caller eligibility needs, if any
    * @returns {Object|null} Processed result or null if invalid
    */
-  processSingleResult(result, query) {
+  processSingleResult(result, query, eligibility = null) {
     try {
       // Validate required fields
       if (!result.title || !result.url) {
@@ -202,14 +205,21 @@ export class SearchService extends BaseService {
         return null;
       }
       
+      // Drop results that rule out a caller need, boost the ones that meet them
+      const { matchedNeeds, excluded, boost } = matchEligibility({ title: result.title, content }, eligibility || {});
+      if (excluded) {
+        return null;
+      }
+      
       // Calculate relevance score
-      const score = this.calculateRelevanceScore(result, query);
+      const score = Math.min(1, this.calculateRelevanceScore(result, query) + boost);
       
       return {
         title: result.title.trim(),
         url: result.url,
         content: content,
         score: score,
+        matchedNeeds,
         source: result.source || 'unknown',
         publishedDate: result.published_date || null,
         domain: this.extractDomain(result.url)
@@ -381,17 +391,35 @@ export class SearchService extends BaseService {
   /**
    * Search for domestic violence resources
    * @param {string} location - Location for search
-   * @param {Object} options - Additional search options
+   * @param {Object} options - Additional search options (options.radiusMiles overrides the configured radius,
+   *   options.eligibility holds caller needs such as { pets: true, language: 'Spanish' })
    * @returns {Promise<Object>} Search results
    */
   async searchDomesticViolenceResources(location, options = {}) {
-    const query = this.buildDvSearchQuery(location, options);
+    const { radiusMiles, ...searchOptions } = options;
+    const query = this.buildDvSearchQuery(location, searchOptions);
     
-    return this.search(query, {
+    const response = await this.search(query, {
       maxResults: 10,
       searchDepth: 'advanced',
-      ...options
+      ...searchOptions
     });
+    
+    // Order by distance from the caller and drop results outside the radius;
+    // results meeting more of the caller's needs still come first
+    if (response.success && location && response.data?.results) {
+      const ranked = await rankResultsByDistance(response.data.results, location, {
+        geocoder: this.config.geocoder,
+        ...(radiusMiles ? { radiusMiles } : {})
+      });
+      response.data = {
+        ...response.data,
+        results: applyEligibilityNeeds(ranked, searchOptions.eligibility)
+      };
+      response.data.totalResults = response.data.results.length;
+    }
+    
+    return response;
   }
   
   /**
@@ -415,13 +443,15 @@ export class SearchService extends BaseService {
       query += ` ${location}`;
     }
     
-    // Add specific requirements
-    if (options.pets) {
-      query += ' pet friendly';
-    }
-    
-    if (options.children) {
-      query += ' children families';
+    // Add specific requirements; structured eligibility needs extend the legacy flags
+    const eligibility = {
+      ...options.eligibility,
+      ...(options.pets ? { [ELIGIBILITY_NEEDS.PETS]: true } : {}),
+      ...(options.children ? { [ELIGIBILITY_NEEDS.CHILDREN]: true } : {})
+    };
+    const eligibilityTerms = buildEligibilityQueryTerms(eligibility);
+    if (eligibilityTerms.length > 0) {
+      query += ` ${eligibilityTerms.join(' ')}`;
     }
     
     if (options.legal) {
@@ -3,6 +3,7 @@ import { ttsConfig, getTtsConfigForLanguage } from '../../lib/config/tts.js';
 import { withTimeout, retryWithBackoff, isRetryableError } from '../../lib/utils/errorHandling.js';
 import { isNotEmpty } from '../../lib/utils/validation.js';
 import { TTSIntegration } from '../../integrations/ttsIntegration.js';
+import { traceTurnEvent, TRACE_STAGES } from '../../lib/dialogueTrace.js';
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
@@ -103,6 +104,7 @@ export class TtsService extends BaseService {
             audioSize: cachedResult.audioBuffer?.length,
             timestamp: new Date().toISOString()
           });
+          traceTurnEvent(TRACE_STAGES.TTS, { cache: 'hit', textLength: text.length, voice: ttsOptions.voice });
           return cachedResult;
         }
 
@@ -136,6 +138,7 @@ export class TtsService extends BaseService {
           }
 
           const totalDuration = Date.now() - startTime;
+          traceTurnEvent(TRACE_STAGES.TTS, { cache: 'miss', textLength: text.length, voice: ttsOptions.voice, provider: result.provider, durationMs: ttsDuration });
           this.logger.debug('TTSService.generateSpeech completed', {
             requestId: metadata.requestId,
             callSid: metadata.callSid,
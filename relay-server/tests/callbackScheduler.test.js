@@ -0,0 +1,292 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import { config } from '../lib/config/index.js';
+import {
+  CallbackScheduler,
+  setCallbackScheduler,
+  getRetryDelay,
+  CALLBACK_EVENTS,
+  CALLBACK_AUDIT_NAMESPACE
+} from '../lib/callbackScheduler.js';
+import { VoicemailStore, setVoicemailStore, parseCodeWord, matchesCodeWord, CALLBACK_STATUS } from '../lib/voicemail.js';
+import { ContextStore } from '../lib/storage/contextStore.js';
+import { ConsentLedger, setConsentLedger } from '../lib/consentLedger.js';
+import { ScheduleEngine, setScheduleEngine } from '../lib/schedule.js';
+import { setTransferRoutes } from '../lib/warmTransfer.js';
+import { callbackConfig } from '../lib/conversationConfig.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/twilioIntegration.js', () => ({
+  TwilioIntegration: {
+    sendSMS: vi.fn(),
+    fetchCallDetails: vi.fn(),
+    makeCall: vi.fn()
+  }
+}));
+
+vi.mock('../lib/intentClassifier.js', () => ({
+  getIntent: vi.fn(),
+  rewriteQuery: vi.fn()
+}));
+
+vi.mock('../lib/unifiedResponseHandler.js', () => ({
+  UnifiedResponseHandler: {
+    getResponse: vi.fn()
+  }
+}));
+
+const { default: adminRoutes } = await import('../routes/admin.js');
+
+const CHICAGO = 'America/Chicago';
+// Mid-October: America/Chicago is UTC-5
+const MONDAY_3PM = Date.parse('2026-10-19T20:00:00Z');
+const MONDAY_5PM = Date.parse('2026-10-19T22:00:00Z');
+const WINDOW = { start: '14:00', end: '16:00', timeZone: CHICAGO };
+const MINUTE = 60 * 1000;
+
+describe('Safe callbacks', () => {
+  let now;
+  let tasks;
+  let scheduler;
+  let dialer;
+
+  const audit = async () => (await scheduler.exportAuditTrail()).map(event => event.event);
+
+  beforeEach(() => {
+    now = MONDAY_3PM;
+    tasks = new VoicemailStore({ store: new ContextStore({ driver: 'memory' }), now: () => now });
+    dialer = vi.fn().mockResolvedValue({ sid: 'CA_out' });
+    scheduler = new CallbackScheduler({
+      tasks,
+      store: new ContextStore({ driver: 'memory', encryptionKey: crypto.randomBytes(32).toString('base64') }),
+      dialer,
+      baseUrl: 'https://hotline.example.org/',
+      maxAttempts: 2,
+      canConnect: () => true,
+      now: () => now
+    });
+  });
+
+  describe('code word', () => {
+    it('should keep only a salted hash and match it inside a longer answer', async () => {
+      expect(parseCodeWord('Okay, my code word is Bluebird.')).toBe('bluebird');
+      expect(parseCodeWord('um')).toBeNull();
+
+      const task = await tasks.createCallbackTask({ number: '+15125550100', window: WINDOW, codeWord: 'blue bird' });
+      expect(JSON.stringify(task)).not.toContain('blue');
+      expect(matchesCodeWord(task, "It's bluebird")).toBe(true);
+      expect(matchesCodeWord(task, 'Blue bird.')).toBe(true);
+      expect(matchesCodeWord(task, 'who is this?')).toBe(false);
+    });
+  });
+
+  describe('CallbackScheduler', () => {
+    it('should only dial inside the window, asking Twilio for the code word TwiML', async () => {
+      const task = await scheduler.schedule({ number: '+15125550100', window: WINDOW, codeWord: 'bluebird' });
+
+      now = MONDAY_5PM;
+      expect(await scheduler.runDue()).toBe(0);
+      expect(dialer).not.toHaveBeenCalled();
+
+      now = MONDAY_3PM;
+      expect(await scheduler.runDue()).toBe(1);
+      expect(dialer).toHaveBeenCalledWith('+15125550100', `https://hotline.example.org/twilio/callback/answer?task=${task.id}`, expect.objectContaining({
+        statusCallback: `https://hotline.example.org/twilio/callback/status?task=${task.id}`,
+        machineDetection: 'Enable'
+      }));
+      expect(await tasks.getCallbackTask(task.id)).toMatchObject({ status: CALLBACK_STATUS.DIALING, attempts: 1, outboundCallSid: 'CA_out' });
+
+      // Already dialing: not placed twice
+      expect(await scheduler.runDue()).toBe(0);
+    });
+
+    it('should hold calls while no advocate is on shift', async () => {
+      scheduler.canConnect = () => false;
+      await scheduler.schedule({ number: '+15125550100', window: WINDOW, codeWord: 'bluebird' });
+
+      expect(await scheduler.runDue()).toBe(0);
+      expect((await tasks.listCallbackTasks())[0]).toMatchObject({ status: CALLBACK_STATUS.PENDING, attempts: 0 });
+    });
+
+    it('should retry a missed call after the backoff and give up after the last attempt', async () => {
+      const task = await scheduler.schedule({ number: '+15125550100', window: WINDOW, codeWord: 'bluebird' });
+      dialer.mockRejectedValueOnce(new Error('Twilio down'));
+
+      await scheduler.runDue();
+      expect(await tasks.getCallbackTask(task.id)).toMatchObject({ status: CALLBACK_STATUS.PENDING, nextAttemptAt: now + getRetryDelay(1) });
+
+      now += 5 * MINUTE;
+      expect(await scheduler.runDue()).toBe(0);
+
+      now += getRetryDelay(1);
+      expect(await scheduler.runDue()).toBe(1);
+      await scheduler.recordMissed(task.id, 'no-answer', { callSid: 'CA_out' });
+
+      expect((await tasks.getCallbackTask(task.id)).status).toBe(CALLBACK_STATUS.FAILED);
+      expect(await audit()).toEqual([
+        CALLBACK_EVENTS.SCHEDULED,
+        CALLBACK_EVENTS.MISSED,
+        CALLBACK_EVENTS.DIALED,
+        CALLBACK_EVENTS.FAILED
+      ]);
+      expect(getRetryDelay(5, { baseMs: MINUTE, maxMs: 10 * MINUTE })).toBe(10 * MINUTE);
+    });
+
+    it('should count a call whose status never arrived as missed', async () => {
+      const task = await scheduler.schedule({ number: '+15125550100', window: WINDOW, codeWord: 'bluebird' });
+      await scheduler.runDue();
+
+      now += 20 * MINUTE;
+      await scheduler.runDue();
+
+      const [, , missed] = await scheduler.exportAuditTrail({ taskId: task.id });
+      expect(missed).toMatchObject({ event: CALLBACK_EVENTS.MISSED, reason: 'stale', attempt: 1 });
+    });
+
+    it('should keep the audit trail encrypted and free of numbers', async () => {
+      await scheduler.schedule({ number: '+15125550100', window: WINDOW, codeWord: 'bluebird' });
+      await scheduler.runDue();
+
+      const raw = JSON.stringify([...scheduler.store.driver.namespaces.get(CALLBACK_AUDIT_NAMESPACE).values()]);
+      expect(raw).not.toContain(CALLBACK_EVENTS.DIALED);
+      expect(JSON.stringify(await scheduler.exportAuditTrail())).not.toContain('5125550100');
+    });
+
+    it('should export the audit trail to admins as JSON or CSV', async () => {
+      const token = config.admin.apiToken;
+      config.admin.apiToken = 'test-admin-token';
+      setCallbackScheduler(scheduler);
+      const app = express();
+      app.use('/admin', adminRoutes);
+
+      try {
+        const task = await scheduler.schedule({ number: '+15125550100', window: WINDOW, codeWord: 'bluebird' });
+        await scheduler.runDue();
+
+        expect((await request(app).get('/admin/callbacks/audit')).status).toBe(401);
+        const json = await request(app).get(`/admin/callbacks/audit?task=${task.id}`).set('Authorization', 'Bearer test-admin-token');
+        expect(json.body.count).toBe(2);
+        expect(json.body.events[1]).toMatchObject({ taskId: task.id, event: 'dialed', attempt: 1, callSid: 'CA_out' });
+
+        const csv = await request(app).get('/admin/callbacks/audit?format=csv').set('Authorization', 'Bearer test-admin-token');
+        const lines = csv.text.split('\n');
+        expect(lines[0]).toBe('at,taskId,event,attempt,reason,source,callSid,dialCallStatus,nextAttemptAt');
+        expect(lines[2]).toContain(`${task.id},dialed,1,,,CA_out`);
+      } finally {
+        config.admin.apiToken = token;
+        setCallbackScheduler(null);
+      }
+    });
+  });
+
+  describe('controller', () => {
+    let controller;
+    let res;
+
+    const sent = () => res.send.mock.calls.at(-1)[0];
+
+    beforeEach(async () => {
+      vi.clearAllMocks();
+      setVoicemailStore(tasks);
+      setCallbackScheduler(scheduler);
+      setConsentLedger(new ConsentLedger({ store: new ContextStore({ driver: 'memory' }) }));
+      setScheduleEngine(new ScheduleEngine({ timeZone: CHICAGO }));
+      setTransferRoutes({ default: { default: '+15125550199' } });
+
+      res = {
+        req: { requestContext: { requestId: 'req-cb' } },
+        type: vi.fn().mockReturnThis(),
+        send: vi.fn().mockReturnThis(),
+        status: vi.fn().mockReturnThis()
+      };
+      const { createTwilioController } = await import('../controllers/twilioController.js');
+      controller = createTwilioController({ activeCalls: new Map(), services: {} });
+    });
+
+    afterEach(() => {
+      setVoicemailStore(null);
+      setCallbackScheduler(null);
+      setConsentLedger(null);
+      setScheduleEngine(null);
+      setTransferRoutes(null);
+    });
+
+    const dialedTask = async () => {
+      const task = await scheduler.schedule({ number: '+15125550100', window: WINDOW, language: 'es-ES', codeWord: 'bluebird' });
+      await scheduler.runDue();
+      return task;
+    };
+
+    it('should ask for the code word before saying anything else', async () => {
+      const task = await dialedTask();
+      await controller.handleCallbackAnswer(task.id, 'human', res);
+
+      expect(sent()).toContain(`action="/twilio/callback/verify?task=${task.id}"`);
+      expect(sent()).toContain('language="es-ES"');
+      expect(sent()).toContain(callbackConfig.messages.greeting);
+      expect(sent()).not.toMatch(/advocate|support/i);
+    });
+
+    it('should connect an advocate once the code word is given', async () => {
+      const task = await dialedTask();
+      await controller.handleCallbackVerify(task.id, 'CA_out', 'it is bluebird', undefined, false, res);
+
+      expect(sent()).toContain('<Number url="/twilio/callback/whisper');
+      expect(sent()).toContain('+15125550199');
+      expect((await tasks.getCallbackTask(task.id)).status).toBe(CALLBACK_STATUS.VERIFIED);
+
+      await controller.handleCallbackConnected(task.id, 'completed', res);
+      await controller.handleCallbackStatus(task.id, 'CA_out', 'completed', res);
+      expect((await tasks.getCallbackTask(task.id)).status).toBe(CALLBACK_STATUS.COMPLETED);
+      expect(await audit()).toEqual([CALLBACK_EVENTS.SCHEDULED, CALLBACK_EVENTS.DIALED, CALLBACK_EVENTS.VERIFIED, CALLBACK_EVENTS.COMPLETED]);
+    });
+
+    it('should hang up on a wrong code word and not call that number again', async () => {
+      const task = await dialedTask();
+      await controller.handleCallbackVerify(task.id, 'CA_out', 'who is this', undefined, false, res);
+
+      expect(sent()).toContain(callbackConfig.messages.wrongNumber);
+      expect(sent()).toContain('<Hangup/>');
+      expect((await tasks.getCallbackTask(task.id)).status).toBe(CALLBACK_STATUS.NOT_VERIFIED);
+
+      await controller.handleCallbackStatus(task.id, 'CA_out', 'completed', res);
+      now += 3 * 60 * MINUTE;
+      expect(await scheduler.runDue()).toBe(0);
+    });
+
+    it('should leave nothing on an answering machine and retry later', async () => {
+      const task = await dialedTask();
+      await controller.handleCallbackAnswer(task.id, 'machine_start', res);
+
+      expect(sent()).not.toContain('<Say');
+      expect(await tasks.getCallbackTask(task.id)).toMatchObject({ status: CALLBACK_STATUS.PENDING, nextAttemptAt: expect.any(Number) });
+    });
+
+    it('should take a callback request by text', async () => {
+      const text = async body => {
+        await controller.handleSMS('+15551234567', body, res);
+        return sent().match(/<Message>(.*?)<\/Message>/)[1];
+      };
+
+      expect(await text('Call me')).toBe(callbackConfig.smsMessages.askTime);
+      expect(await text('whenever')).toBe(callbackConfig.smsMessages.timeRetry);
+      expect(await text('after 6')).toBe(callbackConfig.smsMessages.askCodeWord);
+      expect(await text('bluebird')).toBe('Thanks. We will call this number between 6 PM and 9 PM, and only then.');
+
+      const [task] = await tasks.listCallbackTasks();
+      expect(task).toMatchObject({ number: '+15551234567', source: 'sms', window: { start: '18:00', end: '21:00' } });
+      expect(matchesCodeWord(task, 'bluebird')).toBe(true);
+      expect(await scheduler.getSmsRequest('+15551234567')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import {
+  ConsentLedger,
+  setConsentLedger,
+  CONSENT_SOURCES,
+  CONSENT_SCOPES,
+  CONSENT_STATUS,
+  CONSENT_BLOCK_REASONS
+} from '../lib/consentLedger.js';
+import { smsConversationConfig } from '../lib/conversationConfig.js';
+import { applyRegionNumbers } from '../lib/regionRegistry.js';
+import { ContextStore } from '../lib/storage/contextStore.js';
+import { ContextService } from '../services/context/ContextService.js';
+import { config } from '../lib/config/index.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/twilioIntegration.js', () => ({
+  TwilioIntegration: {
+    sendSMS: vi.fn(),
+    fetchCallDetails: vi.fn()
+  }
+}));
+
+vi.mock('../lib/intentClassifier.js', () => ({
+  getIntent: vi.fn(),
+  rewriteQuery: vi.fn()
+}));
+
+vi.mock('../lib/hybridResponseHandler.js', () => ({
+  HybridResponseHandler: {
+    getResponse: vi.fn()
+  }
+}));
+
+const { getIntent } = await import('../lib/intentClassifier.js');
+const { HybridResponseHandler } = await import('../lib/hybridResponseHandler.js');
+const { default: adminRoutes } = await import('../routes/admin.js');
+
+const FROM = '+15551234567';
+
+describe('SMS consent ledger', () => {
+  let clock;
+  let ledger;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    clock = Date.parse('2026-10-19T12:00:00Z');
+    ledger = new ConsentLedger({ store: new ContextStore({ driver: 'memory' }), now: () => clock++ });
+    setConsentLedger(ledger);
+  });
+
+  afterEach(() => {
+    setConsentLedger(null);
+  });
+
+  describe('ledger', () => {
+    it('should only allow the scopes a number agreed to', async () => {
+      await ledger.grant(FROM, { source: CONSENT_SOURCES.VOICE, scope: CONSENT_SCOPES.CALL_SUMMARY, callSid: 'CA_1' });
+
+      expect(await ledger.canSend(FROM, { scope: CONSENT_SCOPES.CALL_SUMMARY })).toBe(true);
+      expect(await ledger.getBlockReason(FROM, { scope: CONSENT_SCOPES.FOLLOW_UP })).toBe(CONSENT_BLOCK_REASONS.NO_CONSENT);
+      expect(await ledger.getBlockReason('+15559990000', { scope: CONSENT_SCOPES.CALL_SUMMARY })).toBe(CONSENT_BLOCK_REASONS.NO_CONSENT);
+      expect(await ledger.canSend('+15559990000')).toBe(true);
+    });
+
+    it('should revoke every scope on STOP and not bring old scopes back', async () => {
+      await ledger.grant(FROM, { source: CONSENT_SOURCES.VOICE, scope: CONSENT_SCOPES.CALL_SUMMARY });
+      await ledger.revoke(FROM, { source: CONSENT_SOURCES.SMS, keyword: 'STOP' });
+
+      expect(await ledger.getBlockReason(FROM)).toBe(CONSENT_BLOCK_REASONS.OPTED_OUT);
+
+      await ledger.grant(FROM, { source: CONSENT_SOURCES.SMS, scope: CONSENT_SCOPES.ALL, keyword: 'START' });
+      expect(await ledger.getRecord(FROM)).toMatchObject({ status: CONSENT_STATUS.GRANTED, scopes: [CONSENT_SCOPES.ALL] });
+    });
+
+    it('should not let a voice or texted "yes" lift a STOP', async () => {
+      await ledger.revoke(FROM, { source: CONSENT_SOURCES.SMS, keyword: 'STOP' });
+
+      const afterVoice = await ledger.grant(FROM, { source: CONSENT_SOURCES.VOICE, scope: CONSENT_SCOPES.CALL_SUMMARY, callSid: 'CA_2' });
+      const afterText = await ledger.grant(FROM, { source: CONSENT_SOURCES.SMS, scope: CONSENT_SCOPES.FOLLOW_UP, keyword: 'YES' });
+
+      expect(afterVoice.status).toBe(CONSENT_STATUS.REVOKED);
+      expect(afterText).toMatchObject({ status: CONSENT_STATUS.REVOKED, scopes: [] });
+      expect(await ledger.getBlockReason(FROM, { scope: CONSENT_SCOPES.CALL_SUMMARY })).toBe(CONSENT_BLOCK_REASONS.OPTED_OUT);
+      expect((await ledger.exportAuditTrail({ phoneNumber: FROM })).map(event => event.type)).toEqual(['revoked']);
+
+      await ledger.grant(FROM, { source: CONSENT_SOURCES.SMS, scope: CONSENT_SCOPES.ALL, keyword: 'UNSTOP' });
+      expect(await ledger.canSend(FROM, { scope: CONSENT_SCOPES.CALL_SUMMARY })).toBe(true);
+    });
+  });
+
+  describe('keywords', () => {
+    let controller;
+    let res;
+
+    const text = async body => {
+      res.send.mockClear();
+      await controller.handleSMS(FROM, body, res);
+      return [...res.send.mock.calls[0][0].matchAll(/<Message>(.*?)<\/Message>/g)].map(match => match[1]);
+    };
+
+    beforeEach(async () => {
+      const contextService = new ContextService({ store: new ContextStore({ driver: 'memory' }) });
+      await contextService.initialize();
+      res = {
+        req: { requestContext: { requestId: 'req-sms' } },
+        type: vi.fn().mockReturnThis(),
+        send: vi.fn().mockReturnThis(),
+        status: vi.fn().mockReturnThis()
+      };
+      const { createTwilioController } = await import('../controllers/twilioController.js');
+      controller = createTwilioController({ activeCalls: new Map(), services: { context: contextService } });
+    });
+
+    it('should stop answering after STOP until START, but always answer HELP', async () => {
+      getIntent.mockResolvedValue('general_information');
+      HybridResponseHandler.getResponse.mockResolvedValue({ smsResponse: 'Okay.' });
+
+      expect(await text('Stop.')).toEqual([smsConversationConfig.messages.optOut.replace('&', '&amp;')]);
+      expect(await text('where can I get help')).toEqual([]);
+      expect(getIntent).not.toHaveBeenCalled();
+
+      expect(await text('HELP')).toEqual([applyRegionNumbers(smsConversationConfig.messages.help).replace('&', '&amp;')]);
+
+      expect(await text('unstop')).toEqual([smsConversationConfig.messages.optIn.replace('&', '&amp;')]);
+      expect(await text('where can I get help')).toEqual(['Okay.']);
+    });
+
+    it('should keep the audit trail of every keyword', async () => {
+      await text('YES');
+      await text('STOP');
+      await text('START');
+
+      const events = await ledger.exportAuditTrail({ phoneNumber: FROM });
+      expect(events.map(event => [event.type, event.keyword, event.scope])).toEqual([
+        ['granted', 'YES', CONSENT_SCOPES.FOLLOW_UP],
+        ['revoked', 'STOP', null],
+        ['granted', 'START', CONSENT_SCOPES.ALL]
+      ]);
+      expect(events.every(event => event.source === CONSENT_SOURCES.SMS)).toBe(true);
+    });
+  });
+
+  describe('admin export', () => {
+    let app;
+    const token = config.admin.apiToken;
+
+    beforeEach(() => {
+      app = express();
+      app.use('/admin', adminRoutes);
+      config.admin.apiToken = 'test-admin-token';
+    });
+
+    afterEach(() => {
+      config.admin.apiToken = token;
+    });
+
+    it('should require the admin token', async () => {
+      expect((await request(app).get('/admin/sms-consent/audit')).status).toBe(401);
+      expect((await request(app).get('/admin/sms-consent/audit').set('Authorization', 'Bearer wrong')).status).toBe(401);
+
+      config.admin.apiToken = null;
+      expect((await request(app).get('/admin/sms-consent/audit').set('Authorization', 'Bearer wrong')).status).toBe(404);
+    });
+
+    it('should export the audit trail as JSON or CSV', async () => {
+      await ledger.grant(FROM, { source: CONSENT_SOURCES.VOICE, scope: CONSENT_SCOPES.CALL_SUMMARY, callSid: 'CA_1' });
+      await ledger.revoke(FROM, { source: CONSENT_SOURCES.SMS, keyword: 'STOP' });
+
+      const json = await request(app).get('/admin/sms-consent/audit').set('Authorization', 'Bearer test-admin-token');
+      expect(json.status).toBe(200);
+      expect(json.body.count).toBe(2);
+      expect(json.body.events[0]).toMatchObject({ phoneNumber: FROM, type: 'granted', source: 'voice', callSid: 'CA_1' });
+
+      const csv = await request(app).get('/admin/sms-consent/audit?format=csv').set('Authorization', 'Bearer test-admin-token');
+      const lines = csv.text.split('\n');
+      expect(lines[0]).toBe('at,phoneNumber,type,source,scope,keyword,callSid');
+      expect(lines[2]).toContain(`'${FROM},revoked,sms,,STOP,`);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ContextStore } from '../lib/storage/contextStore.js';
+import { StoredMap } from '../lib/storage/storedMap.js';
+import { RecordCipher, parseEncryptionKey } from '../lib/storage/encryption.js';
+import { ContextService } from '../services/context/ContextService.js';
+import { CallSummaryService } from '../services/callSummaryService.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const encryptionKey = crypto.randomBytes(32).toString('base64');
+const callSid = 'CA1234567890abcdef';
+const victimData = { from: '+15551234567', lastQuery: 'I need a shelter in Austin' };
+
+describe('Context store', () => {
+  describe('encryption', () => {
+    it('should accept base64 and hex keys and reject short ones', () => {
+      const raw = crypto.randomBytes(32);
+      expect(parseEncryptionKey(raw.toString('base64'))).toEqual(raw);
+      expect(parseEncryptionKey(raw.toString('hex'))).toEqual(raw);
+      expect(() => parseEncryptionKey('too-short')).toThrow(/32 bytes/);
+      expect(() => parseEncryptionKey(null)).toThrow(/not configured/);
+    });
+
+    it('should refuse ciphertext moved to another record', () => {
+      const cipher = new RecordCipher(encryptionKey);
+      const payload = cipher.encrypt('secret', 'contexts:a');
+      expect(cipher.decrypt(payload, 'contexts:a')).toBe('secret');
+      expect(() => cipher.decrypt(payload, 'contexts:b')).toThrow();
+    });
+  });
+
+  describe('memory driver', () => {
+    let now;
+    let store;
+
+    beforeEach(() => {
+      now = 1_000_000;
+      store = new ContextStore({ driver: 'memory', ttlMs: 1000, now: () => now });
+    });
+
+    it('should round-trip values by namespace', async () => {
+      await store.set('calls', callSid, victimData);
+      expect(await store.get('calls', callSid)).toEqual(victimData);
+      expect(await store.get('contexts', callSid)).toBeNull();
+
+      expect(await store.delete('calls', callSid)).toBe(true);
+      expect(await store.get('calls', callSid)).toBeNull();
+    });
+
+    it('should expire records a fixed time after the first write', async () => {
+      await store.set('calls', callSid, { turn: 1 });
+      now += 800;
+      await store.set('calls', callSid, { turn: 2 });
+      now += 300;
+
+      expect(await store.get('calls', callSid)).toBeNull();
+    });
+
+    it('should purge expired records', async () => {
+      await store.set('calls', 'CA_old', {});
+      now += 2000;
+      await store.set('calls', 'CA_new', {});
+
+      expect(await store.purgeExpired()).toBe(1);
+      expect((await store.entries('calls')).map(entry => entry.key)).toEqual(['CA_new']);
+    });
+  });
+
+  describe('persistent drivers', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'context-store-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should refuse to persist without an encryption key', () => {
+      expect(() => new ContextStore({ driver: 'file', fileDirectory: directory, encryptionKey: null }))
+        .toThrow(/CONTEXT_ENCRYPTION_KEY/);
+    });
+
+    it('should never write call SIDs or victim data to disk in plaintext', async () => {
+      const store = new ContextStore({ driver: 'file', fileDirectory: directory, encryptionKey });
+      await store.set('calls', callSid, victimData);
+
+      const [file] = await fs.readdir(path.join(directory, 'calls'));
+      const content = await fs.readFile(path.join(directory, 'calls', file), 'utf8');
+
+      expect(file).not.toContain(callSid);
+      expect(content).not.toContain(callSid);
+      expect(content).not.toContain('+15551234567');
+      expect(content).not.toContain('shelter');
+    });
+
+    it('should read file records back after a restart only with the same key', async () => {
+      await new ContextStore({ driver: 'file', fileDirectory: directory, encryptionKey })
+        .set('calls', callSid, victimData);
+
+      const restarted = new ContextStore({ driver: 'file', fileDirectory: directory, encryptionKey });
+      expect(await restarted.get('calls', callSid)).toEqual(victimData);
+
+      const otherKey = crypto.randomBytes(32).toString('base64');
+      const wrongKey = new ContextStore({ driver: 'file', fileDirectory: directory, encryptionKey: otherKey });
+      expect(await wrongKey.get('calls', callSid)).toBeNull();
+    });
+
+    it('should store encrypted records in sqlite', async () => {
+      const sqlitePath = path.join(directory, 'store.db');
+      const store = new ContextStore({ driver: 'sqlite', sqlitePath, encryptionKey });
+      await store.set('contexts', callSid, victimData);
+      await store.close();
+
+      const restarted = new ContextStore({ driver: 'sqlite', sqlitePath, encryptionKey });
+      expect(await restarted.get('contexts', callSid)).toEqual(victimData);
+      expect(await restarted.entries('contexts')).toHaveLength(1);
+      await restarted.close();
+
+      const raw = await fs.readFile(sqlitePath);
+      expect(raw.includes(Buffer.from(callSid))).toBe(false);
+    });
+  });
+
+  describe('StoredMap', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new ContextStore({ driver: 'memory' });
+    });
+
+    it('should write through and hydrate a fresh map after a restart', async () => {
+      const calls = new StoredMap('calls', { store });
+      calls.set(callSid, { ...victimData });
+      calls.get(callSid).hasConsent = true;
+      calls.save(callSid);
+      await calls.flush();
+
+      const restarted = new StoredMap('calls', { store });
+      expect(await restarted.hydrate()).toBe(1);
+      expect(restarted.get(callSid)).toEqual({ ...victimData, hasConsent: true });
+    });
+
+    it('should apply serializers and remove deleted entries from the store', async () => {
+      const calls = new StoredMap('calls', {
+        store,
+        serialize: ({ timeouts, ...rest }) => rest,
+        deserialize: stored => ({ ...stored, timeouts: new Set() })
+      });
+      calls.set(callSid, { from: '+15551234567', timeouts: new Set([1]) });
+      await calls.flush();
+      expect(await store.get('calls', callSid)).toEqual({ from: '+15551234567' });
+
+      const restarted = new StoredMap('calls', { store, deserialize: stored => ({ ...stored, timeouts: new Set() }) });
+      expect((await restarted.load(callSid)).timeouts).toBeInstanceOf(Set);
+
+      calls.delete(callSid);
+      await calls.flush();
+      expect(await store.get('calls', callSid)).toBeNull();
+    });
+  });
+
+  describe('ContextService', () => {
+    it('should restore conversation contexts from the store on initialize', async () => {
+      const store = new ContextStore({ driver: 'memory' });
+      const service = new ContextService({ store });
+      await service.initialize();
+      await service.updateConversationContext(callSid, { location: 'Austin, TX' });
+
+      const restarted = new ContextService({ store });
+      await restarted.initialize();
+      const context = await restarted.getConversationContext(callSid);
+
+      expect(context.location).toBe('Austin, TX');
+
+      await restarted.clearConversationContext(callSid);
+      expect(await store.get('contexts', callSid)).toBeNull();
+    });
+  });
+
+  describe('CallSummaryService', () => {
+    it('should keep call history in the store and summarize it after a restart', async () => {
+      const store = new ContextStore({ driver: 'memory' });
+      const openAI = { createChatCompletion: vi.fn().mockResolvedValue({ choices: [{ message: { content: 'Summary' } }] }) };
+      const service = new CallSummaryService(openAI, { store });
+      service.addToHistory(callSid, { role: 'user', content: 'I need a shelter in Austin' });
+      service.addToHistory(callSid, { role: 'assistant', content: 'Here are shelters in Austin' });
+      await service.callHistory.flush();
+
+      expect(await store.get('callHistory', callSid)).toHaveLength(2);
+
+      const restarted = new CallSummaryService(openAI, { store });
+      expect(await restarted.generateSummary(callSid)).toBe('Summary');
+      expect(openAI.createChatCompletion.mock.calls[0][0].messages[0].content).toContain('assistant: Here are shelters in Austin');
+
+      await restarted.callHistory.flush();
+      expect(await store.get('callHistory', callSid)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { ConversationFlow, validateFlow, getFlowPromptText, getConversationFlow, setConversationFlow } from '../lib/conversationFlow.js';
+import { conversationFlowConfig } from '../lib/conversationConfig.js';
+import { INTENTS } from '../lib/constants/intents.js';
+import { ConfigurationError } from '../lib/utils/errorHandling.js';
+
+const withStates = (states, on = conversationFlowConfig.on) => ({
+  ...conversationFlowConfig,
+  states: { ...conversationFlowConfig.states, ...states },
+  on
+});
+
+describe('Conversation flow', () => {
+  afterEach(() => {
+    setConversationFlow(null);
+  });
+
+  describe('validateFlow', () => {
+    it('should accept the configured flow', () => {
+      expect(validateFlow(conversationFlowConfig)).toEqual([]);
+    });
+
+    it('should reject transitions for intents that are not in INTENTS', () => {
+      const problems = validateFlow(withStates({}, { ...conversationFlowConfig.on, find_shelters: 'findResources' }));
+      expect(problems).toEqual(['flow has a transition for unknown intent find_shelters']);
+    });
+
+    it('should reject unreachable and unknown states', () => {
+      const problems = validateFlow(withStates({
+        callbackOffered: { prompt: 'closing' },
+        reengage: { prompt: 'reengage', on: { [INTENTS.THANK_YOU]: 'thanked' } }
+      }));
+      expect(problems).toEqual([
+        'state reengage sends thank_you to unknown state thanked',
+        'state callbackOffered is unreachable'
+      ]);
+    });
+
+    it('should reject unknown prompts, slots and phrase lists', () => {
+      const problems = validateFlow(withStates({
+        answer: { requires: ['postcode'], prompt: 'goodbye' },
+        offTopic: { on: { [INTENTS.OFF_TOPIC]: [{ ifMentions: 'farewell', target: 'closing' }] } }
+      }));
+      expect(problems).toEqual([
+        'state answer has unknown prompt goodbye',
+        'state answer requires unknown slot postcode',
+        'state offTopic matches unknown phrase list farewell'
+      ]);
+    });
+
+    it('should refuse to build an engine from an invalid flow', () => {
+      expect(() => new ConversationFlow({ ...conversationFlowConfig, initial: 'welcome' })).toThrow(ConfigurationError);
+    });
+  });
+
+  describe('next', () => {
+    const flow = new ConversationFlow();
+
+    it('should require a location for resource searches on every channel', () => {
+      for (const intent of [INTENTS.FIND_SHELTER, INTENTS.LEGAL_SERVICES, INTENTS.COUNSELING_SERVICES, INTENTS.OTHER_RESOURCES]) {
+        const step = flow.next(null, intent);
+        expect(step).toMatchObject({ state: 'findResources', requires: ['location'] });
+        expect(flow.ask(step)).toEqual({ missing: ['location'], prompt: 'locationPrompt', smsMessage: 'askLocation' });
+        expect(flow.ask(step, { location: 'Austin, Texas' })).toEqual({ missing: [], prompt: null, smsMessage: null });
+      }
+    });
+
+    it('should close, redirect or re-engage off-topic turns from what was said', () => {
+      expect(flow.next('start', INTENTS.OFF_TOPIC, { query: 'okay goodbye' }).state).toBe('closing');
+      expect(flow.next('start', INTENTS.OFF_TOPIC, { query: 'is there help for abuse' }).state).toBe('reengage');
+      expect(flow.next('start', INTENTS.OFF_TOPIC, { query: "what's the weather" }).state).toBe('offTopic');
+      // "going" is not a request to go
+      expect(flow.next('start', INTENTS.OFF_TOPIC, { query: 'how is the game going' }).state).toBe('offTopic');
+    });
+
+    it('should re-engage on a second off-topic turn in a row', () => {
+      expect(flow.next('offTopic', INTENTS.OFF_TOPIC, { query: 'tell me a joke' }).state).toBe('reengage');
+      expect(flow.next('offTopic', INTENTS.OFF_TOPIC, { query: 'ok bye' }).state).toBe('closing');
+    });
+
+    it('should mark emergencies high priority and the closing as the end', () => {
+      expect(flow.next('findResources', INTENTS.EMERGENCY_HELP)).toMatchObject({ state: 'emergency', priority: 'high', ends: false });
+      expect(flow.next('findResources', INTENTS.END_CONVERSATION)).toMatchObject({ state: 'closing', prompt: 'closing', smsMessage: 'goodbye', ends: true });
+    });
+
+    it('should send unlisted intents and unknown states to the fallback', () => {
+      expect(flow.next('start', INTENTS.SAFETY_PLAN).state).toBe('answer');
+      expect(flow.next('retired-state', INTENTS.PROVIDE_LOCATION).state).toBe('locationSaved');
+    });
+  });
+
+  describe('prompts', () => {
+    it('should come from languageConfig with the region numbers filled in', () => {
+      expect(getFlowPromptText('closing', 'en-US')).toContain('1-800-799-7233');
+      expect(getFlowPromptText('closing', 'es-ES', { hotlineNumber: '016', emergencyNumber: '112' })).toContain('el 016');
+      expect(getFlowPromptText('missingPrompt')).toBeNull();
+    });
+
+    it('should share one engine until it is replaced', () => {
+      const flow = getConversationFlow();
+      expect(getConversationFlow()).toBe(flow);
+      setConversationFlow(null);
+      expect(getConversationFlow()).not.toBe(flow);
+    });
+  });
+});
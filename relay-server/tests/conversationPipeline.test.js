@@ -0,0 +1,153 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { HandlerManager } from '../handlers/HandlerManager.js';
+import { SpeechHandler } from '../handlers/voice/SpeechHandler.js';
+import { ContextService } from '../services/context/ContextService.js';
+import { ContextStore } from '../lib/storage/contextStore.js';
+import { getLanguageConfig } from '../lib/languageConfig.js';
+import { detectLocationWithGeocoding, detectLocation } from '../lib/enhancedLocationDetector.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/twilioIntegration.js', () => ({
+  TwilioIntegration: {}
+}));
+
+vi.mock('../lib/enhancedLocationDetector.js', () => ({
+  detectLocationWithGeocoding: vi.fn(),
+  detectLocation: vi.fn()
+}));
+
+const noLocation = { location: null, isComplete: false };
+const complete = location => ({ location, isComplete: true });
+
+async function createContextService() {
+  const context = new ContextService({ store: new ContextStore({ driver: 'memory' }) });
+  await context.initialize();
+  return context;
+}
+
+describe('Conversation pipeline', () => {
+  let context;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    detectLocationWithGeocoding.mockResolvedValue(noLocation);
+    detectLocation.mockResolvedValue(noLocation);
+    context = await createContextService();
+  });
+
+  describe('HandlerManager.processConversation', () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = new HandlerManager({ context, tts: {}, search: {} });
+    });
+
+    it('should return the response object itself as data.response', async () => {
+      const response = { success: true, source: 'tavily_hybrid', voiceResponse: 'Here are shelters', webResponse: 'Here are shelters' };
+      vi.spyOn(manager, 'generateResponse').mockResolvedValue(response);
+
+      const result = await manager.processConversation({ text: 'How do I get a restraining order?', contextId: 'call-1' });
+
+      expect(result.success).toBe(true);
+      expect(result.data.response).toBe(response);
+    });
+
+    it('should pass the conversation so far to the response generator', async () => {
+      await context.updateConversationContext('call-1', { location: 'Austin, Texas' });
+      const generateResponse = vi.spyOn(manager, 'generateResponse').mockResolvedValue({ success: true });
+
+      await manager.processConversation({ text: 'Do they take pets?', contextId: 'call-1' });
+
+      expect(generateResponse).toHaveBeenCalledWith(expect.objectContaining({
+        query: 'do they take pets',
+        context: expect.objectContaining({ location: 'Austin, Texas' })
+      }));
+    });
+
+    it('should not look up a context when the request has none', async () => {
+      const generateResponse = vi.spyOn(manager, 'generateResponse').mockResolvedValue({ success: true });
+
+      await manager.processConversation({ text: 'Do they take pets?' });
+
+      expect(generateResponse.mock.calls[0][0].context).toBeUndefined();
+    });
+
+    it('should ask for a location instead of searching when a shelter search has none', async () => {
+      const generateResponse = vi.spyOn(manager, 'generateResponse');
+      const prompt = getLanguageConfig('en-US').prompts.locationPrompt;
+
+      const result = await manager.processConversation({ text: 'I need a shelter', contextId: 'call-1' });
+
+      expect(generateResponse).not.toHaveBeenCalled();
+      expect(result.data.speech.needsLocationPrompt).toBe(true);
+      expect(result.data.response).toEqual({
+        success: true,
+        source: 'location_prompt',
+        webResponse: prompt,
+        voiceResponse: prompt
+      });
+    });
+  });
+
+  describe('SpeechHandler location check', () => {
+    let handler;
+
+    beforeEach(() => {
+      handler = new SpeechHandler({ context, tts: {} });
+    });
+
+    it('should prefer a location said now over the one stored earlier', async () => {
+      await context.updateConversationContext('call-1', { location: 'Austin, Texas' });
+      detectLocationWithGeocoding.mockResolvedValue(complete('Dallas, Texas'));
+
+      const result = await handler.processFindShelterWithLocationCheck('I need a shelter in Dallas', 'call-1', 'en-US');
+
+      expect(result).toEqual({ needsLocationPrompt: false, locationPrompt: null, validLocation: 'Dallas, Texas' });
+      expect(detectLocation).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the stored location, validated as a place', async () => {
+      await context.updateConversationContext('call-1', { location: 'Austin, Texas' });
+      detectLocation.mockResolvedValue(complete('Austin, Texas'));
+
+      const result = await handler.processFindShelterWithLocationCheck('I need a shelter', 'call-1', 'en-US');
+
+      expect(detectLocation).toHaveBeenCalledWith('Austin, Texas');
+      expect(result.validLocation).toBe('Austin, Texas');
+    });
+
+    it('should prompt in the caller\'s language when no location is known', async () => {
+      const result = await handler.processFindShelterWithLocationCheck('necesito un refugio', 'call-1', 'es-ES');
+
+      expect(result.needsLocationPrompt).toBe(true);
+      expect(result.locationPrompt).toBe(getLanguageConfig('es-ES').prompts.locationPrompt);
+    });
+
+    it('should keep the location of a shelter search for follow-ups', async () => {
+      detectLocationWithGeocoding.mockResolvedValue(complete('Austin, Texas'));
+
+      await handler.processSpeech({ text: 'I need a shelter in Austin', contextId: 'call-1' });
+
+      expect((await context.getConversationContext('call-1')).location).toBe('Austin, Texas');
+    });
+  });
+
+  describe('ContextService', () => {
+    it('should start without a last intent and keep the one classified', async () => {
+      await context.updateConversationContext('call-1', { location: 'Austin, Texas' });
+      expect((await context.getConversationContext('call-1')).lastIntent).toBeNull();
+
+      await context.updateConversationContext('call-1', { lastIntent: 'find_shelter' });
+
+      expect((await context.getConversationContext('call-1')).lastIntent).toBe('find_shelter');
+    });
+  });
+});
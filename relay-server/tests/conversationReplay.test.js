@@ -0,0 +1,65 @@
+import { describe, it, expect, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  loadConversationScripts,
+  replayConversation,
+  formatReplayReport
+} from './replay/conversationReplay.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+// Text turns never reach Twilio
+vi.mock('../integrations/twilioIntegration.js', () => ({
+  TwilioIntegration: {}
+}));
+
+const conversationsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'replay', 'conversations');
+const scripts = loadConversationScripts(conversationsDir);
+const reports = [];
+
+describe('Conversation replay', () => {
+  afterAll(() => {
+    // CI can keep the whole report as an artifact
+    if (process.env.REPLAY_REPORT_FILE) {
+      fs.writeFileSync(process.env.REPLAY_REPORT_FILE, formatReplayReport(reports));
+    }
+  });
+
+  it.each(scripts.map(script => [script.name, script]))('%s', async (name, script) => {
+    const report = await replayConversation(script);
+    reports.push(report);
+
+    expect(report.passed, formatReplayReport([report])).toBe(true);
+  });
+
+  it('should report what differed, turn by turn, and what had no recording', async () => {
+    const report = await replayConversation({
+      name: 'Regressed shelter search',
+      turns: [
+        { say: 'How do I get a restraining order?', expect: { intent: 'legal_help', searchedFor: null } },
+        { say: 'I need a shelter in Austin, Texas', expect: { intent: 'follow_up', response: { voiceResponse: { contains: 'SAFE Alliance' } } } }
+      ]
+    });
+
+    expect(report.passed).toBe(false);
+    expect(report.turns.map(turn => turn.diffs.map(diff => diff.field))).toEqual([
+      ['recorded.openai'],
+      ['intent', 'response.voiceResponse', 'recorded.search']
+    ]);
+
+    const text = formatReplayReport([report]);
+    expect(text).toContain('FAIL Regressed shelter search (0/2 turns)');
+    expect(text).toContain('  Turn 2: "I need a shelter in Austin, Texas"\n    intent\n      - expected "follow_up"\n      + actual   "find_shelter"');
+    expect(text).toMatch(/recorded\.search\n {6}- expected a recording\n {6}\+ actual {3}none for "domestic violence shelter austin, texas/);
+    expect(text.endsWith('0/1 conversations passed')).toBe(true);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const createChatCompletion = vi.fn();
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/openaiIntegration.js', () => ({
+  OpenAIIntegration: vi.fn().mockImplementation(() => ({ createChatCompletion }))
+}));
+
+vi.mock('../integrations/searchIntegration.js', () => ({
+  SearchIntegration: { search: vi.fn() }
+}));
+
+vi.mock('../lib/enhancedLocationDetector.js', () => ({
+  extractLocationFromQuery: vi.fn().mockReturnValue(null)
+}));
+
+const {
+  getIntent,
+  detectCoverStoryPhrase,
+  activateCoverStory,
+  resumeFromCoverStory,
+  getCoverStory,
+  getConversationContext,
+  updateConversationContext,
+  clearConversationContext
+} = await import('../lib/intentClassifier.js');
+const { HybridResponseHandler } = await import('../lib/hybridResponseHandler.js');
+const { coverStoryConfig } = await import('../lib/conversationConfig.js');
+const { gptCache } = await import('../lib/queryCache.js');
+
+describe('Cover story mode', () => {
+  const callSid = 'CA_cover_story';
+
+  beforeEach(() => {
+    createChatCompletion.mockReset();
+    clearConversationContext(callSid);
+  });
+
+  describe('detectCoverStoryPhrase', () => {
+    it('should map trigger phrases to personas', () => {
+      expect(detectCoverStoryPhrase('Hi, I would like to refill my prescription please'))
+        .toEqual({ action: 'activate', persona: 'pharmacy' });
+      expect(detectCoverStoryPhrase("What's the forecast for tomorrow?"))
+        .toEqual({ action: 'activate', persona: 'weather' });
+    });
+
+    it('should detect resume phrases', () => {
+      expect(detectCoverStoryPhrase("Okay, it's safe now.")).toEqual({ action: 'resume' });
+    });
+
+    it('should ignore ordinary queries', () => {
+      expect(detectCoverStoryPhrase('I need a shelter in Austin')).toBeNull();
+      expect(detectCoverStoryPhrase(null)).toBeNull();
+    });
+  });
+
+  describe('getIntent', () => {
+    it('should classify cover story phrases without calling the model', async () => {
+      expect(await getIntent('is my prescription ready')).toBe('cover_story');
+      expect(await getIntent('I can talk now')).toBe('resume_conversation');
+      expect(createChatCompletion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('activate and resume', () => {
+    it('should restore the real conversation context on resume', () => {
+      updateConversationContext(callSid, 'find_shelter', 'shelter in Austin');
+      const realQueryContext = getConversationContext(callSid).lastQueryContext;
+
+      activateCoverStory(callSid, 'pharmacy');
+      expect(getCoverStory(callSid)).toMatchObject({ active: true, persona: 'pharmacy' });
+
+      // Something overwrites the live context while covering
+      getConversationContext(callSid).lastQueryContext = null;
+
+      const restored = resumeFromCoverStory(callSid);
+      expect(restored.lastQueryContext).toBe(realQueryContext);
+      expect(getCoverStory(callSid)).toBeNull();
+    });
+
+    it('should keep the original snapshot when switching personas', () => {
+      updateConversationContext(callSid, 'legal_services', 'restraining order');
+      const realQueryContext = getConversationContext(callSid).lastQueryContext;
+
+      activateCoverStory(callSid, 'pharmacy');
+      activateCoverStory(callSid, 'weather');
+
+      expect(getCoverStory(callSid).persona).toBe('weather');
+      expect(resumeFromCoverStory(callSid).lastQueryContext).toBe(realQueryContext);
+    });
+
+    it('should return null when resuming without a cover story', () => {
+      expect(resumeFromCoverStory('CA_unknown')).toBeNull();
+    });
+  });
+
+  describe('HybridResponseHandler persona replies', () => {
+    it('should answer with the persona and omit SMS and summary content', async () => {
+      createChatCompletion.mockResolvedValue({
+        choices: [{ message: { content: 'Your refill will be ready at five.' } }]
+      });
+      const coverStory = { active: true, persona: 'pharmacy', turns: 0 };
+
+      const response = await HybridResponseHandler.getResponse('when can I pick it up', { coverStory }, 'voice');
+
+      expect(response.isCoverStory).toBe(true);
+      expect(response.voiceResponse).toBe('Your refill will be ready at five.');
+      expect(response.smsResponse).toBeUndefined();
+      expect(response.summary).toBeUndefined();
+      expect(createChatCompletion.mock.calls[0][0].messages[0].content)
+        .toBe(coverStoryConfig.personas.pharmacy.instructions);
+    });
+
+    it('should fall back to canned persona replies and never cache them', async () => {
+      createChatCompletion.mockRejectedValue(new Error('offline'));
+      const coverStory = { active: true, persona: 'weather', turns: 0 };
+
+      const first = await HybridResponseHandler.getResponse('will it rain', { coverStory }, 'web');
+      const second = await HybridResponseHandler.getResponse('will it rain', { coverStory }, 'web');
+
+      expect(first.webResponse).toBe(coverStoryConfig.personas.weather.fallbackReplies[0]);
+      expect(second.webResponse).toBe(coverStoryConfig.personas.weather.fallbackReplies[1]);
+      expect(gptCache.get('will it rain')).toBeFalsy();
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { config } from '../lib/config/index.js';
+import {
+  DialogueTrace,
+  setDialogueTrace,
+  traceTurnEvent,
+  formatTraceTimeline,
+  TRACE_STAGES
+} from '../lib/dialogueTrace.js';
+import { traceTwilioTurn } from '../middleware/dialogueTrace.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const { default: adminRoutes } = await import('../routes/admin.js');
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+
+describe('Dialogue trace', () => {
+  afterEach(() => {
+    setDialogueTrace(null);
+  });
+
+  it('should keep each turn\'s events with its own call, across awaits', async () => {
+    const trace = new DialogueTrace({ enabled: true });
+    setDialogueTrace(trace);
+
+    const turn = (callSid, speech) => trace.runTurn(callSid, async () => {
+      traceTurnEvent(TRACE_STAGES.SPEECH, { speechResult: speech });
+      await tick();
+      traceTurnEvent(TRACE_STAGES.INTENT, { intent: 'find_shelter' });
+    });
+    await Promise.all([turn('CA1', 'I need a shelter'), turn('CA2', 'what is a protective order')]);
+    await turn('CA1', 'in Austin Texas');
+    traceTurnEvent(TRACE_STAGES.SPEECH, { speechResult: 'outside any turn' });
+
+    const first = trace.getTrace('CA1');
+    expect(first.turns.map(t => t.turn)).toEqual([1, 2]);
+    expect(first.turns[0].events.map(event => event.stage)).toEqual([TRACE_STAGES.SPEECH, TRACE_STAGES.INTENT]);
+    expect(first.turns[1].events[0].data).toEqual({ speechResult: 'in Austin Texas' });
+    expect(trace.getTrace('CA2').turns[0].events[0].data.speechResult).toBe('what is a protective order');
+    expect(trace.getTrace('CA3')).toBeNull();
+  });
+
+  it('should redact and clip what it keeps', async () => {
+    const trace = new DialogueTrace({ enabled: true, maxTextLength: 40 });
+
+    await trace.runTurn('CA1', async () => {
+      trace.record(TRACE_STAGES.SPEECH, { speechResult: 'call me on 512-555-0100, my SSN is 123-45-6789' });
+      trace.record(TRACE_STAGES.LLM, { prompt: 'word '.repeat(20) });
+    });
+
+    const [speech, llm] = trace.getTrace('CA1').turns[0].events;
+    expect(speech.data.speechResult).not.toContain('555');
+    expect(speech.data.speechResult).not.toContain('6789');
+    expect(llm.data.prompt).toBe(`${'word '.repeat(8)}... [60 more]`);
+  });
+
+  it('should drop the oldest turns and calls, and calls past their TTL', async () => {
+    let now = 0;
+    const trace = new DialogueTrace({ enabled: true, maxCalls: 2, maxTurnsPerCall: 2, ttlMs: 1000, now: () => now });
+    for (const callSid of ['CA1', 'CA1', 'CA1', 'CA2', 'CA3']) {
+      trace.runTurn(callSid, () => {});
+    }
+
+    expect(trace.getTrace('CA1')).toBeNull();
+    expect(trace.getTrace('CA2').turns).toHaveLength(1);
+    now = 1001;
+    expect(trace.getTrace('CA3')).toBeNull();
+    expect(new DialogueTrace({ enabled: false }).runTurn('CA1', turn => turn)).toBeNull();
+  });
+
+  it('should trace a webhook turn through to the TwiML it sends', async () => {
+    setDialogueTrace(new DialogueTrace({ enabled: true }));
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.post('/twilio/voice/process', traceTwilioTurn, async (req, res) => {
+      traceTurnEvent(TRACE_STAGES.SPEECH, { speechResult: req.body.SpeechResult });
+      await tick();
+      res.type('text/xml').send('<Response><Say>Here are shelters.</Say></Response>');
+    });
+    const admin = express();
+    admin.use('/admin', adminRoutes);
+
+    await request(app).post('/twilio/voice/process').type('form').send({ CallSid: 'CA1', SpeechResult: 'I need a shelter' });
+
+    const token = config.admin.apiToken;
+    config.admin.apiToken = 'test-admin-token';
+    try {
+      expect((await request(admin).get('/admin/calls/CA1/trace')).status).toBe(401);
+      const get = path => request(admin).get(path).set('Authorization', 'Bearer test-admin-token');
+
+      const json = await get('/admin/calls/CA1/trace');
+      expect(json.body.callSid).toBe('CA1');
+      expect(json.body.turns[0].events.map(event => event.stage)).toEqual([TRACE_STAGES.SPEECH, TRACE_STAGES.TWIML]);
+      expect(json.body.turns[0].events[1].data).toEqual({ status: 200, twiml: '<Response><Say>Here are shelters.</Say></Response>' });
+
+      const timeline = await get('/admin/calls/CA1/trace?format=timeline');
+      expect(timeline.type).toBe('text/plain');
+      expect(timeline.text).toBe(formatTraceTimeline(json.body));
+      expect(timeline.text).toMatch(/Turn 1 \[voice\][^\n]*\n {2}\+\d+ms speech {5}speechResult=I need a shelter\n/);
+
+      expect((await get('/admin/calls/CA2/trace')).status).toBe(404);
+    } finally {
+      config.admin.apiToken = token;
+    }
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GeocodingIntegration } from '../integrations/geocodingIntegration.js';
+import { ResourceDirectory, setResourceDirectory } from '../lib/resourceDirectory.js';
+import {
+  haversineMiles,
+  formatDistance,
+  extractResultAddress,
+  rankResultsByDistance
+} from '../lib/distanceRanking.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/searchIntegration.js', () => ({
+  SearchIntegration: { search: vi.fn() }
+}));
+
+vi.mock('../lib/queryCache.js', () => ({
+  gptCache: { get: vi.fn(), set: vi.fn(), getStats: vi.fn() }
+}));
+
+const { HybridResponseHandler } = await import('../lib/hybridResponseHandler.js');
+const { SearchIntegration } = await import('../integrations/searchIntegration.js');
+
+const austin = { lat: 30.2672, lon: -97.7431 };
+
+const geocoder = new GeocodingIntegration({
+  provider: 'stub',
+  stubFile: null,
+  stubLocations: {
+    'Austin, TX': { city: 'Austin', state: 'Texas', latitude: austin.lat, longitude: austin.lon },
+    '100 Oak Street, Austin, TX': { latitude: 30.2849, longitude: -97.7341 },
+    '200 Mesa Drive, Austin, TX': { latitude: 30.5083, longitude: -97.6789 },
+    '300 Alamo Street, San Antonio, TX': { latitude: 29.4260, longitude: -98.4861 }
+  }
+});
+
+describe('Distance ranking', () => {
+  it('should compute great-circle distances in miles', () => {
+    const sanAntonio = { lat: 29.4241, lon: -98.4936 };
+    expect(haversineMiles(austin, austin)).toBe(0);
+    expect(haversineMiles(austin, sanAntonio)).toBeGreaterThan(70);
+    expect(haversineMiles(austin, sanAntonio)).toBeLessThan(80);
+  });
+
+  it('should phrase distances for callers', () => {
+    expect(formatDistance(0.4)).toBe('less than a mile away');
+    expect(formatDistance(1.2)).toBe('about 1 mile away');
+    expect(formatDistance(4.4)).toBe('about 4 miles away');
+    expect(formatDistance(undefined)).toBe('');
+  });
+
+  it('should find street addresses in result content', () => {
+    expect(extractResultAddress({ content: 'Shelter at 100 Oak Street. Call anytime.' })).toBe('100 Oak Street');
+    expect(extractResultAddress({ content: 'Call us', extracted_addresses: ['9 Elm Rd'] })).toBe('9 Elm Rd');
+    expect(extractResultAddress({ content: 'No address here' })).toBeNull();
+  });
+
+  it('should sort nearest first, keep unknown distances last and drop results outside the radius', async () => {
+    const results = [
+      { title: 'Unknown', content: 'Call our hotline' },
+      { title: 'Far', content: 'Located at 300 Alamo Street, San Antonio, TX' },
+      { title: 'Medium', content: 'Offices at 200 Mesa Drive' },
+      { title: 'Near', content: 'Shelter at 100 Oak Street' },
+      { title: 'Directory', content: 'Phone: 512-555-0100', coordinates: { lat: 30.2700, lon: -97.7400 } }
+    ];
+
+    const ranked = await rankResultsByDistance(results, 'Austin, TX', { geocoder, radiusMiles: 50 });
+
+    expect(ranked.map(result => result.title)).toEqual(['Directory', 'Near', 'Medium', 'Unknown']);
+    expect(ranked[0].distanceText).toBe('less than a mile away');
+    expect(ranked[2].distanceText).toMatch(/^about \d+ miles away$/);
+    expect(ranked[3].distanceMiles).toBeUndefined();
+  });
+
+  it('should return results unchanged when the caller location cannot be geocoded', async () => {
+    const results = [{ title: 'Near', content: 'Shelter at 100 Oak Street' }];
+    expect(await rankResultsByDistance(results, 'Atlantis', { geocoder })).toEqual(results);
+  });
+
+  describe('shelter responses', () => {
+    beforeEach(() => {
+      setResourceDirectory(new ResourceDirectory());
+      SearchIntegration.search.mockResolvedValue({
+        success: true,
+        data: {
+          results: [
+            { title: 'Mesa Shelter', url: 'https://example.org/mesa', content: 'Offices at 200 Mesa Drive. Call 512-555-0200.', score: 0.9 },
+            { title: 'Oak Shelter', url: 'https://example.org/oak', content: 'Shelter at 100 Oak Street. Call 512-555-0100.', score: 0.8 }
+          ]
+        }
+      });
+    });
+
+    afterEach(() => {
+      setResourceDirectory(null);
+      vi.clearAllMocks();
+    });
+
+    it('should list the nearest shelter first and say how far away it is', async () => {
+      const response = await HybridResponseHandler.handleShelterSearch(
+        'I need a shelter', { location: 'Austin, TX' }, 'voice', { geocoder }
+      );
+
+      expect(response.success).toBe(true);
+      expect(response.voiceResponse).toMatch(/1\. Oak Shelter, (less than a mile|about 1 mile) away\. Phone: 512-555-0100/);
+      expect(response.voiceResponse).toMatch(/2\. Mesa Shelter, about 1\d miles away/);
+    });
+
+    it('should include distances in SMS responses', async () => {
+      const response = await HybridResponseHandler.handleShelterSearch(
+        'I need a shelter', { location: 'Austin, TX' }, 'sms', { geocoder }
+      );
+
+      expect(response.smsResponse).toMatch(/Mesa Shelter, about \d+ miles away \(512-555-0200\)/);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/openaiIntegration.js', () => ({
+  OpenAIIntegration: vi.fn().mockImplementation(() => ({ createChatCompletion: vi.fn() }))
+}));
+
+vi.mock('../integrations/searchIntegration.js', () => ({
+  SearchIntegration: { search: vi.fn() }
+}));
+
+vi.mock('../lib/enhancedLocationDetector.js', () => ({
+  extractLocationFromQuery: vi.fn().mockReturnValue(null)
+}));
+
+vi.mock('../lib/queryCache.js', () => ({
+  gptCache: { get: vi.fn(), set: vi.fn(), getStats: vi.fn() }
+}));
+
+const {
+  extractEligibilityNeeds,
+  mergeEligibilityNeeds,
+  matchEligibility,
+  applyEligibilityNeeds,
+  describeMatchedNeeds
+} = await import('../lib/eligibilityNeeds.js');
+const { normalizeResource, ResourceDirectory, setResourceDirectory } = await import('../lib/resourceDirectory.js');
+const { SearchService } = await import('../services/search/SearchService.js');
+const { HybridResponseHandler } = await import('../lib/hybridResponseHandler.js');
+const { SearchIntegration } = await import('../integrations/searchIntegration.js');
+const {
+  updateConversationContext,
+  getConversationContext,
+  clearConversationContext
+} = await import('../lib/intentClassifier.js');
+
+const directoryResult = overrides => ResourceDirectory.toSearchResult(normalizeResource({
+  name: 'Safe Haven',
+  phone: '512-555-0100',
+  city: 'Austin',
+  state: 'TX',
+  ...overrides
+}));
+
+describe('Eligibility needs', () => {
+  describe('extraction', () => {
+    it('should pick up pets, children with ages and language', () => {
+      expect(extractEligibilityNeeds('I have my dog and my 4 year old and 15-year-old, and I only speak Spanish')).toEqual({
+        pets: true,
+        children: true,
+        childAges: [4, 15],
+        language: 'Spanish'
+      });
+    });
+
+    it('should pick up accessibility, LGBTQ+ and male survivor needs', () => {
+      expect(extractEligibilityNeeds('I use a wheelchair')).toEqual({ wheelchairAccess: true });
+      expect(extractEligibilityNeeds('my partner and I are a lesbian couple')).toEqual({ lgbtqAffirming: true });
+      expect(extractEligibilityNeeds("I'm a man and my wife hits me")).toEqual({ maleSurvivors: true });
+    });
+
+    it('should ignore needs the caller rules out', () => {
+      expect(extractEligibilityNeeds("I don't have kids and no pets")).toEqual({});
+      expect(extractEligibilityNeeds('I need a shelter in Austin')).toEqual({});
+    });
+
+    it('should accumulate needs across turns', () => {
+      const first = extractEligibilityNeeds('I have two kids, ages 3 and 9');
+      const second = extractEligibilityNeeds('and a cat');
+      expect(mergeEligibilityNeeds(first, second)).toEqual({ children: true, childAges: [3, 9], pets: true });
+    });
+  });
+
+  describe('matching', () => {
+    it('should judge directory entries on their recorded policies', () => {
+      const needs = { pets: true, children: true, childAges: [15], language: 'Spanish' };
+
+      expect(matchEligibility(directoryResult({ petsAllowed: 'yes', languages: 'en;es' }), needs)).toMatchObject({
+        matchedNeeds: ['accepts pets', 'offers services in Spanish'],
+        excluded: false
+      });
+      expect(matchEligibility(directoryResult({ petsAllowed: 'no' }), needs).excluded).toBe(true);
+      expect(matchEligibility(directoryResult({ childrenAllowed: 'yes', childAgeLimit: '12' }), needs).excluded).toBe(true);
+    });
+
+    it('should judge web results on their text', () => {
+      const needs = { maleSurvivors: true, pets: true };
+      expect(matchEligibility({ title: 'Haven', content: 'Serving survivors of all genders. Pets welcome.' }, needs).matchedNeeds)
+        .toEqual(['accepts pets', 'serves male survivors']);
+      expect(matchEligibility({ title: 'Haven', content: 'Shelter for women only.' }, needs).excluded).toBe(true);
+    });
+
+    it('should drop excluded results and keep order among equal matches', () => {
+      const results = [
+        { title: 'Near', content: 'Emergency shelter' },
+        { title: 'Excluded', content: 'No pets allowed' },
+        { title: 'Pet friendly', content: 'Pet-friendly shelter with kennels' },
+        { title: 'Far', content: 'Emergency housing' }
+      ];
+      expect(applyEligibilityNeeds(results, { pets: true }).map(result => result.title))
+        .toEqual(['Pet friendly', 'Near', 'Far']);
+      expect(applyEligibilityNeeds(results, {})).toBe(results);
+    });
+
+    it('should phrase matched needs', () => {
+      expect(describeMatchedNeeds(['accepts pets'])).toBe('accepts pets');
+      expect(describeMatchedNeeds(['accepts pets', 'accepts children', 'is wheelchair accessible']))
+        .toBe('accepts pets, accepts children and is wheelchair accessible');
+    });
+  });
+
+  describe('SearchService', () => {
+    const searchService = new SearchService({ apiKey: 'test-key', cacheEnabled: false });
+
+    it('should narrow DV search queries with eligibility needs', () => {
+      const query = searchService.buildDvSearchQuery('Austin, TX', {
+        eligibility: { pets: true, language: 'Spanish', wheelchairAccess: true, children: true, childAges: [14] }
+      });
+
+      expect(query).toContain('pet friendly');
+      expect(query).toContain('Spanish speaking');
+      expect(query).toContain('wheelchair accessible');
+      expect(query).toContain('teens');
+    });
+
+    it('should boost matching results and drop excluded ones when scoring', () => {
+      const content = ' Emergency domestic violence shelter with 24 hour hotline and advocacy services.';
+      const results = searchService.processSearchResults([
+        { title: 'Haven A', url: 'https://example.org/a', content: `Call us.${content}` },
+        { title: 'Haven B', url: 'https://example.org/b', content: `No pets.${content}` },
+        { title: 'Haven C', url: 'https://example.org/c', content: `Pets welcome.${content}` }
+      ], 'emergency shelter austin', { eligibility: { pets: true } });
+
+      expect(results.map(result => result.title)).toEqual(['Haven C', 'Haven A']);
+      expect(results[0].matchedNeeds).toEqual(['accepts pets']);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+  });
+
+  describe('conversation and responses', () => {
+    const callSid = 'CA_eligibility';
+    const offlineGeocoder = { getCoordinates: vi.fn().mockResolvedValue({ success: false }) };
+
+    beforeEach(() => {
+      setResourceDirectory(new ResourceDirectory([
+        normalizeResource({ name: 'No Pets House', phone: '512-555-0101', city: 'Austin', state: 'TX', petsAllowed: 'no', verified: 'yes' }),
+        normalizeResource({ name: 'Paws Haven', phone: '512-555-0102', city: 'Austin', state: 'TX', petsAllowed: 'yes', childrenAllowed: 'yes' })
+      ]));
+      SearchIntegration.search.mockResolvedValue({ success: true, data: { results: [] } });
+    });
+
+    afterEach(() => {
+      setResourceDirectory(null);
+      clearConversationContext(callSid);
+    });
+
+    it('should carry needs in the conversation context', () => {
+      updateConversationContext(callSid, 'find_shelter', 'I need a shelter that takes my dog', null);
+      updateConversationContext(callSid, 'find_shelter', 'I also have a 6 year old', null);
+
+      expect(getConversationContext(callSid).lastQueryContext.eligibilityNeeds).toEqual({
+        pets: true,
+        children: true,
+        childAges: [6]
+      });
+    });
+
+    it('should say which needs each resource was matched on', async () => {
+      const context = { location: 'Austin, TX', lastQueryContext: { eligibilityNeeds: { pets: true } } };
+      const response = await HybridResponseHandler.handleShelterSearch('I have my kids with me too', context, 'voice', { geocoder: offlineGeocoder });
+
+      expect(response.voiceResponse).not.toContain('No Pets House');
+      expect(response.voiceResponse).toContain('Paws Haven. It accepts pets and accepts children. Phone: 512-555-0102');
+    });
+  });
+});
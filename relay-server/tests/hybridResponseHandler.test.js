@@ -191,7 +191,20 @@ describe('HybridResponseHandler', () => {
       const input = 'I need to find a shelter near me';
       const response = await HybridResponseHandler.getResponse(input, {}, 'web');
       
-      // Should fallback to AI response (which is a fallback, so success: false)
+      // Nothing local to fall back on, so the bundled national hotlines answer
+      expect(response.success).toBe(true);
+      expect(response.source).toBe('national_resources');
+      expect(response.webResponse).toContain('1-800-799-7233');
+    });
+
+    it('should fall back when search fails and no national hotline serves the caller', async () => {
+      const { SearchIntegration } = await import('../integrations/searchIntegration.js');
+      SearchIntegration.search.mockRejectedValue(new Error('Search failed'));
+
+      const response = await HybridResponseHandler.getResponse('I need to find a shelter near me', {}, 'web', {
+        region: { country: 'GB' }
+      });
+
       expect(response.success).toBe(false);
       expect(response.source).toBe('fallback');
     });
@@ -337,7 +350,7 @@ describe('HybridResponseHandler', () => {
       );
       
       expect(response.voiceResponse).toContain('I wasn\'t able to find shelters');
-      expect(response.voiceResponse).toContain('1-800-799-7233');
+      expect(HybridResponseHandler.localizeResponse(response).voiceResponse).toContain('1-800-799-7233');
     });
   });
 
@@ -353,6 +366,16 @@ describe('HybridResponseHandler', () => {
       expect(response.smsResponse).toBeDefined();
       expect(response.conversationContext).toEqual(context);
     });
+
+    it('should keep the whole reply for SMS conversations', () => {
+      const aiResponse = 'You can ask the court for a protective order. '.repeat(6).trim();
+
+      const response = HybridResponseHandler.formatAIResponse(aiResponse, 'sms', {});
+
+      expect(response.smsResponse).toBe(aiResponse);
+      expect(response.webResponse).toBeUndefined();
+      expect(HybridResponseHandler.getCacheKey('Help ', 'sms')).toBe('sms:help');
+    });
   });
 
   describe('utility methods', () => {
@@ -380,6 +403,36 @@ describe('HybridResponseHandler', () => {
     });
   });
 
+  describe('region numbers', () => {
+    it('should give the SMS model the caller\'s region\'s numbers', async () => {
+      const { resolveRegion } = await import('../lib/regionRegistry.js');
+
+      const uk = HybridResponseHandler.getSMSInstructions(resolveRegion({ countryCode: 'GB' }));
+      expect(uk).toContain('call 999');
+      expect(uk).toContain('0808 2000 247');
+      expect(uk).not.toMatch(/911|\{\{/);
+      expect(HybridResponseHandler.getSMSInstructions()).toContain('call 911');
+    });
+
+    it('should give a caller outside the US their region\'s numbers on the web and SMS paths', async () => {
+      const { resolveRegion } = await import('../lib/regionRegistry.js');
+      const { SearchIntegration } = await import('../integrations/searchIntegration.js');
+      const region = resolveRegion({ countryCode: 'GB' });
+      SearchIntegration.search.mockResolvedValue({ success: true, data: { results: [] } });
+
+      const web = await HybridResponseHandler.getResponse('I need a shelter in Leeds', {}, 'web', { region });
+      const sms = await HybridResponseHandler.getResponse('I need a shelter in Leeds', {}, 'sms', { region });
+      SearchIntegration.search.mockRejectedValue(new Error('Search failed'));
+      const fallback = await HybridResponseHandler.getResponse('I need a shelter near me', {}, 'sms', { region });
+
+      for (const text of [web.webResponse, web.voiceResponse, web.smsResponse, sms.smsResponse, fallback.smsResponse]) {
+        expect(text).toContain('0808 2000 247');
+        expect(text).not.toMatch(/1-800-799-7233|\{\{/);
+      }
+      expect(HybridResponseHandler.getWebInstructions(region)).toContain('call 999');
+    });
+  });
+
   describe('cache management', () => {
     it('should get cached response', async () => {
       const input = 'test query';
@@ -404,6 +457,34 @@ describe('HybridResponseHandler', () => {
       );
     });
 
+    it('should not share a cached shelter answer between callers with different needs or locations', async () => {
+      const { gptCache } = await import('../lib/queryCache.js');
+      const { SearchIntegration } = await import('../integrations/searchIntegration.js');
+      const cache = new Map();
+      gptCache.get.mockImplementation(key => cache.get(key) ?? null);
+      gptCache.set.mockImplementation((key, value) => cache.set(key, value));
+      SearchIntegration.search.mockResolvedValue({ success: true, data: { results: [] } });
+
+      const input = 'I need a shelter in Austin, TX';
+      await HybridResponseHandler.getResponse(input, { eligibilityNeeds: { pets: true } }, 'sms');
+      await HybridResponseHandler.getResponse(input, { eligibilityNeeds: { children: true, childAges: [15] } }, 'sms');
+      await HybridResponseHandler.getResponse('I need a shelter', { location: 'Dallas, TX' }, 'sms');
+      await HybridResponseHandler.getResponse('I need a shelter', { location: 'Austin, TX' }, 'sms');
+
+      expect(SearchIntegration.search).toHaveBeenCalledTimes(4);
+      expect(SearchIntegration.search.mock.calls[1][0]).not.toBe(SearchIntegration.search.mock.calls[0][0]);
+      expect([...cache.keys()]).toEqual([
+        'sms:i need a shelter in austin, tx|pets',
+        'sms:i need a shelter in austin, tx|children;childAges=15',
+        'sms:i need a shelter|at=dallas, tx',
+        'sms:i need a shelter|at=austin, tx'
+      ]);
+
+      // The same caller asking again is still answered from the cache
+      await HybridResponseHandler.getResponse(input, { eligibilityNeeds: { pets: true } }, 'sms');
+      expect(SearchIntegration.search).toHaveBeenCalledTimes(4);
+    });
+
     it('should get cache stats', async () => {
       const { gptCache } = await import('../lib/queryCache.js');
       
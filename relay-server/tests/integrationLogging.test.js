@@ -86,6 +86,20 @@ describe('Integration Logging', () => {
   });
 
   describe('Twilio Integration Logging', () => {
+    it('should refuse and log SMS to a number that opted out', async () => {
+      const { getConsentLedger, CONSENT_SOURCES } = await import('../lib/consentLedger.js');
+      await getConsentLedger().revoke('+15550001111', { source: CONSENT_SOURCES.SMS, keyword: 'STOP' });
+
+      await expect(TwilioIntegration.sendSMS('+15550001111', 'Test message', 'test-request-id'))
+        .rejects.toMatchObject({ name: 'ConsentError', reason: 'opted_out' });
+
+      expect(mockTwilioClient.messages.create).not.toHaveBeenCalled();
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Twilio Integration - sendSMS.blocked:',
+        expect.objectContaining({ operation: 'sendSMS.blocked', reason: 'opted_out' })
+      );
+    });
+
     it('should log SMS operations with request ID', async () => {
       const mockMessage = { sid: 'test-sid', status: 'sent' };
       mockTwilioClient.messages.create.mockResolvedValue(mockMessage);
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  getLanguageConfig,
+  getResponseLanguageInstruction,
+  validateLanguageConfig
+} from '../lib/languageConfig.js';
+import { detectLanguageRequest, detectLanguageFromText, getLanguageForDigit } from '../lib/languageDetection.js';
+import { classifyYesNo, YES_NO_ANSWERS } from '../lib/yesNoClassifier.js';
+
+const withPrompts = (code, prompts) => ({
+  [DEFAULT_LANGUAGE]: SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE],
+  [code]: {
+    ...SUPPORTED_LANGUAGES[code],
+    prompts: { ...SUPPORTED_LANGUAGES[code].prompts, ...prompts }
+  }
+});
+
+describe('Language configuration', () => {
+  describe('validateLanguageConfig', () => {
+    it('should find every supported language complete', () => {
+      expect(validateLanguageConfig()).toEqual({});
+    });
+
+    it('should report missing prompts', () => {
+      const problems = validateLanguageConfig(withPrompts('es-ES', { processingError: undefined }));
+      expect(problems).toEqual({ 'es-ES': ['missing prompt processingError'] });
+    });
+
+    it('should report broken and dropped placeholders', () => {
+      const problems = validateLanguageConfig(withPrompts('pt-BR', {
+        confirmLocation: 'Encontrei {location}. Diga sim ou não.',
+        usePreviousLocation: 'Quer usar esse local?'
+      }));
+      expect(problems['pt-BR']).toEqual([
+        'prompt confirmLocation has broken placeholder {location}',
+        'prompt confirmLocation is missing {{location}}',
+        'prompt usePreviousLocation is missing {{location}}'
+      ]);
+    });
+
+    it('should report clashing menu keys and unknown voices', () => {
+      const problems = validateLanguageConfig({
+        'en-US': SUPPORTED_LANGUAGES['en-US'],
+        'ko-KR': { ...SUPPORTED_LANGUAGES['ko-KR'], dtmfKey: '1', openaiVoice: 'seoyeon' }
+      });
+      expect(problems['ko-KR']).toEqual(['unsupported OpenAI voice seoyeon', 'menu key 1 is already used by en-US']);
+    });
+
+    it('should report menu keys that are quick-exit keys', () => {
+      const languages = {
+        'en-US': SUPPORTED_LANGUAGES['en-US'],
+        'ko-KR': { ...SUPPORTED_LANGUAGES['ko-KR'], dtmfKey: '0' }
+      };
+
+      expect(validateLanguageConfig(languages)['ko-KR']).toEqual(['menu key 0 is a quick-exit key']);
+      expect(validateLanguageConfig(languages, { quickExitKeys: ['#', '1'] })).toEqual({
+        'en-US': ['menu key 1 is a quick-exit key']
+      });
+    });
+  });
+
+  describe('added languages', () => {
+    it('should be found by code, with a voice and a hotline', () => {
+      for (const code of ['vi-VN', 'zh-CN', 'ko-KR', 'fil-PH', 'ar-SA', 'ht-HT', 'pt-BR']) {
+        const language = getLanguageConfig(code);
+        expect(language).toBe(SUPPORTED_LANGUAGES[code]);
+        expect(language.hotlines[0].number).toBe('1-800-799-7233');
+      }
+      expect(getLanguageConfig('pt').englishName).toBe('Portuguese');
+      expect(getResponseLanguageInstruction('zh-CN')).toContain('Always respond in Mandarin Chinese');
+    });
+
+    it('should be requested and recognised, including Chinese without spaces', () => {
+      expect(detectLanguageRequest('请说中文')).toBe('zh-CN');
+      expect(detectLanguageRequest('an kreyòl souple')).toBe('ht-HT');
+      expect(detectLanguageFromText('我需要帮助')).toBe('zh-CN');
+      expect(detectLanguageFromText('Tôi cần giúp đỡ')).toBe('vi-VN');
+      expect(detectLanguageFromText('Olá, preciso de ajuda com meu marido')).toBe('pt-BR');
+      expect(getLanguageForDigit('6')).toBe('zh-CN');
+    });
+
+    it('should understand yes and no in each language', () => {
+      expect(classifyYesNo('好的', 'zh-CN').answer).toBe(YES_NO_ANSWERS.YES);
+      expect(classifyYesNo('好的，但是不要', 'zh-CN').answer).toBe(YES_NO_ANSWERS.NO);
+      expect(classifyYesNo('không được', 'vi-VN').answer).toBe(YES_NO_ANSWERS.NO);
+      expect(classifyYesNo('괜찮아요', 'ko-KR').answer).toBe(YES_NO_ANSWERS.UNSURE);
+      expect(classifyYesNo('opo', 'fil-PH').answer).toBe(YES_NO_ANSWERS.YES);
+      expect(classifyYesNo('لا شكرا', 'ar-SA').answer).toBe(YES_NO_ANSWERS.NO);
+      expect(classifyYesNo('wi', 'ht-HT').answer).toBe(YES_NO_ANSWERS.YES);
+      expect(classifyYesNo('não sei', 'pt-BR').answer).toBe(YES_NO_ANSWERS.UNSURE);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  detectLanguageRequest,
+  detectLanguageFromText,
+  getLanguageForDigit,
+  buildLanguageMenu,
+  LANGUAGE_SOURCES
+} from '../lib/languageDetection.js';
+import { SUPPORTED_LANGUAGES, getResponseLanguageInstruction } from '../lib/languageConfig.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/twilioIntegration.js', () => ({
+  TwilioIntegration: {
+    sendSMS: vi.fn(),
+    fetchCallDetails: vi.fn()
+  }
+}));
+
+vi.mock('../lib/intentClassifier.js', () => ({
+  getIntent: vi.fn(),
+  rewriteQuery: vi.fn()
+}));
+
+vi.mock('../lib/unifiedResponseHandler.js', () => ({
+  UnifiedResponseHandler: {
+    getResponse: vi.fn()
+  }
+}));
+
+const { getIntent, rewriteQuery } = await import('../lib/intentClassifier.js');
+const { UnifiedResponseHandler } = await import('../lib/unifiedResponseHandler.js');
+
+describe('Language switching', () => {
+  describe('detection', () => {
+    it('should recognise a request for another language anywhere in the utterance', () => {
+      expect(detectLanguageRequest('en español')).toBe('es-ES');
+      expect(detectLanguageRequest('En Espanol, por favor')).toBe('es-ES');
+      expect(detectLanguageRequest('can we do this in French please')).toBe('fr-FR');
+      expect(detectLanguageRequest('I need a shelter in Spain')).toBeNull();
+    });
+
+    it('should only guess a language when its words clearly win', () => {
+      expect(detectLanguageFromText('Hola, necesito ayuda por favor')).toBe('es-ES');
+      expect(detectLanguageFromText('Ich brauche Hilfe, bitte')).toBe('de-DE');
+      expect(detectLanguageFromText('I need help with my husband')).toBe('en-US');
+      // One German and one English word ("die", "the") is not enough
+      expect(detectLanguageFromText('in the garden was die')).toBeNull();
+    });
+
+    it('should map menu keys and read each option in its own language', () => {
+      expect(getLanguageForDigit('2')).toBe('es-ES');
+      expect(getLanguageForDigit('9')).toBe('ar-SA');
+      expect(getLanguageForDigit('#')).toBeNull();
+      expect(buildLanguageMenu('es-ES')).toMatch(/^Para español, oprima 2\. For English, press 1\./);
+    });
+
+    it('should ask the model to answer in the caller\'s language', () => {
+      expect(getResponseLanguageInstruction('en-US')).toBeNull();
+      expect(getResponseLanguageInstruction('es-ES')).toContain('Always respond in Spanish');
+    });
+  });
+
+  describe('processSpeechResult', () => {
+    const callSid = 'CA_lang';
+    let handlerManager;
+    let controller;
+
+    const say = async (speech, intent = 'general_information') => {
+      getIntent.mockResolvedValueOnce(intent);
+      return controller.processSpeechResult(callSid, speech, 'req-1', 'twilio');
+    };
+
+    beforeEach(async () => {
+      vi.clearAllMocks();
+      handlerManager = {
+        activeCalls: new Map([[callSid, { from: '+15551234567' }]]),
+        getConversationContext: vi.fn().mockResolvedValue(null),
+        updateConversationContext: vi.fn(),
+        getSafetyPlan: vi.fn().mockResolvedValue(null),
+        saveCallLanguage: vi.fn(async (sid, language, source) => {
+          Object.assign(handlerManager.activeCalls.get(sid), { language, languageSource: source });
+        })
+      };
+      rewriteQuery.mockImplementation(async speech => speech);
+      UnifiedResponseHandler.getResponse.mockResolvedValue({ voiceResponse: 'Claro.' });
+      const { createTwilioController } = await import('../controllers/twilioController.js');
+      controller = createTwilioController(handlerManager);
+    });
+
+    it('should switch on "en español" and answer in Spanish from then on', async () => {
+      expect(await say('en español')).toBe(SUPPORTED_LANGUAGES['es-ES'].prompts.languageSwitched);
+      expect(handlerManager.saveCallLanguage).toHaveBeenCalledWith(callSid, 'es-ES', LANGUAGE_SOURCES.REQUEST);
+      expect(getIntent).not.toHaveBeenCalled();
+
+      await say('what is a protection order');
+      expect(UnifiedResponseHandler.getResponse).toHaveBeenCalledWith(
+        'what is a protection order', null, 'twilio', { maxResults: 3, language: 'es-ES' }
+      );
+    });
+
+    it('should go on to answer a full request that starts with a language switch', async () => {
+      expect(await say('en español por favor, necesito información sobre órdenes de protección')).toBe('Claro.');
+      expect(UnifiedResponseHandler.getResponse.mock.calls[0][3].language).toBe('es-ES');
+    });
+
+    it('should detect the language of the first utterances only', async () => {
+      await say('Hola, necesito ayuda por favor');
+      expect(handlerManager.saveCallLanguage).toHaveBeenCalledWith(callSid, 'es-ES', LANGUAGE_SOURCES.DETECTED);
+
+      handlerManager.activeCalls.get(callSid).languageTurns = 2;
+      await say('I need help with my husband');
+      expect(handlerManager.activeCalls.get(callSid).language).toBe('es-ES');
+    });
+
+    it('should never override a language the caller picked on the keypad', async () => {
+      const selection = await controller.handleLanguageSelection(callSid, { digits: '3' }, 'req-1');
+      expect(selection).toEqual({ language: 'fr-FR', response: SUPPORTED_LANGUAGES['fr-FR'].prompts.languageSwitched });
+
+      await say('Hola, necesito ayuda por favor');
+      expect(handlerManager.activeCalls.get(callSid)).toMatchObject({ language: 'fr-FR', languageSource: LANGUAGE_SOURCES.DTMF });
+    });
+  });
+});
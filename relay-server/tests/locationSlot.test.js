@@ -0,0 +1,125 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  LocationSlotFiller,
+  createLocationSlot,
+  detectLocationCorrection,
+  getLocationSlotFiller,
+  setLocationSlotFiller,
+  LOCATION_SOURCES,
+  LOCATION_QUESTIONS,
+  LOCATION_ANSWERS
+} from '../lib/locationSlot.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const texasGeocoder = {
+  geocode: vi.fn(async () => ({ success: true, data: { city: 'Austin', state: 'Texas', country: 'United States', countryCode: 'US' } }))
+};
+
+describe('Location slot', () => {
+  afterEach(() => {
+    setLocationSlotFiller(null);
+  });
+
+  describe('fill', () => {
+    it('should take a complete location as said without asking about it', async () => {
+      const filler = new LocationSlotFiller({ geocoder: texasGeocoder });
+      const slot = await filler.fill(null, 'I need a shelter in Dallas, Texas');
+
+      expect(slot).toMatchObject({ value: 'Dallas, Texas', source: LOCATION_SOURCES.SPEECH, missing: [], confirmed: false });
+      expect(filler.getQuestion(slot)).toBeNull();
+      expect(texasGeocoder.geocode).not.toHaveBeenCalled();
+    });
+
+    it('should only read a bare place name as a location when one was asked for', async () => {
+      const filler = new LocationSlotFiller({ geocoder: null });
+
+      expect(await filler.fill(null, 'Austin')).toBeNull();
+      expect((await filler.fill(null, 'Austin', { asked: LOCATION_QUESTIONS.ASK }))?.value).toBe('Austin');
+      expect(await filler.fill(null, 'Maybe', { asked: LOCATION_QUESTIONS.ASK })).toBeNull();
+    });
+
+    it('should fill in the state and country from the geocoder and read them back', async () => {
+      const filler = new LocationSlotFiller({ geocoder: texasGeocoder });
+      const slot = await filler.fill(null, 'Austin', { asked: LOCATION_QUESTIONS.ASK });
+
+      expect(slot).toMatchObject({ value: 'Austin, Texas, United States', source: LOCATION_SOURCES.GEOCODER });
+      expect(filler.getQuestion(slot)).toEqual({
+        question: LOCATION_QUESTIONS.CONFIRM,
+        prompt: 'confirmHeardLocation',
+        smsMessage: 'confirmLocation',
+        params: { location: 'Austin, Texas, United States' }
+      });
+    });
+  });
+
+  describe('questions and answers', () => {
+    it('should ask for the state or country a place is missing and add the answer', async () => {
+      const filler = new LocationSlotFiller({ geocoder: null });
+      const slot = await filler.fill(null, 'Springfield', { asked: LOCATION_QUESTIONS.ASK });
+      const question = filler.getQuestion(slot);
+
+      expect(question).toMatchObject({ question: LOCATION_QUESTIONS.MISSING_PART, prompt: 'askLocationPart', params: { location: 'Springfield' } });
+
+      const { answer, slot: answered } = await filler.answer(slot, question.question, "it's in Illinois");
+      expect(answer).toBe(LOCATION_ANSWERS.CHANGED);
+      expect(answered.value).toBe('Springfield, Illinois');
+      expect(filler.getQuestion(answered)).toBeNull();
+    });
+
+    it('should confirm, decline or stay unsure about a location read back', async () => {
+      const filler = new LocationSlotFiller({ geocoder: null });
+      const slot = filler.fromContext('Austin, Texas');
+
+      expect(filler.getQuestion(slot)).toMatchObject({ question: LOCATION_QUESTIONS.CONFIRM, prompt: 'confirmLocation' });
+
+      const confirmed = await filler.answer(slot, LOCATION_QUESTIONS.CONFIRM, 'yes please');
+      expect(confirmed.answer).toBe(LOCATION_ANSWERS.CONFIRMED);
+      expect(filler.getQuestion(confirmed.slot)).toBeNull();
+
+      expect(await filler.answer(slot, LOCATION_QUESTIONS.CONFIRM, 'no')).toEqual({ answer: LOCATION_ANSWERS.DECLINED, slot: null });
+      expect((await filler.answer(slot, LOCATION_QUESTIONS.CONFIRM, 'hmm')).answer).toBe(LOCATION_ANSWERS.UNSURE);
+      expect(filler.getQuestion(null)).toMatchObject({ question: LOCATION_QUESTIONS.ASK, prompt: 'locationPrompt', smsMessage: 'askLocation' });
+    });
+
+    it('should replace the location with a correction and trust it', async () => {
+      const filler = new LocationSlotFiller({ geocoder: null });
+      const slot = createLocationSlot('Houston, Texas', LOCATION_SOURCES.SPEECH, 0.85);
+
+      const { answer, slot: corrected } = await filler.answer(slot, LOCATION_QUESTIONS.CONFIRM, 'no, I said Dallas, Texas');
+      expect(answer).toBe(LOCATION_ANSWERS.CHANGED);
+      expect(corrected).toMatchObject({ value: 'Dallas, Texas', confirmed: true });
+      expect(corrected.confidence).toBeGreaterThan(0.9);
+    });
+
+    it('should take a changed location in the middle of a request', async () => {
+      const filler = new LocationSlotFiller({ geocoder: null });
+      const slot = createLocationSlot('Houston, Texas', LOCATION_SOURCES.SPEECH, 0.85);
+
+      expect((await filler.fill(slot, 'what about shelters in Austin, Texas'))?.value).toBe('Austin, Texas');
+      expect(await filler.fill(slot, 'do they take pets')).toBe(slot);
+    });
+  });
+
+  it('should recognise corrections only in the shapes callers use', () => {
+    expect(detectLocationCorrection('No, I said Austin.')).toBe('Austin');
+    expect(detectLocationCorrection('I meant Dallas Texas')).toBe('Dallas Texas');
+    expect(detectLocationCorrection("nope, it's in Glasgow")).toBe('Glasgow');
+    expect(detectLocationCorrection('no, Dallas Texas')).toBe('Dallas Texas');
+    expect(detectLocationCorrection('I need a shelter')).toBeNull();
+  });
+
+  it('should share one filler until it is replaced', () => {
+    const filler = getLocationSlotFiller();
+    expect(getLocationSlotFiller()).toBe(filler);
+    setLocationSlotFiller(null);
+    expect(getLocationSlotFiller()).not.toBe(filler);
+  });
+});
@@ -0,0 +1,279 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { VoiceActivityDetector, VAD_EVENTS, frameEnergy } from '../lib/voiceActivity.js';
+import { buildStreamTwiml, getVoiceMode, splitIntoSentences, toMediaFrames, issueStreamToken, verifyStreamToken, VOICE_MODES } from '../lib/mediaStream.js';
+import { MediaStreamSession } from '../services/mediaStreamSession.js';
+import { AudioService } from '../services/audioService.js';
+import { ContextStore } from '../lib/storage/contextStore.js';
+import { StoredMap } from '../lib/storage/storedMap.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/twilioIntegration.js', () => ({
+  TwilioIntegration: {
+    sendSMS: vi.fn(),
+    fetchCallDetails: vi.fn(),
+    updateCall: vi.fn()
+  }
+}));
+
+vi.mock('../lib/intentClassifier.js', () => ({
+  getIntent: vi.fn(),
+  rewriteQuery: vi.fn(),
+  getConversationContext: vi.fn()
+}));
+
+vi.mock('../lib/unifiedResponseHandler.js', () => ({
+  UnifiedResponseHandler: {
+    getResponse: vi.fn()
+  }
+}));
+
+vi.mock('../lib/speechProcessor.js', () => ({
+  extractLocation: vi.fn(),
+  generateLocationPrompt: vi.fn()
+}));
+
+const { TwilioIntegration } = await import('../integrations/twilioIntegration.js');
+
+// 20ms of 8kHz 16-bit PCM at a constant amplitude
+function frame(amplitude) {
+  const pcm = Buffer.alloc(320);
+  for (let i = 0; i < 160; i++) {
+    pcm.writeInt16LE(i % 2 ? amplitude : -amplitude, i * 2);
+  }
+  return pcm;
+}
+
+const VAD = { energyThreshold: 500, speechStartMs: 40, silenceEndMs: 60, preRollMs: 20, maxChunkMs: 200 };
+const LOUD = frame(2000);
+const QUIET = frame(10);
+
+describe('Media streams', () => {
+  describe('voice activity detection', () => {
+    it('should start after enough speech and end after enough silence', () => {
+      const vad = new VoiceActivityDetector(VAD);
+      expect(frameEnergy(LOUD)).toBe(2000);
+
+      expect(vad.process(QUIET)).toEqual([]);
+      expect(vad.process(LOUD)).toEqual([]);
+      expect(vad.process(LOUD)).toEqual([{ type: VAD_EVENTS.SPEECH_START }]);
+      vad.process(LOUD);
+      vad.process(QUIET);
+      vad.process(QUIET);
+      const [end] = vad.process(QUIET);
+
+      expect(end.type).toBe(VAD_EVENTS.SPEECH_END);
+      // Pre-roll frame, three speech frames and the trailing silence
+      expect(end.audio.length).toBe(7 * 320);
+      expect(vad.process(QUIET)).toEqual([]);
+    });
+
+    it('should ignore a blip shorter than the speech threshold', () => {
+      const vad = new VoiceActivityDetector(VAD);
+      expect([LOUD, QUIET, LOUD, QUIET].flatMap(f => vad.process(f))).toEqual([]);
+    });
+
+    it('should cut a long utterance into chunks', () => {
+      const vad = new VoiceActivityDetector(VAD);
+      const events = Array.from({ length: 14 }, () => LOUD).flatMap(f => vad.process(f));
+      expect(events.map(e => e.type)).toEqual([VAD_EVENTS.SPEECH_START, VAD_EVENTS.CHUNK]);
+    });
+  });
+
+  describe('stream audio', () => {
+    const audioService = new AudioService({});
+
+    it('should round-trip PCM through mu-law', () => {
+      const ulaw = audioService.pcmToUlaw(frame(1000));
+      expect(ulaw.length).toBe(160);
+      const pcm = audioService.ulawToPCM(ulaw);
+      expect(Math.abs(pcm.readInt16LE(2) - 1000)).toBeLessThan(40);
+      expect(Math.abs(pcm.readInt16LE(0) + 1000)).toBeLessThan(40);
+    });
+
+    it('should resample and wrap PCM for Whisper', () => {
+      expect(audioService.resamplePcm(Buffer.alloc(480 * 2), 24000, 8000).length).toBe(160 * 2);
+      const wav = audioService.pcmToWav(Buffer.alloc(320));
+      expect(wav.subarray(0, 4).toString()).toBe('RIFF');
+      expect(wav.readUInt32LE(24)).toBe(8000);
+      expect(wav.length).toBe(44 + 320);
+    });
+
+    it('should split replies into sentences and 20ms frames', () => {
+      expect(splitIntoSentences('Are you safe? Call 911. I can help.')).toEqual(['Are you safe?', 'Call 911.', 'I can help.']);
+      expect(toMediaFrames(Buffer.alloc(400)).map(payload => Buffer.from(payload, 'base64').length)).toEqual([160, 160, 80]);
+    });
+  });
+
+  describe('TwiML', () => {
+    it('should connect the stream and fall back to <Gather> when it closes', () => {
+      const twiml = buildStreamTwiml({ url: 'wss://example.org/twilio-stream', callSid: 'CA1', token: 'signed', language: 'es-ES' });
+      expect(twiml).toContain('<Connect><Stream url="wss://example.org/twilio-stream">');
+      expect(twiml).toContain('<Parameter name="callSid" value="CA1"/>');
+      expect(twiml).toContain('<Parameter name="token" value="signed"/>');
+      expect(twiml).toContain('<Parameter name="language" value="es-ES"/>');
+      expect(twiml).toMatch(/<\/Connect><Redirect method="POST">\/twilio\/voice\/gather<\/Redirect>/);
+    });
+
+    it('should only accept a stream token for the call it was issued to, until it expires', () => {
+      const now = Date.now();
+      const token = issueStreamToken('CA1', now);
+      expect(verifyStreamToken('CA1', token, now + 1000)).toBe(true);
+      expect(verifyStreamToken('CA2', token, now + 1000)).toBe(false);
+      expect(verifyStreamToken('CA1', token, now + 10 * 60 * 1000)).toBe(false);
+      expect(verifyStreamToken('CA1', token.replace(/^\d+/, String(now + 60 * 60 * 1000)), now)).toBe(false);
+      expect(verifyStreamToken('CA1', undefined)).toBe(false);
+    });
+
+    it('should let the webhook pick the mode', () => {
+      expect(getVoiceMode('stream')).toBe(VOICE_MODES.STREAM);
+      expect(getVoiceMode('Gather')).toBe(VOICE_MODES.GATHER);
+      expect(getVoiceMode(undefined)).toBe(VOICE_MODES.GATHER);
+    });
+  });
+
+  describe('MediaStreamSession', () => {
+    let ws;
+    let audioService;
+    let turnHandler;
+    let session;
+
+    const sent = () => ws.send.mock.calls.map(([message]) => JSON.parse(message));
+    const say = frames => Promise.all(frames.map(f => session.handleMedia(f.toString('base64'))));
+
+    beforeEach(() => {
+      ws = { readyState: 1, send: vi.fn(), close: vi.fn() };
+      audioService = {
+        decodeTwilioAudio: vi.fn(async payload => Buffer.from(payload, 'base64')),
+        transcribeStreamChunk: vi.fn().mockResolvedValue('I need a shelter'),
+        synthesizeForStream: vi.fn().mockResolvedValue(Buffer.alloc(320))
+      };
+      turnHandler = {
+        respond: vi.fn().mockResolvedValue({ text: 'Where are you? I can look nearby.', language: 'en-US' }),
+        handleDigit: vi.fn(),
+        fallback: vi.fn()
+      };
+      session = new MediaStreamSession({
+        callSid: 'CA1',
+        streamSid: 'MZ1',
+        ws,
+        audioService,
+        turnHandler,
+        language: 'en-US',
+        vad: VAD
+      });
+    });
+
+    it('should answer an utterance with media frames and a mark per sentence', async () => {
+      await say([LOUD, LOUD, LOUD, QUIET, QUIET, QUIET]);
+      await session.turns;
+
+      expect(audioService.transcribeStreamChunk).toHaveBeenCalledWith(expect.any(Buffer), 'en-US');
+      expect(turnHandler.respond).toHaveBeenCalledWith('CA1', 'I need a shelter');
+      expect(sent().map(m => m.event)).toEqual(['media', 'media', 'mark', 'media', 'media', 'mark']);
+      expect(sent().every(m => m.streamSid === 'MZ1')).toBe(true);
+      expect(session.isSpeaking()).toBe(true);
+
+      sent().filter(m => m.event === 'mark').forEach(m => session.handleMark(m.mark.name));
+      expect(session.isSpeaking()).toBe(false);
+    });
+
+    it('should clear playback and drop the rest of the reply when the caller barges in', async () => {
+      let finishSecond;
+      audioService.synthesizeForStream
+        .mockResolvedValueOnce(Buffer.alloc(160))
+        .mockImplementationOnce(() => new Promise(resolve => { finishSecond = resolve; }));
+
+      const speaking = session.speak('First sentence. Second sentence.');
+      await vi.waitFor(() => expect(finishSecond).toBeDefined());
+      await say([LOUD, LOUD]);
+
+      expect(sent().at(-1)).toEqual({ event: 'clear', streamSid: 'MZ1' });
+      expect(session.isSpeaking()).toBe(false);
+
+      finishSecond(Buffer.alloc(160));
+      await speaking;
+      expect(sent().map(m => m.event)).toEqual(['media', 'mark', 'clear']);
+    });
+
+    it('should not clear when the caller talks during silence', async () => {
+      await say([LOUD, LOUD]);
+      expect(ws.send).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to <Gather> after repeated failures', async () => {
+      audioService.transcribeStreamChunk.mockRejectedValue(new Error('ASR down'));
+      await say([LOUD, LOUD, LOUD, QUIET, QUIET, QUIET]);
+      await say([LOUD, LOUD, LOUD, QUIET, QUIET, QUIET]);
+      await session.turns;
+
+      expect(turnHandler.respond).not.toHaveBeenCalled();
+      expect(turnHandler.fallback).toHaveBeenCalledWith('CA1', expect.stringContaining('transcription'));
+      expect(ws.close).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop speaking once the call has been handed off', async () => {
+      turnHandler.handleDigit.mockResolvedValue({ handedOff: true });
+      await session.handleDigit('0');
+      await session.speak('Hello.');
+      expect(ws.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('controller stream turns', () => {
+    const callSid = 'CA_stream';
+    let handlerManager;
+    let controller;
+
+    beforeEach(async () => {
+      vi.clearAllMocks();
+      handlerManager = {
+        activeCalls: new Map([[callSid, { from: '+15125550100', language: 'en-US', voiceMode: VOICE_MODES.STREAM }]]),
+        purgeCall: vi.fn(),
+        saveCallLanguage: vi.fn(async (sid, language) => { handlerManager.activeCalls.get(sid).language = language; })
+      };
+      const { createTwilioController } = await import('../controllers/twilioController.js');
+      controller = createTwilioController(handlerManager);
+    });
+
+    it('should hang up and purge on the safe word without answering', async () => {
+      expect(await controller.handleStreamTurn(callSid, 'pineapple')).toEqual({ handedOff: true });
+      expect(TwilioIntegration.updateCall).toHaveBeenCalledWith(callSid, expect.stringContaining('<Hangup/>'), 'stream');
+      expect(handlerManager.purgeCall).toHaveBeenCalledWith(callSid);
+    });
+
+    it('should switch language from the keypad and ignore other keys', async () => {
+      expect(await controller.handleStreamDigit(callSid, '#')).toBeNull();
+
+      const reply = await controller.handleStreamDigit(callSid, '2');
+      expect(reply.language).toBe('es-ES');
+      expect(reply.text).toContain('español');
+      expect(TwilioIntegration.updateCall).not.toHaveBeenCalled();
+    });
+
+    it('should switch the call back to <Gather> on fallback', () => {
+      controller.handleStreamFallback(callSid, 'synthesis failed 2 times in a row');
+      expect(handlerManager.activeCalls.get(callSid).voiceMode).toBe(VOICE_MODES.GATHER);
+    });
+
+    it('should keep the fallback in the stored call record', async () => {
+      const store = new ContextStore({ driver: 'memory' });
+      handlerManager.activeCalls = new StoredMap('calls', { store });
+      handlerManager.activeCalls.set(callSid, { from: '+15125550100', voiceMode: VOICE_MODES.STREAM });
+      await handlerManager.activeCalls.flush();
+      controller.handleStreamFallback(callSid, 'media stream closed');
+      await handlerManager.activeCalls.flush();
+
+      const restarted = new StoredMap('calls', { store });
+      await restarted.hydrate();
+      expect(restarted.get(callSid).voiceMode).toBe(VOICE_MODES.GATHER);
+    });
+  });
+});
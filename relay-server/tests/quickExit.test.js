@@ -0,0 +1,170 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  detectQuickExit,
+  isQuickExitDigits,
+  isQuickExitPhrase,
+  getQuickExitGatherOptions
+} from '../lib/quickExit.js';
+import { addTranscriptionEntry, purgeTranscriptionEntries } from '../routes/speech-monitor.js';
+import { CallSummaryService } from '../services/callSummaryService.js';
+import { DialogueTrace, setDialogueTrace, traceTurnEvent, TRACE_STAGES } from '../lib/dialogueTrace.js';
+import { ContextStore } from '../lib/storage/contextStore.js';
+import { ContextService } from '../services/context/ContextService.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/twilioIntegration.js', () => ({
+  TwilioIntegration: {
+    sendSMS: vi.fn(),
+    fetchCallDetails: vi.fn()
+  }
+}));
+
+vi.mock('../lib/intentClassifier.js', () => ({
+  getIntent: vi.fn(),
+  rewriteQuery: vi.fn(),
+  clearConversationContext: vi.fn()
+}));
+
+vi.mock('../lib/speechProcessor.js', () => ({
+  extractLocation: vi.fn(),
+  generateLocationPrompt: vi.fn()
+}));
+
+vi.mock('../lib/unifiedResponseHandler.js', () => ({
+  UnifiedResponseHandler: {
+    getResponse: vi.fn()
+  }
+}));
+
+const quickExitConfig = {
+  enabled: true,
+  dtmfKeys: ['*', '0'],
+  safeWords: ['pineapple', 'wrong number', 'sorry wrong number']
+};
+
+describe('Quick exit', () => {
+  describe('isQuickExitDigits', () => {
+    it('should detect configured keypad keys', () => {
+      expect(isQuickExitDigits('*', quickExitConfig)).toBe(true);
+      expect(isQuickExitDigits('0', quickExitConfig)).toBe(true);
+    });
+
+    it('should ignore other keys and empty input', () => {
+      expect(isQuickExitDigits('5', quickExitConfig)).toBe(false);
+      expect(isQuickExitDigits('', quickExitConfig)).toBe(false);
+      expect(isQuickExitDigits(undefined, quickExitConfig)).toBe(false);
+    });
+
+    it('should do nothing when quick exit is disabled', () => {
+      expect(isQuickExitDigits('*', { ...quickExitConfig, enabled: false })).toBe(false);
+    });
+  });
+
+  describe('isQuickExitPhrase', () => {
+    it('should detect safe words regardless of case and punctuation', () => {
+      expect(isQuickExitPhrase('Pineapple!', quickExitConfig)).toBe(true);
+      expect(isQuickExitPhrase('Sorry, wrong number.', quickExitConfig)).toBe(true);
+      expect(isQuickExitPhrase('Wrong number', quickExitConfig)).toBe(true);
+    });
+
+    it('should only match an utterance that is nothing but the safe word', () => {
+      expect(isQuickExitPhrase('pineapplejuice', quickExitConfig)).toBe(false);
+      expect(isQuickExitPhrase('I have the wrong number for the shelter', quickExitConfig)).toBe(false);
+      expect(isQuickExitPhrase('I think I have the wrong numbers', quickExitConfig)).toBe(false);
+      expect(isQuickExitPhrase('I need a shelter in Austin', quickExitConfig)).toBe(false);
+    });
+  });
+
+  describe('detectQuickExit', () => {
+    it('should report the trigger type', () => {
+      expect(detectQuickExit({ Digits: '*' }, quickExitConfig)).toEqual({ trigger: 'dtmf' });
+      expect(detectQuickExit({ SpeechResult: 'pineapple' }, quickExitConfig)).toEqual({ trigger: 'safe_word' });
+      expect(detectQuickExit({ SpeechResult: 'I need help' }, quickExitConfig)).toBeNull();
+    });
+  });
+
+  describe('getQuickExitGatherOptions', () => {
+    it('should accept keypad input alongside speech', () => {
+      expect(getQuickExitGatherOptions()).toEqual({ input: 'speech dtmf', numDigits: 1 });
+    });
+  });
+
+  describe('purging', () => {
+    it('should remove only the exiting call from the speech monitor buffer', () => {
+      addTranscriptionEntry({ CallSid: 'CA_exit', rawSpeechResult: 'first' });
+      addTranscriptionEntry({ CallSid: 'CA_other', rawSpeechResult: 'second' });
+      addTranscriptionEntry({ CallSid: 'CA_exit', rawSpeechResult: 'third' });
+
+      expect(purgeTranscriptionEntries('CA_exit')).toBe(2);
+      expect(purgeTranscriptionEntries('CA_exit')).toBe(0);
+      expect(purgeTranscriptionEntries('CA_other')).toBe(1);
+    });
+
+    it('should clear call summary history', () => {
+      const service = new CallSummaryService({ createChatCompletion: vi.fn() });
+      service.addToHistory('CA_exit', { role: 'user', content: 'hello' });
+      service.clearHistory('CA_exit');
+      expect(service.callHistory.has('CA_exit')).toBe(false);
+    });
+
+    it('should drop the dialogue trace of the exiting call only', async () => {
+      const trace = new DialogueTrace({ enabled: true });
+      setDialogueTrace(trace);
+      try {
+        for (const callSid of ['CA_exit', 'CA_other']) {
+          trace.runTurn(callSid, () => traceTurnEvent(TRACE_STAGES.SPEECH, { speechResult: 'I need a shelter' }));
+        }
+        const context = new ContextService({ store: new ContextStore({ driver: 'memory' }) });
+        await context.initialize();
+        const { HandlerManager } = await import('../handlers/HandlerManager.js');
+
+        await new HandlerManager({ context, tts: {}, search: {} }).purgeCall('CA_exit');
+
+        expect(trace.getTrace('CA_exit')).toBeNull();
+        expect(trace.getTrace('CA_other').turns).toHaveLength(1);
+      } finally {
+        setDialogueTrace(null);
+      }
+    });
+  });
+
+  describe('handleQuickExit controller', () => {
+    let handlerManager;
+    let res;
+
+    beforeEach(() => {
+      handlerManager = {
+        purgeCall: vi.fn().mockResolvedValue(),
+        sendSMSWithRetry: vi.fn(),
+        generateCallSummary: vi.fn()
+      };
+      res = {
+        type: vi.fn().mockReturnThis(),
+        send: vi.fn().mockReturnThis()
+      };
+    });
+
+    it('should hang up and purge without sending an SMS', async () => {
+      const { createTwilioController } = await import('../controllers/twilioController.js');
+      const controller = createTwilioController(handlerManager);
+
+      await controller.handleQuickExit('CA_exit', 'dtmf', res);
+
+      expect(res.type).toHaveBeenCalledWith('text/xml');
+      const twiml = res.send.mock.calls[0][0];
+      expect(twiml).toContain('<Hangup/>');
+      expect(twiml).not.toContain('<Say');
+      expect(handlerManager.purgeCall).toHaveBeenCalledWith('CA_exit');
+      expect(handlerManager.generateCallSummary).not.toHaveBeenCalled();
+      expect(handlerManager.sendSMSWithRetry).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,221 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  resolveRegion,
+  resolveRegionForLocation,
+  findRegionInText,
+  countryFromPhoneNumber,
+  applyRegionNumbers,
+  getRegionInstruction,
+  loadRegionRegistry,
+  setRegionRegistry,
+  REGION_SOURCES
+} from '../lib/regionRegistry.js';
+import { SUPPORTED_LANGUAGES, getWelcomePrompt } from '../lib/languageConfig.js';
+import { warmTransferConfig } from '../lib/conversationConfig.js';
+import { ContextStore } from '../lib/storage/contextStore.js';
+import { StoredMap } from '../lib/storage/storedMap.js';
+import { geocodingIntegration } from '../integrations/geocodingIntegration.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/twilioIntegration.js', () => ({
+  TwilioIntegration: {
+    sendSMS: vi.fn(),
+    fetchCallDetails: vi.fn()
+  }
+}));
+
+vi.mock('../lib/intentClassifier.js', () => ({
+  getIntent: vi.fn(),
+  rewriteQuery: vi.fn(),
+  getConversationContext: vi.fn()
+}));
+
+vi.mock('../lib/unifiedResponseHandler.js', () => ({
+  UnifiedResponseHandler: {
+    getResponse: vi.fn()
+  }
+}));
+
+vi.mock('../lib/speechProcessor.js', () => ({
+  extractLocation: vi.fn(),
+  generateLocationPrompt: vi.fn()
+}));
+
+const { getIntent, rewriteQuery } = await import('../lib/intentClassifier.js');
+const { UnifiedResponseHandler } = await import('../lib/unifiedResponseHandler.js');
+const { extractLocation } = await import('../lib/speechProcessor.js');
+
+describe('Region registry', () => {
+  afterEach(() => {
+    setRegionRegistry(null);
+  });
+
+  describe('lookup', () => {
+    it('should give each country its own emergency number and hotline', () => {
+      expect(resolveRegion({ countryCode: 'gb' })).toMatchObject({
+        country: 'GB',
+        source: REGION_SOURCES.GEOCODED,
+        emergencyNumber: '999',
+        hotlineNumber: '0808 2000 247'
+      });
+      expect(resolveRegion({ countryCode: 'AU' })).toMatchObject({ emergencyNumber: '000', hotlineName: '1800RESPECT' });
+      expect(resolveRegion()).toMatchObject({
+        country: 'US',
+        source: REGION_SOURCES.DEFAULT,
+        emergencyNumber: '911',
+        hotlineNumber: '1-800-799-7233',
+        textLine: 'Text START to 88788'
+      });
+    });
+
+    it('should let a state override its country\'s hotline but keep the emergency number', () => {
+      expect(resolveRegion({ countryCode: 'GB', state: 'Scotland' })).toMatchObject({
+        state: 'SCT',
+        emergencyNumber: '999',
+        hotlineNumber: '0800 027 1234'
+      });
+    });
+
+    it('should find the country a caller names, preferring the longest name', () => {
+      expect(findRegionInText('Belfast, Northern Ireland')).toEqual({ country: 'GB', state: 'NIR' });
+      expect(findRegionInText('Dublin, Ireland')).toEqual({ country: 'IE', state: null });
+      expect(findRegionInText('London, England, UK')).toEqual({ country: 'GB', state: null });
+      expect(findRegionInText('我在中国')).toEqual({ country: 'CN', state: null });
+      expect(findRegionInText('Dallas, Texas')).toBeNull();
+    });
+
+    it('should fall back to the country of the caller\'s number', () => {
+      expect(countryFromPhoneNumber('+442071234567')).toBe('GB');
+      expect(countryFromPhoneNumber('+14165550100')).toBe('CA');
+      expect(countryFromPhoneNumber('+15125550100')).toBe('US');
+      expect(countryFromPhoneNumber('anonymous')).toBeNull();
+      expect(resolveRegion({ location: 'Dallas, Texas', phoneNumber: '+61291234567' })).toMatchObject({
+        country: 'AU',
+        source: REGION_SOURCES.PHONE
+      });
+      expect(resolveRegion({ location: 'Madrid, Spain', phoneNumber: '+61291234567' })).toMatchObject({
+        country: 'ES',
+        source: REGION_SOURCES.DETECTED
+      });
+    });
+
+    it('should geocode a location that names no country', async () => {
+      const geocoder = { geocode: vi.fn().mockResolvedValue({ success: true, data: { countryCode: 'nz', state: 'Auckland' } }) };
+      expect(await resolveRegionForLocation('Ponsonby', { geocoder })).toMatchObject({ country: 'NZ', emergencyNumber: '111' });
+
+      geocoder.geocode.mockResolvedValue({ success: false });
+      expect(await resolveRegionForLocation('somewhere', { geocoder })).toBeNull();
+      expect(await resolveRegionForLocation('Paris, France', { geocoder })).toMatchObject({ country: 'FR' });
+      expect(geocoder.geocode).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep US numbers when the registry file is missing', () => {
+      setRegionRegistry(loadRegionRegistry('./data/no-such-regions.json'));
+      expect(resolveRegion({ countryCode: 'GB', phoneNumber: '+442071234567' })).toMatchObject({
+        country: 'US',
+        emergencyNumber: '911',
+        hotlineNumber: '1-800-799-7233'
+      });
+    });
+  });
+
+  describe('templates', () => {
+    it('should keep US numbers out of every language\'s prompts', () => {
+      for (const language of Object.values(SUPPORTED_LANGUAGES)) {
+        for (const prompt of Object.values(language.prompts)) {
+          expect(prompt).not.toMatch(/911|1-800-799-7233/);
+        }
+      }
+    });
+
+    it('should fill the welcome with the caller\'s region\'s numbers', () => {
+      expect(getWelcomePrompt('en-US', 'live_transfer')).toContain('please call 911');
+      expect(getWelcomePrompt('en-US', 'assistant_only', resolveRegion({ countryCode: 'GB' })))
+        .toMatch(/open 24\/7 at 0808 2000 247\. .*please call 999\./);
+      expect(getWelcomePrompt('fr-FR', 'live_transfer', resolveRegion({ countryCode: 'FR' }))).toContain('appeler le 112');
+      expect(applyRegionNumbers(warmTransferConfig.messages.emergency, resolveRegion({ countryCode: 'BR' }))).toContain('call 190');
+    });
+
+    it('should only add a region instruction outside the default country', () => {
+      expect(getRegionInstruction(resolveRegion())).toBeNull();
+      expect(getRegionInstruction(resolveRegion({ countryCode: 'DE' })))
+        .toContain('The caller is in Germany. For emergencies tell them to call 112');
+    });
+  });
+
+  describe('processSpeechResult', () => {
+    const callSid = 'CA_region';
+    let handlerManager;
+    let controller;
+
+    beforeEach(async () => {
+      vi.clearAllMocks();
+      handlerManager = {
+        activeCalls: new Map([[callSid, { from: '+15125550100' }]]),
+        getConversationContext: vi.fn().mockResolvedValue(null),
+        updateConversationContext: vi.fn(),
+        getSafetyPlan: vi.fn().mockResolvedValue(null),
+        saveCallLanguage: vi.fn()
+      };
+      rewriteQuery.mockImplementation(async speech => speech);
+      UnifiedResponseHandler.getResponse.mockResolvedValue({ voiceResponse: 'Here are some shelters.' });
+      const { createTwilioController } = await import('../controllers/twilioController.js');
+      controller = createTwilioController(handlerManager);
+    });
+
+    it('should answer with the numbers of the country the caller is in', async () => {
+      getIntent.mockResolvedValueOnce('find_shelter');
+      extractLocation.mockResolvedValueOnce('Glasgow, Scotland');
+      await controller.processSpeechResult(callSid, 'I need a shelter in Glasgow, Scotland', 'req-1', 'twilio');
+
+      expect(handlerManager.activeCalls.get(callSid).region).toMatchObject({ country: 'GB', state: 'SCT' });
+      expect(UnifiedResponseHandler.getResponse.mock.calls[0][3].region).toMatchObject({
+        emergencyNumber: '999',
+        hotlineNumber: '0800 027 1234'
+      });
+    });
+
+    it('should keep a geocoded region in the stored call record', async () => {
+      const store = new ContextStore({ driver: 'memory' });
+      handlerManager.activeCalls = new StoredMap('calls', { store });
+      // A place the caller confirmed earlier that names no country
+      handlerManager.activeCalls.set(callSid, {
+        from: '+15125550100',
+        locationSlot: { value: 'Ponsonby, Auckland', source: 'speech', confidence: 1, missing: [], confirmed: true }
+      });
+      await handlerManager.activeCalls.flush();
+      // Geocoding answers after the turn is over, as it can on a live call
+      let answerGeocode;
+      const geocode = vi.spyOn(geocodingIntegration, 'geocode').mockReturnValue(new Promise(resolve => { answerGeocode = resolve; }));
+      try {
+        getIntent.mockResolvedValueOnce('find_shelter');
+        await controller.processSpeechResult(callSid, 'I need a shelter', 'req-1', 'twilio');
+
+        answerGeocode({ success: true, data: { countryCode: 'nz', state: 'Auckland' } });
+        await vi.waitFor(() => expect(handlerManager.activeCalls.get(callSid).region).toMatchObject({ country: 'NZ' }));
+        await handlerManager.activeCalls.flush();
+      } finally {
+        geocode.mockRestore();
+      }
+
+      const restarted = new StoredMap('calls', { store });
+      await restarted.hydrate();
+      expect(restarted.get(callSid).region).toMatchObject({ country: 'NZ', emergencyNumber: '111' });
+    });
+
+    it('should leave callers who haven\'t given a location on the default answers', async () => {
+      getIntent.mockResolvedValueOnce('general_information');
+      await controller.processSpeechResult(callSid, 'what is a protection order', 'req-1', 'twilio');
+
+      expect(UnifiedResponseHandler.getResponse.mock.calls[0][3]).toEqual({ maxResults: 3, language: null });
+    });
+  });
+});
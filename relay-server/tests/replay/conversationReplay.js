@@ -0,0 +1,270 @@
+/**
+ * Conversation Replay
+ * Drives a scripted or recorded conversation through
+ * HandlerManager.processConversation one turn at a time and compares each turn
+ * with what the script expects: the intent, the caller's location, whether we
+ * asked for one, what was searched for and properties of the response.
+ *
+ * Tavily, OpenAI and the geocoder answer from the recordings kept in the
+ * script, so a replay never leaves the machine. A call nothing was recorded
+ * for fails the turn it happened in rather than reaching the network.
+ *
+ * Runs inside vitest (it installs spies with vi); see tests/conversationReplay.test.js.
+ *
+ * Script format (tests/replay/conversations/*.json):
+ * {
+ *   "name": "...",
+ *   "languageCode": "en-US",
+ *   "recorded": {
+ *     "geocoding": { "austin, texas": { "city", "state", "country", "countryCode", "latitude", "longitude" } },
+ *     "search": [{ "query": "austin", "results": [{ "title", "url", "content", "score" }] }],
+ *     "openai": [{ "prompt": "pets", "content": "..." }]
+ *   },
+ *   "turns": [{
+ *     "say": "I need a shelter in Austin, Texas",
+ *     "expect": {
+ *       "intent": "find_shelter",
+ *       "location": "austin, texas",
+ *       "asksForLocation": false,
+ *       "searchedFor": "austin",
+ *       "response": { "source": "tavily_hybrid", "voiceResponse": { "contains": "SafePlace" } }
+ *     }
+ *   }]
+ * }
+ * A recorded search or prompt answers the first call whose query or last
+ * message contains it (case-insensitive). "searchedFor": null expects no search.
+ * Response properties are dotted paths ("results.length"); a plain value must
+ * be equal, or use { "contains", "notContains", "matches" }.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { vi } from 'vitest';
+import { HandlerManager } from '../../handlers/HandlerManager.js';
+import { ContextService } from '../../services/context/ContextService.js';
+import { ContextStore } from '../../lib/storage/contextStore.js';
+import { SearchIntegration } from '../../integrations/searchIntegration.js';
+import { OpenAIIntegration } from '../../integrations/openaiIntegration.js';
+import { geocodingIntegration } from '../../integrations/geocodingIntegration.js';
+import { gptCache } from '../../lib/queryCache.js';
+
+const MAX_SHOWN_LENGTH = 160;
+
+/**
+ * Read every conversation script in a directory
+ * @param {string} dir - Directory of *.json scripts
+ * @returns {Array<Object>} Scripts, each with the file it came from
+ */
+export function loadConversationScripts(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => ({ file: path.join(dir, file), ...JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) }));
+}
+
+/**
+ * A HandlerManager with its own in-memory conversation context; text turns use no TTS or search service
+ * @returns {Promise<HandlerManager>} Handler manager
+ */
+export async function createReplayHandlerManager() {
+  const context = new ContextService({ store: new ContextStore({ driver: 'memory' }) });
+  await context.initialize();
+  return new HandlerManager({ context, tts: {}, search: {} });
+}
+
+function findRecording(recordings, field, text) {
+  const lower = (text || '').toLowerCase();
+  return recordings.find(recording => lower.includes(String(recording[field]).toLowerCase())) || null;
+}
+
+/**
+ * Answer Tavily, OpenAI and the geocoder from a script's recordings
+ * @param {Object} [recorded] - The script's "recorded" section
+ * @returns {Object} { calls, restore } - calls lists every search and prompt, with missed ones marked
+ */
+export function useRecordings(recorded = {}) {
+  const calls = [];
+  const searches = recorded.search || [];
+  const prompts = recorded.openai || [];
+
+  const searchSpy = vi.spyOn(SearchIntegration, 'search').mockImplementation(async query => {
+    const recording = findRecording(searches, 'query', query);
+    calls.push({ type: 'search', query, missed: !recording });
+    if (!recording) {
+      return { success: false, error: 'No recorded search', data: { results: [] } };
+    }
+    return { success: true, data: { query, results: recording.results || [] } };
+  });
+
+  const chatSpy = vi.spyOn(OpenAIIntegration.prototype, 'createChatCompletion').mockImplementation(async ({ messages = [] }) => {
+    const prompt = messages[messages.length - 1]?.content || '';
+    const recording = findRecording(prompts, 'prompt', prompt);
+    calls.push({ type: 'openai', query: prompt, missed: !recording });
+    if (!recording) {
+      throw new Error('No recorded OpenAI response');
+    }
+    return { choices: [{ message: { role: 'assistant', content: recording.content } }], usage: {} };
+  });
+
+  const geocoder = { provider: geocodingIntegration.provider, stubLocations: geocodingIntegration.stubLocations };
+  geocodingIntegration.provider = 'stub';
+  geocodingIntegration.stubLocations = Object.fromEntries(
+    Object.entries(recorded.geocoding || {}).map(([location, entry]) => [location.trim().toLowerCase(), entry])
+  );
+  geocodingIntegration.cache.clear();
+  // Answers cached by an earlier replay or test would hide what this one searches for
+  gptCache.clear();
+
+  return {
+    calls,
+    restore() {
+      searchSpy.mockRestore();
+      chatSpy.mockRestore();
+      geocodingIntegration.provider = geocoder.provider;
+      geocodingIntegration.stubLocations = geocoder.stubLocations;
+      geocodingIntegration.cache.clear();
+      gptCache.clear();
+    }
+  };
+}
+
+function getPath(object, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+function show(value) {
+  const text = typeof value === 'string' ? JSON.stringify(value) : JSON.stringify(value ?? null);
+  return text.length > MAX_SHOWN_LENGTH ? `${text.slice(0, MAX_SHOWN_LENGTH)}...` : text;
+}
+
+function sameLocation(a, b) {
+  const normalize = value => (value || '').toLowerCase().replace(/\s+/g, ' ').trim() || null;
+  return normalize(a) === normalize(b);
+}
+
+// Differences between one expected response property and the actual value
+function compareProperty(field, expected, actual) {
+  if (expected === null || typeof expected !== 'object') {
+    return expected === actual ? [] : [{ field, expected: show(expected), actual: show(actual) }];
+  }
+  const text = typeof actual === 'string' ? actual : JSON.stringify(actual ?? '');
+  const diffs = [];
+  for (const needle of [].concat(expected.contains ?? [])) {
+    if (!text.toLowerCase().includes(needle.toLowerCase())) {
+      diffs.push({ field, expected: `to contain ${show(needle)}`, actual: show(actual) });
+    }
+  }
+  for (const needle of [].concat(expected.notContains ?? [])) {
+    if (text.toLowerCase().includes(needle.toLowerCase())) {
+      diffs.push({ field, expected: `not to contain ${show(needle)}`, actual: show(actual) });
+    }
+  }
+  if (expected.matches && !new RegExp(expected.matches, 'i').test(text)) {
+    diffs.push({ field, expected: `to match /${expected.matches}/i`, actual: show(actual) });
+  }
+  return diffs;
+}
+
+/**
+ * Differences between what a turn expected and what happened
+ * @param {Object} expect - The turn's "expect" section
+ * @param {Object} actual - { intent, location, asksForLocation, searches, response }
+ * @returns {Array<Object>} { field, expected, actual }
+ */
+export function compareTurn(expect = {}, actual) {
+  const diffs = [];
+  if ('intent' in expect && expect.intent !== actual.intent) {
+    diffs.push({ field: 'intent', expected: show(expect.intent), actual: show(actual.intent) });
+  }
+  if ('location' in expect && !sameLocation(expect.location, actual.location)) {
+    diffs.push({ field: 'location', expected: show(expect.location), actual: show(actual.location) });
+  }
+  if ('asksForLocation' in expect && expect.asksForLocation !== actual.asksForLocation) {
+    diffs.push({ field: 'asksForLocation', expected: show(expect.asksForLocation), actual: show(actual.asksForLocation) });
+  }
+  if ('searchedFor' in expect) {
+    const searched = expect.searchedFor === null
+      ? actual.searches.length === 0
+      : actual.searches.some(query => query.toLowerCase().includes(expect.searchedFor.toLowerCase()));
+    if (!searched) {
+      diffs.push({
+        field: 'searchedFor',
+        expected: expect.searchedFor === null ? 'no search' : `a search for ${show(expect.searchedFor)}`,
+        actual: show(actual.searches)
+      });
+    }
+  }
+  for (const [field, expected] of Object.entries(expect.response || {})) {
+    diffs.push(...compareProperty(`response.${field}`, expected, getPath(actual.response, field)));
+  }
+  return diffs;
+}
+
+/**
+ * Replay a conversation script turn by turn
+ * @param {Object} script - Conversation script
+ * @param {Object} [options]
+ * @param {HandlerManager} [options.handlerManager] - Defaults to a fresh one per replay
+ * @returns {Promise<Object>} { name, file, passed, turns: [{ turn, say, passed, diffs, actual }] }
+ */
+export async function replayConversation(script, { handlerManager = null } = {}) {
+  const manager = handlerManager || await createReplayHandlerManager();
+  const recordings = useRecordings(script.recorded);
+  const contextId = `replay-${path.basename(script.file || script.name || 'conversation', '.json')}`;
+  const turns = [];
+
+  try {
+    for (const [index, step] of script.turns.entries()) {
+      const callsBefore = recordings.calls.length;
+      const result = await manager.processConversation({
+        text: step.say,
+        contextId,
+        languageCode: script.languageCode || 'en-US',
+        format: script.format || 'text'
+      });
+      const calls = recordings.calls.slice(callsBefore);
+
+      const actual = {
+        intent: result.data?.intent?.intent ?? null,
+        location: result.data?.speech?.extractedInfo?.location ?? null,
+        asksForLocation: !!result.data?.speech?.needsLocationPrompt,
+        searches: calls.filter(call => call.type === 'search').map(call => call.query),
+        response: result.data?.response ?? null
+      };
+      const diffs = compareTurn(step.expect, actual);
+      if (!result.success) {
+        diffs.unshift({ field: 'processConversation', expected: 'success', actual: show(result.error) });
+      }
+      for (const call of calls.filter(call => call.missed)) {
+        diffs.push({ field: `recorded.${call.type === 'search' ? 'search' : 'openai'}`, expected: 'a recording', actual: `none for ${show(call.query)}` });
+      }
+      turns.push({ turn: index + 1, say: step.say, passed: diffs.length === 0, diffs, actual });
+    }
+  } finally {
+    recordings.restore();
+  }
+
+  return { name: script.name, file: script.file, passed: turns.every(turn => turn.passed), turns };
+}
+
+/**
+ * Replays as a pass/fail report, with the differences of every failed turn
+ * @param {Array<Object>} reports - Results of replayConversation
+ * @returns {string} Report
+ */
+export function formatReplayReport(reports) {
+  const lines = [];
+  for (const report of reports) {
+    const failed = report.turns.filter(turn => !turn.passed);
+    lines.push(`${report.passed ? 'PASS' : 'FAIL'} ${report.name} (${report.turns.length - failed.length}/${report.turns.length} turns)`);
+    for (const turn of failed) {
+      lines.push(`  Turn ${turn.turn}: ${show(turn.say)}`);
+      for (const diff of turn.diffs) {
+        lines.push(`    ${diff.field}`, `      - expected ${diff.expected}`, `      + actual   ${diff.actual}`);
+      }
+    }
+  }
+  const passed = reports.filter(report => report.passed).length;
+  lines.push('', `${passed}/${reports.length} conversations passed`);
+  return lines.join('\n');
+}
@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  ResourceDirectory,
+  normalizeResource,
+  parseResourceCsv,
+  parseResources,
+  setResourceDirectory
+} from '../lib/resourceDirectory.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/searchIntegration.js', () => ({
+  SearchIntegration: { search: vi.fn() }
+}));
+
+vi.mock('../lib/queryCache.js', () => ({
+  gptCache: { get: vi.fn(), set: vi.fn(), getStats: vi.fn() }
+}));
+
+const { HybridResponseHandler } = await import('../lib/hybridResponseHandler.js');
+const { SearchIntegration } = await import('../integrations/searchIntegration.js');
+
+const csv = [
+  'name,phone,address,city,state,postalCode,latitude,longitude,services,languages,petsAllowed,childrenAllowed,hours,verified,url,serviceArea',
+  '"Safe Haven, Inc.",512-555-0100,"1 Main St",Austin,TX,78701,30.27,-97.74,shelter;advocacy,en;es,yes,yes,24/7,yes,,local',
+  'Unverified House,512-555-0101,,Austin,tx,,,,shelter,en,no,,,no,,',
+  'Texas Statewide Line,800-555-0102,,,TX,,,,hotline,en,,,,yes,,state',
+  'Dallas Shelter,214-555-0103,,Dallas,TX,,,,shelter,en,,,,yes,,local'
+].join('\n');
+
+describe('Resource directory', () => {
+  describe('parsing', () => {
+    it('should parse quoted CSV fields and list columns', () => {
+      const [safeHaven] = parseResources(csv, 'csv');
+      expect(safeHaven).toMatchObject({
+        name: 'Safe Haven, Inc.',
+        phone: '512-555-0100',
+        coordinates: { lat: 30.27, lon: -97.74 },
+        services: ['shelter', 'advocacy'],
+        languages: ['en', 'es'],
+        petsAllowed: true,
+        childrenAllowed: true,
+        verified: true,
+        serviceArea: 'local'
+      });
+    });
+
+    it('should leave unknown policies as null', () => {
+      const rows = parseResourceCsv(csv);
+      const unverified = normalizeResource(rows[1]);
+      expect(unverified.state).toBe('TX');
+      expect(unverified.childrenAllowed).toBeNull();
+      expect(unverified.verified).toBe(false);
+    });
+
+    it('should reject records without a name, phone or with bad coordinates', () => {
+      expect(() => normalizeResource({ phone: '555-0100' })).toThrow(/name/);
+      expect(() => normalizeResource({ name: 'No Phone' })).toThrow(/phone/);
+      expect(() => normalizeResource({ name: 'Bad', phone: '988', latitude: 200, longitude: 0 })).toThrow(/coordinates/);
+    });
+  });
+
+  describe('search', () => {
+    const directory = new ResourceDirectory(parseResources(csv, 'csv'));
+
+    it('should match by city and state with verified resources first', () => {
+      const names = directory.search({ location: 'Austin, TX' }).map(resource => resource.name);
+      expect(names).toEqual(['Safe Haven, Inc.', 'Texas Statewide Line', 'Unverified House']);
+    });
+
+    it('should match by ZIP code', () => {
+      expect(directory.search({ location: '78701' }).map(resource => resource.name)).toEqual(['Safe Haven, Inc.']);
+    });
+
+    it('should not match other states', () => {
+      expect(directory.search({ location: 'Austin, MN' })).toEqual([]);
+    });
+
+    it('should load the bundled national hotlines as verified', () => {
+      const bundled = ResourceDirectory.fromFiles(['./data/national-resources.json']);
+      const national = bundled.getNationalResources();
+      expect(national.length).toBeGreaterThan(0);
+      expect(national.every(resource => resource.verified)).toBe(true);
+      expect(national.map(resource => resource.phone)).toContain('1-800-799-7233');
+    });
+
+    it('should load the example directory', () => {
+      const example = ResourceDirectory.fromFiles(['./data/resource-directory.example.csv']);
+      expect(example.search({ location: 'Springfield, IL' }).map(resource => resource.name)).toEqual(['Example Family Shelter']);
+    });
+  });
+
+  describe('HybridResponseHandler integration', () => {
+    beforeEach(() => {
+      setResourceDirectory(new ResourceDirectory(parseResources(csv, 'csv')));
+    });
+
+    afterEach(() => {
+      setResourceDirectory(null);
+      vi.clearAllMocks();
+    });
+
+    it('should rank verified directory entries ahead of search results and drop duplicates', async () => {
+      SearchIntegration.search.mockResolvedValue({
+        success: true,
+        data: {
+          results: [
+            { title: 'Safe Haven Shelter', content: 'Domestic violence shelter. Call 512-555-0100', url: 'https://safehaven.org', score: 0.9 },
+            { title: 'Austin Crisis Center', content: 'Domestic violence shelter. Call 512-555-0199', url: 'https://crisis.org', score: 0.8 }
+          ]
+        }
+      });
+
+      const response = await HybridResponseHandler.handleShelterSearch('shelter in Austin, TX', {}, 'voice', {});
+
+      expect(response.results.map(result => result.title)).toEqual([
+        'Safe Haven, Inc.',
+        'Texas Statewide Line',
+        'Unverified House'
+      ]);
+      expect(response.voiceResponse).toContain('512-555-0100');
+    });
+
+    it('should answer from the directory when search is down', async () => {
+      SearchIntegration.search.mockRejectedValue(new Error('network down'));
+
+      const response = await HybridResponseHandler.handleShelterSearch('shelter in Dallas, TX', {}, 'voice', {});
+
+      expect(response.success).toBe(true);
+      expect(response.source).toBe('resource_directory');
+      expect(response.voiceResponse).toContain('Dallas Shelter');
+      expect(response.voiceResponse).toContain('214-555-0103');
+    });
+
+    it('should offer national hotlines when nothing near the caller is found', async () => {
+      setResourceDirectory(new ResourceDirectory(parseResources(
+        `${csv}\nNational Line,800-555-0104,,,,,,,hotline,en,,,,yes,,national`, 'csv')));
+      SearchIntegration.search.mockResolvedValue({ success: true, data: { results: [] } });
+
+      const response = await HybridResponseHandler.handleShelterSearch('shelter in Boise, ID', {}, 'voice', {});
+
+      expect(response.success).toBe(true);
+      expect(response.source).toBe('national_resources');
+      expect(response.voiceResponse).toContain('National Line, 800-555-0104');
+    });
+
+    it('should offer national hotlines when search is down and the directory has nothing local', async () => {
+      setResourceDirectory(new ResourceDirectory(parseResources(
+        `${csv}\nNational Line,800-555-0104,,,,,,,hotline,en,,,,yes,,national`, 'csv')));
+      SearchIntegration.search.mockRejectedValue(new Error('network down'));
+
+      const response = await HybridResponseHandler.handleShelterSearch('shelter in Boise, ID', {}, 'sms', {});
+
+      expect(response.source).toBe('national_resources');
+      expect(response.smsResponse).toContain('800-555-0104');
+    });
+
+    it('should keep the generic fallback for callers outside the country the hotlines serve', async () => {
+      setResourceDirectory(new ResourceDirectory(parseResources(
+        `${csv}\nNational Line,800-555-0104,,,,,,,hotline,en,,,,yes,,national`, 'csv')));
+      SearchIntegration.search.mockRejectedValue(new Error('network down'));
+
+      const response = await HybridResponseHandler.handleShelterSearch('shelter in Leeds', {}, 'voice', {
+        region: { country: 'GB' }
+      });
+
+      expect(response.source).toBe('fallback');
+    });
+  });
+});
@@ -0,0 +1,242 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  advanceSafetyPlan,
+  detectSafetyPlanCommand,
+  formatSafetyPlanSms,
+  isSafetyPlanActive,
+  SAFETY_PLAN_STATUS
+} from '../lib/safetyPlan.js';
+import { safetyPlanConfig } from '../lib/conversationConfig.js';
+import { ContextStore } from '../lib/storage/contextStore.js';
+import { ContextService } from '../services/context/ContextService.js';
+import { ConsentLedger, setConsentLedger, CONSENT_SOURCES } from '../lib/consentLedger.js';
+import { SmsSafeguards, setSmsSafeguards } from '../lib/smsSafeguards.js';
+import { ScheduleEngine, setScheduleEngine } from '../lib/schedule.js';
+import { setTransferRoutes } from '../lib/warmTransfer.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/twilioIntegration.js', () => ({
+  TwilioIntegration: {
+    sendSMS: vi.fn(),
+    fetchCallDetails: vi.fn()
+  }
+}));
+
+vi.mock('../lib/intentClassifier.js', () => ({
+  getIntent: vi.fn(),
+  rewriteQuery: vi.fn()
+}));
+
+vi.mock('../lib/speechProcessor.js', () => ({
+  extractLocation: vi.fn(),
+  generateLocationPrompt: vi.fn()
+}));
+
+vi.mock('../lib/unifiedResponseHandler.js', () => ({
+  UnifiedResponseHandler: {
+    getResponse: vi.fn()
+  }
+}));
+
+const { TwilioIntegration } = await import('../integrations/twilioIntegration.js');
+const { getIntent, rewriteQuery } = await import('../lib/intentClassifier.js');
+const { UnifiedResponseHandler } = await import('../lib/unifiedResponseHandler.js');
+
+const [safePlaces, trustedContacts, goBag, documents, children, codeWord] = safetyPlanConfig.sections;
+
+/**
+ * Play a sequence of caller turns through the state machine
+ */
+function run(turns, options = {}) {
+  let plan = null;
+  let result = null;
+  for (const turn of turns) {
+    result = advanceSafetyPlan(plan, turn, options);
+    plan = result.plan;
+  }
+  return result;
+}
+
+describe('Guided safety plan', () => {
+  describe('state machine', () => {
+    it('should start with the first section', () => {
+      const { plan, reply } = advanceSafetyPlan(null, 'help me make a safety plan', { start: true });
+
+      expect(plan.status).toBe(SAFETY_PLAN_STATUS.IN_PROGRESS);
+      expect(plan.step).toBe(0);
+      expect(reply).toContain(safetyPlanConfig.messages.intro);
+      expect(reply).toContain(safePlaces.prompt);
+    });
+
+    it('should record answers, skip and repeat sections', () => {
+      const { plan, reply } = run(['safety plan', "my sister's apartment", 'repeat that', 'skip']);
+
+      expect(plan.answers).toEqual({ safePlaces: "my sister's apartment" });
+      expect(plan.skipped).toEqual(['trustedContacts']);
+      expect(reply).toBe(goBag.prompt);
+    });
+
+    it('should pause on stop and resume at the same section', () => {
+      const paused = run(['safety plan', 'the library', 'stop for now']);
+      expect(paused.plan.status).toBe(SAFETY_PLAN_STATUS.PAUSED);
+      expect(isSafetyPlanActive(paused.plan)).toBe(false);
+
+      const resumed = advanceSafetyPlan(paused.plan, "let's continue my safety plan", { start: true });
+      expect(resumed.plan.status).toBe(SAFETY_PLAN_STATUS.IN_PROGRESS);
+      expect(resumed.reply).toBe(`${safetyPlanConfig.messages.resume} ${trustedContacts.prompt}`);
+    });
+
+    it('should read back the final plan and offer a text when a number is known', () => {
+      const { plan, reply } = run(
+        ['safety plan', 'the library', 'Maria', 'meds and keys', 'passport', 'skip', 'blue umbrella'],
+        { canSendSms: true }
+      );
+
+      expect(plan.status).toBe(SAFETY_PLAN_STATUS.AWAITING_SMS_CONSENT);
+      expect(reply).toContain(`${trustedContacts.title}: Maria.`);
+      expect(reply).not.toContain(children.title);
+      expect(reply).toContain(safetyPlanConfig.messages.smsOffer);
+    });
+
+    it('should finish without an offer when there is no number to text', () => {
+      const { plan, reply } = run(['safety plan', 'the library', 'skip', 'skip', 'skip', 'skip', 'skip']);
+
+      expect(plan.status).toBe(SAFETY_PLAN_STATUS.COMPLETED);
+      expect(reply).not.toContain(safetyPlanConfig.messages.smsOffer);
+    });
+
+    it('should only send the text after a yes', () => {
+      const answers = ['safety plan', 'the library', 'Maria', 'meds', 'passport', 'skip', 'blue umbrella'];
+
+      expect(run([...answers, 'yes please'], { canSendSms: true }).sendSms).toBe(true);
+      expect(run([...answers, 'no thanks'], { canSendSms: true })).toMatchObject({
+        sendSms: false,
+        plan: { status: SAFETY_PLAN_STATUS.COMPLETED }
+      });
+      expect(run([...answers, 'hmm'], { canSendSms: true }).reply).toBe(safetyPlanConfig.messages.smsClarify);
+    });
+
+    it('should recognise commands only as whole utterances', () => {
+      expect(detectSafetyPlanCommand('Skip.')).toBe('skip');
+      expect(detectSafetyPlanCommand('Can you repeat that?')).toBe('repeat');
+      expect(detectSafetyPlanCommand('the next door neighbour')).toBeNull();
+    });
+  });
+
+  describe('discreet text', () => {
+    it('should use neutral labels and never mention safety planning', () => {
+      const { plan } = run(['safety plan', 'the library', 'Maria', 'meds', 'passport', 'skip', 'blue umbrella']);
+      const sms = formatSafetyPlanSms(plan);
+
+      expect(sms).toContain(`${codeWord.smsLabel}: blue umbrella`);
+      expect(sms).toContain(`${documents.smsLabel}: passport`);
+      expect(sms).not.toMatch(/safety|abuse|violence|shelter|hotline/i);
+    });
+  });
+
+  describe('ContextService', () => {
+    it('should keep plan state so it can be resumed after a restart', async () => {
+      const store = new ContextStore({ driver: 'memory' });
+      const service = new ContextService({ store });
+      await service.initialize();
+
+      const { plan } = run(['safety plan', 'the library']);
+      await service.saveSafetyPlan('CA_plan', plan);
+
+      const restarted = new ContextService({ store });
+      await restarted.initialize();
+      expect(await restarted.getSafetyPlan('CA_plan')).toEqual(plan);
+    });
+  });
+
+  describe('processSpeechResult', () => {
+    let handlerManager;
+    let controller;
+    const callSid = 'CA_plan';
+
+    const say = async (speech, intent = 'general_information') => {
+      getIntent.mockResolvedValueOnce(intent);
+      return controller.processSpeechResult(callSid, speech, 'req-1', 'twilio');
+    };
+
+    beforeEach(async () => {
+      vi.clearAllMocks();
+      const contextService = new ContextService({ store: new ContextStore({ driver: 'memory' }) });
+      await contextService.initialize();
+
+      handlerManager = {
+        activeCalls: new Map([[callSid, { from: '+15551234567' }]]),
+        getConversationContext: vi.fn().mockResolvedValue(null),
+        updateConversationContext: vi.fn(),
+        getSafetyPlan: sid => contextService.getSafetyPlan(sid),
+        saveSafetyPlan: (sid, plan) => contextService.saveSafetyPlan(sid, plan)
+      };
+      const { createTwilioController } = await import('../controllers/twilioController.js');
+      controller = createTwilioController(handlerManager);
+    });
+
+    it('should walk through the plan and text it with consent', async () => {
+      expect(await say('Can you help me make a safety plan?', 'safety_plan')).toContain(safePlaces.prompt);
+      for (const answer of ['the library', 'Maria', 'meds', 'passport', 'skip']) {
+        await say(answer);
+      }
+      expect(await say('blue umbrella')).toContain(safetyPlanConfig.messages.smsOffer);
+      expect(await say('yes')).toBe(safetyPlanConfig.messages.smsSent);
+
+      expect(TwilioIntegration.sendSMS).toHaveBeenCalledWith('+15551234567', expect.stringContaining('Word: blue umbrella'));
+      expect(UnifiedResponseHandler.getResponse).not.toHaveBeenCalled();
+      expect((await handlerManager.getSafetyPlan(callSid)).smsSent).toBe(true);
+    });
+
+    it('should not text the plan, or record consent, for a number that texted STOP', async () => {
+      const ledger = new ConsentLedger({ store: new ContextStore({ driver: 'memory' }) });
+      setConsentLedger(ledger);
+      setSmsSafeguards(new SmsSafeguards({ store: new ContextStore({ driver: 'memory' }), ledger }));
+      await ledger.revoke('+15551234567', { source: CONSENT_SOURCES.SMS, keyword: 'STOP' });
+
+      try {
+        await say('safety plan', 'safety_plan');
+        for (const answer of ['the library', 'Maria', 'meds', 'passport', 'skip', 'blue umbrella']) {
+          await say(answer);
+        }
+        expect(await say('yes')).toBe(safetyPlanConfig.messages.smsOptedOut);
+
+        expect(TwilioIntegration.sendSMS).not.toHaveBeenCalled();
+        expect((await ledger.exportAuditTrail()).map(event => event.type)).toEqual(['revoked']);
+        expect((await handlerManager.getSafetyPlan(callSid)).smsSent).toBeFalsy();
+      } finally {
+        setConsentLedger(null);
+        setSmsSafeguards(null);
+      }
+    });
+
+    it('should pause the plan when the caller reports an emergency', async () => {
+      UnifiedResponseHandler.getResponse.mockResolvedValue({ voiceResponse: 'Please call 911.' });
+      rewriteQuery.mockImplementation(async speech => speech);
+      await say('safety plan', 'safety_plan');
+
+      // Advocates on shift: the emergency goes to a person instead of the assistant
+      setScheduleEngine(new ScheduleEngine({}));
+      setTransferRoutes({ default: { default: '+18007997233' } });
+      try {
+        const result = await say('he is at the door right now', 'emergency_help');
+
+        expect(result.transferTwiml).toContain('<Dial');
+        expect(result.transferTwiml).toContain('+18007997233');
+        expect(UnifiedResponseHandler.getResponse).not.toHaveBeenCalled();
+      } finally {
+        setScheduleEngine(null);
+        setTransferRoutes(null);
+      }
+      expect((await handlerManager.getSafetyPlan(callSid)).status).toBe(SAFETY_PLAN_STATUS.PAUSED);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ScheduleEngine, ROUTING_MODES, getLocalTime, setScheduleEngine } from '../lib/schedule.js';
+import { getWelcomePrompt, getLanguageConfig } from '../lib/languageConfig.js';
+import { applyRegionNumbers } from '../lib/regionRegistry.js';
+import { warmTransferConfig } from '../lib/conversationConfig.js';
+import { setTransferRoutes } from '../lib/warmTransfer.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/twilioIntegration.js', () => ({
+  TwilioIntegration: {
+    sendSMS: vi.fn(),
+    fetchCallDetails: vi.fn()
+  }
+}));
+
+vi.mock('../lib/intentClassifier.js', () => ({
+  getIntent: vi.fn(),
+  rewriteQuery: vi.fn()
+}));
+
+vi.mock('../lib/unifiedResponseHandler.js', () => ({
+  UnifiedResponseHandler: {
+    getResponse: vi.fn()
+  }
+}));
+
+const { getIntent, rewriteQuery } = await import('../lib/intentClassifier.js');
+const { UnifiedResponseHandler } = await import('../lib/unifiedResponseHandler.js');
+
+const schedule = {
+  timeZone: 'America/Chicago',
+  weeklyHours: {
+    mon: ['09:00-17:00'],
+    fri: ['09:00-17:00', '22:00-02:00']
+  },
+  holidays: ['2026-12-25'],
+  closedMode: 'voicemail',
+  languages: {
+    es: { weeklyHours: { mon: ['12:00-20:00'] }, closedMode: 'assistant_only' }
+  }
+};
+
+// Mid-October: America/Chicago is UTC-5
+const at = iso => new Date(iso);
+const MONDAY_10AM = at('2026-10-19T15:00:00Z');
+const MONDAY_6PM = at('2026-10-19T23:00:00Z');
+const SATURDAY_1AM = at('2026-10-24T06:00:00Z');
+const SATURDAY_3AM = at('2026-10-24T08:00:00Z');
+
+describe('Staffing schedule', () => {
+  describe('ScheduleEngine', () => {
+    it('should read hours in the schedule time zone', () => {
+      expect(getLocalTime(MONDAY_10AM, 'America/Chicago')).toEqual({ date: '2026-10-19', day: 'mon', minutes: 600 });
+
+      const engine = new ScheduleEngine(schedule);
+      expect(engine.isOpen('en-US', MONDAY_10AM)).toBe(true);
+      expect(engine.isOpen('en-US', MONDAY_6PM)).toBe(false);
+      expect(engine.isOpen('en-US', at('2026-10-20T15:00:00Z'))).toBe(false); // Tuesday: no hours
+    });
+
+    it('should carry overnight hours past midnight', () => {
+      const engine = new ScheduleEngine(schedule);
+      expect(engine.isOpen('en-US', SATURDAY_1AM)).toBe(true);
+      expect(engine.isOpen('en-US', SATURDAY_3AM)).toBe(false);
+    });
+
+    it('should close on holidays', () => {
+      const engine = new ScheduleEngine({ ...schedule, weeklyHours: { fri: ['00:00-24:00'] } });
+      expect(engine.isOpen('en-US', at('2026-12-25T18:00:00Z'))).toBe(false);
+      expect(engine.isOpen('en-US', at('2027-01-01T18:00:00Z'))).toBe(true);
+    });
+
+    it('should apply per-language overrides and closed modes', () => {
+      const engine = new ScheduleEngine(schedule);
+      expect(engine.getRoutingMode('es-US', MONDAY_10AM)).toBe(ROUTING_MODES.ASSISTANT_ONLY);
+      expect(engine.getRoutingMode('es-US', MONDAY_6PM)).toBe(ROUTING_MODES.LIVE_TRANSFER);
+      expect(engine.getRoutingMode('en-US', MONDAY_6PM)).toBe(ROUTING_MODES.VOICEMAIL);
+    });
+
+    it('should use the injected clock', () => {
+      const engine = new ScheduleEngine(schedule, { clock: () => MONDAY_10AM });
+      expect(engine.getRoutingMode('en-US')).toBe(ROUTING_MODES.LIVE_TRANSFER);
+    });
+
+    it('should treat no hours as always staffed and reject bad config', () => {
+      expect(new ScheduleEngine().getRoutingMode('en-US', MONDAY_6PM)).toBe(ROUTING_MODES.LIVE_TRANSFER);
+      expect(() => new ScheduleEngine({ timeZone: 'Mars/Olympus' })).toThrow('Invalid schedule time zone');
+      expect(() => new ScheduleEngine({ weeklyHours: { mon: ['9am-5pm'] } })).toThrow('Invalid schedule time');
+    });
+  });
+
+  describe('welcome message', () => {
+    it('should match the routing mode', () => {
+      const prompts = getLanguageConfig('en-US').prompts;
+      expect(getWelcomePrompt('en-US', ROUTING_MODES.LIVE_TRANSFER)).toBe(applyRegionNumbers(prompts.welcome));
+      expect(getWelcomePrompt('en-US', ROUTING_MODES.VOICEMAIL)).toBe(applyRegionNumbers(prompts.welcomeVoicemail));
+      expect(getWelcomePrompt('es-ES', ROUTING_MODES.ASSISTANT_ONLY)).toBe(applyRegionNumbers(getLanguageConfig('es-ES').prompts.welcomeAssistantOnly));
+    });
+
+    it('should be chosen by TwilioVoiceHandler.handleIncomingCall', async () => {
+      const { TwilioVoiceHandler } = await import('../handlers/voice/TwilioVoiceHandler.js');
+      const services = { tts: {}, search: {}, context: {} };
+      const handler = new TwilioVoiceHandler('ACtest123', 'test_token', '+1234567890', services, {
+        validateRequest: () => true,
+        twilioClient: {},
+        audioService: {},
+        scheduleEngine: new ScheduleEngine(schedule, { clock: () => MONDAY_6PM })
+      });
+      handler.generateTTSBasedTwiML = vi.fn().mockResolvedValue('<Response/>');
+
+      await handler.handleIncomingCall({
+        body: { CallSid: 'CA_hours', From: '+15551234567', To: '+15557654321' },
+        headers: {},
+        setTimeout: vi.fn(),
+        get: vi.fn()
+      });
+
+      expect(handler.generateTTSBasedTwiML.mock.calls[0][0]).toBe(applyRegionNumbers(getLanguageConfig('en-US').prompts.welcomeVoicemail));
+      expect(handler.activeCalls.get('CA_hours').routingMode).toBe(ROUTING_MODES.VOICEMAIL);
+    });
+  });
+
+  describe('escalation', () => {
+    const callSid = 'CA_hours';
+    let controller;
+
+    const say = async (speech, intent) => {
+      getIntent.mockResolvedValueOnce(intent);
+      return controller.processSpeechResult(callSid, speech, 'req-1', 'twilio');
+    };
+
+    beforeEach(async () => {
+      vi.clearAllMocks();
+      setTransferRoutes({ default: { default: '+18007997233' } });
+      rewriteQuery.mockImplementation(async speech => speech);
+      UnifiedResponseHandler.getResponse.mockResolvedValue({ voiceResponse: 'Please call 911.' });
+
+      const { createTwilioController } = await import('../controllers/twilioController.js');
+      controller = createTwilioController({
+        activeCalls: new Map([[callSid, { from: '+15551234567' }]]),
+        getConversationContext: vi.fn().mockResolvedValue(null),
+        updateConversationContext: vi.fn(),
+        getSafetyPlan: vi.fn().mockResolvedValue(null),
+        saveSafetyPlan: vi.fn(),
+        buildContextSummary: vi.fn().mockResolvedValue({ hasContext: false })
+      });
+    });
+
+    afterEach(() => {
+      setScheduleEngine(null);
+      setTransferRoutes(null);
+    });
+
+    it('should dial while advocates are on shift', async () => {
+      setScheduleEngine(new ScheduleEngine(schedule, { clock: () => MONDAY_10AM }));
+      expect((await say('can I talk to a real person', 'talk_to_person')).transferTwiml).toContain('<Dial');
+    });
+
+    it('should offer voicemail after hours', async () => {
+      setScheduleEngine(new ScheduleEngine(schedule, { clock: () => MONDAY_6PM }));
+      const result = await say('can I talk to a real person', 'talk_to_person');
+
+      expect(result.response).toBe(warmTransferConfig.messages.voicemail);
+      expect(result.transferTwiml).toContain('<Record');
+      expect(result.transferTwiml).not.toContain('<Dial');
+    });
+
+    it('should keep emergencies with the assistant when no one is on shift', async () => {
+      setScheduleEngine(new ScheduleEngine(schedule, { clock: () => MONDAY_6PM }));
+      expect(await say('he is outside right now', 'emergency_help')).toBe('Please call 911.');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { splitSmsReply, getSmsLength, isGsm7, SEGMENT_LIMITS } from '../lib/smsSegments.js';
+import { smsConversationConfig } from '../lib/conversationConfig.js';
+import { ContextStore } from '../lib/storage/contextStore.js';
+import { ContextService } from '../services/context/ContextService.js';
+import { ConsentLedger, setConsentLedger } from '../lib/consentLedger.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/twilioIntegration.js', () => ({
+  TwilioIntegration: {
+    sendSMS: vi.fn(),
+    fetchCallDetails: vi.fn()
+  }
+}));
+
+vi.mock('../lib/intentClassifier.js', () => ({
+  getIntent: vi.fn(),
+  rewriteQuery: vi.fn()
+}));
+
+vi.mock('../lib/speechProcessor.js', () => ({
+  extractLocation: vi.fn(),
+  generateLocationPrompt: vi.fn()
+}));
+
+vi.mock('../lib/hybridResponseHandler.js', () => ({
+  HybridResponseHandler: {
+    getResponse: vi.fn()
+  }
+}));
+
+const { getIntent } = await import('../lib/intentClassifier.js');
+const { extractLocation } = await import('../lib/speechProcessor.js');
+const { HybridResponseHandler } = await import('../lib/hybridResponseHandler.js');
+
+const LONG_REPLY = 'There are shelters in Austin that take families. '.repeat(12).trim();
+
+describe('SMS conversation', () => {
+  describe('segments', () => {
+    it('should send a reply that fits in one segment as is', () => {
+      expect(splitSmsReply('Call 1-800-799-7233 any time.')).toEqual(['Call 1-800-799-7233 any time.']);
+    });
+
+    it('should split long replies into numbered single-segment parts', () => {
+      const parts = splitSmsReply(LONG_REPLY, { maxParts: 10 });
+
+      expect(parts.length).toBeGreaterThan(1);
+      parts.forEach((part, index) => {
+        expect(part.startsWith(`(${index + 1}/${parts.length}) `)).toBe(true);
+        expect(getSmsLength(part).length).toBeLessThanOrEqual(SEGMENT_LIMITS.gsm7);
+      });
+      expect(parts.map(part => part.replace(/^\(\d+\/\d+\) /, '')).join(' ')).toBe(LONG_REPLY);
+    });
+
+    it('should use the smaller UCS-2 limit and keep plain punctuation in GSM-7', () => {
+      const parts = splitSmsReply('Estás a salvo aquí 💜 '.repeat(8), { maxParts: 10 });
+      parts.forEach(part => expect(part.length).toBeLessThanOrEqual(SEGMENT_LIMITS.ucs2));
+
+      expect(isGsm7(splitSmsReply('It’s “okay” — really…')[0])).toBe(true);
+      expect(getSmsLength('{€}')).toEqual({ encoding: 'gsm7', length: 6 });
+    });
+
+    it('should cut off after the maximum number of parts', () => {
+      const parts = splitSmsReply(LONG_REPLY, { maxParts: 2 });
+
+      expect(parts).toHaveLength(2);
+      expect(parts[1].startsWith('(2/2) ')).toBe(true);
+      expect(parts[1].endsWith('...')).toBe(true);
+      expect(getSmsLength(parts[1]).length).toBeLessThanOrEqual(SEGMENT_LIMITS.gsm7);
+    });
+  });
+
+  describe('handleSMS', () => {
+    const from = '+15551234567';
+    let controller;
+    let contextService;
+    let res;
+
+    const text = async (body, intent = null) => {
+      if (intent) getIntent.mockResolvedValueOnce(intent);
+      res.send.mockClear();
+      await controller.handleSMS(from, body, res);
+      return [...res.send.mock.calls[0][0].matchAll(/<Message>(.*?)<\/Message>/g)].map(match => match[1]);
+    };
+
+    beforeEach(async () => {
+      vi.clearAllMocks();
+      extractLocation.mockResolvedValue(null);
+      setConsentLedger(new ConsentLedger({ store: new ContextStore({ driver: 'memory' }) }));
+      contextService = new ContextService({ store: new ContextStore({ driver: 'memory' }) });
+      await contextService.initialize();
+
+      res = {
+        req: { requestContext: { requestId: 'req-sms' } },
+        type: vi.fn().mockReturnThis(),
+        send: vi.fn().mockReturnThis(),
+        status: vi.fn().mockReturnThis()
+      };
+      const { createTwilioController } = await import('../controllers/twilioController.js');
+      controller = createTwilioController({
+        activeCalls: new Map(),
+        services: { context: contextService }
+      });
+    });
+
+    it('should hold a conversation with context kept per phone number', async () => {
+      HybridResponseHandler.getResponse.mockResolvedValue({ smsResponse: 'Shelters in Austin: 1. SafePlace (512-267-7233).' });
+
+      expect(await text('I need a shelter', 'find_shelter')).toEqual([smsConversationConfig.messages.askLocation]);
+
+      extractLocation.mockResolvedValueOnce('Austin, Texas');
+      expect(await text('Austin, Texas', 'provide_location')).toEqual([smsConversationConfig.messages.locationSaved]);
+
+      expect(await text('I need a shelter for me and my kids', 'find_shelter')).toEqual(['Shelters in Austin: 1. SafePlace (512-267-7233).']);
+      expect(HybridResponseHandler.getResponse).toHaveBeenCalledWith(
+        'I need a shelter for me and my kids',
+        expect.objectContaining({ location: 'Austin, Texas', lastQuery: 'Austin, Texas' }),
+        'sms',
+        { region: expect.objectContaining({ country: 'US' }) }
+      );
+
+      const summary = await contextService.buildContextSummary(`sms:${from}`);
+      expect(summary.recentInteractions.map(interaction => interaction.intent)).toEqual(['find_shelter', 'provide_location', 'find_shelter']);
+    });
+
+    it('should send long answers as numbered parts', async () => {
+      HybridResponseHandler.getResponse.mockResolvedValue({ smsResponse: LONG_REPLY });
+
+      const messages = await text('what counts as abuse?', 'general_information');
+
+      expect(messages.length).toBeGreaterThan(1);
+      expect(messages[0].startsWith(`(1/${messages.length}) `)).toBe(true);
+    });
+
+    it('should only treat whole-message keywords as an opt-out', async () => {
+      HybridResponseHandler.getResponse.mockResolvedValue({ smsResponse: 'That sounds frightening.' });
+
+      expect(await text("he won't stop calling me", 'general_information')).toEqual(['That sounds frightening.']);
+      expect((await text('STOP'))[0]).toContain('unsubscribed');
+      expect(getIntent).toHaveBeenCalledTimes(1);
+    });
+
+    it('should steer off-topic texts back through the shared conversation flow', async () => {
+      const { getFlowPromptText } = await import('../lib/conversationFlow.js');
+
+      expect(await text("what's the weather tomorrow", 'off_topic')).toEqual([getFlowPromptText('offTopic')]);
+      expect(await text('tell me a joke', 'off_topic')).toEqual([getFlowPromptText('reengage')]);
+      expect(HybridResponseHandler.getResponse).not.toHaveBeenCalled();
+    });
+
+    it('should give a texter outside the US their own region\'s numbers', async () => {
+      const ukNumber = '+447700900123';
+      HybridResponseHandler.getResponse.mockResolvedValue({ smsResponse: 'Okay.' });
+      const textFrom = async (body, intent = null) => {
+        if (intent) getIntent.mockResolvedValueOnce(intent);
+        res.send.mockClear();
+        await controller.handleSMS(ukNumber, body, res);
+        return [...res.send.mock.calls[0][0].matchAll(/<Message>(.*?)<\/Message>/g)].map(match => match[1]);
+      };
+
+      expect(await textFrom('can I talk to someone', 'talk_to_person')).toEqual([
+        'You can talk to an advocate any time at 0808 2000 247.'
+      ]);
+      await textFrom('what counts as abuse?', 'general_information');
+      expect(HybridResponseHandler.getResponse.mock.calls[0][3].region).toMatchObject({ country: 'GB', emergencyNumber: '999' });
+      expect(await textFrom('HELP')).toEqual([
+        'If you are in danger, call 999. Support any time: 0808 2000 247. Msg &amp; data rates may apply. Text STOP to unsubscribe.'
+      ]);
+    });
+
+    it('should end the conversation and forget it', async () => {
+      HybridResponseHandler.getResponse.mockResolvedValue({ smsResponse: 'Okay.' });
+      await text('what is a protective order', 'legal_services');
+
+      expect(await text('thanks, bye', 'end_conversation')).toEqual([smsConversationConfig.messages.goodbye]);
+      expect(await contextService.getConversationContext(`sms:${from}`)).toBeNull();
+    });
+  });
+});
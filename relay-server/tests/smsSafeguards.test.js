@@ -0,0 +1,223 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  SmsSafeguards,
+  toDiscreetText,
+  containsSensitiveTerms,
+  setSmsSafeguards,
+  SMS_DELIVERY_STATUS,
+  SCHEDULED_SMS_NAMESPACE
+} from '../lib/smsSafeguards.js';
+import { discreetSmsConfig } from '../lib/conversationConfig.js';
+import { ContextStore } from '../lib/storage/contextStore.js';
+import { ConsentLedger, setConsentLedger, CONSENT_SOURCES, CONSENT_SCOPES } from '../lib/consentLedger.js';
+import { ScheduleEngine, setScheduleEngine } from '../lib/schedule.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/twilioIntegration.js', () => ({
+  TwilioIntegration: {
+    sendSMS: vi.fn(),
+    fetchCallDetails: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/openaiIntegration.js', () => ({
+  OpenAIIntegration: vi.fn()
+}));
+
+const { CallSummaryService } = await import('../services/callSummaryService.js');
+
+const FROM = '+15551234567';
+const AFTER_6PM = { start: '18:00', end: '21:00', timeZone: 'UTC' };
+const NOON = Date.parse('2026-10-19T12:00:00Z');
+const SEVEN_PM = Date.parse('2026-10-19T19:00:00Z');
+
+const SUMMARY = 'You asked about shelters. Call the National Domestic Violence Hotline at 1-800-799-7233 or visit https://www.thehotline.org/help. SafePlace domestic violence shelter can help with a protective order.';
+
+describe('SMS safeguards', () => {
+  let clock;
+  let store;
+  let transport;
+  let ledger;
+  let safeguards;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    clock = NOON;
+    store = new ContextStore({ driver: 'memory', now: () => clock });
+    transport = vi.fn().mockResolvedValue({ sid: 'SM_1' });
+    ledger = new ConsentLedger({ store, now: () => clock });
+    safeguards = new SmsSafeguards({ store, ledger, transport, baseUrl: 'https://example.org', now: () => clock });
+  });
+
+  describe('discreet wording', () => {
+    it('should remove domestic violence wording and keep phone numbers', async () => {
+      const text = await toDiscreetText(SUMMARY);
+
+      expect(containsSensitiveTerms(SUMMARY)).toBe(true);
+      expect(containsSensitiveTerms(text)).toBe(false);
+      expect(text).toContain('1-800-799-7233');
+      expect(text.toLowerCase()).toContain('national support line');
+      expect(text).toContain('court order');
+    });
+
+    it('should fall back to a neutral line with only the numbers when wording remains', async () => {
+      const text = await toDiscreetText('The Domestic Crisis Program answers at 512-267-7233.');
+
+      expect(text).toBe(`${discreetSmsConfig.fallbackMessage} 512-267-7233`);
+    });
+
+    it('should swap links for short links that expire', async () => {
+      await safeguards.savePreferences(FROM, { discreet: true });
+      const text = await safeguards.prepareText(FROM, SUMMARY);
+
+      expect(text).not.toContain('thehotline');
+      const token = text.match(/https:\/\/example\.org\/l\/([0-9a-f]+)/)[1];
+      expect(await safeguards.resolveShortLink(token)).toBe('https://www.thehotline.org/help');
+
+      clock += 25 * 60 * 60 * 1000;
+      expect(await safeguards.resolveShortLink(token)).toBeNull();
+    });
+  });
+
+  describe('delivery', () => {
+    it('should never text a number that opted out', async () => {
+      await ledger.revoke(FROM, { source: CONSENT_SOURCES.SMS, keyword: 'STOP' });
+
+      const result = await safeguards.send(FROM, 'Hello');
+
+      expect(result.status).toBe(SMS_DELIVERY_STATUS.OPTED_OUT);
+      expect(transport).not.toHaveBeenCalled();
+
+      await ledger.grant(FROM, { source: CONSENT_SOURCES.SMS, scope: CONSENT_SCOPES.ALL, keyword: 'START' });
+      expect((await safeguards.send(FROM, 'Hello')).status).toBe(SMS_DELIVERY_STATUS.SENT);
+    });
+
+    it('should hold a text until the safe window and send it reworded', async () => {
+      await safeguards.savePreferences(FROM, { discreet: true, window: AFTER_6PM });
+
+      const result = await safeguards.send(FROM, 'Shelters near you: SafePlace 512-267-7233');
+      expect(result).toMatchObject({ status: SMS_DELIVERY_STATUS.SCHEDULED, window: AFTER_6PM });
+      expect(transport).not.toHaveBeenCalled();
+
+      expect(await safeguards.sendDueMessages(new Date(NOON))).toBe(0);
+      expect(await safeguards.sendDueMessages(new Date(SEVEN_PM))).toBe(1);
+      expect(transport).toHaveBeenCalledWith(FROM, 'Housing options near you: SafePlace 512-267-7233');
+      expect(await store.entries(SCHEDULED_SMS_NAMESPACE)).toHaveLength(0);
+    });
+
+    it('should drop held texts when the number opts out', async () => {
+      await safeguards.savePreferences(FROM, { discreet: false, window: AFTER_6PM });
+      await safeguards.send(FROM, 'Hello');
+
+      await ledger.revoke(FROM, { source: CONSENT_SOURCES.SMS, keyword: 'STOP' });
+
+      expect(await safeguards.sendDueMessages(new Date(SEVEN_PM))).toBe(0);
+      expect(transport).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('call summary', () => {
+    it('should ask for and enforce neutral wording in discreet summaries', async () => {
+      const openAI = {
+        createChatCompletion: vi.fn().mockResolvedValue({
+          choices: [{ message: { content: 'The caller was referred to a domestic violence shelter and an advocate.' } }]
+        })
+      };
+      const service = new CallSummaryService(openAI);
+      service.addToHistory('CA_1', { role: 'user', content: 'I need a shelter' });
+
+      const summary = await service.generateSummary('CA_1', { discreet: true });
+
+      expect(openAI.createChatCompletion.mock.calls[0][0].systemPrompt).toContain('neutral, everyday wording');
+      expect(containsSensitiveTerms(summary)).toBe(false);
+    });
+  });
+
+  describe('consent flow', () => {
+    const callSid = 'CA_consent';
+    let handlerManager;
+    let controller;
+    let res;
+
+    beforeEach(async () => {
+      setSmsSafeguards(safeguards);
+      setConsentLedger(ledger);
+      setScheduleEngine(new ScheduleEngine({ timeZone: 'UTC' }));
+
+      handlerManager = {
+        activeCalls: new Map([[callSid, { from: FROM }]]),
+        buildContextSummary: vi.fn().mockResolvedValue({ hasContext: true, language: 'en-US' }),
+        generateCallSummary: vi.fn().mockResolvedValue({ callSid }),
+        sendSMSWithRetry: vi.fn().mockResolvedValue({ status: SMS_DELIVERY_STATUS.SENT }),
+        generateTTSBasedTwiML: vi.fn().mockResolvedValue('<Response><Play>https://example.org/a.mp3</Play></Response>'),
+        cleanupCall: vi.fn()
+      };
+      res = {
+        type: vi.fn().mockReturnThis(),
+        send: vi.fn().mockReturnThis(),
+        status: vi.fn().mockReturnThis()
+      };
+      const { createTwilioController } = await import('../controllers/twilioController.js');
+      controller = createTwilioController(handlerManager);
+    });
+
+    afterEach(() => {
+      setSmsSafeguards(null);
+      setConsentLedger(null);
+      setScheduleEngine(null);
+    });
+
+    it('should ask whether to keep the text discreet after a plain yes', async () => {
+      await controller.handleConsent(callSid, 'yes', res);
+
+      const twiml = res.send.mock.calls[0][0];
+      expect(twiml).toContain('action="/twilio/consent/discreet"');
+      expect(twiml).toContain('Should I keep the text discreet');
+      expect(handlerManager.sendSMSWithRetry).not.toHaveBeenCalled();
+    });
+
+    it('should save the answer, hold the text and tell the caller when it will arrive', async () => {
+      handlerManager.sendSMSWithRetry.mockResolvedValueOnce({ status: SMS_DELIVERY_STATUS.SCHEDULED, window: AFTER_6PM });
+
+      await controller.handleConsent(callSid, 'yes', res);
+      await controller.handleDiscreetConsent(callSid, 'yes please, after 6 pm', res);
+
+      expect(await safeguards.getPreferences(FROM)).toMatchObject({
+        discreet: true,
+        window: { start: '18:00', timeZone: 'UTC' }
+      });
+      expect(handlerManager.sendSMSWithRetry).toHaveBeenCalledWith(callSid, expect.any(Object), { callSid });
+      expect(handlerManager.generateTTSBasedTwiML).toHaveBeenCalledWith(
+        discreetSmsConfig.messages.scheduled.replace('{window}', 'between 6 PM and 9 PM'), false, null
+      );
+      expect(handlerManager.cleanupCall).toHaveBeenCalledWith(callSid);
+    });
+
+    it('should skip the question when the first answer already asks for privacy', async () => {
+      await controller.handleConsent(callSid, 'yes but keep it private', res);
+
+      expect((await safeguards.getPreferences(FROM)).discreet).toBe(true);
+      expect(handlerManager.generateTTSBasedTwiML).toHaveBeenCalledWith(discreetSmsConfig.messages.sendNow, false, null);
+    });
+
+    it('should not re-subscribe a number that texted STOP when the caller says yes', async () => {
+      await ledger.revoke(FROM, { source: CONSENT_SOURCES.SMS, keyword: 'STOP' });
+      handlerManager.sendSMSWithRetry.mockImplementationOnce(async () => ({
+        status: await ledger.getBlockReason(FROM, { scope: CONSENT_SCOPES.CALL_SUMMARY }) || SMS_DELIVERY_STATUS.SENT
+      }));
+
+      await controller.handleConsent(callSid, 'yes but keep it private', res);
+
+      expect(await ledger.canSend(FROM)).toBe(false);
+      expect(handlerManager.generateTTSBasedTwiML).toHaveBeenCalledWith(discreetSmsConfig.messages.optedOut, false, null);
+    });
+  });
+});
@@ -0,0 +1,284 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import twilio from 'twilio';
+import { config } from '../lib/config/index.js';
+import { ContextStore } from '../lib/storage/contextStore.js';
+import { ContextService } from '../services/context/ContextService.js';
+import { ConsentLedger, setConsentLedger } from '../lib/consentLedger.js';
+import { SmsSafeguards, setSmsSafeguards } from '../lib/smsSafeguards.js';
+import { VoicemailStore, setVoicemailStore } from '../lib/voicemail.js';
+import { CallbackScheduler, setCallbackScheduler } from '../lib/callbackScheduler.js';
+import { smsConversationConfig, callbackConfig } from '../lib/conversationConfig.js';
+import logger from '../lib/logger.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/twilioIntegration.js', () => ({
+  TwilioIntegration: {
+    updateCall: vi.fn()
+  }
+}));
+
+// Node's ESM loader gives a CommonJS package like twilio only a default export;
+// vitest's interop would otherwise hide code that reaches for named exports
+vi.mock('../lib/intentClassifier.js', () => ({
+  getIntent: vi.fn(),
+  rewriteQuery: vi.fn(),
+  detectCoverStoryPhrase: vi.fn(),
+  activateCoverStory: vi.fn(),
+  resumeFromCoverStory: vi.fn()
+}));
+
+vi.mock('../lib/hybridResponseHandler.js', () => ({
+  HybridResponseHandler: {
+    getResponse: vi.fn()
+  }
+}));
+
+vi.mock('twilio', async importOriginal => {
+  const twilio = await importOriginal();
+  return { default: twilio.default ?? twilio };
+});
+
+// The router builds a REST client at startup; nothing here calls it
+process.env.TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || 'AC00000000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || 'test-auth-token';
+
+const { default: createTwilioRouter } = await import('../routes/twilio.js');
+const { getIntent } = await import('../lib/intentClassifier.js');
+const { TwilioIntegration } = await import('../integrations/twilioIntegration.js');
+const { HybridResponseHandler } = await import('../lib/hybridResponseHandler.js');
+
+const CALL_SID = 'CA_route';
+const XML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+const unescapeXml = text => text.replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]);
+const FROM = '+15551234567';
+
+describe('Twilio routes', () => {
+  let app;
+  let handlerManager;
+  const original = { ...config.webhooks };
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    // Signatures have their own tests; these exercise what the routes do with a webhook
+    config.webhooks.signatureMode = 'off';
+    const store = new ContextStore({ driver: 'memory' });
+    const ledger = new ConsentLedger({ store });
+    setConsentLedger(ledger);
+    setSmsSafeguards(new SmsSafeguards({ store, ledger, transport: vi.fn() }));
+    const context = new ContextService({ store: new ContextStore({ driver: 'memory' }) });
+    await context.initialize();
+
+    handlerManager = {
+      activeCalls: new Map([[CALL_SID, { from: FROM, conversationHistory: [] }]]),
+      services: { context },
+      purgeCall: vi.fn().mockResolvedValue(),
+      setStreamTurnHandler: vi.fn()
+    };
+    app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.use('/twilio', createTwilioRouter(handlerManager));
+  });
+
+  afterEach(() => {
+    Object.assign(config.webhooks, original);
+    setConsentLedger(null);
+    setSmsSafeguards(null);
+  });
+
+  const text = async body => {
+    const res = await request(app).post('/twilio/sms').type('form').send({ From: FROM, Body: body });
+    expect(res.status).toBe(200);
+    return [...res.text.matchAll(/<Message>(.*?)<\/Message>/g)].map(match => unescapeXml(match[1]));
+  };
+
+  describe('quick exit', () => {
+    const loggedBodies = () => logger.info.mock.calls
+      .concat(logger.warn.mock.calls)
+      .map(args => JSON.stringify(args))
+      .filter(text => text.toLowerCase().includes('pineapple'));
+
+    it('should hang up and purge the call when the caller presses the quick-exit key', async () => {
+      const res = await request(app).post('/twilio/voice/process').type('form').send({ CallSid: CALL_SID, Digits: '0' });
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('<Hangup/>');
+      expect(handlerManager.purgeCall).toHaveBeenCalledWith(CALL_SID);
+    });
+
+    it('should hang up on the safe word without logging or validating it', async () => {
+      const res = await request(app).post('/twilio/voice/process').type('form').send({ CallSid: CALL_SID, SpeechResult: 'Pineapple.' });
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('<Hangup/>');
+      expect(handlerManager.purgeCall).toHaveBeenCalledWith(CALL_SID);
+      expect(loggedBodies()).toEqual([]);
+    });
+  });
+
+  describe('media stream', () => {
+    it('should hang up the live call and purge it on the safe word', async () => {
+      const [[streamTurns]] = handlerManager.setStreamTurnHandler.mock.calls;
+
+      expect(await streamTurns.respond(CALL_SID, 'pineapple')).toEqual({ handedOff: true });
+      expect(TwilioIntegration.updateCall).toHaveBeenCalledWith(CALL_SID, expect.stringContaining('<Hangup/>'), 'stream');
+      expect(handlerManager.purgeCall).toHaveBeenCalledWith(CALL_SID);
+    });
+  });
+
+  describe('consent', () => {
+    const GOODBYE = "I'm sorry, I encountered an error. The call will now end.";
+    const consent = () => request(app).post('/twilio/consent').type('form').send({ CallSid: 'CA_unknown', SpeechResult: 'yes' });
+
+    beforeEach(() => {
+      handlerManager.restoreCall = vi.fn().mockResolvedValue(null);
+    });
+
+    it('should say goodbye and hang up when TTS falls back to a VoiceResponse', async () => {
+      const fallback = new twilio.twiml.VoiceResponse();
+      fallback.say(GOODBYE);
+      handlerManager.generateTTSBasedTwiML = vi.fn().mockResolvedValue(fallback);
+
+      const res = await consent();
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('<Say>I\'m sorry, I encountered an error.');
+      expect(res.text).toContain('<Hangup/>');
+    });
+
+    it('should play the TTS audio from a TwiML string', async () => {
+      handlerManager.generateTTSBasedTwiML = vi.fn().mockResolvedValue('<Response><Play>https://example.org/audio/bye.mp3</Play></Response>');
+
+      const res = await consent();
+
+      expect(res.text).toContain('<Play>https://example.org/audio/bye.mp3</Play><Hangup/>');
+    });
+
+    it('should still hang up when TTS throws', async () => {
+      handlerManager.generateTTSBasedTwiML = vi.fn().mockRejectedValue(new Error('TTS unavailable'));
+
+      const res = await consent();
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('<Hangup/>');
+    });
+  });
+
+  describe('warm transfer', () => {
+    it('should whisper the context summary to the advocate', async () => {
+      handlerManager.buildContextSummary = vi.fn().mockResolvedValue({});
+
+      const res = await request(app).post(`/twilio/transfer/whisper?callSid=${CALL_SID}`).type('form').send({ CallSid: 'CA_advocate' });
+
+      expect(res.status).toBe(200);
+      expect(res.text).toMatch(/<Response><Say>.+<\/Say><\/Response>/);
+    });
+
+    it('should hang up once the advocate has taken the call', async () => {
+      const res = await request(app).post('/twilio/transfer/status').type('form').send({ CallSid: CALL_SID, DialCallStatus: 'completed' });
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('<Hangup/>');
+      expect(handlerManager.activeCalls.get(CALL_SID).transfer.status).toBe('completed');
+    });
+
+    it('should bring a Spanish caller back to the assistant in Spanish when no one answers', async () => {
+      handlerManager.activeCalls.get(CALL_SID).language = 'es-ES';
+      handlerManager.generateTTSBasedTwiML = vi.fn().mockRejectedValue(new Error('TTS unavailable'));
+
+      const res = await request(app).post('/twilio/transfer/status').type('form').send({ CallSid: CALL_SID, DialCallStatus: 'no-answer' });
+
+      expect(handlerManager.generateTTSBasedTwiML).toHaveBeenCalledWith(expect.any(String), true, 'es-ES', { callSid: CALL_SID });
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('action="/twilio/voice/process"');
+      expect(res.text).toContain('language="es-ES"');
+    });
+  });
+
+  describe('voicemail', () => {
+    it('should ask for a callback number in the caller\'s language', async () => {
+      handlerManager.activeCalls.get(CALL_SID).language = 'es-ES';
+
+      const res = await request(app).post('/twilio/voicemail/complete').type('form').send({ CallSid: CALL_SID, RecordingSid: 'RE_1' });
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('action="/twilio/voicemail/callback-number"');
+      expect(res.text).toContain('language="es-ES"');
+    });
+  });
+
+  describe('safe callbacks', () => {
+    const WINDOW = { start: '00:00', end: '23:59', timeZone: 'UTC' };
+    let task;
+
+    beforeEach(async () => {
+      const tasks = new VoicemailStore({ store: new ContextStore({ driver: 'memory' }) });
+      const scheduler = new CallbackScheduler({
+        tasks,
+        store: new ContextStore({ driver: 'memory', encryptionKey: crypto.randomBytes(32).toString('base64') }),
+        dialer: vi.fn().mockResolvedValue({ sid: 'CA_out' }),
+        baseUrl: 'https://hotline.example.org/',
+        canConnect: () => true
+      });
+      setVoicemailStore(tasks);
+      setCallbackScheduler(scheduler);
+      task = await scheduler.schedule({ number: '+15125550100', window: WINDOW, codeWord: 'bluebird' });
+      await scheduler.runDue();
+    });
+
+    afterEach(() => {
+      setVoicemailStore(null);
+      setCallbackScheduler(null);
+    });
+
+    const callback = (step, body) => request(app).post(`/twilio/callback/${step}?task=${task.id}`).type('form').send({ CallSid: 'CA_out', ...body });
+
+    it('should hang up on an answering machine without a word', async () => {
+      const res = await callback('answer', { AnsweredBy: 'machine_start' });
+
+      expect(res.status).toBe(200);
+      expect(res.text).toBe('<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>');
+    });
+
+    it('should whisper to the advocate and hang up once they have taken the call', async () => {
+      const whisper = await callback('whisper', {});
+      expect(whisper.status).toBe(200);
+      expect(whisper.text).toContain(`<Say>${callbackConfig.whisper}`);
+
+      const connected = await callback('connected', { DialCallStatus: 'completed' });
+      expect(connected.status).toBe(200);
+      expect(connected.text).toContain('<Hangup/>');
+    });
+  });
+
+  describe('SMS', () => {
+    it('should answer a text with the assistant\'s reply', async () => {
+      getIntent.mockResolvedValue('legal_help');
+      HybridResponseHandler.getResponse.mockResolvedValue({ smsResponse: 'A protective order is filed at the county court.' });
+
+      expect(await text('How do I get a protective order?')).toEqual(['A protective order is filed at the county court.']);
+    });
+
+    it('should confirm a STOP and then stay silent until START', async () => {
+      getIntent.mockResolvedValue('legal_help');
+      HybridResponseHandler.getResponse.mockResolvedValue({ smsResponse: 'A protective order is filed at the county court.' });
+
+      expect(await text('STOP')).toEqual([smsConversationConfig.messages.optOut]);
+      expect(await text('How do I get a protective order?')).toEqual([]);
+      expect(HybridResponseHandler.getResponse).not.toHaveBeenCalled();
+
+      expect(await text('START')).toEqual([smsConversationConfig.messages.optIn]);
+      expect(await text('How do I get a protective order?')).toEqual(['A protective order is filed at the county court.']);
+    });
+  });
+});
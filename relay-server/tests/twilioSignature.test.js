@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import twilio from 'twilio';
+import { config } from '../lib/config/index.js';
+import {
+  verifyTwilioSignature,
+  getWebhookSignatureMetrics,
+  resetWebhookSignatureMetrics,
+  getSignatureMode,
+  SIGNATURE_MODES
+} from '../middleware/twilioSignature.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/twilioIntegration.js', () => ({ TwilioIntegration: {} }));
+vi.mock('../integrations/openaiIntegration.js', () => ({ OpenAIIntegration: {} }));
+vi.mock('../integrations/searchIntegration.js', () => ({ SearchIntegration: {} }));
+vi.mock('../integrations/ttsIntegration.js', () => ({ TTSIntegration: {} }));
+
+const { default: healthRoutes } = await import('../routes/health.js');
+
+const PUBLIC_URL = 'https://hotline.example.org/twilio/voice/process';
+const BODY = { CallSid: 'CA123', SpeechResult: 'I need a shelter in Austin' };
+
+const sign = (url, params = BODY, token = config.webhooks.testAuthToken) =>
+  twilio.getExpectedTwilioSignature(token, url, params);
+
+describe('Twilio webhook signatures', () => {
+  let app;
+  const original = { ...config.webhooks };
+
+  beforeEach(() => {
+    resetWebhookSignatureMetrics();
+    app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.use('/twilio', verifyTwilioSignature, (req, res) => res.send('ok'));
+    app.use('/health', healthRoutes);
+  });
+
+  afterEach(() => {
+    Object.assign(config.webhooks, original);
+  });
+
+  const post = () => request(app).post('/twilio/voice/process').type('form').send(BODY);
+  const viaProxy = () => post()
+    .set('X-Forwarded-Proto', 'https')
+    .set('X-Forwarded-Host', 'hotline.example.org');
+
+  it('should check signatures against the fixture token in tests', () => {
+    expect(getSignatureMode()).toBe(SIGNATURE_MODES.TEST);
+  });
+
+  it('should accept a request signed for the URL the proxy received', async () => {
+    const response = await viaProxy().set('X-Twilio-Signature', sign(PUBLIC_URL));
+    expect(response.status).toBe(200);
+    expect(getWebhookSignatureMetrics()).toMatchObject({ validated: 1, rejected: 0 });
+  });
+
+  it('should keep a non-default forwarded port and prefer a configured base URL', async () => {
+    const withPort = 'https://hotline.example.org:8443/twilio/voice/process';
+    expect((await viaProxy().set('X-Forwarded-Port', '8443').set('X-Twilio-Signature', sign(withPort))).status).toBe(200);
+
+    config.webhooks.publicBaseUrl = 'https://calls.example.org/relay/';
+    const behindPrefix = 'https://calls.example.org/relay/twilio/voice/process';
+    expect((await post().set('X-Twilio-Signature', sign(behindPrefix))).status).toBe(200);
+    expect((await viaProxy().set('X-Twilio-Signature', sign(PUBLIC_URL))).status).toBe(403);
+  });
+
+  it('should reject missing, forged and tampered requests', async () => {
+    expect((await viaProxy()).status).toBe(403);
+    expect((await viaProxy().set('X-Twilio-Signature', sign(PUBLIC_URL, BODY, 'not-the-token'))).status).toBe(403);
+    expect((await viaProxy().set('X-Twilio-Signature', sign(PUBLIC_URL, { ...BODY, CallSid: 'CA999' }))).status).toBe(403);
+
+    expect(getWebhookSignatureMetrics()).toMatchObject({
+      validated: 0,
+      rejected: 3,
+      rejectedByReason: { missingSignature: 1, invalidSignature: 2, replayed: 0 }
+    });
+  });
+
+  it('should reject a replayed request but not a different webhook', async () => {
+    const signature = sign(PUBLIC_URL);
+    expect((await viaProxy().set('X-Twilio-Signature', signature).set('I-Twilio-Idempotency-Token', 'idem-1')).status).toBe(200);
+    expect((await viaProxy().set('X-Twilio-Signature', signature).set('I-Twilio-Idempotency-Token', 'idem-1')).status).toBe(403);
+    expect((await viaProxy().set('X-Twilio-Signature', signature).set('I-Twilio-Idempotency-Token', 'idem-2')).status).toBe(200);
+
+    expect(getWebhookSignatureMetrics().rejectedByReason.replayed).toBe(1);
+  });
+
+  it('should never switch validation off in production', async () => {
+    config.webhooks.signatureMode = SIGNATURE_MODES.OFF;
+    expect((await post()).status).toBe(200);
+
+    config.isProduction = true;
+    try {
+      expect(getSignatureMode()).toBe(SIGNATURE_MODES.ENFORCE);
+    } finally {
+      config.isProduction = false;
+    }
+  });
+
+  it('should report rejections on /health/detailed', async () => {
+    await viaProxy();
+    const response = await request(app).get('/health/detailed');
+
+    expect(response.body.webhookSignatures).toMatchObject({
+      mode: SIGNATURE_MODES.TEST,
+      rejected: 1,
+      lastRejection: { reason: 'missingSignature', path: '/voice/process' }
+    });
+  });
+});
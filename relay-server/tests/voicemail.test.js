@@ -0,0 +1,246 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import crypto from 'crypto';
+import {
+  parseCallbackWindow,
+  parseCallbackNumber,
+  describeCallbackWindow,
+  isCallbackDeclined,
+  isWithinCallbackWindow,
+  VoicemailStore,
+  VOICEMAIL_NAMESPACE,
+  setVoicemailStore
+} from '../lib/voicemail.js';
+import { voicemailConfig } from '../lib/conversationConfig.js';
+import { ContextStore } from '../lib/storage/contextStore.js';
+import { ScheduleEngine, setScheduleEngine } from '../lib/schedule.js';
+import { CallbackScheduler, setCallbackScheduler } from '../lib/callbackScheduler.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/twilioIntegration.js', () => ({
+  TwilioIntegration: {
+    sendSMS: vi.fn(),
+    fetchCallDetails: vi.fn(),
+    fetchRecording: vi.fn(),
+    deleteRecording: vi.fn()
+  }
+}));
+
+vi.mock('../lib/intentClassifier.js', () => ({
+  getIntent: vi.fn(),
+  rewriteQuery: vi.fn()
+}));
+
+vi.mock('../lib/unifiedResponseHandler.js', () => ({
+  UnifiedResponseHandler: {
+    getResponse: vi.fn()
+  }
+}));
+
+const { TwilioIntegration } = await import('../integrations/twilioIntegration.js');
+const { getIntent } = await import('../lib/intentClassifier.js');
+
+const CHICAGO = 'America/Chicago';
+// Mid-October: America/Chicago is UTC-5
+const MONDAY_3PM = new Date('2026-10-19T20:00:00Z');
+const MONDAY_5PM = new Date('2026-10-19T22:00:00Z');
+
+describe('Voicemail', () => {
+  describe('callback window', () => {
+    it('should understand ranges, open ends and parts of the day', () => {
+      const parse = text => parseCallbackWindow(text, { timeZone: CHICAGO, dayStart: '09:00', dayEnd: '21:00' });
+
+      expect(parse('between 2 and 4 pm')).toEqual({ start: '14:00', end: '16:00', timeZone: CHICAGO });
+      expect(parse('from 10 a.m. to 2')).toMatchObject({ start: '10:00', end: '14:00' });
+      expect(parse('between 11 and 1 pm')).toMatchObject({ start: '11:00', end: '13:00' });
+      expect(parse('after 6')).toMatchObject({ start: '18:00', end: '21:00' });
+      expect(parse('before noon')).toMatchObject({ start: '09:00', end: '12:00' });
+      expect(parse('at 3:30')).toMatchObject({ start: '15:30', end: '16:30' });
+      expect(parse('in the morning')).toMatchObject({ start: '09:00', end: '12:00' });
+    });
+
+    it('should refuse windows it cannot place', () => {
+      expect(parseCallbackWindow('whenever he is gone', { timeZone: CHICAGO })).toBeNull();
+      expect(parseCallbackWindow('from 11 pm to 2 am', { timeZone: CHICAGO })).toBeNull();
+    });
+
+    it('should read the window back', () => {
+      expect(describeCallbackWindow({ start: '14:00', end: '16:30' })).toBe('between 2 PM and 4:30 PM');
+      expect(describeCallbackWindow({ start: '09:00', end: '12:00' })).toBe('between 9 AM and 12 PM');
+    });
+
+    it('should only allow calls inside the window, in its time zone', () => {
+      const task = { window: { start: '14:00', end: '16:00', timeZone: CHICAGO } };
+
+      expect(isWithinCallbackWindow(task, MONDAY_3PM)).toBe(true);
+      expect(isWithinCallbackWindow(task, MONDAY_5PM)).toBe(false);
+      expect(isWithinCallbackWindow({}, MONDAY_3PM)).toBe(false);
+    });
+  });
+
+  describe('callback number', () => {
+    it('should take keypad, spoken and "this number" answers', () => {
+      expect(parseCallbackNumber('', { digits: '5125550100' })).toBe('+15125550100');
+      expect(parseCallbackNumber('five one two, five five five, zero one oh oh')).toBe('+15125550100');
+      expect(parseCallbackNumber('you can use this number', { callerNumber: '+15551234567' })).toBe('+15551234567');
+      expect(parseCallbackNumber('my work phone')).toBeNull();
+    });
+
+    it('should recognise a caller who does not want a call', () => {
+      expect(isCallbackDeclined('No, thank you')).toBe(true);
+      expect(isCallbackDeclined("please don't call me")).toBe(true);
+      expect(isCallbackDeclined('call me on 512 555 0100')).toBe(false);
+    });
+  });
+
+  describe('VoicemailStore', () => {
+    it('should keep recordings encrypted and drop them after the retention period', async () => {
+      let now = Date.parse('2026-10-19T20:00:00Z');
+      const contextStore = new ContextStore({ driver: 'memory', encryptionKey: crypto.randomBytes(32).toString('base64'), now: () => now });
+      const voicemails = new VoicemailStore({ store: contextStore, retentionMs: 60 * 60 * 1000, now: () => now });
+
+      await voicemails.saveVoicemail({
+        recordingSid: 'RE_secret',
+        callSid: 'CA_vm',
+        audio: Buffer.from('RIFF-audio'),
+        transcript: 'He checks my phone, please call after work'
+      });
+
+      const raw = JSON.stringify([...contextStore.driver.namespaces.get(VOICEMAIL_NAMESPACE).values()]);
+      expect(raw).not.toContain('checks my phone');
+      expect(raw).not.toContain('RE_secret');
+
+      const stored = await voicemails.getVoicemail('RE_secret');
+      expect(stored.audio.toString()).toBe('RIFF-audio');
+      expect(stored.transcript).toContain('checks my phone');
+
+      now += 60 * 60 * 1000;
+      expect(await voicemails.getVoicemail('RE_secret')).toBeNull();
+    });
+
+    it('should only hand out callbacks that are due now', async () => {
+      const voicemails = new VoicemailStore({ store: new ContextStore({ driver: 'memory' }) });
+      await voicemails.createCallbackTask({
+        callSid: 'CA_vm',
+        number: '+15125550100',
+        window: { start: '14:00', end: '16:00', timeZone: CHICAGO }
+      });
+
+      expect(await voicemails.getDueCallbackTasks(MONDAY_3PM)).toHaveLength(1);
+      expect(await voicemails.getDueCallbackTasks(MONDAY_5PM)).toHaveLength(0);
+    });
+  });
+
+  describe('controller', () => {
+    const callSid = 'CA_vm';
+    let handlerManager;
+    let controller;
+    let voicemails;
+    let res;
+
+    beforeEach(async () => {
+      vi.clearAllMocks();
+      voicemails = new VoicemailStore({ store: new ContextStore({ driver: 'memory' }) });
+      setVoicemailStore(voicemails);
+      setCallbackScheduler(new CallbackScheduler({ store: new ContextStore({ driver: 'memory' }) }));
+      setScheduleEngine(new ScheduleEngine({ timeZone: CHICAGO }));
+
+      handlerManager = {
+        activeCalls: new Map([[callSid, { from: '+15551234567' }]]),
+        services: { audio: { transcribeWithWhisper: vi.fn().mockResolvedValue('Please call me tomorrow') } },
+        getConversationContext: vi.fn().mockResolvedValue(null),
+        updateConversationContext: vi.fn(),
+        getSafetyPlan: vi.fn().mockResolvedValue(null),
+        saveSafetyPlan: vi.fn(),
+        buildContextSummary: vi.fn().mockResolvedValue({ hasContext: true, language: 'en-US' }),
+        generateTTSBasedTwiML: vi.fn().mockResolvedValue('<Response><Gather/></Response>')
+      };
+      res = {
+        type: vi.fn().mockReturnThis(),
+        send: vi.fn().mockReturnThis(),
+        status: vi.fn().mockReturnThis()
+      };
+      const { createTwilioController } = await import('../controllers/twilioController.js');
+      controller = createTwilioController(handlerManager);
+    });
+
+    afterEach(() => {
+      setVoicemailStore(null);
+      setCallbackScheduler(null);
+      setScheduleEngine(null);
+    });
+
+    it('should record a message when the caller cannot talk', async () => {
+      getIntent.mockResolvedValueOnce('leave_message');
+
+      const result = await controller.processSpeechResult(callSid, "I can't talk right now", 'req-1', 'twilio');
+
+      expect(result.response).toBe(voicemailConfig.messages.prompt);
+      expect(result.transferTwiml).toContain('<Record');
+      expect(result.transferTwiml).toContain('recordingStatusCallback="/twilio/recording"');
+    });
+
+    it('should store, transcribe and remove the Twilio copy of the recording', async () => {
+      TwilioIntegration.fetchRecording.mockResolvedValue(Buffer.from('RIFF-audio'));
+
+      await controller.handleRecording('RE_1', 'https://api.twilio.com/recordings/RE_1', callSid, res);
+
+      expect(res.send).toHaveBeenCalledWith('OK');
+      expect(handlerManager.services.audio.transcribeWithWhisper).toHaveBeenCalledWith(Buffer.from('RIFF-audio'));
+      expect((await voicemails.getVoicemail('RE_1')).transcript).toBe('Please call me tomorrow');
+      expect(TwilioIntegration.deleteRecording).toHaveBeenCalledWith('RE_1');
+    });
+
+    it('should create a callback task with the safe number and window', async () => {
+      await controller.handleVoicemailComplete(callSid, 'RE_1', res);
+      expect(res.send.mock.calls[0][0]).toContain('action="/twilio/voicemail/callback-number"');
+
+      await controller.handleVoicemailCallbackNumber(callSid, 'this number', undefined, res);
+      expect(res.send.mock.calls[1][0]).toContain('action="/twilio/voicemail/callback-time"');
+
+      await controller.handleVoicemailCallbackTime(callSid, 'between 2 and 4 pm', res);
+      expect(res.send.mock.calls[2][0]).toContain('action="/twilio/voicemail/callback-code-word"');
+      expect(await voicemails.listCallbackTasks()).toHaveLength(0);
+
+      await controller.handleVoicemailCallbackCodeWord(callSid, 'My code word is bluebird.', undefined, res);
+
+      const [task] = await voicemails.listCallbackTasks();
+      expect(task).toMatchObject({
+        voicemailId: 'RE_1',
+        number: '+15551234567',
+        window: { start: '14:00', end: '16:00', timeZone: CHICAGO },
+        language: 'en-US',
+        source: 'call',
+        status: 'pending'
+      });
+      expect(JSON.stringify(task)).not.toContain('bluebird');
+      expect(handlerManager.generateTTSBasedTwiML.mock.calls[0][0]).toContain('between 2 PM and 4 PM');
+      expect(handlerManager.activeCalls.get(callSid).voicemail).toBeUndefined();
+    });
+
+    it('should not set up a callback without a usable time', async () => {
+      await controller.handleVoicemailComplete(callSid, 'RE_1', res);
+      await controller.handleVoicemailCallbackNumber(callSid, '', '5125550100', res);
+      await controller.handleVoicemailCallbackTime(callSid, 'whenever', res);
+      await controller.handleVoicemailCallbackTime(callSid, 'I am not sure', res);
+
+      expect(await voicemails.listCallbackTasks()).toHaveLength(0);
+      expect(handlerManager.generateTTSBasedTwiML).toHaveBeenCalledWith(voicemailConfig.messages.callbackFailed, true, 'en-US', { callSid });
+    });
+
+    it('should respect a caller who does not want a call', async () => {
+      await controller.handleVoicemailComplete(callSid, 'RE_1', res);
+      await controller.handleVoicemailCallbackNumber(callSid, 'no thanks', undefined, res);
+
+      expect(await voicemails.listCallbackTasks()).toHaveLength(0);
+      expect(handlerManager.generateTTSBasedTwiML).toHaveBeenCalledWith(voicemailConfig.messages.noCallback, true, 'en-US', { callSid });
+    });
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  resolveTransferNumber,
+  normalizeDialNumber,
+  getTransferReason,
+  buildWhisperSummary,
+  buildTransferTwiml,
+  setTransferRoutes,
+  TRANSFER_REASONS
+} from '../lib/warmTransfer.js';
+import { warmTransferConfig } from '../lib/conversationConfig.js';
+import { ContextStore } from '../lib/storage/contextStore.js';
+import { ContextService } from '../services/context/ContextService.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/twilioIntegration.js', () => ({
+  TwilioIntegration: {
+    sendSMS: vi.fn(),
+    fetchCallDetails: vi.fn()
+  }
+}));
+
+vi.mock('../lib/intentClassifier.js', () => ({
+  getIntent: vi.fn(),
+  rewriteQuery: vi.fn()
+}));
+
+vi.mock('../lib/unifiedResponseHandler.js', () => ({
+  UnifiedResponseHandler: {
+    getResponse: vi.fn()
+  }
+}));
+
+const { getIntent } = await import('../lib/intentClassifier.js');
+const { UnifiedResponseHandler } = await import('../lib/unifiedResponseHandler.js');
+
+const routes = {
+  default: { default: '1-800-799-7233' },
+  en: { TX: '(512) 555-0100', default: '+18005550111' },
+  'es-US': { default: '+18005550122' }
+};
+
+describe('Warm transfer', () => {
+  describe('routing', () => {
+    it('should pick a number by language and region', () => {
+      expect(resolveTransferNumber(routes, { language: 'en-US', location: 'Austin, TX' })).toBe('+15125550100');
+      expect(resolveTransferNumber(routes, { language: 'en-US', location: 'Portland, OR' })).toBe('+18005550111');
+      expect(resolveTransferNumber(routes, { language: 'es-US', location: 'Austin, TX' })).toBe('+18005550122');
+      expect(resolveTransferNumber(routes, { language: 'fr-FR' })).toBe('+18007997233');
+      expect(resolveTransferNumber({}, { language: 'en-US' })).toBeNull();
+    });
+
+    it('should normalise dial numbers', () => {
+      expect(normalizeDialNumber('1-800-799-7233')).toBe('+18007997233');
+      expect(normalizeDialNumber('+44 20 7946 0000')).toBe('+442079460000');
+      expect(normalizeDialNumber('555-0100')).toBeNull();
+    });
+
+    it('should transfer on a request for a person or an emergency', () => {
+      expect(getTransferReason('talk_to_person')).toBe(TRANSFER_REASONS.CALLER_REQUEST);
+      expect(getTransferReason('emergency_help', {})).toBe(TRANSFER_REASONS.EMERGENCY);
+      expect(getTransferReason('emergency_help', { transfer: { status: 'failed' } })).toBeNull();
+      expect(getTransferReason('find_shelter')).toBeNull();
+    });
+  });
+
+  describe('whisper and TwiML', () => {
+    it('should summarise the call without repeating what the caller said', async () => {
+      const contextService = new ContextService({ store: new ContextStore({ driver: 'memory' }) });
+      await contextService.initialize();
+      await contextService.updateConversationContext('CA_whisper', {
+        interaction: { query: 'he took my phone, I need somewhere to go', intent: 'find_shelter' },
+        location: 'Austin, TX',
+        language: 'es-US'
+      });
+
+      const whisper = buildWhisperSummary(await contextService.buildContextSummary('CA_whisper'), TRANSFER_REASONS.CALLER_REQUEST);
+
+      expect(whisper).toContain(warmTransferConfig.whisper.reasons.caller_request);
+      expect(whisper).toContain('Location: Austin, TX.');
+      expect(whisper).toContain('Preferred language: es-US.');
+      expect(whisper).toContain('Recent topics: shelter.');
+      expect(whisper).not.toContain('phone');
+    });
+
+    it('should dial with whisper and status callbacks', () => {
+      const twiml = buildTransferTwiml({ callSid: 'CA_dial', number: '+18007997233', message: 'Connecting you now.' });
+
+      expect(twiml).toContain('<Say>Connecting you now.</Say>');
+      expect(twiml).toContain('action="/twilio/transfer/status?callSid=CA_dial"');
+      expect(twiml).toContain('url="/twilio/transfer/whisper?callSid=CA_dial"');
+      expect(twiml).toContain('+18007997233</Number>');
+    });
+  });
+
+  describe('controller', () => {
+    const callSid = 'CA_transfer';
+    let handlerManager;
+    let controller;
+    let res;
+
+    beforeEach(async () => {
+      vi.clearAllMocks();
+      setTransferRoutes(routes);
+      const contextService = new ContextService({ store: new ContextStore({ driver: 'memory' }) });
+      await contextService.initialize();
+      await contextService.updateConversationContext(callSid, { location: 'Austin, TX' });
+
+      handlerManager = {
+        activeCalls: new Map([[callSid, { from: '+15551234567' }]]),
+        getConversationContext: vi.fn().mockResolvedValue(null),
+        updateConversationContext: vi.fn(),
+        getSafetyPlan: vi.fn().mockResolvedValue(null),
+        saveSafetyPlan: vi.fn(),
+        buildContextSummary: sid => contextService.buildContextSummary(sid),
+        generateTTSBasedTwiML: vi.fn().mockResolvedValue('<Response><Gather/></Response>')
+      };
+      res = {
+        type: vi.fn().mockReturnThis(),
+        send: vi.fn().mockReturnThis()
+      };
+      const { createTwilioController } = await import('../controllers/twilioController.js');
+      controller = createTwilioController(handlerManager);
+    });
+
+    afterEach(() => {
+      setTransferRoutes(null);
+    });
+
+    it('should dial the regional advocate when the caller asks for a person', async () => {
+      getIntent.mockResolvedValueOnce('talk_to_person');
+
+      const result = await controller.processSpeechResult(callSid, 'can I talk to a real person', 'req-1', 'twilio');
+
+      expect(result.response).toBe(warmTransferConfig.messages.caller_request);
+      expect(result.transferTwiml).toContain('+15125550100</Number>');
+      expect(handlerManager.activeCalls.get(callSid).transfer).toMatchObject({ reason: 'caller_request', status: 'dialing' });
+      expect(UnifiedResponseHandler.getResponse).not.toHaveBeenCalled();
+    });
+
+    it('should transfer after repeated low-confidence turns', async () => {
+      expect(await controller.handleSpeechConfidence(callSid, 'low', 'req-1')).toBeNull();
+      expect(await controller.handleSpeechConfidence(callSid, 'very_low', 'req-2')).toBeNull();
+      const transfer = await controller.handleSpeechConfidence(callSid, 'low', 'req-3');
+
+      expect(transfer.response).toBe(warmTransferConfig.messages.low_confidence);
+      expect(handlerManager.activeCalls.get(callSid).lowConfidenceTurns).toBe(0);
+    });
+
+    it('should whisper the summary to the advocate', async () => {
+      handlerManager.activeCalls.get(callSid).transfer = { reason: 'emergency' };
+
+      await controller.handleTransferWhisper(callSid, res);
+
+      expect(res.send.mock.calls[0][0]).toContain('The caller may be in immediate danger. Location: Austin, TX.');
+    });
+
+    it('should come back to the assistant when the advocate does not answer', async () => {
+      handlerManager.activeCalls.get(callSid).transfer = { reason: 'emergency', status: 'dialing' };
+
+      await controller.handleTransferStatus(callSid, 'no-answer', res);
+
+      expect(handlerManager.generateTTSBasedTwiML).toHaveBeenCalledWith(warmTransferConfig.messages.failed, true, 'en-US', { callSid });
+      expect(res.send).toHaveBeenCalledWith('<Response><Gather/></Response>');
+      expect(handlerManager.activeCalls.get(callSid).transfer.status).toBe('failed');
+      expect(getTransferReason('emergency_help', handlerManager.activeCalls.get(callSid))).toBeNull();
+    });
+
+    it('should hang up once the advocate has taken the call', async () => {
+      await controller.handleTransferStatus(callSid, 'completed', res);
+
+      expect(res.send.mock.calls[0][0]).toContain('<Hangup/>');
+    });
+  });
+});
@@ -3,11 +3,13 @@ vi.mock('../lib/logger.js', () => ({
   logger: {
     info: vi.fn(),
     debug: vi.fn(),
+    warn: vi.fn(),
     error: vi.fn()
   },
   default: {
     info: vi.fn(),
     debug: vi.fn(),
+    warn: vi.fn(),
     error: vi.fn()
   }
 }));
@@ -252,6 +254,114 @@ describe('TwilioWebSocketServer', () => {
     });
   });
 
+  describe('stream binding', () => {
+    let connect;
+
+    // A fake Twilio socket that has connected to /twilio-stream
+    const openSocket = () => {
+      const handlers = {};
+      const ws = { send: vi.fn(), close: vi.fn(), readyState: 1, on: (event, handler) => { handlers[event] = handler; } };
+      connect(ws, { url: '/twilio-stream', headers: {} });
+      ws.receive = message => handlers.message(JSON.stringify(message));
+      ws.disconnect = () => handlers.close();
+      return ws;
+    };
+    const start = (callSid, parameters) => ({
+      event: 'start',
+      streamSid: `MZ_${callSid}`,
+      start: { callSid, streamSid: `MZ_${callSid}`, customParameters: parameters }
+    });
+    const media = payload => ({ event: 'media', media: { track: 'inbound_track', chunk: '1', payload } });
+
+    beforeEach(() => {
+      connect = wsServer.wss.on.mock.calls.find(([event]) => event === 'connection')[1];
+      mockAudioService.decodeTwilioAudio = vi.fn(async payload => Buffer.from(payload, 'base64'));
+      mockAudioService.accumulateAudio = vi.fn();
+    });
+
+    it('should route each caller\'s audio to their own call, whatever order the streams start in', async () => {
+      const tokenA = wsServer.registerCall('CA_a', '+15550000001');
+      const tokenB = wsServer.registerCall('CA_b', '+15550000002');
+      const socketA = openSocket();
+      const socketB = openSocket();
+
+      await socketB.receive(start('CA_b', { callSid: 'CA_b', token: tokenB }));
+      await socketA.receive(start('CA_a', { callSid: 'CA_a', token: tokenA }));
+      await socketA.receive(media(Buffer.from('aaaa').toString('base64')));
+      await socketB.receive(media(Buffer.from('bbbb').toString('base64')));
+
+      expect(mockAudioService.accumulateAudio.mock.calls).toEqual([
+        ['CA_a', Buffer.from('aaaa')],
+        ['CA_b', Buffer.from('bbbb')]
+      ]);
+      expect(wsServer.getClient('CA_a')).toBe(socketA);
+      expect(wsServer.getClient('CA_b')).toBe(socketB);
+    });
+
+    it('should reject unknown, unsigned and borrowed streams', async () => {
+      const tokenA = wsServer.registerCall('CA_a', '+15550000001');
+      wsServer.registerCall('CA_b', '+15550000002');
+      const attempts = [
+        start('CA_b', { callSid: 'CA_b' }),
+        start('CA_b', { callSid: 'CA_b', token: tokenA }),
+        start('CA_b', { callSid: 'CA_a', token: tokenA }),
+        start('CA_unknown', { callSid: 'CA_unknown', token: wsServer.registerCall('CA_gone', '+1555') })
+      ];
+
+      for (const attempt of attempts) {
+        const socket = openSocket();
+        await socket.receive(attempt);
+        expect(socket.close).toHaveBeenCalledWith(1008, 'Unknown or unsigned stream');
+      }
+      expect(wsServer.getClient('CA_b')).toBeUndefined();
+    });
+
+    it('should only bind one stream per registration', async () => {
+      const token = wsServer.registerCall('CA_a', '+15550000001');
+      const first = openSocket();
+      const second = openSocket();
+      await first.receive(start('CA_a', { callSid: 'CA_a', token }));
+      await second.receive(start('CA_a', { callSid: 'CA_a', token }));
+
+      expect(second.close).toHaveBeenCalledWith(1008, 'Unknown or unsigned stream');
+      expect(wsServer.getClient('CA_a')).toBe(first);
+
+      // The rejected socket closing leaves the real stream alone
+      second.disconnect();
+      expect(wsServer.activeCalls.has('CA_a')).toBe(true);
+    });
+
+    it('should ignore audio sent before the stream identifies itself', async () => {
+      wsServer.registerCall('CA_a', '+15550000001');
+      const socket = openSocket();
+      await socket.receive(media(Buffer.from('aaaa').toString('base64')));
+
+      expect(mockAudioService.accumulateAudio).not.toHaveBeenCalled();
+      expect(wsServer.getClient('CA_a')).toBeUndefined();
+    });
+  });
+
+  describe('media-stream sessions', () => {
+    it('should only start a session for calls registered in stream mode', () => {
+      const turnHandler = { respond: vi.fn(), handleDigit: vi.fn(), fallback: vi.fn() };
+      const mockWs = { send: vi.fn(), close: vi.fn(), readyState: 1 };
+      const start = { streamSid: 'MZ1', start: { callSid: 'CA_stream', customParameters: { language: 'es-ES' } } };
+      wsServer.setTurnHandler(turnHandler);
+
+      wsServer.registerCall('CA_gather', '+1234567890');
+      expect(wsServer.startSession('CA_gather', mockWs, start)).toBeNull();
+
+      wsServer.registerCall('CA_stream', '+1234567890', { voiceMode: 'stream', language: 'en-US' });
+      const session = wsServer.startSession('CA_stream', mockWs, start);
+      expect(session).toMatchObject({ callSid: 'CA_stream', streamSid: 'MZ1', language: 'es-ES', turnHandler });
+      expect(wsServer.sessions.get('CA_stream')).toBe(session);
+
+      wsServer.endSession('CA_stream');
+      expect(session.closed).toBe(true);
+      expect(wsServer.sessions.has('CA_stream')).toBe(false);
+    });
+  });
+
   describe('handleStreamEnd', () => {
     it('should handle stream end for active call', async () => {
       const callSid = 'test-call-sid';
@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { classifyYesNo, YES_NO_ANSWERS } from '../lib/yesNoClassifier.js';
+import { discreetSmsConfig } from '../lib/conversationConfig.js';
+
+vi.mock('../lib/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../integrations/twilioIntegration.js', () => ({
+  TwilioIntegration: {
+    sendSMS: vi.fn(),
+    fetchCallDetails: vi.fn()
+  }
+}));
+
+vi.mock('../lib/intentClassifier.js', () => ({
+  getIntent: vi.fn(),
+  rewriteQuery: vi.fn()
+}));
+
+vi.mock('../lib/speechProcessor.js', () => ({
+  extractLocation: vi.fn(),
+  generateLocationPrompt: vi.fn()
+}));
+
+vi.mock('../lib/unifiedResponseHandler.js', () => ({
+  UnifiedResponseHandler: {
+    getResponse: vi.fn()
+  }
+}));
+
+const { getIntent, rewriteQuery } = await import('../lib/intentClassifier.js');
+const { extractLocation } = await import('../lib/speechProcessor.js');
+const { UnifiedResponseHandler } = await import('../lib/unifiedResponseHandler.js');
+
+const { YES, NO, UNSURE } = YES_NO_ANSWERS;
+
+describe('Yes/no classifier', () => {
+  describe('classifyYesNo', () => {
+    it('should understand everyday yes and no answers', () => {
+      for (const text of ['Yes please', 'yeah sure, go ahead', 'okay', 'no problem']) {
+        expect(classifyYesNo(text).answer).toBe(YES);
+      }
+      for (const text of ['no thanks', 'nope', "I'd rather not", "that's not okay"]) {
+        expect(classifyYesNo(text).answer).toBe(NO);
+      }
+    });
+
+    it('should let the part after "but" decide', () => {
+      expect(classifyYesNo('yes but not today')).toMatchObject({ answer: NO });
+      expect(classifyYesNo('yes but keep it private').answer).toBe(YES);
+    });
+
+    it('should report hedges, contradictions and silence as unsure', () => {
+      for (const text of ["I'm not sure", 'maybe', 'sure, no', 'hmm', '']) {
+        expect(classifyYesNo(text).answer).toBe(UNSURE);
+      }
+    });
+
+    it('should use the cues of the conversation language', () => {
+      expect(classifyYesNo('Sí, claro', 'es-ES').answer).toBe(YES);
+      expect(classifyYesNo('no, gracias', 'es-ES').answer).toBe(NO);
+      expect(classifyYesNo('no sé', 'es-ES').answer).toBe(UNSURE);
+      expect(classifyYesNo('Oui, d’accord', 'fr-FR').answer).toBe(YES);
+      expect(classifyYesNo('peut-être', 'fr-FR').answer).toBe(UNSURE);
+      expect(classifyYesNo('ja, aber nicht jetzt', 'de-DE').answer).toBe(NO);
+      // English cues still work as the fallback language
+      expect(classifyYesNo('okay', 'de-DE').answer).toBe(YES);
+    });
+  });
+
+  describe('controller', () => {
+    const callSid = 'CA_yesno';
+    let handlerManager;
+    let controller;
+    let res;
+
+    beforeEach(async () => {
+      vi.clearAllMocks();
+      handlerManager = {
+        activeCalls: new Map([[callSid, { from: '+15551234567' }]]),
+        buildContextSummary: vi.fn().mockResolvedValue({ hasContext: true, language: 'en-US' }),
+        getConversationContext: vi.fn().mockResolvedValue({ lastQueryContext: { location: 'Austin, Texas' } }),
+        updateConversationContext: vi.fn(),
+        getSafetyPlan: vi.fn().mockResolvedValue(null),
+        generateTTSBasedTwiML: vi.fn().mockResolvedValue('<Response><Play>https://example.org/a.mp3</Play></Response>'),
+        cleanupCall: vi.fn()
+      };
+      res = {
+        type: vi.fn().mockReturnThis(),
+        send: vi.fn().mockReturnThis(),
+        status: vi.fn().mockReturnThis()
+      };
+      rewriteQuery.mockImplementation(async speech => speech);
+      UnifiedResponseHandler.getResponse.mockResolvedValue({ voiceResponse: 'Here are shelters.' });
+      const { createTwilioController } = await import('../controllers/twilioController.js');
+      controller = createTwilioController(handlerManager);
+    });
+
+    describe('SMS consent', () => {
+      it('should ask again after an unsure answer, then take no for an answer', async () => {
+        await controller.handleConsent(callSid, 'um, maybe', res);
+
+        const twiml = res.send.mock.calls[0][0];
+        expect(twiml).toContain('action="/twilio/consent"');
+        expect(twiml).toContain("Sorry, I didn't catch that.");
+        expect(twiml).not.toContain('<break');
+
+        await controller.handleConsent(callSid, 'I guess', res);
+
+        expect(handlerManager.activeCalls.get(callSid).hasConsent).toBe(false);
+        expect(handlerManager.cleanupCall).toHaveBeenCalledWith(callSid);
+      });
+
+      it('should not send a text for "yes, but not now"', async () => {
+        await controller.handleConsent(callSid, 'yes, but not now', res);
+
+        expect(handlerManager.activeCalls.get(callSid).hasConsent).toBe(false);
+        expect(res.send.mock.calls[0][0]).not.toContain(discreetSmsConfig.messages.askDiscreet);
+      });
+
+      it('should ask in the language of the call', async () => {
+        handlerManager.buildContextSummary.mockResolvedValue({ hasContext: true, language: 'es-ES' });
+
+        await controller.handleConsent(callSid, 'no sé', res);
+
+        const twiml = res.send.mock.calls[0][0];
+        expect(twiml).toContain('language="es-ES"');
+        expect(twiml).toContain('Perdón, no te entendí.');
+      });
+    });
+
+    describe('location confirmation', () => {
+      const say = async (speech, intent = 'general_information') => {
+        getIntent.mockResolvedValueOnce(intent);
+        return controller.processSpeechResult(callSid, speech, 'req-1', 'twilio');
+      };
+
+      it('should confirm an earlier location before searching there', async () => {
+        const question = await say('I need a shelter', 'find_shelter');
+
+        expect(question).toBe('I found a location you mentioned earlier: Austin, Texas. Would you like me to search for resources in that area? Please say yes or no.');
+        expect(UnifiedResponseHandler.getResponse).not.toHaveBeenCalled();
+
+        expect(await say('yes please')).toBe('Here are shelters.');
+        expect(rewriteQuery).toHaveBeenCalledWith('I need a shelter', 'find_shelter', callSid);
+        expect(handlerManager.activeCalls.get(callSid).pendingLocation).toBeUndefined();
+      });
+
+      it('should search a new location given instead of a yes', async () => {
+        extractLocation.mockImplementation(async speech => (/dallas/i.test(speech) ? 'Dallas, Texas' : null));
+        await say('I need a shelter', 'find_shelter');
+
+        expect(await say('no, Dallas Texas', 'provide_location')).toBe('Here are shelters.');
+        expect(rewriteQuery).toHaveBeenCalledWith('I need a shelter in Dallas, Texas', 'find_shelter', callSid);
+      });
+
+      it('should ask again when unsure and ask for a location after a no', async () => {
+        extractLocation.mockImplementation(async speech => (/dallas/i.test(speech) ? 'Dallas, Texas' : null));
+        await say('I need a shelter', 'find_shelter');
+
+        expect(await say('hmm')).toContain('Would you like me to use that location for your search');
+        expect(await say('no')).toContain('could you please tell me which city, state, and country');
+        expect(await say('Dallas Texas', 'provide_location')).toBe('Here are shelters.');
+        expect(rewriteQuery).toHaveBeenCalledWith('I need a shelter in Dallas, Texas', 'find_shelter', callSid);
+      });
+
+      it('should drop the question when the caller moves on to something else', async () => {
+        await say('I need a shelter', 'find_shelter');
+
+        expect(await say('can you tell me how protection orders work in general')).toBe('Here are shelters.');
+        expect(rewriteQuery).toHaveBeenCalledWith('can you tell me how protection orders work in general', 'general_information', callSid);
+        expect(handlerManager.activeCalls.get(callSid).pendingLocation).toBeUndefined();
+      });
+
+      it('should keep web requests on the saved location', async () => {
+        UnifiedResponseHandler.getResponse.mockResolvedValue({ webResponse: 'Shelters near Austin.' });
+        getIntent.mockResolvedValueOnce('find_shelter');
+
+        expect(await controller.processSpeechResult(callSid, 'I need a shelter', 'req-1', 'web')).toBe('Shelters near Austin.');
+        expect(handlerManager.activeCalls.get(callSid).pendingLocation).toBeUndefined();
+      });
+    });
+  });
+});
@@ -19,9 +19,12 @@
 import { WebSocketServer } from 'ws';
 import { AudioService } from './services/audioService.js';
 import { CallSummaryService } from './services/callSummaryService.js';
-import path from 'path';
-import fsSync from 'fs';
 import logger from './lib/logger.js';
+import { getContextStore } from './lib/storage/contextStore.js';
+import { getQuickExitGatherOptions } from './lib/quickExit.js';
+import { MediaStreamSession } from './services/mediaStreamSession.js';
+import { VOICE_MODES, issueStreamToken, verifyStreamToken } from './lib/mediaStream.js';
+import { config } from './lib/config/index.js';
 
 /**
  * TwilioWebSocketServer Class
@@ -39,6 +42,8 @@ export class TwilioWebSocketServer {
    * @param {Object} [dependencies] - Optional dependencies for easier testing
    * @param {AudioService} [dependencies.audioService]
    * @param {CallSummaryService} [dependencies.callSummaryService]
+   * @param {ContextStore} [dependencies.contextStore]
+   * @param {Object} [dependencies.turnHandler] - Answers media-stream turns, see MediaStreamSession
    */
   constructor(server, dependencies = {}) {
     // Initialize audio service for processing Twilio audio streams
@@ -49,8 +54,15 @@ export class TwilioWebSocketServer {
       noServer: true 
     });
     
+    // Call summaries are stored encrypted alongside other per-call state
+    this.contextStore = dependencies.contextStore || null;
+
     // Track active calls with their metadata and WebSocket connections
     this.activeCalls = new Map();
+
+    // Media-stream sessions for calls in stream mode, by call SID
+    this.sessions = new Map();
+    this.turnHandler = dependencies.turnHandler || null;
     
     /**
      * Manual WebSocket Upgrade Handling
@@ -95,25 +107,134 @@ export class TwilioWebSocketServer {
    * 
    * @param {string} callSid - Twilio Call SID for unique call identification
    * @param {string} from - Phone number of the caller
+   * @param {Object} [options] - Stream settings for the call
+   * @param {string} [options.voiceMode] - VOICE_MODES value
+   * @param {string} [options.language] - Language the call starts in
+   * @param {string} [options.greeting] - Spoken as soon as a media stream starts
+   * @returns {string} Token for the stream's <Parameter name="token">; streams without it are rejected
    */
-  registerCall(callSid, from) {
+  registerCall(callSid, from, options = {}) {
     if (!this.activeCalls.has(callSid)) {
       // Create new call entry
       this.activeCalls.set(callSid, {
         from,
         startTime: Date.now(),
         hasConsent: false,
-        conversationHistory: []
+        conversationHistory: [],
+        ...options
       });
     } else {
       // Reset consent and history for existing call (e.g., reconnection)
+      const { ws, streamSid, status, ...callData } = this.activeCalls.get(callSid);
       this.activeCalls.set(callSid, {
-        ...this.activeCalls.get(callSid),
+        ...callData,
         from,
         hasConsent: false,
-        conversationHistory: []
+        conversationHistory: [],
+        ...options
       });
     }
+    return issueStreamToken(callSid);
+  }
+
+  /**
+   * Bind a socket to the call named in its start event
+   * 
+   * The call SID must match the signed <Parameter> values from registerCall,
+   * the call must still be registered, and each registration binds one stream.
+   * 
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Object} message - Twilio start event
+   * @returns {string|null} The call SID, or null if the stream was rejected
+   */
+  bindStream(ws, message) {
+    const start = message.start || {};
+    const parameters = start.customParameters || {};
+    const callSid = start.callSid;
+    const streamSid = message.streamSid || start.streamSid;
+
+    let reason = null;
+    if (!callSid || parameters.callSid !== callSid) {
+      reason = 'call SID missing or does not match its parameter';
+    } else if (!verifyStreamToken(callSid, parameters.token)) {
+      reason = 'missing, invalid or expired token';
+    } else if (!this.activeCalls.has(callSid)) {
+      reason = 'call is not registered';
+    } else if (this.activeCalls.get(callSid).streamSid) {
+      reason = 'call already has a stream';
+    }
+    if (reason) {
+      logger.warn('Rejected media stream:', { callSid, streamSid, reason });
+      return null;
+    }
+
+    this.activeCalls.set(callSid, {
+      ...this.activeCalls.get(callSid),
+      status: 'connected',
+      streamSid,
+      ws
+    });
+    logger.info('Bound media stream to call:', { callSid, streamSid });
+    return callSid;
+  }
+
+  /**
+   * Set the handler that answers media-stream turns
+   * 
+   * @param {Object} turnHandler - respond/handleDigit/fallback, see MediaStreamSession
+   */
+  setTurnHandler(turnHandler) {
+    this.turnHandler = turnHandler;
+  }
+
+  /**
+   * Start a media-stream session if the call was registered in stream mode
+   * 
+   * @param {string} callSid - Twilio Call SID
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Object} message - Twilio start event
+   * @returns {MediaStreamSession|null} The session, or null for legacy streams
+   */
+  startSession(callSid, ws, message) {
+    const callData = this.activeCalls.get(callSid);
+    if (callData?.voiceMode !== VOICE_MODES.STREAM) {
+      return null;
+    }
+    if (!this.turnHandler) {
+      logger.error('No turn handler for media stream, falling back to <Gather>:', callSid);
+      ws.close();
+      return null;
+    }
+
+    const session = new MediaStreamSession({
+      callSid,
+      streamSid: message.streamSid || message.start?.streamSid,
+      ws,
+      audioService: this.audioService,
+      turnHandler: this.turnHandler,
+      language: message.start?.customParameters?.language || callData.language
+    });
+    this.sessions.set(callSid, session);
+
+    if (callData.greeting) {
+      session.speak(callData.greeting).catch(error => {
+        logger.error('Error speaking stream greeting:', { callSid, error: error.message });
+      });
+    }
+    return session;
+  }
+
+  /**
+   * End a call's media-stream session, if it has one
+   * 
+   * @param {string} callSid - Twilio Call SID
+   */
+  endSession(callSid) {
+    const session = this.sessions.get(callSid);
+    if (session) {
+      session.close();
+      this.sessions.delete(callSid);
+    }
   }
 
   /**
@@ -134,36 +255,20 @@ export class TwilioWebSocketServer {
       });
 
       /**
-       * Find the most recently registered call
+       * The socket belongs to no call until its start event names one
        * 
-       * WebSocket connections are typically established after call registration,
-       * so we find the most recent call to associate with this connection.
+       * Twilio sends the call SID and our signed <Parameter> values in the
+       * start event (see bindStream). Sockets that don't send a valid one in
+       * time are closed, so concurrent calls never share audio.
        */
       let callSid = null;
-      let mostRecent = 0;
-      
-      for (const [sid, data] of this.activeCalls.entries()) {
-        if (data.timestamp > mostRecent) {
-          mostRecent = data.timestamp;
-          callSid = sid;
+      const startTimer = setTimeout(() => {
+        if (!callSid) {
+          logger.warn('Closing media stream that never identified its call');
+          ws.close(1008, 'Stream not identified');
         }
-      }
-      
-      logger.info('Associated WebSocket with active call:', callSid);
-
-      // Validate that we have an active call
-      if (!callSid) {
-        logger.error('No active call found for WebSocket connection');
-        ws.close(1008, 'No active call found');
-        return;
-      }
-
-      // Update call status to connected and store WebSocket reference
-      this.activeCalls.set(callSid, {
-        ...this.activeCalls.get(callSid),
-        status: 'connected',
-        ws
-      });
+      }, config.streaming.startTimeoutMs);
+      startTimer.unref?.();
 
       /**
        * WebSocket Message Handler
@@ -176,6 +281,25 @@ export class TwilioWebSocketServer {
       ws.on('message', async (data) => {
         try {
           const message = JSON.parse(data);
+
+          if (message.event === 'start') {
+            clearTimeout(startTimer);
+            if (callSid) {
+              logger.warn('Ignoring second start event on a bound media stream:', callSid);
+              return;
+            }
+            callSid = this.bindStream(ws, message);
+            if (!callSid) {
+              ws.close(1008, 'Unknown or unsigned stream');
+              return;
+            }
+          } else if (!callSid) {
+            // Only "connected" is expected before start; nothing else is trusted
+            if (message.event !== 'connected') {
+              logger.warn('Dropping media stream message before start:', message.event);
+            }
+            return;
+          }
           
           // Log non-media messages to avoid console spam
           if (message.event !== 'media') {
@@ -189,7 +313,12 @@ export class TwilioWebSocketServer {
           // Handle different message types
           switch (message.event) {
             case 'media':
-              if (message.media && message.media.payload) {
+              if (this.sessions.has(callSid)) {
+                // Bidirectional streams only carry the caller's audio
+                if (message.media?.payload) {
+                  await this.sessions.get(callSid).handleMedia(message.media.payload);
+                }
+              } else if (message.media && message.media.payload) {
                 // Log every 100th media chunk to avoid excessive logging
                 if (parseInt(message.media.chunk) % 100 === 0) {
                   logger.info('Processing media chunk:', {
@@ -209,6 +338,10 @@ export class TwilioWebSocketServer {
               break;
 
             case 'stop':
+              if (this.sessions.has(callSid)) {
+                this.endSession(callSid);
+                break;
+              }
               logger.info('Received stop event, processing accumulated audio...');
               await this.handleStreamEnd(callSid, ws);
               break;
@@ -219,6 +352,7 @@ export class TwilioWebSocketServer {
                 streamSid: message.streamSid,
                 startTime: message.startTime
               });
+              this.startSession(callSid, ws, message);
               break;
 
             case 'mark':
@@ -226,6 +360,11 @@ export class TwilioWebSocketServer {
                 callSid,
                 mark: message.mark
               });
+              this.sessions.get(callSid)?.handleMark(message.mark?.name);
+              break;
+
+            case 'dtmf':
+              await this.sessions.get(callSid)?.handleDigit(message.dtmf?.digit);
               break;
 
             case 'tts_complete':
@@ -238,10 +377,13 @@ export class TwilioWebSocketServer {
                  * Creates a TwiML response that plays the TTS audio and
                  * sets up speech recognition for the next user input.
                  */
+                const gatherInput = Object.entries(getQuickExitGatherOptions())
+                  .map(([name, value]) => `${name}="${value}"`)
+                  .join(' ');
                 const twiml = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
   <Play>${message.audioUrl}</Play>
-  <Gather input="speech" action="/twilio/voice/process" method="POST" 
+  <Gather ${gatherInput} action="/twilio/voice/process" method="POST" 
           speechTimeout="auto" 
           speechModel="phone_call"
           enhanced="true"
@@ -274,7 +416,13 @@ export class TwilioWebSocketServer {
        * Cleans up resources when a WebSocket connection is closed.
        */
       ws.on('close', () => {
+        clearTimeout(startTimer);
+        // Another call's state is never touched by a socket that didn't bind to it
+        if (!callSid || this.activeCalls.get(callSid)?.ws !== ws) {
+          return;
+        }
         logger.info(`WebSocket connection closed for call ${callSid}`);
+        this.endSession(callSid);
         this.audioService.clearAccumulatedAudio(callSid);
         this.activeCalls.delete(callSid);
       });
@@ -286,6 +434,10 @@ export class TwilioWebSocketServer {
        */
       ws.on('error', (error) => {
         logger.error(`WebSocket error for call ${callSid}:`, error);
+        if (!callSid || this.activeCalls.get(callSid)?.ws !== ws) {
+          return;
+        }
+        this.endSession(callSid);
         this.activeCalls.delete(callSid);
       });
     });
@@ -376,11 +528,10 @@ export class TwilioWebSocketServer {
       // Generate call summary
       summary = await this.callSummaryService.generateSummary(callSid);
       
-      // Save call summary to file
-      const summaryPath = path.join(process.cwd(), 'call-summaries', `${callSid}.json`);
-      fsSync.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
+      // Save call summary to the context store
+      await this.getContextStore().set('callSummaries', callSid, summary);
       
-      logger.info('Call summary generated and saved:', summaryPath);
+      logger.info('Call summary generated and saved:', callSid);
     } catch (error) {
       logger.error('Error handling call end:', error);
       summary = null;
@@ -393,6 +544,36 @@ export class TwilioWebSocketServer {
     return summary;
   }
 
+  /**
+   * Purge all in-memory state for a call without generating a summary
+   *
+   * Used by quick exit: the caller's history must not survive the call,
+   * so nothing is summarized, saved to disk or sent by SMS.
+   *
+   * @param {string} callSid - Twilio Call SID
+   */
+  purgeCall(callSid) {
+    this.endSession(callSid);
+    const callData = this.activeCalls.get(callSid);
+    if (callData?.ws && callData.ws.readyState === 1) {
+      callData.ws.close();
+    }
+    this.activeCalls.delete(callSid);
+    this.audioService.clearAccumulatedAudio(callSid);
+    this.callSummaryService.clearHistory(callSid);
+    this.getContextStore().delete('callSummaries', callSid).catch(error => {
+      logger.error('Error removing stored call summary:', error);
+    });
+    logger.info('Purged call state after quick exit:', callSid);
+  }
+
+  /**
+   * @returns {ContextStore} Injected context store or the shared one
+   */
+  getContextStore() {
+    return this.contextStore || getContextStore();
+  }
+
   /**
    * Add a client WebSocket connection for a call
    * 